@@ -0,0 +1,67 @@
+// Every extractor returns the same document shape:
+//   { format, title, text, headings: [{ level, text, page }], segments, metadata }
+// `text` is plain text with headings written as Markdown `#` lines, so the
+// chunker and the prompts see the same structure whatever the source format.
+// `segments` is the same text split per block as { text, page, section }, the
+// provenance the knowledge index keeps on each chunk. Paged formats (PDF) also
+// return `pages: [{ number, blocks }]`.
+
+// A file the client sent that can't be read: `status` is the HTTP status to
+// answer with (400 malformed, 413 too large once unpacked, 415 unsupported,
+// 422 nothing to extract). Anything else an extractor throws is a server
+// fault.
+export class ExtractionError extends Error {
+  constructor(message, status = 400, code = 'INVALID_DOCUMENT') {
+    super(message);
+    this.name = 'ExtractionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const normalizeWhitespace = (text) => (text || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v\u00a0]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+export const titleFromFileName = (fileName) => (fileName || '')
+  .replace(/\.[^.]+$/, '')
+  .replace(/[_-]+/g, ' ')
+  .trim() || null;
+
+// Builds a document from ordered blocks of { type: 'heading', level, text }
+// or { type: 'text', text }, each optionally tagged with the page it is on
+export const buildDocument = (format, blocks, { title = null, metadata = {}, pages } = {}) => {
+  const headings = [];
+  const segments = [];
+  let section = null;
+
+  for (const block of blocks) {
+    const text = normalizeWhitespace(block.text);
+    if (!text) continue;
+
+    const page = block.page ?? null;
+
+    if (block.type === 'heading') {
+      const level = Math.min(Math.max(block.level || 1, 1), 6);
+      const line = text.replace(/\n/g, ' ');
+      headings.push({ level, text: line, page });
+      section = line;
+      segments.push({ text: `${'#'.repeat(level)} ${line}`, page, section });
+    } else {
+      segments.push({ text, page, section });
+    }
+  }
+
+  return {
+    format,
+    title: title || headings.find(heading => heading.level === 1)?.text || headings[0]?.text || null,
+    text: segments.map(segment => segment.text).join('\n\n'),
+    headings,
+    segments,
+    ...(pages && { pages }),
+    metadata
+  };
+};
@@ -0,0 +1,37 @@
+import mammoth from 'mammoth';
+import { htmlToBlocks } from './html.js';
+import { buildDocument, titleFromFileName, ExtractionError } from './document.js';
+import { openZip } from './zip.js';
+
+// mammoth maps Word's Heading 1-6 styles to <h1>-<h6>, so the heading
+// structure survives the trip through HTML
+class DocxExtractor {
+  constructor() {
+    this.id = 'docx';
+    this.name = 'Word document';
+    this.extensions = ['.docx'];
+    this.mimeTypes = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+  }
+
+  async extract(buffer, { fileName } = {}) {
+    // mammoth inflates the whole archive itself, so it is checked first
+    await (await openZip(buffer, { label: 'DOCX' })).verify();
+
+    let converted;
+    try {
+      converted = await mammoth.convertToHtml({ buffer });
+    } catch (error) {
+      throw new ExtractionError(`Invalid Word document: ${error.message}`);
+    }
+    const { value: html, messages } = converted;
+    const { blocks } = htmlToBlocks(`<body>${html}</body>`);
+
+    const document = buildDocument(this.id, blocks, {
+      metadata: { warnings: messages.filter(m => m.type === 'warning').length }
+    });
+    return { ...document, title: document.title || titleFromFileName(fileName) };
+  }
+}
+
+export const docxExtractor = new DocxExtractor();
+export default docxExtractor;
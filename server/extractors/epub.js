@@ -0,0 +1,77 @@
+import * as cheerio from 'cheerio';
+import path from 'path';
+import { htmlToBlocks } from './html.js';
+import { buildDocument, titleFromFileName, ExtractionError } from './document.js';
+import { openZip } from './zip.js';
+
+// Manifest hrefs are URL-encoded; a malformed one is used as written
+const decodeHref = (href) => {
+  try {
+    return decodeURIComponent(href);
+  } catch {
+    return href;
+  }
+};
+
+// Reads the chapters in spine (reading) order from the package document that
+// META-INF/container.xml points at
+class EpubExtractor {
+  constructor() {
+    this.id = 'epub';
+    this.name = 'EPUB';
+    this.extensions = ['.epub'];
+    this.mimeTypes = ['application/epub+zip'];
+  }
+
+  async extract(buffer, { fileName } = {}) {
+    const zip = await openZip(buffer, { label: 'EPUB' });
+
+    const container = await zip.readText('META-INF/container.xml');
+    if (!container) {
+      throw new ExtractionError('Invalid EPUB: missing META-INF/container.xml');
+    }
+
+    const packagePath = cheerio.load(container, { xmlMode: true })('rootfile').attr('full-path');
+    const packageXml = packagePath && await zip.readText(packagePath);
+    if (!packageXml) {
+      throw new ExtractionError('Invalid EPUB: missing package document');
+    }
+
+    const $ = cheerio.load(packageXml, { xmlMode: true });
+    const baseDir = path.posix.dirname(packagePath);
+
+    const manifest = new Map();
+    $('manifest > item').each((_, item) => {
+      manifest.set($(item).attr('id'), {
+        href: decodeHref($(item).attr('href') || ''),
+        mediaType: $(item).attr('media-type')
+      });
+    });
+
+    const blocks = [];
+    let chapters = 0;
+
+    for (const itemref of $('spine > itemref').toArray()) {
+      const item = manifest.get($(itemref).attr('idref'));
+      if (!item || !/html/.test(item.mediaType || '')) continue;
+
+      const chapterPath = path.posix.normalize(path.posix.join(baseDir, item.href));
+      const html = await zip.readText(chapterPath);
+      if (!html) continue;
+
+      blocks.push(...htmlToBlocks(html).blocks);
+      chapters++;
+    }
+
+    const title = $('metadata title, metadata dc\\:title').first().text().trim();
+    const author = $('metadata creator, metadata dc\\:creator').first().text().trim();
+
+    return buildDocument(this.id, blocks, {
+      title: title || titleFromFileName(fileName),
+      metadata: { chapters, ...(author && { author }) }
+    });
+  }
+}
+
+export const epubExtractor = new EpubExtractor();
+export default epubExtractor;
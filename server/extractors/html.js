@@ -0,0 +1,63 @@
+import * as cheerio from 'cheerio';
+import { buildDocument } from './document.js';
+
+const NOISE = 'script, style, noscript, template, svg, nav, footer, header, aside, form, .advertisement, .ads';
+const BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, tr, figcaption, dt, dd';
+
+// Reads the block elements under `root` as ordered heading/text blocks.
+// Nested blocks (a <p> inside an <li>) are read once, through their outermost
+// block element.
+export const readBlocks = ($, root) => {
+  const blocks = [];
+
+  root.find(BLOCKS).each((_, element) => {
+    const $element = $(element);
+    if ($element.parentsUntil(root, BLOCKS).length > 0) return;
+
+    const tag = element.tagName.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      blocks.push({ type: 'heading', level: Number(tag[1]), text: $element.text() });
+    } else if (tag === 'tr') {
+      const cells = $element.children('td, th').map((__, cell) => $(cell).text().trim()).get();
+      blocks.push({ type: 'text', text: cells.join(' | ') });
+    } else if (tag === 'li') {
+      blocks.push({ type: 'text', text: `- ${$element.text()}` });
+    } else {
+      blocks.push({ type: 'text', text: $element.text() });
+    }
+  });
+
+  // Pages built from bare <div>s have no block elements to walk
+  if (blocks.length === 0) {
+    blocks.push({ type: 'text', text: root.text() });
+  }
+
+  return blocks;
+};
+
+export const removeNoise = ($) => $(NOISE).remove();
+
+export const htmlToBlocks = (html) => {
+  const $ = cheerio.load(html);
+  removeNoise($);
+
+  const root = $('main, article').first().length ? $('main, article').first() : $('body');
+  return { blocks: readBlocks($, root), title: $('title').first().text().trim() || null };
+};
+
+class HtmlExtractor {
+  constructor() {
+    this.id = 'html';
+    this.name = 'HTML';
+    this.extensions = ['.html', '.htm', '.xhtml'];
+    this.mimeTypes = ['text/html', 'application/xhtml+xml'];
+  }
+
+  async extract(buffer) {
+    const { blocks, title } = htmlToBlocks(buffer.toString('utf8'));
+    return buildDocument(this.id, blocks, { title });
+  }
+}
+
+export const htmlExtractor = new HtmlExtractor();
+export default htmlExtractor;
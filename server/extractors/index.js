@@ -0,0 +1,70 @@
+import path from 'path';
+import { pdfExtractor } from './pdf.js';
+import { docxExtractor } from './docx.js';
+import { epubExtractor } from './epub.js';
+import { markdownExtractor } from './markdown.js';
+import { textExtractor } from './text.js';
+import { htmlExtractor } from './html.js';
+import { ExtractionError } from './document.js';
+
+// Every extractor declares the extensions and MIME types it handles and
+// implements extract(buffer, { fileName }), returning the document shape
+// described in document.js. Supporting a new format means adding one module
+// next to this file and registering it below.
+class ExtractorRegistry {
+  constructor() {
+    this.extractors = [];
+  }
+
+  register(extractor) {
+    this.extractors.push(extractor);
+  }
+
+  // Browsers report many of these formats inconsistently (Markdown often
+  // arrives as application/octet-stream), so the extension wins over the
+  // MIME type
+  find({ originalname, mimetype }) {
+    const extension = path.extname(originalname || '').toLowerCase();
+    return this.extractors.find(extractor => extractor.extensions.includes(extension))
+      || this.extractors.find(extractor => extractor.mimeTypes.includes(mimetype))
+      || null;
+  }
+
+  supports(file) {
+    return this.find(file) !== null;
+  }
+
+  async extract(file) {
+    const extractor = this.find(file);
+    if (!extractor) {
+      throw new ExtractionError(`Unsupported file type: ${file.originalname}`, 415, 'UNSUPPORTED_FORMAT');
+    }
+
+    const document = await extractor.extract(file.buffer, { fileName: file.originalname });
+    if (!document.text) {
+      throw new ExtractionError(`No text could be extracted from ${file.originalname}`, 422, 'NO_TEXT');
+    }
+    return document;
+  }
+
+  extensions() {
+    return this.extractors.flatMap(extractor => extractor.extensions);
+  }
+
+  list() {
+    return this.extractors.map(({ id, name, extensions }) => ({ id, name, extensions }));
+  }
+}
+
+export { ExtractionError };
+
+export const extractorRegistry = new ExtractorRegistry();
+
+extractorRegistry.register(pdfExtractor);
+extractorRegistry.register(docxExtractor);
+extractorRegistry.register(epubExtractor);
+extractorRegistry.register(markdownExtractor);
+extractorRegistry.register(textExtractor);
+extractorRegistry.register(htmlExtractor);
+
+export default extractorRegistry;
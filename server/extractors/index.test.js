@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { extractorRegistry, ExtractionError } from './index.js';
+import { openZip } from './zip.js';
+
+const upload = (originalname, buffer, mimetype = 'application/octet-stream') => ({ originalname, buffer, mimetype });
+
+const rejectsWith = (promise, status, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof ExtractionError);
+  assert.equal(error.status, status);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('text files are extracted through the registry', async () => {
+  const document = await extractorRegistry.extract(upload('notes.txt', Buffer.from('Cells divide.\n\nThen they grow.')));
+  assert.match(document.text, /Cells divide\./);
+});
+
+test('unsupported, empty and malformed files are client errors', async () => {
+  await rejectsWith(extractorRegistry.extract(upload('photo.png', Buffer.from('png'), 'image/png')), 415, 'UNSUPPORTED_FORMAT');
+  await rejectsWith(extractorRegistry.extract(upload('empty.txt', Buffer.from('   \n'))), 422, 'NO_TEXT');
+  await rejectsWith(extractorRegistry.extract(upload('broken.pdf', Buffer.from('not a pdf'))), 400, 'INVALID_DOCUMENT');
+  await rejectsWith(extractorRegistry.extract(upload('broken.docx', Buffer.from('not a zip'))), 400, 'INVALID_DOCUMENT');
+  await rejectsWith(extractorRegistry.extract(upload('broken.epub', Buffer.from('not a zip'))), 400, 'INVALID_DOCUMENT');
+});
+
+test('archives are refused once they inflate past the budget', async () => {
+  const zip = new JSZip();
+  zip.file('big.txt', 'a'.repeat(4096));
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  // The declared size is over the budget before anything is inflated
+  await rejectsWith(openZip(buffer, { maxBytes: 1024 }), 413, 'TOO_LARGE');
+
+  // An archive that under-declares is caught while inflating
+  const archive = await openZip(buffer, { maxBytes: 8192 });
+  assert.equal((await archive.readText('big.txt')).length, 4096);
+  assert.equal(await archive.readText('missing.txt'), undefined);
+
+  const lying = await JSZip.loadAsync(buffer);
+  lying.files['big.txt']._data.uncompressedSize = 1;
+  const underDeclared = await lying.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  await rejectsWith(openZip(underDeclared, { maxBytes: 1024 }).then(zip => zip.verify()), 413, 'TOO_LARGE');
+});
@@ -0,0 +1,68 @@
+import { buildDocument } from './document.js';
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---\n/;
+
+class MarkdownExtractor {
+  constructor() {
+    this.id = 'markdown';
+    this.name = 'Markdown';
+    this.extensions = ['.md', '.markdown'];
+    this.mimeTypes = ['text/markdown', 'text/x-markdown'];
+  }
+
+  async extract(buffer) {
+    let source = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    let title = null;
+    const frontMatter = source.match(FRONT_MATTER);
+    if (frontMatter) {
+      title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || null;
+      source = source.slice(frontMatter[0].length);
+    }
+
+    const lines = source.split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let inFence = false;
+
+    const flush = () => {
+      if (paragraph.length) blocks.push({ type: 'text', text: paragraph.join('\n') });
+      paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        paragraph.push(line);
+        continue;
+      }
+      if (inFence) {
+        paragraph.push(line);
+        continue;
+      }
+
+      const atx = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      const setext = paragraph.length === 0 && line.trim() && lines[i + 1]?.match(/^(=+|-+)\s*$/);
+
+      if (atx) {
+        flush();
+        blocks.push({ type: 'heading', level: atx[1].length, text: atx[2] });
+      } else if (setext) {
+        blocks.push({ type: 'heading', level: lines[i + 1].startsWith('=') ? 1 : 2, text: line });
+        i++;
+      } else if (!line.trim()) {
+        flush();
+      } else {
+        paragraph.push(line);
+      }
+    }
+    flush();
+
+    return buildDocument(this.id, blocks, { title });
+  }
+}
+
+export const markdownExtractor = new MarkdownExtractor();
+export default markdownExtractor;
@@ -0,0 +1,199 @@
+// Imported from lib/ because the package entry point runs a debug harness
+// when it is loaded as an ES module
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { buildDocument, titleFromFileName, ExtractionError } from './document.js';
+
+const LINE_TOLERANCE = 2; // Max baseline drift, in PDF units, within one line
+const COLUMN_GAP = 2; // Gap between items, in multiples of the font size, that splits table cells
+const PARAGRAPH_GAP = 1.6; // Line spacing, in multiples of the font size, that starts a new paragraph
+const HEADING_RATIO = 1.15; // Lines this much larger than body text are headings
+const MAX_HEADING_LENGTH = 150;
+
+// pdf.js exceptions caused by the file itself rather than by our code
+const UNREADABLE_PDF = new Set(['InvalidPDFException', 'MissingPDFException', 'FormatError', 'UnexpectedResponseException']);
+
+const roundSize = (size) => Math.round(size * 2) / 2;
+
+// Groups a page's text items into lines ({ y, size, cells, text }), top to
+// bottom. Items far apart on the same baseline become separate cells.
+const readLines = (items) => {
+  const positioned = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      size: roundSize(Math.abs(item.transform[3]) || item.height || 0)
+    }))
+    .sort((a, b) => (Math.abs(a.y - b.y) > LINE_TOLERANCE ? b.y - a.y : a.x - b.x));
+
+  const lines = [];
+  for (const item of positioned) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= LINE_TOLERANCE) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  }
+
+  return lines.map(({ y, items: lineItems }) => {
+    const cells = [];
+    let cell = '';
+    let previous = null;
+
+    for (const item of lineItems) {
+      const gap = previous ? item.x - (previous.x + previous.width) : 0;
+      if (previous && gap > item.size * COLUMN_GAP) {
+        cells.push(cell.trim());
+        cell = item.text;
+      } else {
+        cell += previous && gap > item.size * 0.2 && !cell.endsWith(' ') ? ` ${item.text}` : item.text;
+      }
+      previous = item;
+    }
+    cells.push(cell.trim());
+
+    return {
+      y,
+      size: Math.max(...lineItems.map(item => item.size)),
+      cells: cells.filter(Boolean),
+      text: cells.filter(Boolean).join(' ')
+    };
+  });
+};
+
+// The font size covering the most characters is taken as body text. Distinct
+// larger sizes map to heading levels, largest first.
+const headingLevels = (pages) => {
+  const characters = new Map();
+  for (const line of pages.flatMap(page => page.lines)) {
+    characters.set(line.size, (characters.get(line.size) || 0) + line.text.length);
+  }
+
+  const [bodySize] = [...characters.entries()].sort((a, b) => b[1] - a[1])[0] || [0];
+  const headingSizes = [...characters.keys()]
+    .filter(size => size >= bodySize * HEADING_RATIO)
+    .sort((a, b) => b - a);
+
+  return new Map(headingSizes.map((size, i) => [size, Math.min(i + 1, 6)]));
+};
+
+const joinLines = (lines) => lines.reduce((text, line) => (
+  // Re-join words hyphenated across a line break
+  /[a-z]-$/.test(text) && /^[a-z]/.test(line) ? text.slice(0, -1) + line : text ? `${text} ${line}` : line
+), '');
+
+// Turns a page's lines into heading, paragraph and table blocks
+const readBlocks = (lines, levels) => {
+  const blocks = [];
+  let paragraph = [];
+  let table = [];
+  let previous = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push({ type: 'paragraph', text: joinLines(paragraph) });
+    paragraph = [];
+  };
+  const flushTable = () => {
+    if (table.length > 1) {
+      blocks.push({ type: 'table', rows: table });
+    } else if (table.length === 1) {
+      paragraph.push(table[0].join(' '));
+    }
+    table = [];
+  };
+
+  for (const line of lines) {
+    const level = levels.get(line.size);
+    const gap = previous ? previous.y - line.y : 0;
+
+    if (level && line.text.length <= MAX_HEADING_LENGTH) {
+      flushTable();
+      flushParagraph();
+
+      // Headings that wrap onto a second line stay one heading
+      const last = blocks[blocks.length - 1];
+      if (last?.type === 'heading' && last.level === level && previous && levels.get(previous.size) === level && gap <= line.size * PARAGRAPH_GAP) {
+        last.text = `${last.text} ${line.text}`;
+      } else {
+        blocks.push({ type: 'heading', level, text: line.text });
+      }
+    } else if (line.cells.length > 1) {
+      flushParagraph();
+      table.push(line.cells);
+    } else {
+      flushTable();
+      if (previous && gap > line.size * PARAGRAPH_GAP) flushParagraph();
+      paragraph.push(line.text);
+    }
+
+    previous = line;
+  }
+
+  flushTable();
+  flushParagraph();
+  return blocks;
+};
+
+const tableText = (rows) => rows.map(row => row.join(' | ')).join('\n');
+
+// Reads each page's text items with their positions (through pdf-parse's
+// pagerender hook) and rebuilds headings, paragraphs and tables from font
+// sizes and layout, keeping the page number on every block
+class PdfExtractor {
+  constructor() {
+    this.id = 'pdf';
+    this.name = 'PDF';
+    this.extensions = ['.pdf'];
+    this.mimeTypes = ['application/pdf'];
+  }
+
+  async extract(buffer, { fileName } = {}) {
+    const rawPages = [];
+
+    let pdfData;
+    try {
+      // pdf.js reads the whole ArrayBuffer behind the bytes it is given, so
+      // small uploads that Node slices out of its shared pool are copied first
+      pdfData = await pdfParse(new Uint8Array(buffer), {
+        pagerender: async (pageData) => {
+          const content = await pageData.getTextContent({ normalizeWhitespace: true });
+          const lines = readLines(content.items);
+          rawPages.push({ number: pageData.pageNumber, lines });
+          return lines.map(line => line.text).join('\n');
+        }
+      });
+    } catch (error) {
+      if (error?.name === 'PasswordException') {
+        throw new ExtractionError('This PDF is password protected', 400, 'ENCRYPTED_DOCUMENT');
+      }
+      if (UNREADABLE_PDF.has(error?.name)) {
+        throw new ExtractionError(`Invalid PDF: ${error.message}`);
+      }
+      throw error;
+    }
+
+    const levels = headingLevels(rawPages);
+    const pages = rawPages
+      .sort((a, b) => a.number - b.number)
+      .map(({ number, lines }) => ({ number, blocks: readBlocks(lines, levels) }));
+
+    const blocks = pages.flatMap(page => page.blocks.map(block => ({
+      type: block.type === 'heading' ? 'heading' : 'text',
+      level: block.level,
+      text: block.type === 'table' ? tableText(block.rows) : block.text,
+      page: page.number
+    })));
+
+    return buildDocument(this.id, blocks, {
+      title: pdfData.info?.Title?.trim() || titleFromFileName(fileName),
+      pages,
+      metadata: { pages: pdfData.numpages, info: pdfData.info }
+    });
+  }
+}
+
+export const pdfExtractor = new PdfExtractor();
+export default pdfExtractor;
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pdfExtractor } from './pdf.js';
+import { ExtractionError } from './index.js';
+
+// Writes a PDF with one page per entry of `pages`, each a list of
+// [fontSize, x, y, text] runs in Helvetica
+const makePdf = (pages) => {
+  const objects = [];
+  const add = (body) => objects.push(body) + 2; // object 1 is the catalog, 2 the page tree
+
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const kids = pages.map((runs) => {
+    const stream = runs
+      .map(([size, x, y, text]) => `BT /F1 ${size} Tf ${x} ${y} Td (${text}) Tj ET`)
+      .join('\n');
+    const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+
+  const all = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`,
+    ...objects
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = all.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${all.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+test('headings, paragraphs and tables keep their page numbers', async () => {
+  const buffer = makePdf([
+    [
+      [24, 72, 720, 'Cell Biology'],
+      [11, 72, 690, 'Cells are the basic unit of life and every living thing is'],
+      [11, 72, 676, 'made of one or more of them.'],
+      [11, 72, 640, 'A second paragraph starts after a wider gap.']
+    ],
+    [
+      [18, 72, 720, 'Organelles'],
+      [11, 72, 690, 'Name'], [11, 300, 690, 'Role'],
+      [11, 72, 676, 'Nucleus'], [11, 300, 676, 'Holds the genome'],
+      [11, 72, 640, 'Mitochondria turn food into usable energy for the cell.']
+    ]
+  ]);
+
+  const document = await pdfExtractor.extract(buffer, { fileName: 'cell-biology.pdf' });
+
+  assert.equal(document.format, 'pdf');
+  assert.equal(document.title, 'cell biology'); // No Title in the info dictionary
+  assert.equal(document.metadata.pages, 2);
+  assert.deepEqual(document.headings, [
+    { level: 1, text: 'Cell Biology', page: 1 },
+    { level: 2, text: 'Organelles', page: 2 }
+  ]);
+
+  assert.deepEqual(document.pages.map(page => page.blocks.map(block => block.type)), [
+    ['heading', 'paragraph', 'paragraph'],
+    ['heading', 'table', 'paragraph']
+  ]);
+  assert.equal(document.pages[0].blocks[1].text, 'Cells are the basic unit of life and every living thing is made of one or more of them.');
+  assert.deepEqual(document.pages[1].blocks[1].rows, [['Name', 'Role'], ['Nucleus', 'Holds the genome']]);
+
+  const table = document.segments.find(segment => segment.text.startsWith('Name'));
+  assert.deepEqual(table, { text: 'Name | Role\nNucleus | Holds the genome', page: 2, section: 'Organelles' });
+  assert.match(document.text, /^# Cell Biology\n\n/);
+});
+
+test('a file that is not a PDF is a client error', async () => {
+  await assert.rejects(pdfExtractor.extract(Buffer.from('plain text, not a PDF')), (error) => {
+    assert.ok(error instanceof ExtractionError);
+    assert.equal(error.status, 400);
+    return true;
+  });
+});
@@ -0,0 +1,123 @@
+import * as cheerio from 'cheerio';
+import { readBlocks, removeNoise } from './html.js';
+import { buildDocument } from './document.js';
+
+const POSITIVE = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE = /comment|meta|footer|footnote|sidebar|widget|sponsor|share|social|related|promo|banner|cookie|popup|modal|newsletter|breadcrumb|pagination|menu|\bnav|\bads?\b|advert/i;
+const SCORED = 'p, pre, td, blockquote';
+const MIN_PARAGRAPH_LENGTH = 25;
+
+const classWeight = (element) => {
+  const hints = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE.test(hints)) weight -= 25;
+  if (POSITIVE.test(hints)) weight += 25;
+  return weight;
+};
+
+const tagWeight = (tag) => {
+  if (['article', 'main'].includes(tag)) return 10;
+  if (['div', 'section'].includes(tag)) return 5;
+  if (['pre', 'td', 'blockquote'].includes(tag)) return 3;
+  if (['form', 'ul', 'ol', 'dl', 'address'].includes(tag)) return -3;
+  if (/^h[1-6]$/.test(tag) || tag === 'th') return -5;
+  return 0;
+};
+
+const linkDensity = ($, element) => {
+  const textLength = $(element).text().trim().length;
+  if (!textLength) return 1;
+  const linkLength = $(element).find('a').text().trim().length;
+  return linkLength / textLength;
+};
+
+// Same-page links, resolved against the page URL (or its <base href>)
+const readLinks = ($, pageUrl) => {
+  let base = pageUrl;
+  try {
+    base = new URL($('base[href]').attr('href') || pageUrl, pageUrl).href;
+  } catch {
+    // Keep the page URL as the base
+  }
+
+  const links = new Set();
+  $('a[href]').each((_, anchor) => {
+    const rel = ($(anchor).attr('rel') || '').toLowerCase();
+    if (rel.includes('nofollow')) return;
+
+    try {
+      const link = new URL($(anchor).attr('href'), base);
+      if (['http:', 'https:'].includes(link.protocol)) {
+        link.hash = '';
+        links.add(link.href);
+      }
+    } catch {
+      // Ignore malformed hrefs
+    }
+  });
+
+  return [...links];
+};
+
+// Picks the element that most likely holds the article body, scoring each
+// paragraph's parent and grandparent by text length and commas, weighted by
+// class/id hints and penalised by link density, in the spirit of Mozilla's
+// Readability
+const findContentRoot = ($) => {
+  const scores = new Map();
+
+  const addScore = (element, amount) => {
+    if (!element || element.type !== 'tag') return;
+    if (!scores.has(element)) {
+      scores.set(element, tagWeight(element.tagName.toLowerCase()) + classWeight(element));
+    }
+    scores.set(element, scores.get(element) + amount);
+  };
+
+  $(SCORED).each((_, paragraph) => {
+    const text = $(paragraph).text().trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parent, score);
+    addScore(paragraph.parent?.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  }
+
+  return best ? $(best) : $('body');
+};
+
+// Extracts the main content of an HTML page as a document (see document.js),
+// plus the page's outgoing links and canonical URL for crawling
+export const extractArticle = (html, pageUrl) => {
+  const $ = cheerio.load(html);
+
+  const links = pageUrl ? readLinks($, pageUrl) : [];
+  const canonicalUrl = $('link[rel="canonical"]').attr('href') || null;
+  const title = ($('meta[property="og:title"]').attr('content') || $('title').first().text() || $('h1').first().text() || '').trim() || null;
+
+  removeNoise($);
+  $('[hidden], [aria-hidden="true"]').remove();
+  $('div, section, aside, span, ul').each((_, element) => {
+    const hints = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+    if (NEGATIVE.test(hints) && !POSITIVE.test(hints)) $(element).remove();
+  });
+
+  const document = buildDocument('html', readBlocks($, findContentRoot($)), {
+    title,
+    metadata: { url: pageUrl || null }
+  });
+
+  return { document, links, canonicalUrl };
+};
+
+export default extractArticle;
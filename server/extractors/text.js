@@ -0,0 +1,20 @@
+import { buildDocument, titleFromFileName } from './document.js';
+
+class TextExtractor {
+  constructor() {
+    this.id = 'text';
+    this.name = 'Plain text';
+    this.extensions = ['.txt'];
+    this.mimeTypes = ['text/plain'];
+  }
+
+  async extract(buffer, { fileName } = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const blocks = text.split(/\n\s*\n/).map(paragraph => ({ type: 'text', text: paragraph }));
+
+    return buildDocument(this.id, blocks, { title: titleFromFileName(fileName) });
+  }
+}
+
+export const textExtractor = new TextExtractor();
+export default textExtractor;
@@ -0,0 +1,66 @@
+import JSZip from 'jszip';
+import { ExtractionError } from './document.js';
+
+// A 10MB upload can inflate to gigabytes, so zip-based formats (EPUB, DOCX)
+// are read against a budget for the whole archive. The sizes the archive
+// declares are checked before anything is inflated, and since those can lie,
+// the bytes actually inflated are counted too.
+export const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+const tooLarge = (label, maxBytes) => new ExtractionError(
+  `${label} is too large once uncompressed (over ${Math.round(maxBytes / 1024 / 1024)}MB)`, 413, 'TOO_LARGE'
+);
+
+export const openZip = async (buffer, { label = 'Archive', maxBytes = MAX_UNCOMPRESSED_BYTES } = {}) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new ExtractionError(`${label} is not a valid archive: ${error.message}`);
+  }
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  // `_data` holds the sizes read from the central directory; JSZip does not
+  // expose them otherwise
+  let declared = 0;
+  for (const entry of entries) {
+    declared += entry._data?.uncompressedSize || 0;
+    if (declared > maxBytes) throw tooLarge(label, maxBytes);
+  }
+
+  let remaining = maxBytes;
+  const inflate = (entry, { keep = true } = {}) => new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = entry.internalStream('uint8array');
+
+    stream
+      .on('data', (chunk) => {
+        remaining -= chunk.length;
+        if (remaining < 0) {
+          stream.pause();
+          reject(tooLarge(label, maxBytes));
+          return;
+        }
+        if (keep) chunks.push(chunk);
+      })
+      .on('error', (error) => reject(new ExtractionError(`${label} is damaged: ${error.message}`)))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+
+  return {
+    // The entry's text, or undefined if the archive has no such entry
+    async readText(name) {
+      const entry = zip.file(name);
+      return entry ? (await inflate(entry)).toString('utf8') : undefined;
+    },
+
+    // Inflates every entry without keeping it, for archives handed whole to
+    // a library that would otherwise inflate them unchecked
+    async verify() {
+      for (const entry of entries) {
+        await inflate(entry, { keep: false });
+      }
+    }
+  };
+};
@@ -5,15 +5,46 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import multer from 'multer';
-import pdfParse from 'pdf-parse';
-import axios from 'axios';
-import cheerio from 'cheerio';
-import CryptoJS from 'crypto-js';
-import OpenAI from 'openai';
-import { ragService } from './services/ragService.js';
+import { ragService, ASSISTANT_MODEL } from './services/ragService.js';
+import { providerRegistry, DEFAULT_SYSTEM_PROMPT } from './providers/index.js';
+import { listModels as listCatalogModels, findModel } from './providers/catalog.js';
+import { jobService, ActiveJobError } from './services/jobService.js';
+import { contentGenerator } from './services/contentGenerator.js';
+import { knowledgeIndex } from './services/knowledgeIndex.js';
+import { resolveEmbedder } from './services/embeddings.js';
+import { extractorRegistry, ExtractionError } from './extractors/index.js';
+import { crawler } from './services/crawler.js';
+import { clientErrorStatus, SafeFetchError } from './services/safeFetch.js';
+import { keyVault } from './services/keyVault.js';
+import { imageGenerator } from './services/imageGenerator.js';
+import { usageService } from './services/usageService.js';
+import { adminService } from './services/adminService.js';
+import { requireAuth, requireAdmin, bookOwnerParam, jobOwnerParam, requireBookOwner, forgetUser } from './middleware/auth.js';
+import { requireQuota, requireBudget } from './middleware/quota.js';
+import { requirePromptFits, sendContextOverflow } from './middleware/context.js';
+import { renderPromptTemplate, sendTemplateError } from './middleware/promptTemplate.js';
+import { tokenCounter, ContextOverflowError } from './services/tokenCounter.js';
+import { tocGenerator, TocGenerationError } from './services/tocGenerator.js';
+import { promptTemplates, PromptTemplateError } from './services/promptTemplates.js';
+import { bookMemory } from './services/bookMemory.js';
+import { styleGuide, StyleGuideError } from './services/styleGuide.js';
+import { topicPipeline, GENERATION_PIPELINES } from './services/topicPipeline.js';
+import { selectionRewriter, RewriteError } from './services/selectionRewriter.js';
+import { contentVariations, VariationError } from './services/contentVariations.js';
 
 dotenv.config();
 
+// Provider keys are stored encrypted, so there is nothing to run without a
+// real encryption key. Usage plans are checked here too so a typo in their
+// configuration doesn't silently fall back to the defaults.
+try {
+  keyVault.configure();
+  usageService.configure();
+} catch (error) {
+  console.error(`Refusing to start: ${error.message}`);
+  process.exit(1);
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -28,6 +59,12 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Every API route acts for a signed-in Supabase user, and routes that name a
+// book or job only serve its owner
+app.use('/api', requireAuth({ publicPaths: ['/health'] }));
+app.param('bookId', bookOwnerParam);
+app.param('jobId', jobOwnerParam);
+
 // File upload configuration
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -35,25 +72,59 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (extractorRegistry.supports(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      cb(new Error(`Unsupported file type. Allowed: ${extractorRegistry.extensions().join(', ')}`));
     }
   }
 });
 
-// Encryption key for API keys
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'your-secret-encryption-key';
-
-// Helper functions
-const encryptApiKey = (key) => {
-  return CryptoJS.AES.encrypt(key, ENCRYPTION_KEY).toString();
+// Single-file upload that answers rejected files with a 400 instead of
+// falling through to the default error handler
+const acceptUpload = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
 };
 
-const decryptApiKey = (encryptedKey) => {
-  const bytes = CryptoJS.AES.decrypt(encryptedKey, ENCRYPTION_KEY);
-  return bytes.toString(CryptoJS.enc.Utf8);
+// The requesting user's saved key for a provider, or null. Keys never come
+// from the request itself.
+const userApiKey = (req, provider) => keyVault.getKey(req.user.id, provider);
+
+const missingKeyError = (provider) => `No ${provider} API key saved. Add one in Settings.`;
+
+// Attribution for the usage ledger: the caller and, when the route names
+// one, the book
+const usageMeta = (req, extra = {}) => ({
+  userId: req.user.id,
+  bookId: req.book?.id || null,
+  ...extra
+});
+
+// An embedder for the caller's OpenAI key whose calls are metered, or null
+const requestEmbedder = (req, openaiApiKey) => resolveEmbedder({
+  openaiApiKey,
+  onUsage: usageService.embeddingRecorder(usageMeta(req))
+});
+
+// Opens a Server-Sent Events response and returns a function that writes
+// one named event with a JSON payload
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 };
 
 // API Routes
@@ -62,19 +133,17 @@ const decryptApiKey = (encryptedKey) => {
 app.post('/api/books/:bookId/init-rag', async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { bookData, openaiApiKey } = req.body;
+    const { bookData } = req.body;
+    const openaiApiKey = await userApiKey(req, 'openai');
 
     if (!openaiApiKey) {
       return res.status(400).json({
-        error: 'OpenAI API key is required for RAG functionality'
+        error: 'An OpenAI API key is required for RAG functionality. Add one in Settings.'
       });
     }
 
-    // Initialize RAG service with API key
-    ragService.initialize(openaiApiKey);
-
     // Create assistant for this book
-    const result = await ragService.createBookAssistant(bookId, bookData);
+    const result = await ragService.createBookAssistant(ragService.createContext(openaiApiKey), bookId, bookData);
 
     res.json({
       success: true,
@@ -89,59 +158,174 @@ app.post('/api/books/:bookId/init-rag', async (req, res) => {
   }
 });
 
-// Upload and process PDF for RAG
-app.post('/api/books/:bookId/upload-pdf-rag', upload.single('pdf'), async (req, res) => {
+// Keeps a source's assistant file in step with the local index. A new
+// upload is recorded on the source and the version it replaced is deleted
+// from the assistant; without one, the source keeps pointing at the file it
+// already had, so deleting the source later still removes it. Returns the
+// source's current assistant file ID.
+const syncAssistantFile = async (bookId, { source, replaced, fileId, openaiApiKey }) => {
+  const previousFileId = replaced?.openaiFileId || null;
+
+  if (!fileId) {
+    if (previousFileId && !source.openaiFileId) {
+      await knowledgeIndex.updateSource(bookId, source.id, { openaiFileId: previousFileId });
+    }
+    return source.openaiFileId || previousFileId;
+  }
+
+  await knowledgeIndex.updateSource(bookId, source.id, { openaiFileId: fileId });
+  if (previousFileId) {
+    try {
+      await ragService.removeFile(ragService.createContext(openaiApiKey), bookId, previousFileId);
+    } catch (error) {
+      console.error('Failed to remove the replaced assistant file:', error.message);
+    }
+  }
+  return fileId;
+};
+
+// Answers with the status of a file the client sent that can't be read
+const sendExtractionError = (res, error) => {
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code
+  });
+};
+
+// Upload a source document (PDF, DOCX, EPUB, Markdown, text or HTML) for RAG
+const uploadSourceForRAG = (field) => async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { openaiApiKey } = req.body;
 
     if (!req.file) {
       return res.status(400).json({
-        error: 'No PDF file uploaded'
+        error: 'No file uploaded'
       });
     }
 
-    if (!openaiApiKey) {
-      return res.status(400).json({
-        error: 'OpenAI API key is required'
-      });
+    const document = await extractorRegistry.extract(req.file);
+    const openaiApiKey = await userApiKey(req, 'openai');
+
+    // Index the text locally so retrieval works with any provider. A file
+    // with the same name replaces its earlier version.
+    const { source, replaced, unchanged } = await knowledgeIndex.addSource(bookId, {
+      type: 'file',
+      name: req.file.originalname,
+      title: document.title,
+      size: req.file.size,
+      text: document.text,
+      segments: document.segments
+    }, { embedder: requestEmbedder(req, openaiApiKey) });
+
+    // Upload file to OpenAI Assistant for RAG. File search cannot read EPUBs,
+    // so those are sent as their extracted text.
+    let fileId = null;
+    if (openaiApiKey && !(unchanged && source.openaiFileId)) {
+      try {
+        const assistantFile = document.format === 'epub'
+          ? { buffer: Buffer.from(document.text), name: `${req.file.originalname}.md`, mimetype: 'text/markdown' }
+          : { buffer: req.file.buffer, name: req.file.originalname, mimetype: req.file.mimetype };
+
+        fileId = await ragService.uploadFileToAssistant(
+          ragService.createContext(openaiApiKey),
+          bookId,
+          assistantFile.buffer,
+          assistantFile.name,
+          assistantFile.mimetype
+        );
+      } catch (assistantError) {
+        console.error('Assistant upload failed, file is only in the local index:', assistantError.message);
+      }
     }
-
-    // Initialize RAG service if not already done
-    ragService.initialize(openaiApiKey);
-
-    // Parse PDF for text extraction (for fallback)
-    const pdfData = await pdfParse(req.file.buffer);
-
-    // Upload file to OpenAI Assistant for RAG
-    const fileId = await ragService.uploadFileToAssistant(
-      bookId,
-      req.file.buffer,
-      req.file.originalname,
-      req.file.mimetype
-    );
+    fileId = await syncAssistantFile(bookId, { source, replaced, fileId, openaiApiKey });
 
     res.json({
       success: true,
       fileId,
+      sourceId: source.id,
+      chunks: source.chunkCount,
+      version: source.version,
+      replaced: !!replaced,
+      unchanged,
       fileName: req.file.originalname,
-      text: pdfData.text, // For display purposes
-      pages: pdfData.numpages,
+      format: document.format,
+      title: document.title,
+      headings: document.headings,
+      text: document.text, // For display purposes
+      pages: document.metadata.pages,
       ragEnabled: true
     });
   } catch (error) {
-    console.error('PDF upload and RAG processing error:', error);
+    if (error instanceof ExtractionError) {
+      return sendExtractionError(res, error);
+    }
+
+    console.error(`${field} upload and RAG processing error:`, error);
     res.status(500).json({
-      error: 'Failed to process PDF for RAG'
+      error: 'Failed to process file for RAG'
     });
   }
-});
+};
+
+app.post('/api/books/:bookId/upload-source-rag', acceptUpload('file'), uploadSourceForRAG('file'));
+
+// Legacy PDF-only field name
+app.post('/api/books/:bookId/upload-pdf-rag', acceptUpload('pdf'), uploadSourceForRAG('pdf'));
+
+// Loads a URL source: the main content of one page or, when `crawl` is set
+// ({ maxDepth, maxPages, useSitemap } or true for the defaults), every page
+// found by crawling the site from that URL. `signal` stops the fetching.
+const loadUrlSource = async (url, crawl, { signal } = {}) => {
+  try {
+    new URL(url);
+  } catch {
+    throw new SafeFetchError('Invalid URL', 'BLOCKED_URL');
+  }
+
+  if (!crawl) {
+    const page = await crawler.fetchPage(url, { signal });
+    return {
+      title: page.document.title,
+      text: page.document.text,
+      segments: page.document.segments,
+      pages: [{ url: page.url, title: page.document.title }],
+      skipped: []
+    };
+  }
+
+  const result = await crawler.crawl(url, { ...(crawl === true ? {} : crawl), signal });
+  signal?.throwIfAborted();
+  if (result.pages.length === 0) {
+    throw new Error('No pages could be crawled from this URL');
+  }
+
+  const documents = result.pages.map(page => ({
+    url: page.url,
+    title: page.title,
+    text: page.document.text,
+    segments: page.document.segments
+  }));
+
+  return {
+    title: result.pages[0].title,
+    text: documents.map(document => `=== ${document.title || document.url} (${document.url}) ===\n${document.text}`).join('\n\n'),
+    documents,
+    pages: documents.map(({ url: pageUrl, title }) => ({ url: pageUrl, title })),
+    skipped: result.skipped
+  };
+};
 
 // Add URL content to RAG knowledge base
 app.post('/api/books/:bookId/add-url-rag', async (req, res) => {
+  // A crawl can take minutes; stop it if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
   try {
     const { bookId } = req.params;
-    const { url, openaiApiKey } = req.body;
+    const { url, crawl } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -149,79 +333,96 @@ app.post('/api/books/:bookId/add-url-rag', async (req, res) => {
       });
     }
 
-    if (!openaiApiKey) {
-      return res.status(400).json({
-        error: 'OpenAI API key is required'
-      });
-    }
-
-    // Initialize RAG service
-    ragService.initialize(openaiApiKey);
+    const content = await loadUrlSource(url, crawl, { signal: controller.signal });
+    const title = content.title;
+    const openaiApiKey = await userApiKey(req, 'openai');
 
-    // Fetch URL content
-    const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    // Add to the local knowledge base; a crawled site is one source with a
+    // document per page. Adding the same URL again replaces the old version.
+    const { source, replaced, unchanged } = await knowledgeIndex.addSource(bookId, {
+      type: 'url',
+      name: url,
+      url,
+      title,
+      text: content.text,
+      segments: content.segments,
+      documents: content.documents
+    }, { embedder: requestEmbedder(req, openaiApiKey) });
+
+    // Add to the OpenAI assistant's knowledge as well when a key is available
+    let fileId = null;
+    if (openaiApiKey && !(unchanged && source.openaiFileId)) {
+      try {
+        fileId = await ragService.addUrlContentToKnowledge(ragService.createContext(openaiApiKey), bookId, url, content.text, title);
+      } catch (assistantError) {
+        console.error('Assistant upload failed, URL is only in the local index:', assistantError.message);
       }
-    });
-
-    const $ = cheerio.load(response.data);
-
-    // Remove unwanted elements
-    $('script, style, nav, footer, header, .advertisement, .ads').remove();
-
-    // Extract main content
-    const title = $('title').text().trim();
-    const content = $('main, article, .content, .post, .entry').text() || $('body').text();
-
-    // Clean up the text
-    const cleanText = content
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n/g, '\n')
-      .trim();
-
-    // Add to RAG knowledge base
-    const fileId = await ragService.addUrlContentToKnowledge(bookId, url, cleanText, title);
+    }
+    fileId = await syncAssistantFile(bookId, { source, replaced, fileId, openaiApiKey });
 
     res.json({
       success: true,
       fileId,
+      sourceId: source.id,
+      chunks: source.chunkCount,
+      version: source.version,
+      replaced: !!replaced,
+      unchanged,
       title,
-      content: cleanText,
+      content: content.text,
       url,
+      pages: content.pages,
+      skipped: content.skipped,
       ragEnabled: true
     });
   } catch (error) {
+    if (controller.signal.aborted) return;
     console.error('URL processing and RAG error:', error);
+    const status = clientErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
     res.status(500).json({
       error: 'Failed to process URL for RAG'
     });
   }
 });
 
-// Generate content using RAG
-app.post('/api/books/:bookId/generate-rag', async (req, res) => {
+// Generate content using RAG. Send `template` ({ key, variables }) instead of
+// `prompt` to use the book's version of a prompt template.
+app.post('/api/books/:bookId/generate-rag', requireQuota(), requireBudget(), renderPromptTemplate(), requirePromptFits(req => ({
+  ...req.body,
+  provider: 'openai',
+  model: ASSISTANT_MODEL
+})), async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { prompt, type, openaiApiKey } = req.body;
+    const { prompt, type } = req.body;
 
-    if (!prompt || !openaiApiKey) {
+    if (!prompt) {
       return res.status(400).json({
-        error: 'Prompt and OpenAI API key are required'
+        error: 'Prompt is required'
       });
     }
 
-    // Initialize RAG service
-    ragService.initialize(openaiApiKey);
+    const openaiApiKey = await userApiKey(req, 'openai');
+    if (!openaiApiKey) {
+      return res.status(400).json({
+        error: missingKeyError('openai')
+      });
+    }
 
     // Generate content with RAG
-    const content = await ragService.generateWithRAG(bookId, prompt, type);
+    const { content } = await usageService.track(
+      usageMeta(req, { operation: 'rag-generation', provider: 'openai', model: ASSISTANT_MODEL }),
+      () => ragService.generateWithRAG(ragService.createContext(openaiApiKey), bookId, prompt, type)
+    );
 
     res.json({
       success: true,
       content,
-      ragEnabled: true
+      ragEnabled: true,
+      template: req.promptTemplate || null
     });
   } catch (error) {
     console.error('RAG content generation error:', error);
@@ -231,27 +432,27 @@ app.post('/api/books/:bookId/generate-rag', async (req, res) => {
   }
 });
 
-// Search knowledge base
+// Search knowledge base. Returns the top-k chunks with their scores and source references.
 app.post('/api/books/:bookId/search-knowledge', async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { query, openaiApiKey } = req.body;
+    const { query, k } = req.body;
 
-    if (!query || !openaiApiKey) {
+    if (!query) {
       return res.status(400).json({
-        error: 'Query and OpenAI API key are required'
+        error: 'Query is required'
       });
     }
 
-    // Initialize RAG service
-    ragService.initialize(openaiApiKey);
-
-    // Search knowledge base
-    const results = await ragService.searchKnowledge(bookId, query);
+    const { method, results } = await knowledgeIndex.search(bookId, query, {
+      k: Math.min(parseInt(k) || 5, 20),
+      embedder: requestEmbedder(req, await userApiKey(req, 'openai'))
+    });
 
     res.json({
       success: true,
       results,
+      method,
       query
     });
   } catch (error) {
@@ -262,13 +463,31 @@ app.post('/api/books/:bookId/search-knowledge', async (req, res) => {
   }
 });
 
+// Summary of a knowledge base source for listings
+const toSourceSummary = (source) => ({
+  id: source.id,
+  type: source.type,
+  name: source.name,
+  title: source.title,
+  url: source.url,
+  size: source.size,
+  chunkCount: source.chunkCount,
+  pagesCount: source.documents?.length || null,
+  version: source.version || 1,
+  embedded: !!source.embedder,
+  inAssistant: !!source.openaiFileId,
+  createdAt: source.createdAt,
+  updatedAt: source.updatedAt || source.createdAt
+});
+
 // Get RAG info for a book
 app.get('/api/books/:bookId/rag-info', async (req, res) => {
   try {
     const { bookId } = req.params;
 
-    const info = ragService.getBookAssistantInfo(bookId);
-    const files = ragService.getBookFiles(bookId);
+    const info = await ragService.getBookAssistantInfo(bookId);
+    const files = await ragService.getBookFiles(bookId);
+    const knowledge = await knowledgeIndex.getInfo(bookId);
 
     res.json({
       success: true,
@@ -278,7 +497,10 @@ app.get('/api/books/:bookId/rag-info', async (req, res) => {
       files: files.map(f => ({
         fileName: f.fileName,
         fileType: f.fileType
-      }))
+      })),
+      sourcesCount: knowledge.sourcesCount,
+      chunksCount: knowledge.chunksCount,
+      sources: knowledge.sources.map(toSourceSummary)
     });
   } catch (error) {
     console.error('Error getting RAG info:', error);
@@ -288,20 +510,118 @@ app.get('/api/books/:bookId/rag-info', async (req, res) => {
   }
 });
 
-// Delete RAG assistant and files
-app.delete('/api/books/:bookId/rag', async (req, res) => {
+// List every source in a book's knowledge base
+app.get('/api/books/:bookId/sources', async (req, res) => {
   try {
     const { bookId } = req.params;
-    const { openaiApiKey } = req.body;
 
-    if (!openaiApiKey) {
-      return res.status(400).json({
-        error: 'OpenAI API key is required'
+    const sources = await knowledgeIndex.listSources(bookId);
+
+    res.json({
+      success: true,
+      sources: sources.map(toSourceSummary)
+    });
+  } catch (error) {
+    console.error('Error listing knowledge sources:', error);
+    res.status(500).json({
+      error: 'Failed to list knowledge sources'
+    });
+  }
+});
+
+// Preview one source: its metadata and a page of its chunks (`offset`, `limit`)
+app.get('/api/books/:bookId/sources/:sourceId', async (req, res) => {
+  try {
+    const { bookId, sourceId } = req.params;
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const result = await knowledgeIndex.getSource(bookId, sourceId, { offset, limit });
+    if (!result) {
+      return res.status(404).json({
+        error: 'Source not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      source: {
+        ...toSourceSummary(result.source),
+        documents: result.source.documents || []
+      },
+      chunks: result.chunks.map(chunk => ({
+        id: chunk.id,
+        position: chunk.position,
+        text: chunk.text,
+        label: knowledgeIndex.describeSource({ ...result.source, ...chunk }),
+        pageStart: chunk.pageStart ?? null,
+        pageEnd: chunk.pageEnd ?? null,
+        section: chunk.section ?? null,
+        document: chunk.document ?? null
+      })),
+      total: result.total,
+      offset,
+      limit
+    });
+  } catch (error) {
+    console.error('Error getting knowledge source:', error);
+    res.status(500).json({
+      error: 'Failed to get knowledge source'
+    });
+  }
+});
+
+// Delete one source from the knowledge base, and from the assistant when the
+// user has an OpenAI key saved
+app.delete('/api/books/:bookId/sources/:sourceId', async (req, res) => {
+  try {
+    const { bookId, sourceId } = req.params;
+
+    const source = await knowledgeIndex.deleteSource(bookId, sourceId);
+    if (!source) {
+      return res.status(404).json({
+        error: 'Source not found'
       });
     }
 
-    ragService.initialize(openaiApiKey);
-    await ragService.deleteBookAssistant(bookId);
+    let assistantFileRemoved = false;
+    const openaiApiKey = source.openaiFileId ? await userApiKey(req, 'openai') : null;
+    if (openaiApiKey) {
+      try {
+        await ragService.removeFile(ragService.createContext(openaiApiKey), bookId, source.openaiFileId);
+        assistantFileRemoved = true;
+      } catch (assistantError) {
+        console.error('Failed to remove the assistant file:', assistantError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      sourceId,
+      assistantFileRemoved,
+      message: source.openaiFileId && !assistantFileRemoved
+        ? 'Source removed from the knowledge base; its assistant file was left in place'
+        : 'Source removed from the knowledge base'
+    });
+  } catch (error) {
+    console.error('Error deleting knowledge source:', error);
+    res.status(500).json({
+      error: 'Failed to delete knowledge source'
+    });
+  }
+});
+
+// Delete RAG assistant and files
+app.delete('/api/books/:bookId/rag', async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    const openaiApiKey = await userApiKey(req, 'openai');
+
+    await knowledgeIndex.deleteIndex(bookId);
+
+    if (openaiApiKey) {
+      await ragService.deleteBookAssistant(ragService.createContext(openaiApiKey), bookId);
+    }
 
     res.json({
       success: true,
@@ -315,6 +635,15 @@ app.delete('/api/books/:bookId/rag', async (req, res) => {
   }
 });
 
+// Checks a key against its provider. Text providers come from the provider
+// registry; image-only providers (Stability AI) from the image generator.
+const validateProviderKey = async (provider, key) => {
+  if (providerRegistry.has(provider)) return providerRegistry.get(provider).validate(key);
+  return imageGenerator.get(provider).validate(key);
+};
+
+const isKnownProvider = (provider) => providerRegistry.has(provider) || imageGenerator.has(provider);
+
 // Validate API Key
 app.post('/api/validate-key', async (req, res) => {
   try {
@@ -327,55 +656,15 @@ app.post('/api/validate-key', async (req, res) => {
       });
     }
 
-    let isValid = false;
-
-    switch (provider) {
-      case 'openai':
-        try {
-          const openai = new OpenAI({ apiKey: key });
-          await openai.models.list();
-          isValid = true;
-        } catch (error) {
-          isValid = false;
-        }
-        break;
-
-      case 'anthropic':
-        try {
-          const response = await axios.get('https://api.anthropic.com/v1/models', {
-            headers: {
-              'x-api-key': key,
-              'anthropic-version': '2023-06-01'
-            }
-          });
-          isValid = response.status === 200;
-        } catch (error) {
-          isValid = false;
-        }
-        break;
-
-      case 'openrouter':
-        try {
-          const response = await axios.get('https://openrouter.ai/api/v1/models', {
-            headers: {
-              'Authorization': `Bearer ${key}`,
-              'HTTP-Referer': 'https://ebook-ai.com',
-              'X-Title': 'EbookAI'
-            }
-          });
-          isValid = response.status === 200;
-        } catch (error) {
-          isValid = false;
-        }
-        break;
-
-      default:
-        return res.status(400).json({
-          valid: false,
-          error: 'Unsupported provider'
-        });
+    if (!isKnownProvider(provider)) {
+      return res.status(400).json({
+        valid: false,
+        error: 'Unsupported provider'
+      });
     }
 
+    const isValid = await validateProviderKey(provider, key);
+
     res.json({ valid: isValid });
   } catch (error) {
     console.error('Key validation error:', error);
@@ -386,325 +675,1475 @@ app.post('/api/validate-key', async (req, res) => {
   }
 });
 
-// Get Available Models
-app.post('/api/models', async (req, res) => {
+// List the providers the user has saved keys for. Only the last four
+// characters of each key are returned.
+app.get('/api/keys', async (req, res) => {
   try {
-    const { provider, apiKey } = req.body;
-
-    if (!provider || !apiKey) {
-      return res.status(400).json({
-        error: 'Provider and API key are required'
-      });
-    }
-
-    let models = [];
-
-    switch (provider) {
-      case 'openai':
-        try {
-          const openai = new OpenAI({ apiKey });
-          const response = await openai.models.list();
-          models = response.data
-            .filter(model => model.id.includes('gpt') || model.id.includes('o1'))
-            .map(model => ({
-              id: model.id,
-              name: model.id.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-              description: `OpenAI ${model.id}`
-            }));
-        } catch (error) {
-          // Return default models if API call fails
-          models = [
-            { id: 'gpt-4o', name: 'GPT-4o', description: 'Most capable model with RAG support' },
-            { id: 'gpt-4o-mini', name: 'GPT-4o Mini', description: 'Fast and efficient with RAG' },
-            { id: 'o1-preview', name: 'o1 Preview', description: 'Advanced reasoning' },
-            { id: 'o1-mini', name: 'o1 Mini', description: 'Fast reasoning' },
-            { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', description: 'High performance with RAG' }
-          ];
-        }
-        break;
-
-      case 'anthropic':
-        models = [
-          { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet', description: 'Most intelligent model' },
-          { id: 'claude-3-5-haiku-20241022', name: 'Claude 3.5 Haiku', description: 'Fast and cost-effective' },
-          { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus', description: 'Most powerful model' },
-          { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', description: 'Balanced performance' }
-        ];
-        break;
-
-      case 'openrouter':
-        try {
-          const response = await axios.get('https://openrouter.ai/api/v1/models', {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'HTTP-Referer': 'https://ebook-ai.com',
-              'X-Title': 'EbookAI'
-            }
-          });
-          models = response.data.data.slice(0, 20).map(model => ({
-            id: model.id,
-            name: model.name || model.id,
-            description: model.description || `${model.id} via OpenRouter`
-          }));
-        } catch (error) {
-          models = [
-            { id: 'google/gemini-pro-1.5', name: 'Gemini Pro 1.5', description: 'Google\'s latest model' },
-            { id: 'meta-llama/llama-3.1-70b-instruct', name: 'Llama 3.1 70B', description: 'Meta\'s powerful model' },
-            { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', description: 'Via OpenRouter' }
-          ];
-        }
-        break;
-    }
-
-    res.json({ models });
+    res.json({
+      success: true,
+      keys: await keyVault.listKeys(req.user.id)
+    });
   } catch (error) {
-    console.error('Models fetch error:', error);
+    console.error('Error listing API keys:', error);
     res.status(500).json({
-      error: 'Failed to fetch models'
+      error: 'Failed to list API keys'
     });
   }
 });
 
-// Generate Content (Legacy endpoint - will use RAG if available)
-app.post('/api/generate-content', async (req, res) => {
+// Validate a key and store it encrypted in the vault
+app.put('/api/keys/:provider', async (req, res) => {
   try {
-    const { provider, model, prompt, type, apiKey, bookId } = req.body;
-
-    if (!provider || !model || !prompt || !apiKey) {
+    const { provider } = req.params;
+    const { key } = req.body;
+    if (!isKnownProvider(provider)) {
       return res.status(400).json({
-        error: 'Provider, model, prompt, and API key are required'
+        error: 'Unsupported provider'
       });
     }
 
-    let content = '';
-
-    // If OpenAI provider and bookId provided, try RAG first
-    if (provider === 'openai' && bookId) {
-      try {
-        ragService.initialize(apiKey);
-        const ragInfo = ragService.getBookAssistantInfo(bookId);
-        
-        if (ragInfo.assistantId && ragInfo.filesCount > 0) {
-          // Use RAG generation
-          content = await ragService.generateWithRAG(bookId, prompt, type);
-          return res.json({ content, ragEnabled: true });
-        }
-      } catch (ragError) {
-        console.log('RAG generation failed, falling back to standard generation:', ragError.message);
-      }
+    if (!key?.trim()) {
+      return res.status(400).json({
+        error: 'API key is required'
+      });
     }
 
-    // Fall back to standard generation
-    switch (provider) {
-      case 'openai':
-        try {
-          const openai = new OpenAI({ apiKey });
-          const response = await openai.chat.completions.create({
-            model,
-            messages: [
-              {
-                role: 'system',
-                content: 'You are an expert content writer specializing in creating comprehensive, well-structured educational content.'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-            max_tokens: type === 'toc-generation' ? 2000 : 4000,
-            temperature: 0.7
-          });
-
-          content = response.choices[0].message.content;
-        } catch (error) {
-          throw new Error(`OpenAI API error: ${error.message}`);
-        }
-        break;
-
-      case 'anthropic':
-        try {
-          const response = await axios.post('https://api.anthropic.com/v1/messages', {
-            model,
-            max_tokens: type === 'toc-generation' ? 2000 : 4000,
-            messages: [
-              {
-                role: 'user',
-                content: prompt
-              }
-            ]
-          }, {
-            headers: {
-              'x-api-key': apiKey,
-              'anthropic-version': '2023-06-01',
-              'content-type': 'application/json'
-            }
-          });
-
-          content = response.data.content[0].text;
-        } catch (error) {
-          throw new Error(`Anthropic API error: ${error.message}`);
-        }
-        break;
-
-      case 'openrouter':
-        try {
-          const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-            model,
-            messages: [
-              {
-                role: 'system',
-                content: 'You are an expert content writer specializing in creating comprehensive, well-structured educational content.'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-            max_tokens: type === 'toc-generation' ? 2000 : 4000,
-            temperature: 0.7
-          }, {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'HTTP-Referer': 'https://ebook-ai.com',
-              'X-Title': 'EbookAI',
-              'Content-Type': 'application/json'
-            }
-          });
-
-          content = response.data.choices[0].message.content;
-        } catch (error) {
-          throw new Error(`OpenRouter API error: ${error.message}`);
-        }
-        break;
-
-      default:
-        throw new Error('Unsupported provider');
+    if (!(await validateProviderKey(provider, key.trim()))) {
+      return res.status(400).json({
+        error: 'Invalid API key'
+      });
     }
 
-    res.json({ content, ragEnabled: false });
+    await keyVault.setKey(req.user.id, provider, key.trim());
+
+    res.json({
+      success: true,
+      provider,
+      hint: key.trim().slice(-4)
+    });
   } catch (error) {
-    console.error('Content generation error:', error);
+    console.error('Error saving API key:', error);
     res.status(500).json({
-      error: error.message || 'Failed to generate content'
+      error: 'Failed to save API key'
     });
   }
 });
 
-// Parse PDF (Legacy endpoint)
-app.post('/api/parse-pdf', upload.single('pdf'), async (req, res) => {
+app.delete('/api/keys/:provider', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'No PDF file uploaded'
-      });
-    }
+    await keyVault.deleteKey(req.user.id, req.params.provider);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({
+      error: 'Failed to delete API key'
+    });
+  }
+});
 
-    const pdfData = await pdfParse(req.file.buffer);
+// The caller's usage this month against their plan's quota
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { quota, usage, exceeded, resetsAt } = await usageService.getQuotaStatus(req.user.id);
 
     res.json({
-      text: pdfData.text,
-      pages: pdfData.numpages,
-      info: pdfData.info
+      success: true,
+      quota,
+      usage,
+      exceeded,
+      resetsAt
     });
   } catch (error) {
-    console.error('PDF parsing error:', error);
+    console.error('Error getting usage:', error);
     res.status(500).json({
-      error: 'Failed to parse PDF'
+      error: 'Failed to get usage'
     });
   }
 });
 
-// Parse URL (Legacy endpoint)
-app.post('/api/parse-url', async (req, res) => {
+// Get Available Models
+app.post('/api/models', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { provider } = req.body;
 
-    if (!url) {
+    if (!provider) {
       return res.status(400).json({
-        error: 'URL is required'
+        error: 'Provider is required'
       });
     }
 
-    const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    const $ = cheerio.load(response.data);
-
-    // Remove unwanted elements
-    $('script, style, nav, footer, header, .advertisement, .ads').remove();
-
-    // Extract main content
-    const title = $('title').text().trim();
-    const content = $('main, article, .content, .post, .entry').text() || $('body').text();
+    const apiKey = await userApiKey(req, provider);
+    if (!apiKey) {
+      return res.status(400).json({
+        error: missingKeyError(provider)
+      });
+    }
 
-    // Clean up the text
-    const cleanText = content
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n/g, '\n')
-      .trim();
+    const models = providerRegistry.has(provider)
+      ? await providerRegistry.get(provider).listModels(apiKey)
+      : [];
 
+    // Live ids the catalog knows (including dated snapshots) carry its
+    // context window, prices and capabilities
     res.json({
-      title,
-      content: cleanText,
-      url
+      models: models.map(model => {
+        const entry = findModel(model.id, provider);
+        return entry
+          ? { ...model, catalogId: entry.id, contextWindow: entry.contextWindow, pricing: entry.pricing, supports: entry.supports }
+          : model;
+      })
     });
   } catch (error) {
-    console.error('URL parsing error:', error);
+    console.error('Models fetch error:', error);
     res.status(500).json({
-      error: 'Failed to parse URL'
+      error: 'Failed to fetch models'
     });
   }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
+// Model catalog: capabilities and list prices for every model we know
+app.get('/api/catalog', (req, res) => {
   res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    success: true,
+    models: listCatalogModels()
   });
 });
 
-// Serve static files in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(express.static(join(__dirname, '../dist')));
-
-  app.get('*', (req, res) => {
-    res.sendFile(join(__dirname, '../dist/index.html'));
-  });
-}
+// Generate Content (Legacy endpoint - will use RAG if available). Like the
+// streaming endpoint, takes a `template` in place of `prompt`.
+app.post('/api/generate-content', requireBookOwner(req => req.body.bookId), requireQuota(), requireBudget(), renderPromptTemplate(), requirePromptFits(), async (req, res) => {
+  try {
+    const { provider, model, prompt, type, bookId } = req.body;
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+    if (!provider || !model || !prompt) {
+      return res.status(400).json({
+        error: 'Provider, model, and prompt are required'
+      });
+    }
 
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
+    if (!providerRegistry.has(provider)) {
       return res.status(400).json({
-        error: 'File too large'
+        error: 'Unsupported provider'
       });
     }
-  }
 
-  res.status(500).json({
-    error: 'Internal server error'
-  });
-});
+    const apiKey = await userApiKey(req, provider);
+    if (!apiKey) {
+      return res.status(400).json({
+        error: missingKeyError(provider)
+      });
+    }
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found'
-  });
-});
+    // Ground the prompt in the book's local knowledge base, whatever the provider
+    const retrieval = bookId
+      ? await knowledgeIndex.retrieveForPrompt(bookId, prompt, {
+          embedder: provider === 'openai' ? requestEmbedder(req, apiKey) : null,
+          tokenBudget: tokenCounter.retrievalBudget(req.promptFit, model, provider)
+        })
+      : { prompt, results: [], indexed: false };
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    // Books without a local index fall back to their OpenAI assistant
+    if (provider === 'openai' && bookId && !retrieval.indexed) {
+      try {
+        const ragInfo = await ragService.getBookAssistantInfo(bookId);
+        
+        if (ragInfo.assistantId && ragInfo.filesCount > 0) {
+          // Use RAG generation
+          const { content } = await usageService.track(
+            usageMeta(req, { operation: 'rag-generation', provider, model: ASSISTANT_MODEL }),
+            () => ragService.generateWithRAG(ragService.createContext(apiKey), bookId, prompt, type)
+          );
+          return res.json({ content, ragEnabled: true, template: req.promptTemplate || null });
+        }
+      } catch (ragError) {
+        console.log('RAG generation failed, falling back to standard generation:', ragError.message);
+      }
+    }
+
+    // Fall back to standard generation
+    const { content } = await usageService.track(usageMeta(req, { operation: type || 'generation', provider, model }), () => (
+      providerRegistry.get(provider).generate({
+        apiKey,
+        model,
+        prompt: retrieval.prompt,
+        system: DEFAULT_SYSTEM_PROMPT,
+        maxTokens: req.promptFit.outputTokens
+      })
+    ));
+
+    res.json({
+      content,
+      ragEnabled: retrieval.indexed,
+      citations: knowledgeIndex.toCitations(retrieval.results),
+      template: req.promptTemplate || null
+    });
+  } catch (error) {
+    console.error('Content generation error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to generate content'
+    });
+  }
+});
+
+// Stream generated content as Server-Sent Events. Emits `token` events with
+// each text delta, then a single `done` (full content) or `error` event.
+// Send `template` ({ key, variables }) instead of `prompt` to build the prompt
+// from the book's template; `done` then says which version was used.
+app.post('/api/generate-content/stream', requireBookOwner(req => req.body.bookId), requireQuota(), requireBudget(), renderPromptTemplate(), requirePromptFits(), async (req, res) => {
+  const { provider, model, prompt, type, bookId } = req.body;
+
+  if (!provider || !model || !prompt) {
+    return res.status(400).json({
+      error: 'Provider, model, and prompt are required'
+    });
+  }
+
+  if (!providerRegistry.has(provider)) {
+    return res.status(400).json({
+      error: 'Unsupported provider'
+    });
+  }
+
+  let apiKey;
+  try {
+    apiKey = await userApiKey(req, provider);
+  } catch (error) {
+    console.error('Failed to read API key:', error);
+    return res.status(500).json({
+      error: 'Failed to read API key'
+    });
+  }
+  if (!apiKey) {
+    return res.status(400).json({
+      error: missingKeyError(provider)
+    });
+  }
+
+  // Stop the upstream request as soon as the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+  let content = '';
+  let ragEnabled = false;
+
+  try {
+    let tokens;
+
+    const retrieval = bookId
+      ? await knowledgeIndex.retrieveForPrompt(bookId, prompt, {
+          embedder: provider === 'openai' ? requestEmbedder(req, apiKey) : null,
+          tokenBudget: tokenCounter.retrievalBudget(req.promptFit, model, provider)
+        })
+      : { prompt, results: [], indexed: false };
+    ragEnabled = retrieval.indexed;
+
+    if (provider === 'openai' && bookId && !retrieval.indexed) {
+      const ragInfo = await ragService.getBookAssistantInfo(bookId);
+      if (ragInfo.assistantId && ragInfo.filesCount > 0) {
+        ragEnabled = true;
+        tokens = usageService.trackStream(
+          usageMeta(req, { operation: 'rag-generation', provider, model: ASSISTANT_MODEL }),
+          ragService.streamWithRAG(ragService.createContext(apiKey), bookId, prompt, type, { signal: controller.signal })
+        );
+      }
+    }
+
+    if (!tokens) {
+      tokens = usageService.trackStream(usageMeta(req, { operation: type || 'generation', provider, model }), (
+        providerRegistry.get(provider).stream({
+          apiKey,
+          model,
+          prompt: retrieval.prompt,
+          system: DEFAULT_SYSTEM_PROMPT,
+          maxTokens: req.promptFit.outputTokens,
+          signal: controller.signal
+        })
+      ));
+    }
+
+    for await (const chunk of tokens) {
+      if (chunk.type === 'text') {
+        content += chunk.text;
+        send('token', { text: chunk.text });
+      }
+    }
+
+    send('done', {
+      content,
+      ragEnabled,
+      citations: knowledgeIndex.toCitations(retrieval.results),
+      template: req.promptTemplate || null
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error('Content streaming error:', error);
+    send('error', { error: error.message || 'Failed to generate content' });
+  } finally {
+    res.end();
+  }
+});
+
+// Generate an illustration with the user's OpenAI (DALL-E 3) or Stability AI
+// key. Without `provider`, the first of the two the user has a key for is used.
+// With `bookId` and a `template`, the prompt comes from the book's template.
+app.post('/api/generate-image', requireBookOwner(req => req.body.bookId), requireQuota('images'), requireBudget(), renderPromptTemplate(), async (req, res) => {
+  try {
+    const { prompt, style } = req.body;
+
+    if (!prompt) {
+      return res.status(400).json({
+        error: 'Prompt is required'
+      });
+    }
+
+    const candidates = req.body.provider ? [req.body.provider] : ['openai', 'stabilityai'];
+    if (!candidates.every(provider => imageGenerator.has(provider))) {
+      return res.status(400).json({
+        error: 'Unsupported image provider'
+      });
+    }
+
+    for (const provider of candidates) {
+      const apiKey = await userApiKey(req, provider);
+      if (!apiKey) continue;
+
+      const startedAt = Date.now();
+      const imageUrl = await imageGenerator.generate({ provider, apiKey, prompt, style });
+      await usageService.record(usageMeta(req, {
+        operation: 'image-generation',
+        provider,
+        model: imageGenerator.get(provider).model,
+        images: 1,
+        latencyMs: Date.now() - startedAt
+      }));
+      return res.json({
+        success: true,
+        provider,
+        imageUrl,
+        template: req.promptTemplate || null
+      });
+    }
+
+    res.status(400).json({
+      error: missingKeyError(candidates.join(' or '))
+    });
+  } catch (error) {
+    console.error('Image generation error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to generate image'
+    });
+  }
+});
+
+// A book's budget cap and what it has spent so far, from the usage ledger
+app.get('/api/books/:bookId/budget', async (req, res) => {
+  try {
+    const budget = await usageService.getBudgetStatus(req.params.bookId);
+
+    res.json({
+      success: true,
+      budget
+    });
+  } catch (error) {
+    console.error('Error getting book budget:', error);
+    res.status(500).json({
+      error: 'Failed to get book budget'
+    });
+  }
+});
+
+// Set or clear (null) a book's budget cap in USD
+app.put('/api/books/:bookId/budget', async (req, res) => {
+  try {
+    const { budgetCap } = req.body;
+
+    if (budgetCap !== null && !(typeof budgetCap === 'number' && Number.isFinite(budgetCap) && budgetCap > 0)) {
+      return res.status(400).json({
+        error: 'Budget must be a positive amount in USD, or null for no budget'
+      });
+    }
+
+    const budget = await usageService.setBudget(req.params.bookId, budgetCap);
+
+    res.json({
+      success: true,
+      budget
+    });
+  } catch (error) {
+    console.error('Error setting book budget:', error);
+    res.status(500).json({
+      error: 'Failed to set book budget'
+    });
+  }
+});
+
+// Choose how the book's topics are written: 'single' (one completion) or
+// 'multi-pass' (outline, draft, critique, revise)
+app.put('/api/books/:bookId/generation-pipeline', async (req, res) => {
+  try {
+    const { pipeline } = req.body;
+
+    if (!GENERATION_PIPELINES.includes(pipeline)) {
+      return res.status(400).json({
+        error: `Pipeline must be one of ${GENERATION_PIPELINES.join(', ')}`
+      });
+    }
+
+    await topicPipeline.setBookPipeline(req.book.id, pipeline);
+
+    res.json({
+      success: true,
+      pipeline
+    });
+  } catch (error) {
+    console.error('Error setting generation pipeline:', error);
+    res.status(500).json({
+      error: 'Failed to set generation pipeline'
+    });
+  }
+});
+
+// Generate a table of contents with the book's selected model from its
+// 'toc-generation' template. `sourceContent` (by default the book's saved
+// source content) is included as far as it fits the model's context window.
+// Answers 422 when the model's replies could not be repaired into a valid
+// outline.
+app.post('/api/books/:bookId/generate-toc', requireQuota(), requireBudget(), async (req, res) => {
+  try {
+    const { selected_provider: provider, selected_model: model } = req.book;
+
+    if (!provider || !model) {
+      return res.status(400).json({
+        error: 'Choose a model for this book first'
+      });
+    }
+    if (!providerRegistry.has(provider)) {
+      return res.status(400).json({
+        error: 'Unsupported provider'
+      });
+    }
+
+    const apiKey = await userApiKey(req, provider);
+    if (!apiKey) {
+      return res.status(400).json({
+        error: missingKeyError(provider)
+      });
+    }
+
+    const toc = await tocGenerator.generate({
+      provider,
+      model,
+      apiKey,
+      book: req.book,
+      sourceContent: req.body.sourceContent ?? req.book.source_content,
+      meter: usageMeta(req)
+    });
+
+    res.json({
+      success: true,
+      ...toc
+    });
+  } catch (error) {
+    if (error instanceof ContextOverflowError) {
+      return sendContextOverflow(res, error);
+    }
+    if (error instanceof TocGenerationError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error('TOC generation error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to generate table of contents'
+    });
+  }
+});
+
+// Write one topic server-side the way the book is set up to (a single
+// completion, or the multi-pass pipeline), as Server-Sent Events: `stage`
+// events ({ stage, status, section? }) as the pipeline moves along, a
+// `section` event with the HTML of each drafted section, then `done`
+// ({ content, template, pipeline }) or `error`. The content is not saved;
+// the editor saves it like any other generated content.
+app.post('/api/books/:bookId/topics/:topicId/generate', requireQuota(), requireBudget(), async (req, res) => {
+  const { provider, model } = req.body;
+
+  if (!provider || !model) {
+    return res.status(400).json({
+      error: 'Provider and model are required'
+    });
+  }
+  if (!providerRegistry.has(provider)) {
+    return res.status(400).json({
+      error: 'Unsupported provider'
+    });
+  }
+
+  let apiKey;
+  let topic;
+  try {
+    apiKey = await userApiKey(req, provider);
+    topic = await bookMemory.findTopic(req.book.id, req.params.topicId);
+  } catch (error) {
+    console.error('Failed to prepare topic generation:', error);
+    return res.status(500).json({
+      error: 'Failed to generate content'
+    });
+  }
+  if (!apiKey) {
+    return res.status(400).json({
+      error: missingKeyError(provider)
+    });
+  }
+  if (!topic) {
+    return res.status(404).json({
+      error: 'Topic not found'
+    });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+
+  try {
+    const { content, template, pipeline } = await contentGenerator.generateTopicContent({
+      provider,
+      model,
+      apiKey,
+      book: req.book,
+      topic,
+      signal: controller.signal,
+      meter: usageMeta(req),
+      onStage: ({ content: sectionContent, ...event }) => {
+        send('stage', event);
+        if (sectionContent) send('section', { ...event.section, content: sectionContent });
+      }
+    });
+
+    send('done', { content, template, pipeline });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error('Topic generation error:', error);
+    send('error', {
+      error: error.message || 'Failed to generate content',
+      ...(error.code && { code: error.code })
+    });
+  } finally {
+    res.end();
+  }
+});
+
+// Rewrite text selected in the editor with one of the selection actions
+// (expand, condense, simplify, tone, list, example, continue). Answers with
+// the replacement HTML; the editor shows it as a diff to accept or reject.
+app.post('/api/books/:bookId/rewrite', requireQuota(), requireBudget(), async (req, res) => {
+  // Stop the provider call when the editor gives up on the request
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { provider, model, action, text, before, after, tone, topicTitle } = req.body;
+
+    if (!provider || !model) {
+      return res.status(400).json({
+        error: 'Provider and model are required'
+      });
+    }
+    if (!providerRegistry.has(provider)) {
+      return res.status(400).json({
+        error: 'Unsupported provider'
+      });
+    }
+    selectionRewriter.validate({ action, text, tone });
+
+    const apiKey = await userApiKey(req, provider);
+    if (!apiKey) {
+      return res.status(400).json({
+        error: missingKeyError(provider)
+      });
+    }
+
+    const { content, template } = await selectionRewriter.rewrite({
+      provider,
+      model,
+      apiKey,
+      book: req.book,
+      topicTitle,
+      action,
+      text,
+      before,
+      after,
+      tone,
+      signal: controller.signal,
+      meter: usageMeta(req)
+    });
+
+    res.json({
+      success: true,
+      action,
+      content,
+      template
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (error instanceof RewriteError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error instanceof ContextOverflowError) {
+      return sendContextOverflow(res, error);
+    }
+
+    console.error('Rewrite error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to rewrite the selection'
+    });
+  }
+});
+
+// Takes continuity notes on a topic written in the editor, so the topics
+// after it build on it. Jobs take their own notes as they go.
+app.post('/api/books/:bookId/topics/:topicId/memory', requireQuota(), requireBudget(), async (req, res) => {
+  try {
+    const { selected_provider: provider, selected_model: model } = req.book;
+
+    if (!provider || !model) {
+      return res.status(400).json({
+        error: 'Choose a model for this book first'
+      });
+    }
+    if (!providerRegistry.has(provider)) {
+      return res.status(400).json({
+        error: 'Unsupported provider'
+      });
+    }
+
+    const topic = await bookMemory.findTopic(req.book.id, req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({
+        error: 'Topic not found'
+      });
+    }
+    if (!topic.content) {
+      return res.status(400).json({
+        error: 'This topic has no content yet'
+      });
+    }
+
+    const apiKey = await userApiKey(req, provider);
+    if (!apiKey) {
+      return res.status(400).json({
+        error: missingKeyError(provider)
+      });
+    }
+
+    const memory = await bookMemory.remember({
+      provider,
+      model,
+      apiKey,
+      topic,
+      content: topic.content,
+      meter: usageMeta(req)
+    });
+
+    res.json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    console.error('Topic memory error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to update book memory'
+    });
+  }
+});
+
+// A/B test of a topic: writes 2-4 variations side by side, each with its own
+// provider, model, temperature and 'topic-content' template version
+// (`variants`: [{ provider, model, temperature, templateVersion }]), as
+// Server-Sent Events: a `variation` event as each one finishes (with its
+// content and metrics, or its error), then `done` with the saved test, or
+// `error`. Nothing goes into the topic until the user picks a variation.
+app.post('/api/books/:bookId/topics/:topicId/variations', requireQuota(), requireBudget(), async (req, res) => {
+  const { variants } = req.body;
+
+  const apiKeys = {};
+  let topic;
+  try {
+    contentVariations.validate(variants);
+    await contentVariations.checkTemplates(req.book.id, variants);
+
+    for (const provider of new Set(variants.map(variant => variant.provider))) {
+      apiKeys[provider] = await userApiKey(req, provider);
+      if (!apiKeys[provider]) {
+        return res.status(400).json({
+          error: missingKeyError(provider)
+        });
+      }
+    }
+
+    topic = await bookMemory.findTopic(req.book.id, req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({
+        error: 'Topic not found'
+      });
+    }
+  } catch (error) {
+    if (error instanceof VariationError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error instanceof PromptTemplateError) {
+      return sendTemplateError(res, error);
+    }
+
+    console.error('Failed to prepare A/B test:', error);
+    return res.status(500).json({
+      error: 'Failed to generate variations'
+    });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+
+  try {
+    const test = await contentVariations.run({
+      book: req.book,
+      topic,
+      variants,
+      apiKeys,
+      userId: req.user.id,
+      signal: controller.signal,
+      meter: usageMeta(req),
+      onVariation: (variation) => send('variation', variation)
+    });
+
+    send('done', { test });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error('A/B test error:', error);
+    send('error', {
+      error: error.message || 'Failed to generate variations',
+      ...(error.code && { code: error.code })
+    });
+  } finally {
+    res.end();
+  }
+});
+
+// A topic's A/B tests, newest first
+app.get('/api/books/:bookId/topics/:topicId/variations', async (req, res) => {
+  try {
+    const tests = await contentVariations.listForTopic(req.book.id, req.params.topicId);
+
+    res.json({
+      success: true,
+      tests
+    });
+  } catch (error) {
+    console.error('Error listing A/B tests:', error);
+    res.status(500).json({
+      error: 'Failed to list A/B tests'
+    });
+  }
+});
+
+// Records which variation of an A/B test the user picked
+app.post('/api/books/:bookId/variations/:testId/choose', async (req, res) => {
+  try {
+    const test = await contentVariations.choose(req.book.id, req.params.testId, req.body.variationId);
+
+    res.json({
+      success: true,
+      test
+    });
+  } catch (error) {
+    if (error instanceof VariationError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Error recording A/B test pick:', error);
+    res.status(500).json({
+      error: 'Failed to record the pick'
+    });
+  }
+});
+
+// Win rates by model and by template version over the book's decided A/B
+// tests
+app.get('/api/books/:bookId/variation-stats', async (req, res) => {
+  try {
+    const stats = await contentVariations.stats({ userId: req.user.id, bookId: req.book.id });
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error getting A/B test stats:', error);
+    res.status(500).json({
+      error: 'Failed to get A/B test stats'
+    });
+  }
+});
+
+// The same win rates over all of the caller's books
+app.get('/api/variation-stats', async (req, res) => {
+  try {
+    const stats = await contentVariations.stats({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error getting A/B test stats:', error);
+    res.status(500).json({
+      error: 'Failed to get A/B test stats'
+    });
+  }
+});
+
+// Every prompt template with the version the book uses now (`source` is
+// 'default' or 'book'), the default body and the variables it may use
+app.get('/api/books/:bookId/prompt-templates', async (req, res) => {
+  try {
+    const templates = await promptTemplates.list(req.params.bookId);
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+    res.status(500).json({
+      error: 'Failed to list prompt templates'
+    });
+  }
+});
+
+// Version history of one of the book's templates, newest first. A version
+// with a null body is a reset to the default.
+app.get('/api/books/:bookId/prompt-templates/:templateKey/versions', async (req, res) => {
+  try {
+    const versions = await promptTemplates.getHistory(req.params.bookId, req.params.templateKey);
+
+    res.json({
+      success: true,
+      versions
+    });
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      return sendTemplateError(res, error);
+    }
+
+    console.error('Error getting prompt template history:', error);
+    res.status(500).json({
+      error: 'Failed to get prompt template history'
+    });
+  }
+});
+
+// Re-renders the instructions of the book's OpenAI assistant, if it has one,
+// after something they are rendered from changes. A failure is only logged:
+// the change itself was saved.
+const refreshAssistantInstructions = async (req, bookId) => {
+  const openaiApiKey = await userApiKey(req, 'openai');
+  if (!openaiApiKey) return;
+
+  try {
+    await ragService.refreshInstructions(ragService.createContext(openaiApiKey), bookId);
+  } catch (refreshError) {
+    console.error('Failed to update assistant instructions:', refreshError.message);
+  }
+};
+
+// Runs a template change and answers with the template now in use. The
+// book's assistant keeps its own copy of the instructions, so changing them
+// updates the assistant too when the user has an OpenAI key saved.
+const changePromptTemplate = (action, change) => async (req, res) => {
+  try {
+    const { bookId, templateKey } = req.params;
+    const version = await change(req);
+
+    if (templateKey === 'rag-instructions') {
+      await refreshAssistantInstructions(req, bookId);
+    }
+
+    res.json({
+      success: true,
+      version,
+      template: await promptTemplates.getActive(bookId, templateKey)
+    });
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      return sendTemplateError(res, error);
+    }
+
+    console.error(`Failed to ${action}:`, error);
+    res.status(500).json({
+      error: `Failed to ${action}`
+    });
+  }
+};
+
+// Save a new version of one of the book's templates
+app.post('/api/books/:bookId/prompt-templates/:templateKey/versions', changePromptTemplate(
+  'save prompt template',
+  req => promptTemplates.saveVersion(req.params.bookId, req.params.templateKey, req.body.body, req.user.id)
+));
+
+// Make an earlier version current again (as a new version)
+app.post('/api/books/:bookId/prompt-templates/:templateKey/versions/:version/restore', changePromptTemplate(
+  'restore prompt template version',
+  req => promptTemplates.restoreVersion(req.params.bookId, req.params.templateKey, Number(req.params.version), req.user.id)
+));
+
+// Go back to the default template (recorded as a new version)
+app.post('/api/books/:bookId/prompt-templates/:templateKey/reset', changePromptTemplate(
+  'reset prompt template',
+  req => promptTemplates.reset(req.params.bookId, req.params.templateKey, req.user.id)
+));
+
+// The book's style guide (see services/styleGuide.js for its fields)
+app.get('/api/books/:bookId/style-guide', async (req, res) => {
+  res.json({
+    success: true,
+    styleGuide: req.book.style_guide || styleGuide.empty()
+  });
+});
+
+// Replace the book's style guide. It applies to prompts rendered from now on,
+// including the assistant's instructions.
+app.put('/api/books/:bookId/style-guide', async (req, res) => {
+  try {
+    const saved = await styleGuide.save(req.book.id, req.body.styleGuide);
+    await refreshAssistantInstructions(req, req.book.id);
+
+    res.json({
+      success: true,
+      styleGuide: saved
+    });
+  } catch (error) {
+    if (error instanceof StyleGuideError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error('Error saving style guide:', error);
+    res.status(500).json({
+      error: 'Failed to save style guide'
+    });
+  }
+});
+
+// Check topic HTML against the book's style guide
+app.post('/api/books/:bookId/style-guide/lint', (req, res) => {
+  const { content } = req.body;
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({
+      error: 'Content is required'
+    });
+  }
+
+  res.json({
+    success: true,
+    issues: styleGuide.lint(req.book.style_guide, content)
+  });
+});
+
+// Start a server-side job that generates every topic of a book that has no content yet
+app.post('/api/books/:bookId/jobs', requireQuota(), requireBudget(), async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    const { provider, model, regenerate } = req.body;
+
+    if (!provider || !model) {
+      return res.status(400).json({
+        error: 'Provider and model are required'
+      });
+    }
+
+    if (!providerRegistry.has(provider)) {
+      return res.status(400).json({
+        error: 'Unsupported provider'
+      });
+    }
+
+    if (!(await keyVault.hasKey(req.user.id, provider))) {
+      return res.status(400).json({
+        error: missingKeyError(provider)
+      });
+    }
+
+    const activeJob = await jobService.getActiveJob(bookId);
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'A generation job is already active for this book',
+        job: jobService.summarize(activeJob)
+      });
+    }
+
+    const job = await jobService.createJob({ bookId, provider, model, regenerate });
+
+    res.status(201).json({
+      success: true,
+      job: jobService.summarize(job)
+    });
+  } catch (error) {
+    // Another request started a job between the check above and the insert
+    if (error instanceof ActiveJobError) {
+      const activeJob = await jobService.getActiveJob(req.params.bookId).catch(() => null);
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        ...(activeJob && { job: jobService.summarize(activeJob) })
+      });
+    }
+
+    console.error('Error starting generation job:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to start generation job'
+    });
+  }
+});
+
+// Get the job that is currently running or paused for a book, if any
+app.get('/api/books/:bookId/jobs/active', async (req, res) => {
+  try {
+    const job = await jobService.getActiveJob(req.params.bookId);
+
+    res.json({
+      success: true,
+      job: job ? jobService.summarize(job) : null
+    });
+  } catch (error) {
+    console.error('Error getting active job:', error);
+    res.status(500).json({
+      error: 'Failed to get active job'
+    });
+  }
+});
+
+// Inspect a generation job
+app.get('/api/jobs/:jobId', (req, res) => {
+  res.json({
+    success: true,
+    job: jobService.summarize(req.job)
+  });
+});
+
+// Pause, resume or cancel a generation job
+app.post('/api/jobs/:jobId/pause', async (req, res) => {
+  try {
+    const job = await jobService.pause(req.params.jobId);
+
+    res.json({
+      success: true,
+      job: jobService.summarize(job)
+    });
+  } catch (error) {
+    console.error('Error pausing job:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to pause job'
+    });
+  }
+});
+
+app.post('/api/jobs/:jobId/resume', requireQuota(), requireBudget(req => req.job.book_id), async (req, res) => {
+  try {
+    const job = await jobService.resume(req.params.jobId);
+
+    res.json({
+      success: true,
+      job: jobService.summarize(job)
+    });
+  } catch (error) {
+    if (error instanceof ActiveJobError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Error resuming job:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to resume job'
+    });
+  }
+});
+
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await jobService.cancel(req.params.jobId);
+
+    res.json({
+      success: true,
+      job: jobService.summarize(job)
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to cancel job'
+    });
+  }
+});
+
+// Parse PDF (Legacy endpoint)
+app.post('/api/parse-pdf', acceptUpload('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No PDF file uploaded'
+      });
+    }
+
+    const document = await extractorRegistry.extract(req.file);
+
+    res.json({
+      text: document.text,
+      pages: document.metadata.pages,
+      info: document.metadata.info,
+      headings: document.headings,
+      layout: document.pages // Per-page headings, paragraphs and tables
+    });
+  } catch (error) {
+    if (error instanceof ExtractionError) {
+      return sendExtractionError(res, error);
+    }
+
+    console.error('PDF parsing error:', error);
+    res.status(500).json({
+      error: 'Failed to parse PDF'
+    });
+  }
+});
+
+// Parse any supported document into normalized text with its heading structure
+app.post('/api/parse-document', acceptUpload('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded'
+      });
+    }
+
+    const { segments, ...document } = await extractorRegistry.extract(req.file);
+
+    res.json({
+      fileName: req.file.originalname,
+      ...document
+    });
+  } catch (error) {
+    if (error instanceof ExtractionError) {
+      return sendExtractionError(res, error);
+    }
+
+    console.error('Document parsing error:', error);
+    res.status(500).json({
+      error: 'Failed to parse document'
+    });
+  }
+});
+
+// Supported source document formats
+app.get('/api/document-formats', (req, res) => {
+  res.json({ formats: extractorRegistry.list() });
+});
+
+// Parse URL (Legacy endpoint). Pass `crawl` to follow same-site links.
+app.post('/api/parse-url', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { url, crawl } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        error: 'URL is required'
+      });
+    }
+
+    const content = await loadUrlSource(url, crawl, { signal: controller.signal });
+
+    res.json({
+      title: content.title,
+      content: content.text,
+      url,
+      pages: content.pages,
+      skipped: content.skipped
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('URL parsing error:', error);
+    const status = clientErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to parse URL'
+    });
+  }
+});
+
+// Admin routes. They live on their own router so the :bookId ownership
+// check above doesn't apply to them.
+const admin = express.Router();
+admin.use(requireAdmin);
+
+const pageParams = (query) => ({
+  search: (query.search || '').trim(),
+  page: Math.max(parseInt(query.page) || 1, 1),
+  perPage: Math.min(Math.max(parseInt(query.perPage) || 20, 1), 100)
+});
+
+// Platform totals: users, books by status, generations and spend this month
+admin.get('/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: await adminService.getStats()
+    });
+  } catch (error) {
+    console.error('Error getting admin stats:', error);
+    res.status(500).json({
+      error: 'Failed to get stats'
+    });
+  }
+});
+
+admin.get('/users', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await adminService.listUsers(pageParams(req.query)))
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      error: 'Failed to list users'
+    });
+  }
+});
+
+// Suspended users can't sign in, and their existing sessions are refused
+admin.post('/users/:userId/suspend', async (req, res) => {
+  try {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        error: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await adminService.setSuspended(req.params.userId, true);
+    forgetUser(user.id);
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      error: 'Failed to suspend user'
+    });
+  }
+});
+
+admin.post('/users/:userId/unsuspend', async (req, res) => {
+  try {
+    const user = await adminService.setSuspended(req.params.userId, false);
+    forgetUser(user.id);
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Error unsuspending user:', error);
+    res.status(500).json({
+      error: 'Failed to unsuspend user'
+    });
+  }
+});
+
+// Start a fresh quota period for the user. Their ledger is kept.
+admin.post('/users/:userId/reset-quota', async (req, res) => {
+  try {
+    await usageService.resetQuota(req.params.userId);
+
+    res.json({
+      success: true,
+      ...(await usageService.getQuotaStatus(req.params.userId))
+    });
+  } catch (error) {
+    console.error('Error resetting quota:', error);
+    res.status(500).json({
+      error: 'Failed to reset quota'
+    });
+  }
+});
+
+admin.get('/books', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await adminService.listBooks(pageParams(req.query)))
+    });
+  } catch (error) {
+    console.error('Error listing books:', error);
+    res.status(500).json({
+      error: 'Failed to list books'
+    });
+  }
+});
+
+// A book's generation jobs and usage ledger
+admin.get('/books/:bookId/history', async (req, res) => {
+  try {
+    const history = await adminService.getBookHistory(req.params.bookId);
+    if (!history) {
+      return res.status(404).json({
+        error: 'Book not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Error getting book history:', error);
+    res.status(500).json({
+      error: 'Failed to get book history'
+    });
+  }
+});
+
+// Server configuration as it is running. Never includes secrets.
+admin.get('/system', (req, res) => {
+  res.json({
+    success: true,
+    system: {
+      environment: process.env.NODE_ENV || 'development',
+      nodeVersion: process.version,
+      uptime: process.uptime(),
+      memoryMb: Math.round(process.memoryUsage().rss / (1024 * 1024)),
+      encryptionKeyVersion: keyVault.currentVersion,
+      textProviders: providerRegistry.list(),
+      imageProviders: [...imageGenerator.providers.values()].map(({ id, name, model }) => ({ id, name, model })),
+      documentFormats: extractorRegistry.extensions(),
+      usagePlans: usageService.plans,
+      defaultUsagePlan: usageService.defaultPlan
+    }
+  });
+});
+
+app.use('/api/admin', admin);
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Serve static files in production
+if (process.env.NODE_ENV === 'production') {
+  app.use(express.static(join(__dirname, '../dist')));
+
+  app.get('*', (req, res) => {
+    res.sendFile(join(__dirname, '../dist/index.html'));
+  });
+}
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Server error:', error);
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: 'File too large'
+      });
+    }
+  }
+
+  res.status(500).json({
+    error: 'Internal server error'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    error: 'Endpoint not found'
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Seal keys left under an older vault key (or from before the vault) with
+  // the current one, then pick up jobs the restart interrupted
+  const rotation = keyVault.rotate()
+    .then(count => count > 0 && console.log(`Re-encrypted ${count} API key(s) with vault key version ${keyVault.currentVersion}`))
+    .catch(error => console.error('Failed to rotate API keys:', error.message));
+
+  rotation
+    .then(() => jobService.recoverInterruptedJobs())
+    .then(({ resumed, paused }) => {
+      if (resumed > 0) console.log(`Resumed ${resumed} generation job(s) interrupted by restart`);
+      if (paused > 0) console.log(`Paused ${paused} generation job(s) interrupted by restart`);
+    })
+    .catch(error => console.error('Failed to recover generation jobs:', error.message));
+
+  // Re-attach books to their OpenAI assistants and clean up orphans, each
+  // book in its owner's account
+  rotation
+    .then(() => ragService.reconcile({ getKey: (userId) => keyVault.getKey(userId, 'openai') }))
+    .then(({ detached, removed, skipped }) => console.log(
+      `RAG reconcile: ${detached} book(s) detached, ${removed} orphaned resource(s) removed, ${skipped} book(s) not checked`
+    ))
+    .catch(error => console.error('Failed to reconcile RAG resources:', error.message));
 });
 
 export default app;
\ No newline at end of file
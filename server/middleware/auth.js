@@ -0,0 +1,180 @@
+import { getSupabase, dbHelpers } from '../services/supabase.js';
+
+const TOKEN_CACHE_TTL = 60 * 1000;
+const TOKEN_CACHE_LIMIT = 1000;
+
+// Verified tokens: token -> { user, expiresAt }. Saves a round trip to
+// Supabase Auth on every request while a client polls or streams.
+const tokenCache = new Map();
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+// The token's own expiry in ms, read without verifying it, so a cached entry
+// never outlives the token
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? payload.exp * 1000 : Infinity;
+  } catch (error) {
+    return Infinity;
+  }
+};
+
+const pruneTokenCache = () => {
+  const now = Date.now();
+  for (const [token, entry] of tokenCache) {
+    if (entry.expiresAt <= now) tokenCache.delete(token);
+  }
+  // Still full of live tokens: drop the oldest
+  while (tokenCache.size >= TOKEN_CACHE_LIMIT) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+};
+
+// The user a Supabase access token belongs to, or null if the token is
+// invalid or expired. Throws if Supabase is not configured.
+export const verifyAccessToken = async (token) => {
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.user;
+  }
+  tokenCache.delete(token);
+
+  const { data, error } = await getSupabase().auth.getUser(token);
+  if (error || !data?.user) return null;
+
+  // Roles live in app_metadata, which only the service role can write.
+  // user_metadata is editable by the user and never trusted here.
+  const user = {
+    id: data.user.id,
+    email: data.user.email,
+    role: data.user.app_metadata?.role || 'user',
+    suspended: !!data.user.banned_until && new Date(data.user.banned_until) > new Date()
+  };
+
+  pruneTokenCache();
+  tokenCache.set(token, {
+    user,
+    expiresAt: Math.min(Date.now() + TOKEN_CACHE_TTL, tokenExpiry(token))
+  });
+
+  return user;
+};
+
+// Drops cached sessions for a user, e.g. right after suspending them
+export const forgetUser = (userId) => {
+  for (const [token, entry] of tokenCache) {
+    if (entry.user.id === userId) tokenCache.delete(token);
+  }
+};
+
+// Requires a valid Supabase access token in the Authorization header and
+// attaches the caller as req.user ({ id, email, role }). Paths in `publicPaths`
+// are relative to where the middleware is mounted.
+export const requireAuth = ({ publicPaths = [] } = {}) => async (req, res, next) => {
+  if (publicPaths.includes(req.path)) return next();
+
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid or expired session'
+      });
+    }
+    if (user.suspended) {
+      return res.status(403).json({
+        error: 'This account has been suspended'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error.message);
+    res.status(500).json({
+      error: 'Authentication is not available'
+    });
+  }
+};
+
+// Only lets administrators through. Use after requireAuth.
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Administrator access required'
+    });
+  }
+  next();
+};
+
+// Loads a book and checks that the caller owns it. Resolves to { book } or to
+// { status, error } to answer with. Books that belong to someone else are
+// reported as forbidden rather than missing, since their ids are not secret.
+const authorizeBook = async (user, bookId) => {
+  const { data: book, error } = await dbHelpers.getBook(bookId);
+  if (error) throw error;
+
+  if (!book) return { status: 404, error: 'Book not found' };
+  if (book.user_id !== user.id) return { status: 403, error: 'You do not have access to this book' };
+
+  return { book };
+};
+
+// Route parameter handler for :bookId. Attaches the book as req.book.
+export const bookOwnerParam = async (req, res, next, bookId) => {
+  try {
+    const { book, status, error } = await authorizeBook(req.user, bookId);
+    if (!book) {
+      return res.status(status).json({ error });
+    }
+
+    req.book = book;
+    next();
+  } catch (error) {
+    console.error('Error checking book access:', error);
+    res.status(500).json({
+      error: 'Failed to check book access'
+    });
+  }
+};
+
+// Same check for routes that take an optional bookId somewhere other than the
+// path, e.g. `requireBookOwner(req => req.body.bookId)`
+export const requireBookOwner = (getBookId) => (req, res, next) => {
+  const bookId = getBookId(req);
+  if (!bookId) return next();
+
+  return bookOwnerParam(req, res, next, bookId);
+};
+
+// Route parameter handler for :jobId. Jobs carry their owner's user id, so
+// this needs no book lookup. Attaches the job as req.job.
+export const jobOwnerParam = async (req, res, next, jobId) => {
+  try {
+    const { data: job } = await dbHelpers.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    console.error('Error checking job access:', error);
+    res.status(500).json({
+      error: 'Failed to check job access'
+    });
+  }
+};
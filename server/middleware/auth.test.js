@@ -0,0 +1,122 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireAuth, requireAdmin, bookOwnerParam, requireBookOwner, jobOwnerParam, forgetUser } from './auth.js';
+import { getSupabase, dbHelpers } from '../services/supabase.js';
+
+before(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://supabase.invalid';
+  process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'service-role-key';
+  // supabase-js wants a WebSocket for realtime even though nothing here
+  // connects; Node 20 has none built in
+  globalThis.WebSocket = globalThis.WebSocket || class {};
+});
+
+// Records what a middleware answered with, or that it called next()
+const run = async (middleware, req, ...args) => {
+  const outcome = { status: null, body: null, next: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  await middleware(req, res, () => { outcome.next = true; }, ...args);
+  return outcome;
+};
+
+const request = ({ user, authorization, path = '/books', body = {} } = {}) => ({
+  user,
+  path,
+  body,
+  get: (header) => (header === 'Authorization' ? authorization : undefined)
+});
+
+const BOOKS = {
+  'book-1': { id: 'book-1', user_id: 'user-1', title: 'Mine' },
+  'book-2': { id: 'book-2', user_id: 'user-2', title: 'Theirs' }
+};
+
+test('book routes only let the owner through', async (t) => {
+  t.mock.method(dbHelpers, 'getBook', async (bookId) => ({ data: BOOKS[bookId] || null, error: null }));
+  const req = request({ user: { id: 'user-1' } });
+
+  const owned = await run(bookOwnerParam, req, 'book-1');
+  assert.equal(owned.next, true);
+  assert.equal(req.book.title, 'Mine');
+
+  assert.deepEqual(await run(bookOwnerParam, request({ user: { id: 'user-1' } }), 'book-2'), {
+    status: 403, body: { error: 'You do not have access to this book' }, next: false
+  });
+  assert.deepEqual(await run(bookOwnerParam, request({ user: { id: 'user-1' } }), 'book-9'), {
+    status: 404, body: { error: 'Book not found' }, next: false
+  });
+});
+
+test('requireBookOwner checks a book id taken from the body, when there is one', async (t) => {
+  t.mock.method(dbHelpers, 'getBook', async (bookId) => ({ data: BOOKS[bookId] || null, error: null }));
+  const check = requireBookOwner(req => req.body.bookId);
+
+  assert.equal((await run(check, request({ user: { id: 'user-1' } }))).next, true);
+  assert.equal((await run(check, request({ user: { id: 'user-1' }, body: { bookId: 'book-1' } }))).next, true);
+  assert.equal((await run(check, request({ user: { id: 'user-1' }, body: { bookId: 'book-2' } }))).status, 403);
+});
+
+test('a failed book lookup is a server error, not a pass', async (t) => {
+  t.mock.method(dbHelpers, 'getBook', async () => ({ data: null, error: new Error('connection refused') }));
+  t.mock.method(console, 'error', () => {});
+
+  const outcome = await run(bookOwnerParam, request({ user: { id: 'user-1' } }), 'book-1');
+  assert.equal(outcome.status, 500);
+  assert.equal(outcome.next, false);
+});
+
+test('jobs are only visible to the user who started them', async (t) => {
+  t.mock.method(dbHelpers, 'getJob', async (jobId) => ({ data: jobId === 'job-1' ? { id: 'job-1', user_id: 'user-1' } : null }));
+
+  assert.equal((await run(jobOwnerParam, request({ user: { id: 'user-1' } }), 'job-1')).next, true);
+  assert.equal((await run(jobOwnerParam, request({ user: { id: 'user-2' } }), 'job-1')).status, 403);
+  assert.equal((await run(jobOwnerParam, request({ user: { id: 'user-1' } }), 'job-9')).status, 404);
+});
+
+test('requireAuth verifies the bearer token and refuses suspended users', async (t) => {
+  const users = {
+    'token-1': { id: 'user-1', email: 'one@example.com', app_metadata: { role: 'admin' }, user_metadata: { role: 'user' } },
+    'token-2': { id: 'user-2', email: 'two@example.com', banned_until: '2999-01-01T00:00:00Z' },
+    'token-3': { id: 'user-3', email: 'three@example.com', user_metadata: { role: 'admin' } }
+  };
+  const getUser = t.mock.method(getSupabase().auth, 'getUser', async (token) => (
+    users[token] ? { data: { user: users[token] }, error: null } : { data: { user: null }, error: new Error('invalid JWT') }
+  ));
+  const middleware = requireAuth({ publicPaths: ['/health'] });
+
+  assert.equal((await run(middleware, request({ path: '/health' }))).next, true);
+  assert.equal((await run(middleware, request())).status, 401);
+  assert.equal((await run(middleware, request({ authorization: 'Bearer nope' }))).status, 401);
+  assert.equal((await run(middleware, request({ authorization: 'Bearer token-2' }))).status, 403);
+
+  const req = request({ authorization: 'Bearer token-1' });
+  assert.equal((await run(middleware, req)).next, true);
+  assert.deepEqual(req.user, { id: 'user-1', email: 'one@example.com', role: 'admin', suspended: false });
+
+  // user_metadata is editable by the user, so it never grants a role
+  const self = request({ authorization: 'Bearer token-3' });
+  await run(middleware, self);
+  assert.equal(self.user.role, 'user');
+
+  // Verified tokens are cached until the user is forgotten
+  const calls = getUser.mock.callCount();
+  await run(middleware, request({ authorization: 'Bearer token-1' }));
+  assert.equal(getUser.mock.callCount(), calls);
+  forgetUser('user-1');
+  await run(middleware, request({ authorization: 'Bearer token-1' }));
+  assert.equal(getUser.mock.callCount(), calls + 1);
+});
+
+test('requireAdmin only lets administrators through', async () => {
+  assert.equal((await run(requireAdmin, request({ user: { id: 'user-1', role: 'admin' } }))).next, true);
+  assert.equal((await run(requireAdmin, request({ user: { id: 'user-2', role: 'user' } }))).status, 403);
+});
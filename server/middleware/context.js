@@ -0,0 +1,36 @@
+import { DEFAULT_SYSTEM_PROMPT, getMaxTokens } from '../providers/index.js';
+import { tokenCounter, ContextOverflowError } from '../services/tokenCounter.js';
+
+// Answers with 413 and the token budget the prompt overflowed
+export const sendContextOverflow = (res, error) => {
+  res.status(413).json({
+    error: error.message,
+    code: error.code,
+    context: error.details
+  });
+};
+
+// Rejects a prompt that cannot fit in the model's context window with room
+// left for the response, before any provider is called. Attaches the budget
+// as req.promptFit ({ contextWindow, inputTokens, outputTokens, promptTokens,
+// remainingTokens }); routes size retrieved context with `remainingTokens`
+// and ask the provider for `outputTokens`. Requests without a model or
+// prompt pass through for the route to reject.
+export const requirePromptFits = (getRequest = req => req.body) => (req, res, next) => {
+  const { provider, model, prompt, type, system = DEFAULT_SYSTEM_PROMPT } = getRequest(req);
+  if (!model || !prompt) return next();
+
+  try {
+    req.promptFit = tokenCounter.assertFits({ model, provider, system, prompt, maxTokens: getMaxTokens(type) });
+    next();
+  } catch (error) {
+    if (error instanceof ContextOverflowError) {
+      return sendContextOverflow(res, error);
+    }
+
+    console.error('Error counting prompt tokens:', error);
+    res.status(500).json({
+      error: 'Failed to check prompt length'
+    });
+  }
+};
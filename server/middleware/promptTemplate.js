@@ -0,0 +1,50 @@
+import { promptTemplates, bookVariables, PromptTemplateError } from '../services/promptTemplates.js';
+import { bookMemory } from '../services/bookMemory.js';
+
+// Answers with the template error's status (400 for an invalid body, 404 for
+// an unknown template or version)
+export const sendTemplateError = (res, error) => {
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details })
+  });
+};
+
+// Lets a generation request name a template instead of sending a prompt.
+// `template` is { key, variables, topicId } with the topic's variables; the
+// book's come from req.book, so the book's own version of the template is
+// used. With `topicId`, {{book_memory}} is what the topics before it covered.
+// The book's variables and the memory are applied last, so the request can't
+// replace them (the style guide, say) with its own.
+// Sets req.body.prompt for the checks and route that follow, and
+// req.promptTemplate ({ key, version, source }) for the response.
+export const renderPromptTemplate = () => async (req, res, next) => {
+  const { template, model, provider } = req.body;
+  if (!template) return next();
+
+  try {
+    const memory = template.topicId && req.book
+      ? { book_memory: await bookMemory.forTopic(req.book.id, template.topicId, { model, provider }) }
+      : {};
+
+    const { prompt, template: used } = await promptTemplates.renderFor(req.book?.id, template.key, {
+      ...template.variables,
+      ...bookVariables(req.book),
+      ...memory
+    });
+
+    req.body.prompt = prompt;
+    req.promptTemplate = used;
+    next();
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      return sendTemplateError(res, error);
+    }
+
+    console.error('Error rendering prompt template:', error);
+    res.status(500).json({
+      error: 'Failed to render prompt template'
+    });
+  }
+};
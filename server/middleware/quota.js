@@ -0,0 +1,65 @@
+import { usageService, QuotaExceededError, BudgetExceededError } from '../services/usageService.js';
+
+// Answers with 429 and the quota details. Retry-After points at the start of
+// next month, when the quota resets.
+export const sendQuotaExceeded = (res, error) => {
+  const { quota, usage, resetsAt } = error.details;
+
+  res.set('Retry-After', String(Math.max(0, Math.ceil((new Date(resetsAt) - Date.now()) / 1000))));
+  res.status(429).json({
+    error: error.message,
+    code: error.code,
+    quota,
+    usage,
+    resetsAt
+  });
+};
+
+// Rejects the request if the caller has used up this month's quota. `kind`
+// is 'tokens' for text generation or 'images'.
+export const requireQuota = (kind = 'tokens') => async (req, res, next) => {
+  try {
+    await usageService.assertWithinQuota(req.user.id, kind);
+    next();
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+
+    console.error('Error checking usage quota:', error);
+    res.status(500).json({
+      error: 'Failed to check usage quota'
+    });
+  }
+};
+
+// Answers with 402 and the book's budget status
+export const sendBudgetExceeded = (res, error) => {
+  res.status(402).json({
+    error: error.message,
+    code: error.code,
+    budget: error.details
+  });
+};
+
+// Rejects the request if the book it works on has spent its budget cap.
+// `getBookId` defaults to the book a :bookId param or requireBookOwner
+// attached; requests without a book pass.
+export const requireBudget = (getBookId = req => req.book?.id) => async (req, res, next) => {
+  const bookId = getBookId(req);
+  if (!bookId) return next();
+
+  try {
+    await usageService.assertWithinBudget(bookId);
+    next();
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return sendBudgetExceeded(res, error);
+    }
+
+    console.error('Error checking book budget:', error);
+    res.status(500).json({
+      error: 'Failed to check book budget'
+    });
+  }
+};
@@ -0,0 +1,106 @@
+import axios from 'axios';
+import { readServerSentEvents } from './sse.js';
+import { defaultModelsFor } from './catalog.js';
+
+const API_URL = 'https://api.anthropic.com/v1';
+
+const DEFAULT_MODELS = defaultModelsFor('anthropic');
+
+const headersFor = (apiKey) => ({
+  'x-api-key': apiKey,
+  'anthropic-version': '2023-06-01',
+  'content-type': 'application/json'
+});
+
+// Claude has no JSON mode, so for `json` the reply is started with "{" for
+// the model to continue; generate() puts the brace back on the content
+const JSON_PREFILL = '{';
+
+const buildBody = ({ model, system, prompt, messages, maxTokens, temperature, json }) => {
+  const conversation = messages || [{ role: 'user', content: prompt }];
+  return {
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    ...(system && { system }),
+    messages: json ? [...conversation, { role: 'assistant', content: JSON_PREFILL }] : conversation
+  };
+};
+
+class AnthropicProvider {
+  constructor() {
+    this.id = 'anthropic';
+    this.name = 'Anthropic';
+  }
+
+  async validate(apiKey) {
+    try {
+      const response = await axios.get(`${API_URL}/models`, {
+        headers: headersFor(apiKey)
+      });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels() {
+    return DEFAULT_MODELS;
+  }
+
+  async generate({ apiKey, temperature = 0.7, signal, ...options }) {
+    try {
+      const response = await axios.post(`${API_URL}/messages`, buildBody({ ...options, temperature }), {
+        headers: headersFor(apiKey),
+        signal
+      });
+
+      return {
+        content: (options.json ? JSON_PREFILL : '') + response.data.content[0].text,
+        usage: {
+          inputTokens: response.data.usage?.input_tokens || 0,
+          outputTokens: response.data.usage?.output_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+  }
+
+  async *stream({ apiKey, temperature = 0.7, signal, ...options }) {
+    let response;
+    try {
+      response = await axios.post(`${API_URL}/messages`, {
+        ...buildBody({ ...options, temperature }),
+        stream: true
+      }, {
+        headers: headersFor(apiKey),
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+
+    let inputTokens = 0;
+    for await (const data of readServerSentEvents(response.data)) {
+      const event = JSON.parse(data);
+
+      if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta?.text) {
+        yield { type: 'text', text: event.delta.text };
+      } else if (event.type === 'message_delta' && event.usage) {
+        yield {
+          type: 'usage',
+          usage: { inputTokens, outputTokens: event.usage.output_tokens || 0 }
+        };
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic API error: ${event.error?.message || 'stream failed'}`);
+      }
+    }
+  }
+}
+
+export const anthropicProvider = new AnthropicProvider();
+export default anthropicProvider;
@@ -0,0 +1,235 @@
+// The one list of models the app knows about: what each can do, how much
+// context it takes and what it costs. Served to the browser by /api/catalog
+// for the model picker and cost estimates, and used here to price every call
+// in the usage ledger.
+//
+// Prices are list prices in USD: `input`/`output` per million tokens for
+// text and embedding models, `image` per image. `supports.rag` means the
+// model can be grounded in a book's local knowledge index (any text model);
+// `supports.assistants` means the book's OpenAI assistant with file search
+// can be used instead.
+//
+// `tokenizer` says how a model family counts tokens: which tiktoken encoding
+// to count with, a `scale` for families without a public tokenizer (counted
+// with cl100k_base and scaled up to stay on the safe side), and the
+// `tokensPerWord` of English prose for estimating text not yet written.
+const TOKENIZERS = {
+  o200k: { encoding: 'o200k_base', scale: 1, tokensPerWord: 1.3 },
+  cl100k: { encoding: 'cl100k_base', scale: 1, tokensPerWord: 1.35 },
+  claude: { encoding: 'cl100k_base', scale: 1.15, tokensPerWord: 1.5 },
+  generic: { encoding: 'cl100k_base', scale: 1.1, tokensPerWord: 1.45 }
+};
+
+const text = (entry) => ({
+  kind: 'text',
+  supports: { streaming: true, rag: true, assistants: false },
+  tokenizer: TOKENIZERS.generic,
+  ...entry
+});
+
+const MODELS = [
+  // OpenAI
+  text({
+    id: 'gpt-4o', provider: 'openai', name: 'GPT-4o',
+    description: 'Most capable model with RAG support',
+    contextWindow: 128000, maxOutputTokens: 16384,
+    pricing: { input: 2.5, output: 10 }, tokenizer: TOKENIZERS.o200k,
+    supports: { streaming: true, rag: true, assistants: true },
+    speed: 'Medium', costTier: 'Medium', bestFor: 'Complex content, technical writing, detailed analysis',
+    recommended: true
+  }),
+  text({
+    id: 'gpt-4o-mini', provider: 'openai', name: 'GPT-4o Mini',
+    description: 'Fast and efficient with RAG',
+    contextWindow: 128000, maxOutputTokens: 16384,
+    pricing: { input: 0.15, output: 0.6 }, tokenizer: TOKENIZERS.o200k,
+    supports: { streaming: true, rag: true, assistants: true },
+    speed: 'Fast', costTier: 'Low', bestFor: 'General content, quick drafts'
+  }),
+  text({
+    id: 'o1-preview', provider: 'openai', name: 'o1 Preview',
+    description: 'Advanced reasoning',
+    contextWindow: 128000, maxOutputTokens: 32768,
+    pricing: { input: 15, output: 60 }, tokenizer: TOKENIZERS.o200k,
+    speed: 'Slow', costTier: 'High', bestFor: 'Technical material that needs careful reasoning'
+  }),
+  text({
+    id: 'o1-mini', provider: 'openai', name: 'o1 Mini',
+    description: 'Fast reasoning',
+    contextWindow: 128000, maxOutputTokens: 65536,
+    pricing: { input: 3, output: 12 }, tokenizer: TOKENIZERS.o200k,
+    speed: 'Medium', costTier: 'Medium', bestFor: 'Code-heavy and mathematical topics'
+  }),
+  text({
+    id: 'gpt-4-turbo', provider: 'openai', name: 'GPT-4 Turbo',
+    description: 'High performance with RAG',
+    contextWindow: 128000, maxOutputTokens: 4096,
+    pricing: { input: 10, output: 30 }, tokenizer: TOKENIZERS.cl100k,
+    supports: { streaming: true, rag: true, assistants: true },
+    speed: 'Medium', costTier: 'High', bestFor: 'High-quality long-form content'
+  }),
+  text({
+    id: 'o1', provider: 'openai', name: 'o1',
+    description: 'Reasoning model',
+    contextWindow: 200000, maxOutputTokens: 100000,
+    pricing: { input: 15, output: 60 }, tokenizer: TOKENIZERS.o200k,
+    speed: 'Slow', costTier: 'High', bestFor: 'Technical material that needs careful reasoning'
+  }),
+  text({
+    id: 'gpt-4', provider: 'openai', name: 'GPT-4',
+    description: 'Legacy flagship model',
+    contextWindow: 8192, maxOutputTokens: 8192,
+    pricing: { input: 30, output: 60 }, tokenizer: TOKENIZERS.cl100k,
+    speed: 'Slow', costTier: 'High', bestFor: 'Short, high-quality passages'
+  }),
+  text({
+    id: 'gpt-3.5-turbo', provider: 'openai', name: 'GPT-3.5 Turbo',
+    description: 'Legacy fast model',
+    contextWindow: 16385, maxOutputTokens: 4096,
+    pricing: { input: 0.5, output: 1.5 }, tokenizer: TOKENIZERS.cl100k,
+    speed: 'Fast', costTier: 'Low', bestFor: 'Short, simple content'
+  }),
+
+  // Anthropic
+  text({
+    id: 'claude-3-5-sonnet-20241022', provider: 'anthropic', name: 'Claude 3.5 Sonnet',
+    description: 'Most intelligent model',
+    contextWindow: 200000, maxOutputTokens: 8192,
+    pricing: { input: 3, output: 15 }, tokenizer: TOKENIZERS.claude,
+    speed: 'Medium', costTier: 'Medium', bestFor: 'Professional long-form content, nuanced writing',
+    recommended: true
+  }),
+  text({
+    id: 'claude-3-5-haiku-20241022', provider: 'anthropic', name: 'Claude 3.5 Haiku',
+    description: 'Fast and cost-effective',
+    contextWindow: 200000, maxOutputTokens: 8192,
+    pricing: { input: 0.8, output: 4 }, tokenizer: TOKENIZERS.claude,
+    speed: 'Fast', costTier: 'Low', bestFor: 'Quick content, simple tasks'
+  }),
+  text({
+    id: 'claude-3-opus-20240229', provider: 'anthropic', name: 'Claude 3 Opus',
+    description: 'Most powerful model',
+    contextWindow: 200000, maxOutputTokens: 4096,
+    pricing: { input: 15, output: 75 }, tokenizer: TOKENIZERS.claude,
+    speed: 'Slow', costTier: 'High', bestFor: 'Long-form content, nuanced writing'
+  }),
+  text({
+    id: 'claude-3-sonnet-20240229', provider: 'anthropic', name: 'Claude 3 Sonnet',
+    description: 'Balanced performance',
+    contextWindow: 200000, maxOutputTokens: 4096,
+    pricing: { input: 3, output: 15 }, tokenizer: TOKENIZERS.claude,
+    speed: 'Medium', costTier: 'Medium', bestFor: 'Professional content, balanced quality'
+  }),
+  text({
+    id: 'claude-3-haiku-20240307', provider: 'anthropic', name: 'Claude 3 Haiku',
+    description: 'Fastest Claude 3 model',
+    contextWindow: 200000, maxOutputTokens: 4096,
+    pricing: { input: 0.25, output: 1.25 }, tokenizer: TOKENIZERS.claude,
+    speed: 'Fast', costTier: 'Low', bestFor: 'Quick content, simple tasks'
+  }),
+
+  // OpenRouter
+  text({
+    id: 'anthropic/claude-3.5-sonnet', provider: 'openrouter', name: 'Claude 3.5 Sonnet',
+    description: 'Via OpenRouter',
+    contextWindow: 200000, maxOutputTokens: 8192,
+    pricing: { input: 3, output: 15 }, tokenizer: TOKENIZERS.claude,
+    speed: 'Medium', costTier: 'Medium', bestFor: 'Professional long-form content',
+    recommended: true
+  }),
+  text({
+    id: 'google/gemini-pro-1.5', provider: 'openrouter', name: 'Gemini Pro 1.5',
+    description: 'Google\'s latest model',
+    contextWindow: 2000000, maxOutputTokens: 8192,
+    pricing: { input: 1.25, output: 5 },
+    speed: 'Medium', costTier: 'Medium', bestFor: 'Very large research sources'
+  }),
+  text({
+    id: 'meta-llama/llama-3.1-70b-instruct', provider: 'openrouter', name: 'Llama 3.1 70B',
+    description: 'Meta\'s powerful model',
+    contextWindow: 131072, maxOutputTokens: 4096,
+    pricing: { input: 0.52, output: 0.75 },
+    speed: 'Fast', costTier: 'Low', bestFor: 'Budget drafts'
+  }),
+
+  // Embeddings for the knowledge index
+  {
+    id: 'text-embedding-3-small', provider: 'openai', kind: 'embedding', name: 'Text Embedding 3 Small',
+    contextWindow: 8191, pricing: { input: 0.02, output: 0 }, tokenizer: TOKENIZERS.cl100k
+  },
+  {
+    id: 'text-embedding-3-large', provider: 'openai', kind: 'embedding', name: 'Text Embedding 3 Large',
+    contextWindow: 8191, pricing: { input: 0.13, output: 0 }, tokenizer: TOKENIZERS.cl100k
+  },
+
+  // Images
+  { id: 'dall-e-3', provider: 'openai', kind: 'image', name: 'DALL-E 3', pricing: { image: 0.04 } },
+  { id: 'stable-image-core', provider: 'stabilityai', kind: 'image', name: 'Stable Image Core', pricing: { image: 0.03 } }
+];
+
+// Models the catalog doesn't know are priced at its highest rates, so they
+// count against spend quotas and book budgets rather than slipping past them
+const highestPrice = (field) => Math.max(...MODELS.map(model => model.pricing?.[field] || 0));
+const FALLBACK_PRICING = { input: highestPrice('input'), output: highestPrice('output'), image: highestPrice('image') };
+
+const bareId = (id) => id.slice(id.indexOf('/') + 1);
+const matches = (entryId, modelId) => modelId === entryId || modelId.startsWith(`${entryId}-`);
+const longest = (entries, key) => entries.sort((a, b) => key(b).length - key(a).length)[0] || null;
+
+// Families without a dated snapshot in MODELS, so that e.g. a live
+// "claude-3-5-sonnet-20240620" or OpenRouter's "anthropic/claude-3-opus"
+// is still priced
+const FAMILY_ALIASES = [
+  ['claude-3-5-sonnet', 'claude-3-5-sonnet-20241022'],
+  ['claude-3.5-sonnet', 'claude-3-5-sonnet-20241022'],
+  ['claude-3-5-haiku', 'claude-3-5-haiku-20241022'],
+  ['claude-3.5-haiku', 'claude-3-5-haiku-20241022'],
+  ['claude-3-opus', 'claude-3-opus-20240229'],
+  ['claude-3-sonnet', 'claude-3-sonnet-20240229'],
+  ['claude-3-haiku', 'claude-3-haiku-20240307']
+];
+
+export const listModels = ({ provider, kind } = {}) => MODELS.filter(model => (
+  (!provider || model.provider === provider) && (!kind || model.kind === kind)
+));
+
+// The catalog entry for a model id as a provider reports it. Dated snapshots
+// ("gpt-4o-2024-08-06") resolve to their family, and OpenRouter ids to the
+// underlying model. Null for models the catalog doesn't know.
+export const findModel = (modelId, provider = null) => {
+  if (!modelId) return null;
+
+  const scoped = provider ? listModels({ provider }) : MODELS;
+  const direct = longest(scoped.filter(model => matches(model.id, modelId)), model => model.id);
+  if (direct) return direct;
+
+  const bare = bareId(modelId);
+  const byBareId = longest(MODELS.filter(model => matches(bareId(model.id), bare)), model => bareId(model.id));
+  if (byBareId) return byBareId;
+
+  const alias = longest(FAMILY_ALIASES.filter(([family]) => matches(family, bare)), ([family]) => family);
+  return alias ? MODELS.find(model => model.id === alias[1]) : null;
+};
+
+// How to count tokens for a model. Unknown Claude ids still count as Claude;
+// anything else unknown gets the generic, padded count.
+export const tokenizerFor = (modelId, provider = null) => (
+  findModel(modelId, provider)?.tokenizer ||
+  (/claude/.test(modelId || '') ? TOKENIZERS.claude : TOKENIZERS.generic)
+);
+
+// The provider's models in the shape providers return from listModels()
+export const defaultModelsFor = (provider) => listModels({ provider, kind: 'text' })
+  .map(({ id, name, description }) => ({ id, name, description }));
+
+// Cost of one call in USD. Unknown models are charged the fallback prices,
+// which are never lower than any catalogued model's.
+export const estimateCost = ({ model, provider = null, inputTokens = 0, outputTokens = 0, images = 0 }) => {
+  const pricing = findModel(model, provider)?.pricing || FALLBACK_PRICING;
+
+  if (images > 0) {
+    return images * (pricing.image || 0);
+  }
+
+  return (inputTokens * (pricing.input || 0) + outputTokens * (pricing.output || 0)) / 1000000;
+};
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findModel, estimateCost, listModels, tokenizerFor } from './catalog.js';
+
+test('findModel prefers the longest matching id, so dated snapshots find their model', () => {
+  assert.equal(findModel('gpt-4o').id, 'gpt-4o');
+  assert.equal(findModel('gpt-4o-mini').id, 'gpt-4o-mini');
+  assert.equal(findModel('gpt-4o-mini-2024-07-18').id, 'gpt-4o-mini');
+  assert.equal(findModel('gpt-4-turbo-2024-04-09').id, 'gpt-4-turbo');
+  assert.equal(findModel('gpt-4-0613').id, 'gpt-4');
+});
+
+test('findModel resolves provider-prefixed ids and family aliases', () => {
+  assert.equal(findModel('anthropic/claude-3.5-sonnet', 'openrouter').provider, 'openrouter');
+  assert.equal(findModel('openai/gpt-4o', 'openrouter').id, 'gpt-4o');
+  assert.equal(findModel('claude-3-5-sonnet-latest').id, 'claude-3-5-sonnet-20241022');
+  assert.equal(findModel('claude-3-haiku-20250101').id, 'claude-3-haiku-20240307');
+});
+
+test('findModel returns null for unknown or missing ids', () => {
+  assert.equal(findModel('mistral-large'), null);
+  assert.equal(findModel(''), null);
+  assert.equal(findModel(undefined), null);
+  // A prefix that only matches part of a word is not a match
+  assert.equal(findModel('gpt-4omni'), null);
+});
+
+test('estimateCost prices tokens per million and images each', () => {
+  assert.equal(estimateCost({ model: 'gpt-4o', inputTokens: 1000000, outputTokens: 500000 }), 2.5 + 5);
+  assert.equal(estimateCost({ model: 'claude-3-haiku-20240307', inputTokens: 2000, outputTokens: 1000 }), (2000 * 0.25 + 1000 * 1.25) / 1000000);
+  assert.equal(estimateCost({ model: 'dall-e-3', images: 3 }), 0.12);
+  assert.equal(estimateCost({ model: 'gpt-4o' }), 0);
+});
+
+test('unknown models are charged at least as much as any catalogued one', () => {
+  const usage = { inputTokens: 1000000, outputTokens: 1000000 };
+  const unknown = estimateCost({ model: 'some-new-model', ...usage });
+
+  for (const model of listModels({ kind: 'text' })) {
+    assert.ok(unknown >= estimateCost({ model: model.id, provider: model.provider, ...usage }), model.id);
+  }
+  assert.ok(estimateCost({ model: 'some-new-image-model', images: 1 }) >= 0.04);
+});
+
+test('tokenizerFor counts unknown Claude models as Claude', () => {
+  assert.equal(tokenizerFor('gpt-4o').encoding, 'o200k_base');
+  assert.equal(tokenizerFor('claude-4-something').scale, 1.15);
+  assert.equal(tokenizerFor('mystery-model').scale, 1.1);
+});
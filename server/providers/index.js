@@ -0,0 +1,44 @@
+import { openaiProvider } from './openai.js';
+import { anthropicProvider } from './anthropic.js';
+import { openrouterProvider } from './openrouter.js';
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are an expert content writer specializing in creating comprehensive, well-structured educational content.';
+
+export const getMaxTokens = (type) => (type === 'toc-generation' ? 2000 : 4000);
+
+// Every provider implements validate(apiKey), listModels(apiKey),
+// generate(options) and stream(options). Adding a provider means adding one
+// module next to this file and registering it below.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+  }
+
+  has(providerId) {
+    return this.providers.has(providerId);
+  }
+
+  get(providerId) {
+    const provider = this.providers.get(providerId);
+    if (!provider) {
+      throw new Error('Unsupported provider');
+    }
+    return provider;
+  }
+
+  list() {
+    return [...this.providers.values()].map(({ id, name }) => ({ id, name }));
+  }
+}
+
+export const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(openaiProvider);
+providerRegistry.register(anthropicProvider);
+providerRegistry.register(openrouterProvider);
+
+export default providerRegistry;
@@ -0,0 +1,106 @@
+import OpenAI from 'openai';
+import { defaultModelsFor } from './catalog.js';
+
+const DEFAULT_MODELS = defaultModelsFor('openai');
+
+const toMessages = ({ system, prompt, messages }) => {
+  const conversation = messages || [{ role: 'user', content: prompt }];
+  return system ? [{ role: 'system', content: system }, ...conversation] : conversation;
+};
+
+// The o1 previews reject response_format
+const supportsJsonMode = (model) => !/^o1-(preview|mini)/.test(model);
+
+class OpenAIProvider {
+  constructor() {
+    this.id = 'openai';
+    this.name = 'OpenAI';
+  }
+
+  createClient(apiKey) {
+    return new OpenAI({ apiKey });
+  }
+
+  async validate(apiKey) {
+    try {
+      await this.createClient(apiKey).models.list();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels(apiKey) {
+    try {
+      const response = await this.createClient(apiKey).models.list();
+      return response.data
+        .filter(model => model.id.includes('gpt') || model.id.includes('o1'))
+        .map(model => ({
+          id: model.id,
+          name: model.id.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+          description: `OpenAI ${model.id}`
+        }));
+    } catch (error) {
+      // Return default models if API call fails
+      return DEFAULT_MODELS;
+    }
+  }
+
+  // `json` asks for a JSON object reply where the model supports JSON mode
+  async generate({ apiKey, model, system, prompt, messages, maxTokens, temperature = 0.7, json = false, signal }) {
+    try {
+      const response = await this.createClient(apiKey).chat.completions.create({
+        model,
+        messages: toMessages({ system, prompt, messages }),
+        max_tokens: maxTokens,
+        temperature,
+        ...(json && supportsJsonMode(model) && { response_format: { type: 'json_object' } })
+      }, { signal });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw new Error(`OpenAI API error: ${error.message}`);
+    }
+  }
+
+  async *stream({ apiKey, model, system, prompt, messages, maxTokens, temperature = 0.7, signal }) {
+    let completion;
+    try {
+      completion = await this.createClient(apiKey).chat.completions.create({
+        model,
+        messages: toMessages({ system, prompt, messages }),
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+    } catch (error) {
+      throw new Error(`OpenAI API error: ${error.message}`);
+    }
+
+    for await (const chunk of completion) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        yield { type: 'text', text };
+      }
+      if (chunk.usage) {
+        yield {
+          type: 'usage',
+          usage: {
+            inputTokens: chunk.usage.prompt_tokens || 0,
+            outputTokens: chunk.usage.completion_tokens || 0
+          }
+        };
+      }
+    }
+  }
+}
+
+export const openaiProvider = new OpenAIProvider();
+export default openaiProvider;
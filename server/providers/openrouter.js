@@ -0,0 +1,116 @@
+import axios from 'axios';
+import { readServerSentEvents } from './sse.js';
+import { defaultModelsFor } from './catalog.js';
+
+const API_URL = 'https://openrouter.ai/api/v1';
+
+const DEFAULT_MODELS = defaultModelsFor('openrouter');
+
+const headersFor = (apiKey) => ({
+  'Authorization': `Bearer ${apiKey}`,
+  'HTTP-Referer': 'https://ebook-ai.com',
+  'X-Title': 'EbookAI',
+  'Content-Type': 'application/json'
+});
+
+// `json` asks for a JSON object reply; models that can't enforce it ignore it
+const buildBody = ({ model, system, prompt, messages, maxTokens, temperature, json }) => {
+  const conversation = messages || [{ role: 'user', content: prompt }];
+  return {
+    model,
+    messages: system ? [{ role: 'system', content: system }, ...conversation] : conversation,
+    max_tokens: maxTokens,
+    temperature,
+    ...(json && { response_format: { type: 'json_object' } })
+  };
+};
+
+class OpenRouterProvider {
+  constructor() {
+    this.id = 'openrouter';
+    this.name = 'OpenRouter';
+  }
+
+  async validate(apiKey) {
+    try {
+      const response = await axios.get(`${API_URL}/models`, {
+        headers: headersFor(apiKey)
+      });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels(apiKey) {
+    try {
+      const response = await axios.get(`${API_URL}/models`, {
+        headers: headersFor(apiKey)
+      });
+      return response.data.data.slice(0, 20).map(model => ({
+        id: model.id,
+        name: model.name || model.id,
+        description: model.description || `${model.id} via OpenRouter`
+      }));
+    } catch (error) {
+      return DEFAULT_MODELS;
+    }
+  }
+
+  async generate({ apiKey, temperature = 0.7, signal, ...options }) {
+    try {
+      const response = await axios.post(`${API_URL}/chat/completions`, buildBody({ ...options, temperature }), {
+        headers: headersFor(apiKey),
+        signal
+      });
+
+      return {
+        content: response.data.choices[0].message.content,
+        usage: {
+          inputTokens: response.data.usage?.prompt_tokens || 0,
+          outputTokens: response.data.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw new Error(`OpenRouter API error: ${error.message}`);
+    }
+  }
+
+  async *stream({ apiKey, temperature = 0.7, signal, ...options }) {
+    let response;
+    try {
+      response = await axios.post(`${API_URL}/chat/completions`, {
+        ...buildBody({ ...options, temperature }),
+        stream: true
+      }, {
+        headers: headersFor(apiKey),
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw new Error(`OpenRouter API error: ${error.message}`);
+    }
+
+    for await (const data of readServerSentEvents(response.data)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        yield { type: 'text', text };
+      }
+      if (chunk.usage) {
+        yield {
+          type: 'usage',
+          usage: {
+            inputTokens: chunk.usage.prompt_tokens || 0,
+            outputTokens: chunk.usage.completion_tokens || 0
+          }
+        };
+      }
+    }
+  }
+}
+
+export const openrouterProvider = new OpenRouterProvider();
+export default openrouterProvider;
@@ -0,0 +1,34 @@
+const eventData = (rawEvent) => rawEvent
+  .split('\n')
+  .filter(line => line.startsWith('data:'))
+  .map(line => line.slice(5).trimStart())
+  .join('\n');
+
+// Parses a text/event-stream body (e.g. an axios response stream) into the
+// `data:` payload of each event. One decoder spans the whole body, so a
+// multi-byte character split across network chunks comes through intact.
+export async function* readServerSentEvents(stream) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+
+  const append = (text) => {
+    buffer = (buffer + text).replace(/\r\n/g, '\n');
+  };
+
+  for await (const chunk of stream) {
+    append(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const data = eventData(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (data) yield data;
+    }
+  }
+
+  // A last event the stream ended without a blank line after
+  append(decoder.decode());
+  const data = eventData(buffer.trim());
+  if (data) yield data;
+}
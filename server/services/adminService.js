@@ -0,0 +1,268 @@
+import { getSupabase, dbHelpers } from './supabase.js';
+import { usageService } from './usageService.js';
+import { jobService, ACTIVE_JOB_STATUSES } from './jobService.js';
+
+const ACTIVE_USER_DAYS = 30;
+
+// Supabase bans are timed, so "suspended" is a ban of a hundred years
+const SUSPEND_DURATION = '876000h';
+
+const startOfMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const isSuspended = (user) => !!user.banned_until && new Date(user.banned_until) > new Date();
+
+const toUserSummary = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.user_metadata?.full_name || null,
+  role: user.app_metadata?.role || 'user',
+  status: isSuspended(user) ? 'suspended' : 'active',
+  createdAt: user.created_at,
+  lastSignInAt: user.last_sign_in_at || null
+});
+
+// Platform-wide reads and moderation actions for the admin panel. Users live
+// in Supabase Auth: single users go through its admin API, and pages of users
+// through the admin_list_users function, which can search and sort.
+// Everything else reads the same tables the app writes.
+class AdminService {
+  get auth() {
+    return getSupabase().auth.admin;
+  }
+
+  async listAuthUsers(page, perPage) {
+    const { data, error } = await this.auth.listUsers({ page, perPage });
+    if (error) throw error;
+    return data;
+  }
+
+  async getAuthUser(userId) {
+    const { data, error } = await this.auth.getUserById(userId);
+    if (error) throw error;
+    return data.user;
+  }
+
+  // Emails for a set of user ids, for labelling books and ledger entries
+  async getEmails(userIds) {
+    const emails = new Map();
+    for (const userId of new Set(userIds.filter(Boolean))) {
+      try {
+        emails.set(userId, (await this.getAuthUser(userId)).email);
+      } catch (error) {
+        emails.set(userId, null);
+      }
+    }
+    return emails;
+  }
+
+  async countBooksByStatus() {
+    const { data: rows, error } = await dbHelpers.getBookStatusCounts();
+    if (error) throw error;
+
+    const byStatus = {};
+    let total = 0;
+    for (const row of rows || []) {
+      byStatus[row.status] = Number(row.books);
+      total += Number(row.books);
+    }
+
+    return { total, byStatus };
+  }
+
+  async getStats() {
+    const [{ total: totalUsers }, books, month, recent, activeJobs, recentEvents] = await Promise.all([
+      this.listAuthUsers(1, 1),
+      this.countBooksByStatus(),
+      usageService.sumUsage({ since: startOfMonth().toISOString() }),
+      usageService.sumUsage({ since: daysAgo(ACTIVE_USER_DAYS).toISOString() }),
+      dbHelpers.getJobsByStatus(ACTIVE_JOB_STATUSES),
+      dbHelpers.getRecentUsageEvents({ limit: 10 })
+    ]);
+    if (activeJobs.error) throw activeJobs.error;
+    if (recentEvents.error) throw recentEvents.error;
+
+    const emails = await this.getEmails((recentEvents.data || []).map(event => event.user_id));
+
+    return {
+      users: {
+        total: totalUsers,
+        active: recent.users,
+        activeWindowDays: ACTIVE_USER_DAYS
+      },
+      books,
+      generations: {
+        thisMonth: month.generations,
+        tokensThisMonth: month.tokens,
+        imagesThisMonth: month.images,
+        activeJobs: (activeJobs.data || []).length
+      },
+      spend: {
+        thisMonthUsd: month.costUsd
+      },
+      recentActivity: (recentEvents.data || []).map(event => ({
+        id: event.id,
+        operation: event.operation,
+        provider: event.provider,
+        model: event.model,
+        userId: event.user_id,
+        email: emails.get(event.user_id) || null,
+        bookId: event.book_id,
+        tokens: (event.input_tokens || 0) + (event.output_tokens || 0),
+        images: event.images || 0,
+        costUsd: Number(event.cost_usd) || 0,
+        createdAt: event.created_at
+      }))
+    };
+  }
+
+  // One page of users, newest first, with their book count, plan and usage
+  // this month. `search` matches email or name.
+  async listUsers({ search = '', page = 1, perPage = 20 } = {}) {
+    const { data: rows, error } = await dbHelpers.listUsers({
+      search,
+      offset: (page - 1) * perPage,
+      limit: perPage
+    });
+    if (error) throw error;
+
+    // An empty page past the end has no row to read the total from
+    let total = Number(rows?.[0]?.total) || 0;
+    if (!rows?.length && page > 1) {
+      const { data: first, error: firstError } = await dbHelpers.listUsers({ search, offset: 0, limit: 1 });
+      if (firstError) throw firstError;
+      total = Number(first?.[0]?.total) || 0;
+    }
+
+    const summaries = (rows || []).map(toUserSummary);
+    const userIds = summaries.map(user => user.id);
+    if (userIds.length === 0) {
+      return { users: [], total, page, perPage };
+    }
+
+    const [owners, statuses] = await Promise.all([
+      dbHelpers.getBookOwners(userIds),
+      usageService.getQuotaStatuses(userIds)
+    ]);
+    if (owners.error) throw owners.error;
+
+    const bookCounts = {};
+    for (const { user_id: userId } of owners.data || []) {
+      bookCounts[userId] = (bookCounts[userId] || 0) + 1;
+    }
+
+    return {
+      users: summaries.map((user) => {
+        const { quota, usage, exceeded } = statuses.get(user.id);
+        return {
+          ...user,
+          books: bookCounts[user.id] || 0,
+          plan: quota.plan,
+          quota,
+          usage,
+          quotaExceeded: exceeded.length > 0
+        };
+      }),
+      total,
+      page,
+      perPage
+    };
+  }
+
+  // One page of books, newest first, with their owner's email
+  async listBooks({ search = '', page = 1, perPage = 20 } = {}) {
+    const { data: books, error, count } = await dbHelpers.listBooks({
+      search,
+      offset: (page - 1) * perPage,
+      limit: perPage
+    });
+    if (error) throw error;
+
+    const emails = await this.getEmails((books || []).map(book => book.user_id));
+
+    return {
+      books: (books || []).map(book => ({
+        id: book.id,
+        title: book.title,
+        status: book.status,
+        userId: book.user_id,
+        author: emails.get(book.user_id) || null,
+        createdAt: book.created_at,
+        updatedAt: book.updated_at
+      })),
+      total: count || 0,
+      page,
+      perPage
+    };
+  }
+
+  // Suspending also cancels the user's active generation jobs, which would
+  // otherwise keep spending on their behalf
+  async setSuspended(userId, suspended) {
+    const { data, error } = await this.auth.updateUserById(userId, {
+      ban_duration: suspended ? SUSPEND_DURATION : 'none'
+    });
+    if (error) throw error;
+
+    if (suspended) {
+      await this.cancelActiveJobs(userId);
+    }
+    return toUserSummary(data.user);
+  }
+
+  async cancelActiveJobs(userId) {
+    const { data: jobs, error } = await dbHelpers.getUserJobsByStatus(userId, ACTIVE_JOB_STATUSES);
+    if (error) throw error;
+
+    for (const job of jobs || []) {
+      try {
+        await jobService.cancel(job.id);
+      } catch (cancelError) {
+        // The job may have finished since it was read
+        console.error(`Failed to cancel job ${job.id} of suspended user ${userId}:`, cancelError.message);
+      }
+    }
+  }
+
+  // The book's generation jobs and its ledger entries, newest first, with
+  // lifetime totals
+  async getBookHistory(bookId) {
+    const { data: book, error } = await dbHelpers.getBook(bookId);
+    if (error) throw error;
+    if (!book) return null;
+
+    const [jobs, events, totals] = await Promise.all([
+      dbHelpers.getJobsForBook(bookId),
+      dbHelpers.getRecentUsageEvents({ bookId, limit: 100 }),
+      usageService.sumUsage({ bookId })
+    ]);
+    if (jobs.error) throw jobs.error;
+    if (events.error) throw events.error;
+
+    return {
+      book: { id: book.id, title: book.title, status: book.status, userId: book.user_id },
+      jobs: (jobs.data || []).map(job => jobService.summarize(job)),
+      usage: (events.data || []).map(event => ({
+        id: event.id,
+        operation: event.operation,
+        provider: event.provider,
+        model: event.model,
+        inputTokens: event.input_tokens || 0,
+        outputTokens: event.output_tokens || 0,
+        images: event.images || 0,
+        latencyMs: event.latency_ms,
+        costUsd: Number(event.cost_usd) || 0,
+        jobId: event.job_id,
+        createdAt: event.created_at
+      })),
+      totals
+    };
+  }
+}
+
+export const adminService = new AdminService();
+export default adminService;
@@ -0,0 +1,68 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { adminService } from './adminService.js';
+import { jobService } from './jobService.js';
+import { dbHelpers, getSupabase } from './supabase.js';
+
+before(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://supabase.invalid';
+  process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'service-role-key';
+  // supabase-js wants a WebSocket for realtime even though nothing here
+  // connects; Node 20 has none built in
+  globalThis.WebSocket = globalThis.WebSocket || class {};
+});
+
+test('books are counted per status in the database', async (t) => {
+  t.mock.method(dbHelpers, 'getBookStatusCounts', async () => ({
+    data: [{ status: 'draft', books: '3' }, { status: 'published', books: 2 }],
+    error: null
+  }));
+
+  assert.deepEqual(await adminService.countBooksByStatus(), { total: 5, byStatus: { draft: 3, published: 2 } });
+});
+
+test('a page of users comes with book counts and quota status in a fixed number of queries', async (t) => {
+  const listUsers = t.mock.method(dbHelpers, 'listUsers', async () => ({
+    data: [
+      { id: 'user-2', email: 'new@example.com', user_metadata: { full_name: 'New' }, app_metadata: {}, created_at: '2026-10-02', total: 7 },
+      { id: 'user-1', email: 'old@example.com', user_metadata: {}, app_metadata: { role: 'admin' }, banned_until: '2999-01-01', created_at: '2026-10-01', total: 7 }
+    ],
+    error: null
+  }));
+  t.mock.method(dbHelpers, 'getBookOwners', async () => ({ data: [{ user_id: 'user-1' }, { user_id: 'user-1' }], error: null }));
+  t.mock.method(dbHelpers, 'getUsageQuotas', async () => ({ data: [{ user_id: 'user-1', plan: 'pro' }], error: null }));
+  const totals = t.mock.method(dbHelpers, 'getUsageTotalsByUser', async () => ({
+    data: [{ user_id: 'user-2', input_tokens: 600000, output_tokens: 0 }],
+    error: null
+  }));
+
+  const result = await adminService.listUsers({ search: 'example', page: 2, perPage: 2 });
+
+  assert.deepEqual(listUsers.mock.calls[0].arguments[0], { search: 'example', offset: 2, limit: 2 });
+  assert.equal(totals.mock.callCount(), 1);
+  assert.equal(result.total, 7);
+  assert.deepEqual(result.users.map(user => [user.id, user.status, user.role, user.books, user.plan, user.quotaExceeded]), [
+    ['user-2', 'active', 'user', 0, 'free', true],
+    ['user-1', 'suspended', 'admin', 2, 'pro', false]
+  ]);
+});
+
+test('suspending a user cancels their active jobs', async (t) => {
+  t.mock.method(getSupabase().auth.admin, 'updateUserById', async (userId, { ban_duration: banDuration }) => ({
+    data: { user: { id: userId, email: 'someone@example.com', banned_until: banDuration === 'none' ? null : '2999-01-01' } },
+    error: null
+  }));
+  const jobs = t.mock.method(dbHelpers, 'getUserJobsByStatus', async () => ({ data: [{ id: 'job-1' }, { id: 'job-2' }], error: null }));
+  const cancel = t.mock.method(jobService, 'cancel', async (jobId) => {
+    if (jobId === 'job-1') throw new Error('Cannot cancel a completed job');
+    return { id: jobId, status: 'cancelled' };
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const user = await adminService.setSuspended('user-1', true);
+  assert.equal(user.status, 'suspended');
+  assert.deepEqual(cancel.mock.calls.map(call => call.arguments[0]), ['job-1', 'job-2']);
+
+  await adminService.setSuspended('user-1', false);
+  assert.equal(jobs.mock.callCount(), 1);
+});
@@ -0,0 +1,146 @@
+import { providerRegistry } from '../providers/index.js';
+import { dbHelpers } from './supabase.js';
+import { usageService } from './usageService.js';
+import { tokenCounter } from './tokenCounter.js';
+import { parseJsonReply } from './jsonReply.js';
+import { htmlToText } from './htmlText.js';
+
+// How much of a written topic the summarizer reads, and how long its reply
+// may be
+const SOURCE_TOKENS = 6000;
+const SUMMARY_MAX_TOKENS = 500;
+
+// The memory injected into a prompt is kept under this many tokens by
+// dropping the oldest summaries; defined terms are kept longest
+const MEMORY_TOKENS = 1500;
+const MAX_CONCEPTS = 8;
+const MAX_TERMS = 8;
+const MAX_MEMORY_TERMS = 40;
+
+const NO_MEMORY = 'Nothing yet; this is the first topic written.';
+
+const SUMMARY_SYSTEM_PROMPT = 'You are an editor keeping notes on a book as it is written, so that later sections build on earlier ones.';
+
+const summaryPrompt = (topic, text) => `Take notes on this section of the book, titled "${topic.title}".
+
+Respond with JSON only, without commentary or code fences, in exactly this shape:
+{"summary": "What the section covers, in at most 60 words", "concepts": ["A concept the section introduces"], "terms": [{"term": "A term the section defines", "definition": "Its definition in one sentence"}]}
+
+List at most ${MAX_CONCEPTS} concepts and ${MAX_TERMS} terms, including only what the section itself introduces or defines, and its worked examples as concepts.
+
+Section:
+${text}`;
+
+// A rolling memory of what a book has covered so far, so that each topic
+// builds on the ones before it instead of re-introducing their concepts.
+// Each written topic keeps its own notes (`memory` on the topic row:
+// { summary, concepts, terms, updated_at }); the memory for a topic is the
+// notes of every topic before it in reading order.
+class BookMemory {
+  // The notes from a summarizer reply, trimmed to their limits
+  normalize(value) {
+    const text = (field) => (typeof field === 'string' ? field.trim() : '');
+    const list = (field) => (Array.isArray(field) ? field : []);
+
+    return {
+      summary: text(value?.summary).slice(0, 600),
+      concepts: list(value?.concepts).map(text).filter(Boolean).slice(0, MAX_CONCEPTS),
+      terms: list(value?.terms)
+        .map(entry => ({ term: text(entry?.term), definition: text(entry?.definition) }))
+        .filter(entry => entry.term && entry.definition)
+        .slice(0, MAX_TERMS)
+    };
+  }
+
+  // Summarizes a written topic with the book's model and saves the notes on
+  // the topic. Calls are metered under `meter` like the generation itself.
+  async remember({ provider, model, apiKey, topic, content, signal, meter = {} }) {
+    const text = tokenCounter.truncate(htmlToText(content), SOURCE_TOKENS, model, provider);
+    if (!text) return null;
+
+    const { content: reply } = await usageService.track({ ...meter, operation: 'topic-memory', provider, model }, () => (
+      providerRegistry.get(provider).generate({
+        apiKey,
+        model,
+        system: SUMMARY_SYSTEM_PROMPT,
+        prompt: summaryPrompt(topic, text),
+        maxTokens: SUMMARY_MAX_TOKENS,
+        temperature: 0.2,
+        json: true,
+        signal
+      })
+    ));
+
+    const memory = { ...this.normalize(parseJsonReply(reply).value), updated_at: new Date().toISOString() };
+
+    const { error } = await dbHelpers.updateTopic(topic.id, { memory });
+    if (error) throw error;
+
+    return memory;
+  }
+
+  // One of the book's topics with its content, or null if it is not in the book
+  async findTopic(bookId, topicId) {
+    const { data: book, error } = await dbHelpers.getBookWithTopics(bookId);
+    if (error) throw error;
+
+    return (book?.chapters || [])
+      .flatMap(chapter => chapter.topics || [])
+      .find(topic => topic.id === topicId) || null;
+  }
+
+  // Topics in reading order, each with its chapter's title
+  async readingOrder(bookId) {
+    const { data: chapters, error } = await dbHelpers.getBookMemory(bookId);
+    if (error) throw error;
+
+    const byOrder = (a, b) => (a.order_index ?? 0) - (b.order_index ?? 0);
+    return [...(chapters || [])].sort(byOrder).flatMap(chapter => (
+      [...(chapter.topics || [])].sort(byOrder).map(topic => ({ ...topic, chapterTitle: chapter.title }))
+    ));
+  }
+
+  // The memory to give the prompt for `topicId`: the defined terms and the
+  // most recent summaries of the topics before it, within MEMORY_TOKENS for
+  // the model. Says so when nothing before it has been written.
+  async forTopic(bookId, topicId, { model, provider = null } = {}) {
+    const topics = await this.readingOrder(bookId);
+    const index = topics.findIndex(topic => topic.id === topicId);
+    const earlier = (index === -1 ? topics : topics.slice(0, index)).filter(topic => topic.memory?.summary);
+    if (earlier.length === 0) return NO_MEMORY;
+
+    // Later definitions of a term win, and the most recent terms are kept
+    const terms = new Map();
+    for (const topic of earlier) {
+      for (const { term, definition } of topic.memory.terms || []) {
+        terms.delete(term.toLowerCase());
+        terms.set(term.toLowerCase(), `${term}: ${definition}`);
+      }
+    }
+    const termLines = [...terms.values()].slice(-MAX_MEMORY_TERMS).map(line => `- ${line}`);
+
+    const summaryLines = earlier.map(topic => {
+      const concepts = topic.memory.concepts?.length ? ` Introduced: ${topic.memory.concepts.join(', ')}.` : '';
+      return `- ${topic.chapterTitle} › ${topic.title}: ${topic.memory.summary}${concepts}`;
+    });
+
+    const render = (summaries) => [
+      termLines.length > 0 && `Terms already defined:\n${termLines.join('\n')}`,
+      summaries.length > 0 && `Topics already written, in order:\n${summaries.join('\n')}`
+    ].filter(Boolean).join('\n\n');
+
+    // Keep the newest summaries that fit beside the terms
+    let remaining = MEMORY_TOKENS - tokenCounter.count(render([]), model, provider) - 10;
+    let first = summaryLines.length;
+    while (first > 0) {
+      const cost = tokenCounter.count(summaryLines[first - 1], model, provider) + 1;
+      if (cost > remaining) break;
+      remaining -= cost;
+      first--;
+    }
+    return render(summaryLines.slice(first));
+  }
+}
+
+export const bookMemory = new BookMemory();
+export default bookMemory;
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bookMemory } from './bookMemory.js';
+import { tokenCounter } from './tokenCounter.js';
+import { dbHelpers } from './supabase.js';
+
+const memory = (summary, concepts = [], terms = []) => ({ summary, concepts, terms });
+
+// Chapters come back from the database in any order
+const stubBook = (t, chapters) => t.mock.method(dbHelpers, 'getBookMemory', async () => ({ data: chapters, error: null }));
+
+test('normalize trims the notes and drops what is unusable or over the limits', () => {
+  const notes = bookMemory.normalize({
+    summary: `  ${'x'.repeat(700)}  `,
+    concepts: [' Osmosis ', '', 42, ...Array.from({ length: 10 }, (_, i) => `C${i}`)],
+    terms: [{ term: 'Cell', definition: ' The unit of life. ' }, { term: 'Orphan' }, 'nonsense']
+  });
+
+  assert.equal(notes.summary.length, 600);
+  assert.deepEqual(notes.concepts, ['Osmosis', 'C0', 'C1', 'C2', 'C3', 'C4', 'C5', 'C6']);
+  assert.deepEqual(notes.terms, [{ term: 'Cell', definition: 'The unit of life.' }]);
+  assert.deepEqual(bookMemory.normalize(null), { summary: '', concepts: [], terms: [] });
+});
+
+test('a topic sees the notes of the topics before it in reading order', async (t) => {
+  stubBook(t, [
+    { title: 'Two', order_index: 1, topics: [{ id: 't3', title: 'Energy', order_index: 0, memory: memory('ATP powers cells.') }] },
+    {
+      title: 'One',
+      order_index: 0,
+      topics: [
+        { id: 't2', title: 'Organelles', order_index: 1, memory: memory('Mitochondria and ribosomes.', ['Mitochondria'], [{ term: 'Cell', definition: 'A membrane-bound unit.' }]) },
+        { id: 't1', title: 'Cells', order_index: 0, memory: memory('What cells are.', [], [{ term: 'cell', definition: 'The unit of life.' }]) }
+      ]
+    }
+  ]);
+
+  const text = await bookMemory.forTopic('book-1', 't3', { model: 'gpt-4o' });
+  assert.equal(text, [
+    'Terms already defined:',
+    '- Cell: A membrane-bound unit.',
+    '',
+    'Topics already written, in order:',
+    '- One › Cells: What cells are.',
+    '- One › Organelles: Mitochondria and ribosomes. Introduced: Mitochondria.'
+  ].join('\n'));
+
+  assert.equal(await bookMemory.forTopic('book-1', 't1', { model: 'gpt-4o' }), 'Nothing yet; this is the first topic written.');
+});
+
+test('the oldest summaries are dropped to stay within the memory budget', async (t) => {
+  const long = 'The chapter walks through a long worked example of cellular respiration step by step. '.repeat(12);
+  stubBook(t, [{
+    title: 'One',
+    order_index: 0,
+    topics: [
+      ...Array.from({ length: 10 }, (_, i) => ({ id: `t${i}`, title: `Topic ${i}`, order_index: i, memory: memory(long) })),
+      { id: 'next', title: 'Next', order_index: 10, memory: null }
+    ]
+  }]);
+
+  const text = await bookMemory.forTopic('book-1', 'next', { model: 'gpt-4o' });
+  assert.ok(tokenCounter.count(text, 'gpt-4o') <= 1500);
+  assert.ok(text.includes('Topic 9:'));
+  assert.ok(!text.includes('Topic 0:'));
+});
@@ -0,0 +1,96 @@
+const DEFAULT_MAX_CHARS = 2000;
+const DEFAULT_OVERLAP_CHARS = 200;
+
+const splitSentences = (text) => text.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [text];
+
+// Breaks a block that is longer than maxChars at sentence boundaries, falling
+// back to hard cuts for run-on text without punctuation
+const splitLongBlock = (block, maxChars) => {
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of splitSentences(block)) {
+    if (sentence.length > maxChars) {
+      if (current) pieces.push(current.trim());
+      current = '';
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars).trim());
+      }
+    } else if ((current + sentence).length > maxChars) {
+      pieces.push(current.trim());
+      current = sentence;
+    } else {
+      current += sentence;
+    }
+  }
+
+  if (current.trim()) pieces.push(current.trim());
+  return pieces.filter(Boolean);
+};
+
+// Tail of a chunk, starting on a word boundary, repeated at the start of the
+// next chunk so retrieval doesn't lose sentences that straddle a cut
+const overlapTail = (text, overlapChars) => {
+  if (!overlapChars || text.length <= overlapChars) return '';
+  const tail = text.slice(-overlapChars);
+  const firstSpace = tail.indexOf(' ');
+  return firstSpace === -1 ? tail : tail.slice(firstSpace + 1);
+};
+
+// Splits text into retrieval-sized chunks, packing whole paragraphs together
+// where possible. Returns [{ index, text }].
+export const chunkText = (text, options) => chunkSegments([{ text }], options);
+
+// Same packing for a document that arrives as ordered segments carrying
+// provenance ({ text, page, section }). Each chunk reports the pages it spans
+// and the section it starts in: [{ index, text, pageStart, pageEnd, section }].
+export const chunkSegments = (segments, { maxChars = DEFAULT_MAX_CHARS, overlapChars = DEFAULT_OVERLAP_CHARS } = {}) => {
+  const blocks = (segments || []).flatMap(({ text, page = null, section = null }) => (text || '')
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(block => block.length > maxChars ? splitLongBlock(block, maxChars) : [block])
+    .map(block => ({ text: block, page, section })));
+
+  const chunks = [];
+  let current = null;
+
+  const startChunk = (block, carried = null) => {
+    const tail = carried ? overlapTail(carried.text, overlapChars) : '';
+    const withTail = tail && (tail.length + block.text.length + 1) <= maxChars;
+    return {
+      text: withTail ? `${tail} ${block.text}` : block.text,
+      pageStart: withTail && carried.pageEnd !== null ? carried.pageEnd : block.page,
+      pageEnd: block.page,
+      section: block.section
+    };
+  };
+
+  for (const block of blocks) {
+    if (!current) {
+      current = startChunk(block);
+    } else if ((current.text.length + block.text.length + 1) > maxChars) {
+      chunks.push(current);
+      current = startChunk(block, current);
+    } else {
+      current.text = `${current.text}\n${block.text}`;
+      if (block.page !== null) {
+        current.pageStart = current.pageStart ?? block.page;
+        current.pageEnd = block.page;
+      }
+      current.section = current.section ?? block.section;
+    }
+  }
+
+  if (current) chunks.push(current);
+
+  return chunks.map(({ text, pageStart, pageEnd, section }, index) => ({
+    index,
+    text,
+    ...(pageStart !== null && { pageStart, pageEnd }),
+    ...(section && { section })
+  }));
+};
+
+export default chunkText;
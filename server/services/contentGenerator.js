@@ -0,0 +1,88 @@
+import { providerRegistry, DEFAULT_SYSTEM_PROMPT, getMaxTokens } from '../providers/index.js';
+import { knowledgeIndex } from './knowledgeIndex.js';
+import { resolveEmbedder } from './embeddings.js';
+import { usageService } from './usageService.js';
+import { tokenCounter } from './tokenCounter.js';
+import { promptTemplates, bookVariables, topicVariables } from './promptTemplates.js';
+import { bookMemory } from './bookMemory.js';
+import { topicPipeline } from './topicPipeline.js';
+
+// Server-side topic generation, shared by the job runner and any route that
+// generates a topic without a client-built prompt
+class ContentGenerator {
+  // The topic prompt from the book's 'topic-content' template, with what the
+  // topics before it covered, and which version of the template it came from.
+  // `templateVersion` picks a version other than the one in use.
+  async buildTopicPrompt(topic, book, { model, provider, templateVersion = null } = {}) {
+    return promptTemplates.renderFor(book.id, 'topic-content', {
+      ...bookVariables(book),
+      ...topicVariables(topic),
+      book_memory: await bookMemory.forTopic(book.id, topic.id, { model, provider })
+    }, templateVersion);
+  }
+
+  // `meter` ({ userId, bookId, jobId }) attributes the calls in the usage
+  // ledger. Throws a ContextOverflowError, without calling the provider, if
+  // the topic prompt alone does not fit the model; research excerpts are
+  // added only as far as they fit. Books with the 'multi-pass' pipeline are
+  // written by topicPipeline, which reports its stages to `onStage`, unless
+  // `pipeline` says otherwise. `temperature`, `templateVersion` and
+  // `operation` (the ledger name) apply to single completions.
+  // Resolves to { content, template, pipeline, usage }, where pipeline is the
+  // multi-pass run's artifacts (null for a single completion) and usage the
+  // single completion's token counts.
+  async generateTopicContent({
+    provider, model, apiKey, book, topic, signal, meter = {}, onStage,
+    pipeline = book.generation_pipeline, temperature, templateVersion = null, operation = 'topic-generation'
+  }) {
+    const { prompt: basePrompt, template } = await this.buildTopicPrompt(topic, book, { model, provider, templateVersion });
+    const fit = tokenCounter.assertFits({
+      model,
+      provider,
+      system: DEFAULT_SYSTEM_PROMPT,
+      prompt: basePrompt,
+      maxTokens: getMaxTokens('content-generation')
+    });
+
+    const { prompt } = await knowledgeIndex.retrieveForPrompt(book.id, basePrompt, {
+      query: `${topic.title}. ${topic.objectives || ''}`,
+      embedder: provider === 'openai'
+        ? resolveEmbedder({ openaiApiKey: apiKey, onUsage: usageService.embeddingRecorder(meter) })
+        : null,
+      tokenBudget: tokenCounter.retrievalBudget(fit, model, provider)
+    });
+
+    if (pipeline === 'multi-pass') {
+      const { content, artifacts } = await topicPipeline.run({
+        provider,
+        model,
+        apiKey,
+        book,
+        topic,
+        brief: basePrompt,
+        research: prompt,
+        signal,
+        meter,
+        onStage
+      });
+      return { content, template, pipeline: artifacts, usage: null };
+    }
+
+    const { content, usage } = await usageService.track({ ...meter, operation, provider, model }, () => (
+      providerRegistry.get(provider).generate({
+        apiKey,
+        model,
+        prompt,
+        system: DEFAULT_SYSTEM_PROMPT,
+        maxTokens: fit.outputTokens,
+        temperature,
+        signal
+      })
+    ));
+
+    return { content, template, pipeline: null, usage };
+  }
+}
+
+export const contentGenerator = new ContentGenerator();
+export default contentGenerator;
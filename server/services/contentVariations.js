@@ -0,0 +1,250 @@
+import { providerRegistry } from '../providers/index.js';
+import { estimateCost } from '../providers/catalog.js';
+import { dbHelpers } from './supabase.js';
+import { contentGenerator } from './contentGenerator.js';
+import { promptTemplates } from './promptTemplates.js';
+import { htmlToText } from './htmlText.js';
+
+const LABELS = ['A', 'B', 'C', 'D'];
+const MIN_VARIATIONS = 2;
+const MAX_VARIATIONS = LABELS.length;
+const PAGE_SIZE = 1000;
+
+// Anthropic takes temperatures up to 1, the others up to 2
+const MAX_TEMPERATURE = { anthropic: 1 };
+const DEFAULT_MAX_TEMPERATURE = 2;
+
+export class VariationError extends Error {
+  constructor(message, status = 400, code = 'INVALID_VARIATIONS') {
+    super(message);
+    this.name = 'VariationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Ideal sentences run 15-20 words
+const readabilityScore = (text) => {
+  const sentences = text.split(/[.!?]+/).filter(sentence => sentence.trim()).length || 1;
+  const wordsPerSentence = text.split(/\s+/).filter(Boolean).length / sentences;
+
+  if (wordsPerSentence >= 15 && wordsPerSentence <= 20) return 90;
+  if (wordsPerSentence >= 10 && wordsPerSentence <= 25) return 75;
+  return 60;
+};
+
+const structureScore = (html) => {
+  let score = 50;
+  if (/<h2[\s>]/i.test(html)) score += 15;
+  if (/<h3[\s>]/i.test(html)) score += 15;
+  if (/<(ul|ol)[\s>]/i.test(html)) score += 10;
+  if (/<blockquote[\s>]/i.test(html)) score += 10;
+  return Math.min(score, 100);
+};
+
+// Win rates of each model or template, best first
+const rank = (groups) => [...groups.values()]
+  .map(group => ({ ...group, winRate: group.offered ? round(group.wins / group.offered, 3) : 0 }))
+  .sort((a, b) => b.winRate - a.winRate || b.offered - a.offered);
+
+// A/B tests of a topic: the same topic written side by side with different
+// models, providers, temperatures or 'topic-content' template versions. Each
+// test keeps its variations, their metrics and the one the user picked, and
+// the picks add up to win rates by model and by template.
+class ContentVariationService {
+  // Each variant is { provider, model, temperature?, templateVersion? }, where
+  // templateVersion is a book version number, 'default', or null for the
+  // template in use
+  validate(variants) {
+    if (!Array.isArray(variants) || variants.length < MIN_VARIATIONS || variants.length > MAX_VARIATIONS) {
+      throw new VariationError(`Compare ${MIN_VARIATIONS} to ${MAX_VARIATIONS} variations`);
+    }
+
+    variants.forEach((variant, index) => {
+      const label = `Variation ${LABELS[index]}`;
+      const { provider, model, temperature, templateVersion } = variant || {};
+
+      if (!providerRegistry.has(provider)) {
+        throw new VariationError(`${label}: unsupported provider`);
+      }
+      if (typeof model !== 'string' || !model.trim()) {
+        throw new VariationError(`${label}: choose a model`);
+      }
+
+      const maxTemperature = MAX_TEMPERATURE[provider] ?? DEFAULT_MAX_TEMPERATURE;
+      if (temperature !== null && temperature !== undefined &&
+        (typeof temperature !== 'number' || temperature < 0 || temperature > maxTemperature)) {
+        throw new VariationError(`${label}: temperature must be between 0 and ${maxTemperature}`);
+      }
+      if (templateVersion !== null && templateVersion !== undefined && templateVersion !== 'default' &&
+        !(Number.isInteger(templateVersion) && templateVersion > 0)) {
+        throw new VariationError(`${label}: unknown template version`);
+      }
+    });
+  }
+
+  // Throws a PromptTemplateError if a variant names a template version the
+  // book does not have
+  async checkTemplates(bookId, variants) {
+    const versions = new Set(variants.map(variant => variant.templateVersion ?? null));
+    await Promise.all([...versions].map(version => promptTemplates.getVersion(bookId, 'topic-content', version)));
+  }
+
+  // Scores for comparing variations. The scores are out of 100.
+  analyze(html, { latencyMs = null, usage = null, provider, model } = {}) {
+    const text = htmlToText(html);
+    const readability = readabilityScore(text);
+    const structure = structureScore(html);
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    return {
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      readabilityScore: readability,
+      structureScore: structure,
+      overallScore: round((readability + structure) / 2),
+      latencyMs,
+      inputTokens,
+      outputTokens,
+      costUsd: round(estimateCost({ model, provider, inputTokens, outputTokens }), 6)
+    };
+  }
+
+  // Writes every variation of the topic at once and saves the test.
+  // `apiKeys` maps each provider used to the user's key. Each variation is
+  // passed to `onVariation` when it finishes; one that fails keeps its error
+  // and the others carry on, but if all of them fail the first error is
+  // thrown and nothing is saved.
+  async run({ book, topic, variants, apiKeys, userId, signal, meter = {}, onVariation }) {
+    this.validate(variants);
+
+    const failures = [];
+    const variations = await Promise.all(variants.map(async (variant, index) => {
+      const { provider, model, temperature = null, templateVersion = null } = variant;
+      const variation = { id: LABELS[index], provider, model, temperature, templateVersion, template: null, content: null, metrics: null, error: null };
+      const startedAt = Date.now();
+
+      try {
+        const { content, template, usage } = await contentGenerator.generateTopicContent({
+          provider,
+          model,
+          apiKey: apiKeys[provider],
+          book,
+          topic,
+          signal,
+          meter,
+          pipeline: 'single',
+          temperature: temperature ?? undefined,
+          templateVersion,
+          operation: 'ab-variation'
+        });
+
+        variation.template = template;
+        variation.content = content;
+        variation.metrics = this.analyze(content, { latencyMs: Date.now() - startedAt, usage, provider, model });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error(`Variation ${variation.id} of topic ${topic.id} failed:`, error.message);
+        failures.push(error);
+        variation.error = error.message || 'Generation failed';
+      }
+
+      onVariation?.(variation);
+      return variation;
+    }));
+
+    if (failures.length === variations.length) throw failures[0];
+
+    const { data, error } = await dbHelpers.createVariationTest({
+      book_id: book.id,
+      topic_id: topic.id,
+      user_id: userId,
+      variations,
+      winner_id: null,
+      created_at: new Date().toISOString(),
+      decided_at: null
+    });
+    if (error) throw error;
+
+    return data;
+  }
+
+  // A topic's tests, newest first
+  async listForTopic(bookId, topicId) {
+    const { data, error } = await dbHelpers.getVariationTests({ bookId, topicId }, { limit: 50 });
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  // Records the user's pick. A test's pick can be changed later.
+  async choose(bookId, testId, variationId) {
+    const { data: test, error } = await dbHelpers.getVariationTest(testId);
+    if (error) throw error;
+    if (!test || test.book_id !== bookId) {
+      throw new VariationError('A/B test not found', 404, 'TEST_NOT_FOUND');
+    }
+
+    const variation = test.variations.find(entry => entry.id === variationId);
+    if (!variation?.content) {
+      throw new VariationError(`Variation ${variationId} has no content to pick`);
+    }
+
+    const { data, error: updateError } = await dbHelpers.updateVariationTest(testId, {
+      winner_id: variationId,
+      decided_at: new Date().toISOString()
+    });
+    if (updateError) throw updateError;
+
+    return data;
+  }
+
+  // Win rates over a user's decided tests, optionally in one book: how often
+  // each model and each template version was picked when it was offered.
+  // Book template versions are numbered per book, so each book's versions are
+  // counted apart and carry its `bookId`; the default template is shared.
+  async stats({ userId, bookId = null }) {
+    const models = new Map();
+    const templates = new Map();
+    let tests = 0;
+
+    const tally = (groups, key, fields, won) => {
+      const group = groups.get(key) || { ...fields, offered: 0, wins: 0 };
+      group.offered += 1;
+      if (won) group.wins += 1;
+      groups.set(key, group);
+    };
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data: rows, error } = await dbHelpers.getVariationTests({ userId, bookId, decided: true }, { offset, limit: PAGE_SIZE });
+      if (error) throw error;
+
+      for (const test of rows || []) {
+        tests += 1;
+        for (const variation of test.variations || []) {
+          if (!variation.content) continue;
+
+          const won = variation.id === test.winner_id;
+          tally(models, `${variation.provider}/${variation.model}`, { provider: variation.provider, model: variation.model }, won);
+          if (variation.template) {
+            const { source, version } = variation.template;
+            if (source === 'book') {
+              tally(templates, `${test.book_id}:${source}:${version}`, { source, version, bookId: test.book_id }, won);
+            } else {
+              tally(templates, `${source}:${version}`, { source, version }, won);
+            }
+          }
+        }
+      }
+
+      if (!rows || rows.length < PAGE_SIZE) break;
+    }
+
+    return { tests, models: rank(models), templates: rank(templates) };
+  }
+}
+
+export const contentVariations = new ContentVariationService();
+export default contentVariations;
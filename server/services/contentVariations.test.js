@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentVariations, VariationError } from './contentVariations.js';
+import { dbHelpers } from './supabase.js';
+
+const variant = (fields) => ({ provider: 'openai', model: 'gpt-4o-mini', ...fields });
+
+const rejects = (variants, message) => assert.throws(() => contentVariations.validate(variants), (error) => {
+  assert.ok(error instanceof VariationError);
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'INVALID_VARIATIONS');
+  assert.equal(error.message, message);
+  return true;
+});
+
+test('validate accepts two to four variations of providers, temperatures and templates', () => {
+  assert.doesNotThrow(() => contentVariations.validate([
+    variant({ temperature: 0 }),
+    variant({ provider: 'anthropic', model: 'claude-3-5-haiku-latest', temperature: 1 }),
+    variant({ templateVersion: 'default' }),
+    variant({ templateVersion: 3, temperature: null })
+  ]));
+});
+
+test('validate names the variation at fault', () => {
+  rejects([variant()], 'Compare 2 to 4 variations');
+  rejects(Array(5).fill(variant()), 'Compare 2 to 4 variations');
+  rejects('openai', 'Compare 2 to 4 variations');
+  rejects([variant(), variant({ provider: 'cohere' })], 'Variation B: unsupported provider');
+  rejects([variant({ model: ' ' }), variant()], 'Variation A: choose a model');
+  rejects([variant(), variant({ temperature: 2.5 })], 'Variation B: temperature must be between 0 and 2');
+  rejects([variant(), variant({ provider: 'anthropic', temperature: 1.5 })], 'Variation B: temperature must be between 0 and 1');
+  rejects([variant(), variant({ temperature: '0.7' })], 'Variation B: temperature must be between 0 and 2');
+  rejects([variant(), variant({ templateVersion: 0 })], 'Variation B: unknown template version');
+  rejects([variant(), variant({ templateVersion: 'latest' })], 'Variation B: unknown template version');
+});
+
+test('analyze scores readability and structure and prices the call', () => {
+  const sentence = 'Cells are the basic units of life and every living thing is made of at least one of them. ';
+  const html = `<h2>Cells</h2><p>${sentence.repeat(2)}</p><ul><li>Plants</li></ul>`;
+
+  assert.deepEqual(
+    contentVariations.analyze(html, { latencyMs: 1200, usage: { inputTokens: 1000, outputTokens: 2000 }, provider: 'openai', model: 'gpt-4o-mini' }),
+    { wordCount: 40, readabilityScore: 75, structureScore: 75, overallScore: 75, latencyMs: 1200, inputTokens: 1000, outputTokens: 2000, costUsd: 0.00135 }
+  );
+  assert.deepEqual(
+    contentVariations.analyze('<p>Short. Text.</p>'),
+    { wordCount: 2, readabilityScore: 60, structureScore: 50, overallScore: 55, latencyMs: null, inputTokens: 0, outputTokens: 0, costUsd: 0 }
+  );
+});
+
+const decided = (bookId, winnerId, variations) => ({ book_id: bookId, winner_id: winnerId, variations });
+const offered = (id, model, template) => ({ id, provider: 'openai', model, template, content: '<p>Text</p>' });
+
+test('stats add up win rates by model and template, keeping book templates per book', async (t) => {
+  const getVariationTests = t.mock.method(dbHelpers, 'getVariationTests', async () => ({
+    data: [
+      decided('book-1', 'A', [
+        offered('A', 'gpt-4o', { source: 'book', version: 2 }),
+        offered('B', 'gpt-4o-mini', { source: 'default', version: null })
+      ]),
+      decided('book-2', 'B', [
+        offered('A', 'gpt-4o', { source: 'book', version: 2 }),
+        offered('B', 'gpt-4o-mini', { source: 'default', version: null }),
+        { id: 'C', provider: 'openai', model: 'gpt-4.1', template: null, content: null, error: 'Timed out' }
+      ])
+    ],
+    error: null
+  }));
+
+  const stats = await contentVariations.stats({ userId: 'user-1' });
+
+  assert.deepEqual(getVariationTests.mock.calls[0].arguments, [{ userId: 'user-1', bookId: null, decided: true }, { offset: 0, limit: 1000 }]);
+  assert.equal(stats.tests, 2);
+  assert.deepEqual(stats.models, [
+    { provider: 'openai', model: 'gpt-4o', offered: 2, wins: 1, winRate: 0.5 },
+    { provider: 'openai', model: 'gpt-4o-mini', offered: 2, wins: 1, winRate: 0.5 }
+  ]);
+  assert.deepEqual(stats.templates, [
+    { source: 'book', version: 2, bookId: 'book-1', offered: 1, wins: 1, winRate: 1 },
+    { source: 'default', version: null, offered: 2, wins: 1, winRate: 0.5 },
+    { source: 'book', version: 2, bookId: 'book-2', offered: 1, wins: 0, winRate: 0 }
+  ]);
+});
+
+test('stats read every page of tests', async (t) => {
+  const page = Array.from({ length: 1000 }, () => decided('book-1', 'A', [offered('A', 'gpt-4o'), offered('B', 'gpt-4o-mini')]));
+  const getVariationTests = t.mock.method(dbHelpers, 'getVariationTests', async (filters, { offset }) => ({
+    data: offset === 0 ? page : page.slice(0, 10),
+    error: null
+  }));
+
+  const stats = await contentVariations.stats({ userId: 'user-1', bookId: 'book-1' });
+
+  assert.equal(getVariationTests.mock.callCount(), 2);
+  assert.equal(getVariationTests.mock.calls[1].arguments[1].offset, 1000);
+  assert.equal(stats.tests, 1010);
+  assert.deepEqual(stats.models.map(row => [row.model, row.winRate]), [['gpt-4o', 1], ['gpt-4o-mini', 0]]);
+  assert.deepEqual(stats.templates, []);
+});
+
+test('stats pass database errors through', async (t) => {
+  const failure = new Error('connection reset');
+  t.mock.method(dbHelpers, 'getVariationTests', async () => ({ data: null, error: failure }));
+
+  await assert.rejects(contentVariations.stats({ userId: 'user-1' }), failure);
+});
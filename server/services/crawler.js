@@ -0,0 +1,298 @@
+import * as cheerio from 'cheerio';
+import { extractArticle } from '../extractors/readability.js';
+import { safeFetch, USER_AGENT } from './safeFetch.js';
+
+const MAX_ROBOTS_BYTES = 512 * 1024;
+const DEFAULT_DELAY_MS = 250;
+const MAX_CRAWL_DELAY_MS = 5000;
+const MAX_SITEMAPS = 5;
+const NEAR_DUPLICATE_DISTANCE = 3; // Max differing SimHash bits for two pages to count as the same
+const MIN_PAGE_CHARS = 200;
+const FETCHES_PER_PAGE = 3; // Pages dropped as thin, duplicate or failed still use up the fetch budget
+const CRAWL_DEADLINE_MS = 3 * 60 * 1000;
+
+export const CRAWL_LIMITS = { maxDepth: 3, maxPages: 50 };
+const CRAWL_DEFAULTS = { maxDepth: 1, maxPages: 10, useSitemap: true };
+
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|png|jpe?g|gif|svg|webp|ico|mp3|mp4|mov|avi|webm|css|js|json|xml|rss|atom|woff2?|ttf|exe|dmg|docx?|xlsx?|pptx?)$/i;
+
+// Resolves early if `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Drops fragments, tracking parameters and trailing slashes so the same page
+// isn't queued twice under different spellings
+export const normalizeUrl = (value) => {
+  const url = new URL(value);
+  url.hash = '';
+  for (const key of [...url.searchParams.keys()]) {
+    if (/^(utm_|fbclid$|gclid$|ref$)/i.test(key)) url.searchParams.delete(key);
+  }
+  if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.slice(0, -1);
+  }
+  return url.href;
+};
+
+const sameSite = (a, b) => a.replace(/^www\./, '') === b.replace(/^www\./, '');
+
+// robots.txt rules for our user agent (or *), with Allow/Disallow resolved by
+// longest match as in RFC 9309
+export const parseRobots = (body) => {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  const sitemaps = [];
+
+  for (const rawLine of (body || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (current && field === 'crawl-delay') {
+      current.crawlDelay = parseFloat(value) || null;
+    }
+    lastWasAgent = false;
+  }
+
+  const agent = USER_AGENT.split('/')[0].toLowerCase();
+  const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a)))
+    || groups.find(g => g.agents.includes('*'))
+    || { rules: [], crawlDelay: null };
+
+  const toPattern = (path) => new RegExp('^' + path
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\\\$$/, '$'));
+  const rules = group.rules.map(rule => ({ ...rule, pattern: toPattern(rule.path) }));
+
+  return {
+    sitemaps,
+    crawlDelay: group.crawlDelay,
+    isAllowed: (pathWithQuery) => {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.pattern.test(pathWithQuery)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    }
+  };
+};
+
+// 64-bit SimHash over word shingles; near-identical pages differ in a few bits
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+const MASK_64 = (1n << 64n) - 1n;
+
+const fnv1a64 = (text) => {
+  let hash = FNV_OFFSET;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= BigInt(text.charCodeAt(i));
+    hash = (hash * FNV_PRIME) & MASK_64;
+  }
+  return hash;
+};
+
+export const simhash = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const weights = new Array(64).fill(0);
+
+  const shingles = words.length < 3
+    ? [words.join(' ')]
+    : words.slice(2).map((_, i) => words.slice(i, i + 3).join(' '));
+
+  for (const shingle of shingles) {
+    const hash = fnv1a64(shingle);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  return weights.reduce((hash, weight, bit) => (weight > 0 ? hash | (1n << BigInt(bit)) : hash), 0n);
+};
+
+const hammingDistance = (a, b) => {
+  let diff = a ^ b;
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Crawls a site from a seed URL, breadth first, staying on the seed's host.
+// Pages listed in the site's sitemap are queued at depth 1 alongside the seed's
+// links. The crawl stops after maxPages * FETCHES_PER_PAGE fetches, when
+// `signal` aborts or once `deadline` ms have passed, and returns the
+// extracted pages so far plus what was skipped and why.
+class Crawler {
+  // Fetches one HTML page and extracts its main content and links
+  async fetchPage(url, { signal } = {}) {
+    const response = await safeFetch(url, { signal });
+
+    const finalUrl = normalizeUrl(response.url);
+    const { document, links } = extractArticle(response.text, finalUrl);
+    return { url: finalUrl, document, links };
+  }
+
+  async loadRobots(origin, { signal } = {}) {
+    try {
+      // Servers label robots.txt inconsistently, so any content type is read
+      const response = await safeFetch(`${origin}/robots.txt`, { signal, accept: [], maxBytes: MAX_ROBOTS_BYTES });
+      return parseRobots(response.text);
+    } catch {
+      // No robots.txt (or unreachable) means no restrictions
+      return parseRobots('');
+    }
+  }
+
+  async loadSitemapUrls(sitemapUrls, host, { signal, limit }) {
+    const urls = [];
+    const queue = [...sitemapUrls];
+    let fetched = 0;
+
+    while (queue.length && fetched < MAX_SITEMAPS && urls.length < limit) {
+      const sitemapUrl = queue.shift();
+      fetched++;
+
+      try {
+        const response = await safeFetch(sitemapUrl, { signal, accept: [/xml/, /^text\/plain/] });
+        const $ = cheerio.load(response.text, { xmlMode: true });
+
+        // Sitemap indexes point at further sitemaps
+        $('sitemapindex > sitemap > loc').each((_, loc) => queue.push($(loc).text().trim()));
+        $('urlset > url > loc').each((_, loc) => {
+          const value = $(loc).text().trim();
+          try {
+            if (sameSite(new URL(value).hostname, host)) urls.push(normalizeUrl(value));
+          } catch {
+            // Ignore malformed entries
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to read sitemap ${sitemapUrl}:`, error.message);
+      }
+    }
+
+    return urls.slice(0, limit);
+  }
+
+  async crawl(seedUrl, options = {}) {
+    const maxDepth = Math.min(Math.max(parseInt(options.maxDepth ?? CRAWL_DEFAULTS.maxDepth) || 0, 0), CRAWL_LIMITS.maxDepth);
+    const maxPages = Math.min(Math.max(parseInt(options.maxPages ?? CRAWL_DEFAULTS.maxPages) || 1, 1), CRAWL_LIMITS.maxPages);
+    const useSitemap = options.useSitemap ?? CRAWL_DEFAULTS.useSitemap;
+    const deadline = Math.min(parseInt(options.deadline) || CRAWL_DEADLINE_MS, CRAWL_DEADLINE_MS);
+    const signal = AbortSignal.any([options.signal, AbortSignal.timeout(deadline)].filter(Boolean));
+
+    const seed = new URL(normalizeUrl(seedUrl));
+    const robots = await this.loadRobots(seed.origin, { signal });
+    const delay = Math.min(robots.crawlDelay ? robots.crawlDelay * 1000 : DEFAULT_DELAY_MS, MAX_CRAWL_DELAY_MS);
+
+    const queue = [{ url: seed.href, depth: 0 }];
+    const seen = new Set([seed.href]);
+    const pages = [];
+    const fingerprints = [];
+    const skipped = [];
+
+    const enqueue = (url, depth) => {
+      if (seen.has(url) || depth > maxDepth) return;
+      seen.add(url);
+      queue.push({ url, depth });
+    };
+
+    if (useSitemap && maxDepth > 0) {
+      const sitemaps = robots.sitemaps.length ? robots.sitemaps : [`${seed.origin}/sitemap.xml`];
+      const sitemapUrls = await this.loadSitemapUrls(sitemaps, seed.hostname, { signal, limit: maxPages * 2 });
+      sitemapUrls.forEach(url => enqueue(url, 1));
+    }
+
+    let fetched = 0;
+    while (queue.length && pages.length < maxPages && fetched < maxPages * FETCHES_PER_PAGE) {
+      if (signal.aborted) break;
+
+      const { url, depth } = queue.shift();
+      const parsed = new URL(url);
+
+      if (!robots.isAllowed(parsed.pathname + parsed.search)) {
+        skipped.push({ url, reason: 'Disallowed by robots.txt' });
+        continue;
+      }
+
+      if (fetched++ > 0) {
+        await sleep(delay, signal);
+        if (signal.aborted) break;
+      }
+
+      let page;
+      try {
+        page = await this.fetchPage(url, { signal });
+      } catch (error) {
+        // A seed URL that may not be fetched at all fails the whole crawl
+        if (depth === 0 && error.code === 'BLOCKED_URL') throw error;
+        skipped.push({ url, reason: error.message });
+        continue;
+      }
+
+      const { url: finalUrl, document, links } = page;
+      if (!sameSite(new URL(finalUrl).hostname, seed.hostname)) {
+        skipped.push({ url, reason: `Redirected off site to ${finalUrl}` });
+        continue;
+      }
+      seen.add(finalUrl);
+
+      if (document.text.length < MIN_PAGE_CHARS) {
+        skipped.push({ url, reason: 'Too little text' });
+      } else {
+        const fingerprint = simhash(document.text);
+        const duplicateOf = fingerprints.find(entry => hammingDistance(entry.fingerprint, fingerprint) <= NEAR_DUPLICATE_DISTANCE);
+
+        if (duplicateOf) {
+          skipped.push({ url, reason: `Near duplicate of ${duplicateOf.url}` });
+        } else {
+          fingerprints.push({ url: finalUrl, fingerprint });
+          pages.push({ url: finalUrl, title: document.title, depth, document });
+        }
+      }
+
+      for (const link of links) {
+        try {
+          const next = new URL(normalizeUrl(link));
+          if (sameSite(next.hostname, seed.hostname) && !SKIPPED_EXTENSIONS.test(next.pathname)) {
+            enqueue(next.href, depth + 1);
+          }
+        } catch {
+          // Ignore malformed links
+        }
+      }
+    }
+
+    return { seedUrl: seed.href, pages, skipped };
+  }
+}
+
+export const crawler = new Crawler();
+export default crawler;
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawler, normalizeUrl, parseRobots, simhash } from './crawler.js';
+
+const popcount = (value) => value.toString(2).replace(/0/g, '').length;
+
+test('normalizeUrl drops fragments, tracking parameters and trailing slashes', () => {
+  assert.equal(normalizeUrl('https://example.com/guide/?utm_source=x&page=2&fbclid=y#intro'), 'https://example.com/guide?page=2');
+  assert.equal(normalizeUrl('https://example.com/'), 'https://example.com/');
+});
+
+test('parseRobots picks our group and resolves rules by longest match', () => {
+  const robots = parseRobots([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: EbookAIBot',
+    'User-agent: OtherBot',
+    'Disallow: /private',
+    'Allow: /private/public',
+    'Disallow: /*.json$',
+    'Crawl-delay: 2',
+    'Sitemap: https://example.com/sitemap.xml'
+  ].join('\n'));
+
+  assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+  assert.equal(robots.crawlDelay, 2);
+  assert.ok(robots.isAllowed('/guide'));
+  assert.ok(!robots.isAllowed('/private/notes'));
+  assert.ok(robots.isAllowed('/private/public/page'));
+  assert.ok(!robots.isAllowed('/data/feed.json'));
+  assert.ok(robots.isAllowed('/data/feed.json?page=2'));
+});
+
+test('parseRobots falls back to the * group and allows everything without rules', () => {
+  const robots = parseRobots('User-agent: *\nDisallow: /admin # staff only\n');
+  assert.ok(!robots.isAllowed('/admin/users'));
+  assert.ok(robots.isAllowed('/about'));
+  assert.ok(parseRobots('').isAllowed('/anything'));
+});
+
+test('simhash puts near-identical text a few bits apart', () => {
+  const text = 'Photosynthesis is the process by which green plants use sunlight to make food from carbon dioxide and water, releasing oxygen as a by-product of the reaction.';
+  const edited = text.replace('green plants', 'green plants and algae');
+  const unrelated = 'The French revolution began in 1789 and reshaped European politics, ending the absolute monarchy and spreading ideas of citizenship and rights.';
+
+  assert.equal(simhash(text), simhash(text.toUpperCase()));
+  assert.ok(popcount(simhash(text) ^ simhash(edited)) < popcount(simhash(text) ^ simhash(unrelated)));
+  assert.ok(popcount(simhash(text) ^ simhash(unrelated)) > 10);
+});
+
+// Stands in for the network: every page is too thin to keep and links to ten
+// more pages
+const stubSite = (t, { fetchPage } = {}) => {
+  t.mock.method(crawler, 'loadRobots', async () => parseRobots('User-agent: *\nCrawl-delay: 0.001'));
+  return t.mock.method(crawler, 'fetchPage', fetchPage || (async (url) => ({
+    url,
+    document: { title: 'Stub', text: 'Too short', segments: [] },
+    links: Array.from({ length: 10 }, (_, i) => `${url}/${i}`)
+  })));
+};
+
+test('thin pages still use up the fetch budget', async (t) => {
+  const fetchPage = stubSite(t);
+
+  const result = await crawler.crawl('https://example.com', { maxDepth: 3, maxPages: 2, useSitemap: false });
+
+  assert.equal(fetchPage.mock.callCount(), 6);
+  assert.equal(result.pages.length, 0);
+  assert.equal(result.skipped.length, 6);
+});
+
+test('failing pages still use up the fetch budget', async (t) => {
+  let calls = 0;
+  const fetchPage = stubSite(t, {
+    fetchPage: async (url) => {
+      if (calls++ === 0) return { url, document: { title: 'Seed', text: 'x', segments: [] }, links: Array.from({ length: 20 }, (_, i) => `${url}/${i}`) };
+      throw new Error('Request failed with status 500');
+    }
+  });
+
+  await crawler.crawl('https://example.com', { maxDepth: 1, maxPages: 3, useSitemap: false });
+  assert.equal(fetchPage.mock.callCount(), 9);
+});
+
+test('the crawl stops at its deadline and when the signal aborts', async (t) => {
+  const fetchPage = stubSite(t, {
+    fetchPage: async (url) => {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      return { url, document: { title: 'Stub', text: 'Too short', segments: [] }, links: [`${url}/next`] };
+    }
+  });
+
+  await crawler.crawl('https://example.com', { maxDepth: 3, maxPages: 50, useSitemap: false, deadline: 45 });
+  assert.ok(fetchPage.mock.callCount() <= 2);
+
+  fetchPage.mock.resetCalls();
+  const controller = new AbortController();
+  controller.abort();
+  await crawler.crawl('https://example.com', { maxDepth: 3, maxPages: 50, useSitemap: false, signal: controller.signal });
+  assert.equal(fetchPage.mock.callCount(), 0);
+});
@@ -0,0 +1,50 @@
+import OpenAI from 'openai';
+
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+const BATCH_SIZE = 96;
+
+// An embedder turns texts into vectors: { id, embed(texts) => Promise<number[][]> }.
+// The id is stored with the knowledge index so queries are only ever compared
+// against vectors from the same embedder. Without an embedder, retrieval falls
+// back to local BM25 scoring.
+//
+// `onUsage({ model, inputTokens, latencyMs })` is called after every embed()
+// so the caller can meter it.
+export const createOpenAIEmbedder = (apiKey, { model = OPENAI_EMBEDDING_MODEL, onUsage } = {}) => {
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    id: `openai:${model}`,
+    async embed(texts) {
+      const startedAt = Date.now();
+      const vectors = [];
+      let inputTokens = 0;
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const response = await openai.embeddings.create({
+          model,
+          input: texts.slice(i, i + BATCH_SIZE)
+        });
+        vectors.push(...response.data.map(item => item.embedding));
+        inputTokens += response.usage?.prompt_tokens || 0;
+      }
+      await onUsage?.({ model, inputTokens, latencyMs: Date.now() - startedAt });
+      return vectors;
+    }
+  };
+};
+
+export const resolveEmbedder = ({ openaiApiKey, onUsage } = {}) => (
+  openaiApiKey ? createOpenAIEmbedder(openaiApiKey, { onUsage }) : null
+);
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
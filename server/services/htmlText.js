@@ -0,0 +1,13 @@
+// Plain text from generated HTML, one line per block element
+export const htmlToText = (html) => (html || '')
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<\/(p|h[1-6]|li|blockquote|pre|div)>/gi, '\n')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+export default htmlToText;
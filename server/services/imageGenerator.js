@@ -0,0 +1,105 @@
+import OpenAI from 'openai';
+
+const STABILITY_API_URL = 'https://api.stability.ai';
+const STABILITY_STYLES = new Set([
+  '3d-model', 'analog-film', 'anime', 'cinematic', 'comic-book', 'digital-art', 'enhance', 'fantasy-art',
+  'isometric', 'line-art', 'low-poly', 'modeling-compound', 'neon-punk', 'origami', 'photographic',
+  'pixel-art', 'tile-texture'
+]);
+
+// Image generation for topic illustrations. Each provider implements
+// validate(apiKey) and generate({ apiKey, prompt, style }), which resolves to
+// an image URL (a data: URL when the provider returns the bytes directly).
+const openaiImages = {
+  id: 'openai',
+  name: 'OpenAI',
+  model: 'dall-e-3',
+
+  async validate(apiKey) {
+    try {
+      await new OpenAI({ apiKey }).models.list();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async generate({ apiKey, prompt }) {
+    const response = await new OpenAI({ apiKey }).images.generate({
+      model: this.model,
+      prompt,
+      n: 1,
+      size: '1024x1024',
+      quality: 'standard'
+    });
+
+    return response.data[0].url;
+  }
+};
+
+const stabilityImages = {
+  id: 'stabilityai',
+  name: 'Stability AI',
+  model: 'stable-image-core',
+
+  async validate(apiKey) {
+    try {
+      const response = await fetch(`${STABILITY_API_URL}/v1/user/account`, {
+        headers: { Authorization: `Bearer ${apiKey}` }
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async generate({ apiKey, prompt, style }) {
+    const form = new FormData();
+    form.append('prompt', prompt);
+    form.append('output_format', 'png');
+    if (STABILITY_STYLES.has(style)) {
+      form.append('style_preset', style);
+    }
+
+    const response = await fetch(`${STABILITY_API_URL}/v2beta/stable-image/generate/core`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        Accept: 'application/json'
+      },
+      body: form
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.errors?.join(', ') || result.message || `Stability AI request failed with status ${response.status}`);
+    }
+
+    return `data:image/png;base64,${result.image}`;
+  }
+};
+
+class ImageGenerator {
+  constructor() {
+    this.providers = new Map([openaiImages, stabilityImages].map(provider => [provider.id, provider]));
+  }
+
+  has(providerId) {
+    return this.providers.has(providerId);
+  }
+
+  get(providerId) {
+    const provider = this.providers.get(providerId);
+    if (!provider) {
+      throw new Error('Unsupported image provider');
+    }
+    return provider;
+  }
+
+  async generate({ provider, apiKey, prompt, style }) {
+    return this.get(provider).generate({ apiKey, prompt, style });
+  }
+}
+
+export const imageGenerator = new ImageGenerator();
+export default imageGenerator;
@@ -0,0 +1,423 @@
+import { dbHelpers } from './supabase.js';
+import { contentGenerator } from './contentGenerator.js';
+import { bookMemory } from './bookMemory.js';
+import { keyVault } from './keyVault.js';
+import { usageService, QuotaExceededError, BudgetExceededError } from './usageService.js';
+import { ContextOverflowError } from './tokenCounter.js';
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+const MIN_CONTENT_LENGTH = 100;
+
+// Jobs in these states belong to the book until they finish or are cancelled
+export const ACTIVE_JOB_STATUSES = ['queued', 'running', 'pausing', 'paused'];
+const RESUMABLE_JOB_STATUSES = ['paused', 'failed'];
+
+// Postgres unique_violation: the book already has an active job
+const UNIQUE_VIOLATION = '23505';
+
+export class ActiveJobError extends Error {
+  constructor(message = 'A generation job is already active for this book') {
+    super(message);
+    this.name = 'ActiveJobError';
+    this.status = 409;
+    this.code = 'JOB_ACTIVE';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const now = () => new Date().toISOString();
+
+const byOrderIndex = (a, b) => (a.order_index ?? 0) - (b.order_index ?? 0);
+
+// Whole-book generation runs on the server so it survives the browser tab.
+// Each job row in `generation_jobs` keeps a per-topic state list
+// ({ topicId, chapterId, title, status, attempts, error }), which is what
+// lets a job be paused, resumed or picked up again after a restart. While a
+// multi-pass topic runs, its state also has the pipeline `stage`
+// ({ stage, section, sections }). The
+// provider key is read from the owner's key vault entry whenever a job runs,
+// so jobs never hold a key the server could lose.
+class JobService {
+  constructor() {
+    this.runners = new Map(); // In-flight jobs: jobId -> { controller, stopRequested }
+  }
+
+  async createJob({ bookId, provider, model, regenerate = false }) {
+    const { data: book, error } = await dbHelpers.getBookWithTopics(bookId);
+    if (error || !book) {
+      throw new Error('Book not found');
+    }
+
+    const topics = [...(book.chapters || [])]
+      .sort(byOrderIndex)
+      .flatMap(chapter => [...(chapter.topics || [])]
+        .sort(byOrderIndex)
+        .filter(topic => regenerate || !topic.content || topic.content.trim().length < MIN_CONTENT_LENGTH)
+        .map(topic => ({
+          topicId: topic.id,
+          chapterId: chapter.id,
+          title: topic.title,
+          status: 'pending',
+          attempts: 0,
+          error: null
+        })));
+
+    if (topics.length === 0) {
+      throw new Error('No topics need content generation');
+    }
+
+    const { data: job, error: jobError } = await dbHelpers.createJob({
+      book_id: bookId,
+      user_id: book.user_id,
+      provider,
+      model,
+      status: 'queued',
+      topics,
+      created_at: now(),
+      updated_at: now()
+    });
+    if (jobError?.code === UNIQUE_VIOLATION) throw new ActiveJobError();
+    if (jobError) throw jobError;
+
+    this.start(job.id);
+    return job;
+  }
+
+  async getJob(jobId) {
+    const { data, error } = await dbHelpers.getJob(jobId);
+    if (error || !data) {
+      throw new Error('Job not found');
+    }
+    return data;
+  }
+
+  async getActiveJob(bookId) {
+    const { data, error } = await dbHelpers.getJobsByStatus(ACTIVE_JOB_STATUSES, bookId);
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  // Lets the topic in progress finish, then stops
+  async pause(jobId) {
+    const job = await this.getJob(jobId);
+    const runner = this.runners.get(jobId);
+
+    if (runner) {
+      runner.stopRequested = 'paused';
+      const { data } = await dbHelpers.updateJob(jobId, { status: 'pausing' });
+      return data;
+    }
+
+    if (!['queued', 'running'].includes(job.status)) {
+      throw new Error(`Cannot pause a ${job.status} job`);
+    }
+
+    const { data } = await dbHelpers.updateJob(jobId, {
+      status: 'paused',
+      topics: this.resetRunningTopics(job.topics)
+    });
+    return data;
+  }
+
+  async resume(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (this.runners.has(jobId)) {
+      throw new Error('Job is already running');
+    }
+    if (!RESUMABLE_JOB_STATUSES.includes(job.status)) {
+      throw new Error(`Cannot resume a ${job.status} job`);
+    }
+
+    // Failed topics get a fresh set of attempts
+    const topics = job.topics.map(topic => topic.status === 'failed'
+      ? { ...topic, status: 'pending', attempts: 0 }
+      : topic);
+
+    const { data, error } = await dbHelpers.updateJob(jobId, {
+      status: 'queued',
+      topics,
+      error: null,
+      finished_at: null
+    });
+    if (error?.code === UNIQUE_VIOLATION) throw new ActiveJobError();
+    if (error) throw error;
+
+    this.start(jobId);
+    return data;
+  }
+
+  // Aborts the topic in progress immediately
+  async cancel(jobId) {
+    const job = await this.getJob(jobId);
+    const runner = this.runners.get(jobId);
+
+    if (runner) {
+      runner.stopRequested = 'cancelled';
+      runner.controller.abort();
+      return { ...job, status: 'cancelled' };
+    }
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      throw new Error(`Cannot cancel a ${job.status} job`);
+    }
+
+    const { data } = await dbHelpers.updateJob(jobId, {
+      status: 'cancelled',
+      topics: this.resetRunningTopics(job.topics),
+      finished_at: now()
+    });
+    return data;
+  }
+
+  // Picks up jobs that were mid-flight when the server stopped. Jobs that
+  // were pausing, or whose owner no longer has a key for the provider, are
+  // parked as paused until the user resumes them. Returns { resumed, paused }.
+  async recoverInterruptedJobs() {
+    const { data: jobs, error } = await dbHelpers.getJobsByStatus(['queued', 'running', 'pausing']);
+    if (error) throw error;
+
+    let resumed = 0;
+    let paused = 0;
+
+    for (const job of jobs || []) {
+      if (this.runners.has(job.id)) continue;
+
+      const topics = this.resetRunningTopics(job.topics);
+      for (const topic of job.topics.filter(t => t.status === 'running')) {
+        await dbHelpers.updateTopic(topic.topicId, { status: 'draft' });
+      }
+
+      let canResume = false;
+      if (job.status !== 'pausing') {
+        try {
+          canResume = await keyVault.hasKey(job.user_id, job.provider);
+        } catch (keyError) {
+          console.error(`Job ${job.id}: could not read the ${job.provider} key:`, keyError.message);
+        }
+      }
+
+      if (canResume) {
+        await dbHelpers.updateJob(job.id, { status: 'queued', topics, error: null });
+        this.start(job.id);
+        resumed++;
+      } else {
+        await dbHelpers.updateJob(job.id, {
+          status: 'paused',
+          topics,
+          error: job.status === 'pausing'
+            ? null
+            : `Interrupted by a server restart. Save a ${job.provider} API key in Settings and resume to continue.`
+        });
+        paused++;
+      }
+    }
+
+    return { resumed, paused };
+  }
+
+  summarize(job) {
+    const topics = job.topics || [];
+    const count = (status) => topics.filter(topic => topic.status === status).length;
+
+    return {
+      id: job.id,
+      bookId: job.book_id,
+      status: job.status,
+      provider: job.provider,
+      model: job.model,
+      error: job.error,
+      topics,
+      progress: {
+        total: topics.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        pending: count('pending') + count('running')
+      },
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at
+    };
+  }
+
+  // `runner.topicId` is the topic marked as generating, so a crash can put
+  // it back to draft instead of leaving it stuck
+  start(jobId) {
+    const runner = { controller: new AbortController(), stopRequested: null, topicId: null };
+    this.runners.set(jobId, runner);
+
+    this.runJob(jobId, runner)
+      .catch(async (error) => {
+        console.error(`Generation job ${jobId} crashed:`, error);
+        try {
+          if (runner.topicId) {
+            await dbHelpers.updateTopic(runner.topicId, { status: 'draft' });
+          }
+          const { data: job } = await dbHelpers.getJob(jobId);
+          await dbHelpers.updateJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            ...(job && { topics: this.resetRunningTopics(job.topics) }),
+            finished_at: now()
+          });
+        } catch (cleanupError) {
+          console.error(`Generation job ${jobId}: could not record the crash:`, cleanupError.message);
+        }
+      })
+      .finally(() => this.runners.delete(jobId));
+  }
+
+  async runJob(jobId, runner) {
+    const job = await this.getJob(jobId);
+    const { data: book, error } = await dbHelpers.getBookWithTopics(job.book_id);
+    if (error || !book) {
+      throw new Error('Book not found');
+    }
+
+    const apiKey = await keyVault.getKey(job.user_id, job.provider);
+    if (!apiKey) {
+      throw new Error(`No ${job.provider} API key saved. Add one in Settings and resume the job.`);
+    }
+
+    const topicsById = new Map(
+      (book.chapters || []).flatMap(chapter => chapter.topics || []).map(topic => [topic.id, topic])
+    );
+    const topics = job.topics.map(topic => ({ ...topic }));
+
+    const save = async (updates = {}) => {
+      const { error: saveError } = await dbHelpers.updateJob(jobId, { topics, ...updates });
+      if (saveError) throw saveError;
+    };
+
+    const stop = async (state, reason = null) => {
+      if (state) {
+        state.status = 'pending';
+        state.stage = null;
+        await dbHelpers.updateTopic(state.topicId, { status: 'draft' });
+      }
+      await save({
+        status: runner.stopRequested,
+        error: reason,
+        ...(runner.stopRequested === 'cancelled' && { finished_at: now() })
+      });
+    };
+
+    await save({ status: 'running', started_at: job.started_at || now(), error: null });
+
+    for (const state of topics) {
+      while (state.status === 'pending' || state.status === 'running') {
+        if (runner.stopRequested) {
+          return stop();
+        }
+
+        const topic = topicsById.get(state.topicId);
+        if (!topic) {
+          state.status = 'failed';
+          state.error = 'Topic no longer exists';
+          break;
+        }
+
+        // Out of quota or over the book's budget: park the job with the
+        // remaining topics pending, so it can be resumed once the quota
+        // resets or the limit is raised
+        try {
+          await usageService.assertWithinQuota(job.user_id);
+          await usageService.assertWithinBudget(book.id);
+        } catch (limitError) {
+          if (!(limitError instanceof QuotaExceededError || limitError instanceof BudgetExceededError)) throw limitError;
+          runner.stopRequested = 'paused';
+          return stop(null, limitError.message);
+        }
+
+        state.status = 'running';
+        state.attempts += 1;
+        await save();
+        runner.topicId = state.topicId;
+        await dbHelpers.updateTopic(state.topicId, { status: 'generating' });
+
+        try {
+          const { content, template } = await contentGenerator.generateTopicContent({
+            provider: job.provider,
+            model: job.model,
+            apiKey,
+            book,
+            topic,
+            signal: runner.controller.signal,
+            meter: { userId: job.user_id, bookId: book.id, jobId },
+            onStage: ({ stage, status, section, content }) => {
+              if (status !== 'running' || (stage === 'draft' && (!section || content))) return;
+              state.stage = section ? { stage, section: section.index + 1, sections: section.total } : { stage };
+              save().catch(saveError => console.error(`Job ${jobId}: could not save progress:`, saveError.message));
+            }
+          });
+
+          await dbHelpers.updateTopic(state.topicId, {
+            content,
+            prompt_template: template,
+            status: 'completed',
+            updated_at: now()
+          });
+
+          runner.topicId = null;
+          state.status = 'completed';
+          state.stage = null;
+          state.error = null;
+          state.completedAt = now();
+
+          // Notes for the topics after this one. Without them those topics
+          // are still written, just without knowing what this one covered.
+          try {
+            await bookMemory.remember({
+              provider: job.provider,
+              model: job.model,
+              apiKey,
+              topic,
+              content,
+              signal: runner.controller.signal,
+              meter: { userId: job.user_id, bookId: book.id, jobId }
+            });
+          } catch (memoryError) {
+            console.error(`Job ${jobId}: could not take notes on topic ${state.topicId}:`, memoryError.message);
+          }
+        } catch (generationError) {
+          if (runner.stopRequested) {
+            state.attempts -= 1;
+            return stop(state);
+          }
+
+          console.error(`Job ${jobId}: topic ${state.topicId} attempt ${state.attempts} failed:`, generationError.message);
+          state.stage = null;
+          state.error = generationError.message;
+          await dbHelpers.updateTopic(state.topicId, { status: 'draft' });
+          runner.topicId = null;
+
+          // A prompt too long for the model fails the same way every time
+          if (state.attempts >= MAX_ATTEMPTS || generationError instanceof ContextOverflowError) {
+            state.status = 'failed';
+          } else {
+            state.status = 'pending';
+            await save();
+            await sleep(RETRY_DELAY_MS * state.attempts);
+          }
+        }
+      }
+
+      await save();
+    }
+
+    const failed = topics.filter(topic => topic.status === 'failed').length;
+    await save({
+      status: failed > 0 ? 'failed' : 'completed',
+      error: failed > 0 ? `${failed} topic(s) failed after ${MAX_ATTEMPTS} attempts` : null,
+      finished_at: now()
+    });
+  }
+
+  resetRunningTopics(topics = []) {
+    return topics.map(topic => topic.status === 'running' ? { ...topic, status: 'pending' } : topic);
+  }
+}
+
+export const jobService = new JobService();
+export default jobService;
@@ -0,0 +1,82 @@
+// Closes JSON that was cut off mid-way (the model ran out of output tokens)
+// by cutting back to the last complete value and closing every array and
+// object still open there. A value is complete once its closing bracket,
+// closing quote (for array items and object values, not keys) or following
+// comma has been written. Null if nothing complete was written.
+const closeTruncated = (text) => {
+  const open = []; // { closer, key } per open array or object; `key` while an object expects a key
+  let inString = false;
+  let escaped = false;
+  let cut = null;
+
+  const markCut = (index) => {
+    cut = { index, closers: open.map(container => container.closer) };
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const top = open[open.length - 1];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') {
+        inString = false;
+        if (top && !top.key) markCut(i + 1);
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      open.push({ closer: char === '{' ? '}' : ']', key: char === '{' });
+    } else if (char === '}' || char === ']') {
+      open.pop();
+      markCut(i + 1);
+    } else if (char === ':' && top) {
+      top.key = false;
+    } else if (char === ',' && top) {
+      markCut(i);
+      if (top.closer === '}') top.key = true;
+    }
+  }
+
+  if (open.length === 0 && !inString) return text;
+  if (!cut) return null;
+
+  return text.slice(0, cut.index) + cut.closers.reverse().join('');
+};
+
+// Repairs the mistakes models make in JSON: code fences, prose around the
+// object, typographic quotes, trailing commas and truncation
+const repairJson = (text) => {
+  let json = text.replace(/[“”]/g, '"');
+
+  const start = json.indexOf('{');
+  if (start === -1) return null;
+  json = json.slice(start);
+
+  // Drop prose after the object when the object itself is complete
+  const complete = json.slice(0, json.lastIndexOf('}') + 1);
+  if (complete && closeTruncated(complete) === complete) {
+    json = complete;
+  }
+
+  json = json.replace(/,(\s*[}\]])/g, '$1');
+  return closeTruncated(json);
+};
+
+// Reads a model's JSON reply. Resolves code fences and the usual mistakes;
+// `repaired` says whether the raw reply needed fixing. Throws a SyntaxError
+// when the reply cannot be read as JSON even after repair.
+export const parseJsonReply = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  const body = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return { value: JSON.parse(body), repaired: false };
+  } catch (error) {
+    const repaired = repairJson(body);
+    if (!repaired) throw error;
+
+    return { value: JSON.parse(repaired), repaired: true };
+  }
+};
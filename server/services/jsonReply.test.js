@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonReply } from './jsonReply.js';
+
+test('valid JSON is read as is', () => {
+  assert.deepEqual(parseJsonReply('{"chapters":[]}'), { value: { chapters: [] }, repaired: false });
+  assert.deepEqual(parseJsonReply('```json\n{"a": 1}\n```'), { value: { a: 1 }, repaired: false });
+});
+
+test('prose, typographic quotes and trailing commas are repaired', () => {
+  assert.deepEqual(parseJsonReply('Here is your outline:\n{"a": [1, 2,], "b": {"c": 3,},}\nHope that helps!'), {
+    value: { a: [1, 2], b: { c: 3 } },
+    repaired: true
+  });
+  assert.deepEqual(parseJsonReply('{“title”: “Cells”}').value, { title: 'Cells' });
+});
+
+test('truncated replies are cut back to the last complete value and closed', () => {
+  const cases = [
+    ['{"chapters":[{"title":"A"', { chapters: [{ title: 'A' }] }],
+    ['{"chapters":[{"title":"A","topics":[{"title":"B"},{"title":"C', { chapters: [{ title: 'A', topics: [{ title: 'B' }] }] }],
+    ['{"chapters":[{"title":"A"},{"tit', { chapters: [{ title: 'A' }] }],
+    ['{"chapters":[{"title":"A","words":15', { chapters: [{ title: 'A' }] }],
+    ['{"chapters":[{"title":"A","words":1500,', { chapters: [{ title: 'A', words: 1500 }] }],
+    ['{"chapters":[{"title":"A","note":"Say \\"hi\\", then', { chapters: [{ title: 'A' }] }],
+    ['{"chapters":["A", "B"', { chapters: ['A', 'B'] }]
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.deepEqual(parseJsonReply(text), { value: expected, repaired: true }, text);
+  }
+});
+
+test('replies with nothing complete to keep are rejected', () => {
+  assert.throws(() => parseJsonReply('{"chapt'), SyntaxError);
+  assert.throws(() => parseJsonReply('{"chapters":[{"title'), SyntaxError);
+  assert.throws(() => parseJsonReply('No JSON here'), SyntaxError);
+});
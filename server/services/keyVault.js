@@ -0,0 +1,177 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { dbHelpers } from './supabase.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// A 256-bit key given as 64 hex characters or as base64
+const parseKey = (value, name) => {
+  const trimmed = (value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be a random 32-byte key, base64 or hex encoded (e.g. \`openssl rand -base64 32\`)`);
+  }
+  return key;
+};
+
+// Stores users' provider API keys encrypted with AES-256-GCM. Each key is
+// bound to its user and provider as additional authenticated data, so a
+// ciphertext copied onto another row fails to decrypt.
+//
+// Ciphertexts are tagged with the version of the vault key that sealed them.
+// To rotate, set a new ENCRYPTION_KEY with a higher ENCRYPTION_KEY_VERSION and
+// move the old key into ENCRYPTION_PREVIOUS_KEYS ("version:key,..."); rotate()
+// then re-encrypts every stored key under the current version.
+class KeyVault {
+  constructor() {
+    this.keys = new Map(); // Vault keys by version
+    this.currentVersion = null;
+  }
+
+  // Throws unless a real encryption key is configured. Called at startup so
+  // the server refuses to run with a missing or placeholder key.
+  configure(env = process.env) {
+    const version = parseInt(env.ENCRYPTION_KEY_VERSION || '1');
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('ENCRYPTION_KEY_VERSION must be a positive integer');
+    }
+    if (!env.ENCRYPTION_KEY) {
+      throw new Error('ENCRYPTION_KEY is not set');
+    }
+
+    const keys = new Map([[version, parseKey(env.ENCRYPTION_KEY, 'ENCRYPTION_KEY')]]);
+
+    for (const entry of (env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(part => part.trim())) {
+      const [previousVersion, value] = entry.split(/:(.*)/s);
+      const parsedVersion = parseInt(previousVersion);
+      if (!Number.isInteger(parsedVersion) || parsedVersion >= version || keys.has(parsedVersion)) {
+        throw new Error('ENCRYPTION_PREVIOUS_KEYS entries must be "version:key" with distinct versions below ENCRYPTION_KEY_VERSION');
+      }
+      keys.set(parsedVersion, parseKey(value, `ENCRYPTION_PREVIOUS_KEYS version ${parsedVersion}`));
+    }
+
+    this.keys = keys;
+    this.currentVersion = version;
+  }
+
+  encrypt(plaintext, context) {
+    if (!this.currentVersion) {
+      throw new Error('Key vault is not configured');
+    }
+
+    const iv = randomBytes(IV_BYTES);
+    const cipher = createCipheriv(ALGORITHM, this.keys.get(this.currentVersion), iv);
+    cipher.setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [
+      `v${this.currentVersion}`,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64')
+    ].join(':');
+  }
+
+  decrypt(payload, context) {
+    const [tag, iv, authTag, ciphertext] = (payload || '').split(':');
+    const version = parseInt(tag?.slice(1));
+    const key = this.keys.get(version);
+
+    if (!tag?.startsWith('v') || !iv || !authTag || !ciphertext) {
+      throw new Error('Malformed encrypted key');
+    }
+    if (!key) {
+      throw new Error(`Encryption key version ${version} is not configured`);
+    }
+
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  context(userId, provider) {
+    return `${userId}:${provider}`;
+  }
+
+  async setKey(userId, provider, apiKey) {
+    const { error } = await dbHelpers.saveApiKey({
+      user_id: userId,
+      provider,
+      encrypted_key: this.encrypt(apiKey, this.context(userId, provider)),
+      key_version: this.currentVersion,
+      key_hint: apiKey.slice(-4),
+      has_key: true,
+      updated_at: new Date().toISOString()
+    });
+    if (error) throw error;
+  }
+
+  // The decrypted key, or null if the user has not saved one for the provider
+  async getKey(userId, provider) {
+    if (!userId || !provider) return null;
+
+    const { data: row, error } = await dbHelpers.getApiKey(userId, provider);
+    if (error) throw error;
+    if (!row?.encrypted_key || !row.key_version) return null;
+
+    return this.decrypt(row.encrypted_key, this.context(userId, provider));
+  }
+
+  async hasKey(userId, provider) {
+    return !!(await this.getKey(userId, provider));
+  }
+
+  async deleteKey(userId, provider) {
+    const { error } = await dbHelpers.deleteApiKey(userId, provider);
+    if (error) throw error;
+  }
+
+  // Which providers the user has keys for, with the last four characters of
+  // each key so they can tell them apart. Never returns the keys themselves.
+  async listKeys(userId) {
+    const { data, error } = await dbHelpers.listApiKeys(userId);
+    if (error) throw error;
+
+    return (data || [])
+      .filter(row => row.has_key && row.key_version)
+      .map(row => ({
+        provider: row.provider,
+        hint: row.key_hint,
+        updatedAt: row.updated_at
+      }));
+  }
+
+  // Re-encrypts keys sealed with an older vault key under the current one.
+  // Rows without a version predate the vault and hold base64 plaintext, so
+  // they are sealed here too. Returns how many rows were rewritten.
+  async rotate() {
+    const { data: rows, error } = await dbHelpers.getApiKeysBelowVersion(this.currentVersion);
+    if (error) throw error;
+
+    let rotated = 0;
+    for (const row of rows || []) {
+      if (!row.encrypted_key) continue;
+
+      try {
+        const apiKey = row.key_version
+          ? this.decrypt(row.encrypted_key, this.context(row.user_id, row.provider))
+          : Buffer.from(row.encrypted_key, 'base64').toString('utf8');
+
+        await this.setKey(row.user_id, row.provider, apiKey);
+        rotated++;
+      } catch (rotateError) {
+        console.error(`Failed to re-encrypt the ${row.provider} key of user ${row.user_id}:`, rotateError.message);
+      }
+    }
+
+    return rotated;
+  }
+}
+
+export const keyVault = new KeyVault();
+export default keyVault;
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { keyVault } from './keyVault.js';
+import { dbHelpers } from './supabase.js';
+
+const OLD_KEY = randomBytes(32).toString('base64');
+const NEW_KEY = randomBytes(32).toString('hex');
+
+test('keys round-trip and are bound to their user and provider', () => {
+  keyVault.configure({ ENCRYPTION_KEY: OLD_KEY });
+
+  const sealed = keyVault.encrypt('sk-secret-1234', keyVault.context('user-1', 'openai'));
+  assert.match(sealed, /^v1:/);
+  assert.ok(!sealed.includes('sk-secret'));
+  assert.notEqual(sealed, keyVault.encrypt('sk-secret-1234', keyVault.context('user-1', 'openai')));
+  assert.equal(keyVault.decrypt(sealed, keyVault.context('user-1', 'openai')), 'sk-secret-1234');
+
+  assert.throws(() => keyVault.decrypt(sealed, keyVault.context('user-2', 'openai')));
+  assert.throws(() => keyVault.decrypt(sealed, keyVault.context('user-1', 'anthropic')));
+  assert.throws(() => keyVault.decrypt('v1:not-enough-parts', 'user-1:openai'), /Malformed/);
+});
+
+test('configure refuses missing, short and misnumbered keys', () => {
+  assert.throws(() => keyVault.configure({}), /ENCRYPTION_KEY is not set/);
+  assert.throws(() => keyVault.configure({ ENCRYPTION_KEY: 'changeme' }), /32-byte key/);
+  assert.throws(() => keyVault.configure({ ENCRYPTION_KEY: NEW_KEY, ENCRYPTION_KEY_VERSION: '0' }), /positive integer/);
+  assert.throws(() => keyVault.configure({
+    ENCRYPTION_KEY: NEW_KEY,
+    ENCRYPTION_KEY_VERSION: '2',
+    ENCRYPTION_PREVIOUS_KEYS: `2:${OLD_KEY}`
+  }), /distinct versions below/);
+});
+
+test('rotate re-seals old and pre-vault keys under the current key', async (t) => {
+  keyVault.configure({ ENCRYPTION_KEY: OLD_KEY });
+  const rows = [
+    { user_id: 'user-1', provider: 'openai', key_version: 1, encrypted_key: keyVault.encrypt('sk-one', 'user-1:openai') },
+    { user_id: 'user-2', provider: 'anthropic', key_version: null, encrypted_key: Buffer.from('sk-ant-two').toString('base64') },
+    { user_id: 'user-3', provider: 'openai', key_version: 1, encrypted_key: 'v1:broken:row:data' }
+  ];
+
+  keyVault.configure({ ENCRYPTION_KEY: NEW_KEY, ENCRYPTION_KEY_VERSION: '2', ENCRYPTION_PREVIOUS_KEYS: `1:${OLD_KEY}` });
+
+  const saved = [];
+  t.mock.method(dbHelpers, 'getApiKeysBelowVersion', async (version) => {
+    assert.equal(version, 2);
+    return { data: rows, error: null };
+  });
+  t.mock.method(dbHelpers, 'saveApiKey', async (row) => {
+    saved.push(row);
+    return { error: null };
+  });
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal(await keyVault.rotate(), 2);
+  assert.deepEqual(saved.map(row => [row.user_id, row.key_version, row.key_hint]), [['user-1', 2, '-one'], ['user-2', 2, '-two']]);
+  assert.match(saved[0].encrypted_key, /^v2:/);
+  assert.equal(keyVault.decrypt(saved[0].encrypted_key, 'user-1:openai'), 'sk-one');
+  assert.equal(keyVault.decrypt(saved[1].encrypted_key, 'user-2:anthropic'), 'sk-ant-two');
+
+  // Once the old key is retired, only re-sealed rows can be read
+  keyVault.configure({ ENCRYPTION_KEY: NEW_KEY, ENCRYPTION_KEY_VERSION: '2' });
+  assert.throws(() => keyVault.decrypt(rows[0].encrypted_key, 'user-1:openai'), /version 1 is not configured/);
+});
@@ -0,0 +1,482 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { chunkText, chunkSegments } from './chunker.js';
+import { cosineSimilarity } from './embeddings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const INDEX_DIR = path.join(__dirname, '../data/knowledge');
+
+// Loaded indexes are kept in memory up to this many bytes of index JSON,
+// least recently used first out. Parsed indexes (embedding vectors above all)
+// take a few times their JSON size, so leave headroom when raising it. Read
+// on use because dotenv is loaded after module evaluation.
+const cacheBytes = () => Number(process.env.KNOWLEDGE_CACHE_MB || 256) * 1024 * 1024;
+
+const DEFAULT_TOP_K = 5;
+const DEFAULT_PREVIEW_CHUNKS = 20;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will',
+  'with', 'you', 'your', 'we', 'our', 'they', 'their', 'not', 'can', 'do', 'does', 'how', 'what'
+]);
+
+export const tokenize = (text) => (
+  (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+).filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+const emptyIndex = (bookId) => ({ bookId, sources: [], chunks: [] });
+
+// A file is identified by its name and a URL source by its URL, so ingesting
+// either again replaces the earlier version
+const sourceKey = ({ type, name, url }) => (type === 'url' ? `url:${url}` : `file:${name}`);
+
+const contentHash = (parts) => {
+  const hash = createHash('sha256');
+  for (const part of parts) {
+    hash.update(part.url || '');
+    hash.update('\0');
+    hash.update(part.text || '');
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+};
+
+// Per-book retrieval index persisted as JSON under server/data/knowledge.
+// Sources are chunked on ingest and, when an embedder is supplied, embedded.
+// Search uses vectors only when every source was embedded by the same
+// embedder as the query; otherwise it scores chunks locally with BM25, which
+// needs no API key and gives deterministic results.
+//
+// Storage assumes one server process with a persistent local disk: writes
+// are serialized per book within the process only, and the files are not
+// shared. Several instances, or a filesystem that is wiped on deploy, would
+// each see their own indexes or lose them.
+class KnowledgeIndex {
+  constructor() {
+    this.indexes = new Map(); // LRU of loaded indexes: bookId -> { index, bytes }, oldest first
+    this.cachedBytes = 0;
+    this.lexicalStats = new Map(); // BM25 term statistics per cached book
+    this.locks = new Map(); // Serializes writes per book
+  }
+
+  // Caches an index as the most recently used, evicting the least recently
+  // used ones to stay under KNOWLEDGE_CACHE_MB. An index bigger than the
+  // whole cache is not kept.
+  remember(bookId, index, bytes) {
+    const limit = cacheBytes();
+    this.forget(bookId);
+    if (bytes > limit) return;
+
+    this.indexes.set(bookId, { index, bytes });
+    this.cachedBytes += bytes;
+
+    for (const [oldestId, oldest] of this.indexes) {
+      if (this.cachedBytes <= limit) break;
+      this.indexes.delete(oldestId);
+      this.lexicalStats.delete(oldestId);
+      this.cachedBytes -= oldest.bytes;
+    }
+  }
+
+  forget(bookId) {
+    const cached = this.indexes.get(bookId);
+    if (cached) {
+      this.indexes.delete(bookId);
+      this.cachedBytes -= cached.bytes;
+    }
+    this.lexicalStats.delete(bookId);
+  }
+
+  indexPath(bookId) {
+    const safeId = String(bookId).replace(/[^a-zA-Z0-9_-]/g, '');
+    if (!safeId) {
+      throw new Error('Invalid book ID');
+    }
+    return path.join(INDEX_DIR, `${safeId}.json`);
+  }
+
+  async load(bookId) {
+    const cached = this.indexes.get(bookId);
+    if (cached) {
+      // Move to the most recently used end
+      this.indexes.delete(bookId);
+      this.indexes.set(bookId, cached);
+      return cached.index;
+    }
+
+    let index;
+    let bytes = 0;
+    try {
+      const json = await fs.readFile(this.indexPath(bookId), 'utf8');
+      index = JSON.parse(json);
+      bytes = Buffer.byteLength(json);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      index = emptyIndex(bookId);
+    }
+
+    this.remember(bookId, index, bytes);
+    return index;
+  }
+
+  async save(bookId, index) {
+    const filePath = this.indexPath(bookId);
+    const json = JSON.stringify(index);
+    await fs.mkdir(INDEX_DIR, { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, json);
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    this.remember(bookId, index, Buffer.byteLength(json));
+  }
+
+  async withLock(bookId, task) {
+    const previous = this.locks.get(bookId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(bookId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(bookId) === current) this.locks.delete(bookId);
+    }
+  }
+
+  // `segments` ({ text, page, section }) come from the document extractors;
+  // when present, each chunk records the pages and section it came from.
+  // A source made of several documents (a crawled site) passes `documents`
+  // ([{ url, title, text, segments }]) instead, and each chunk records the
+  // document it belongs to.
+  //
+  // Re-ingesting a file name or URL the book already has replaces that
+  // source, unless its content is unchanged. Resolves to
+  // { source, replaced, unchanged }, where `replaced` is the superseded
+  // source record, if any.
+  async addSource(bookId, { type, name, url = null, title = null, size, text, segments, documents }, { embedder } = {}) {
+    const parts = documents?.length ? documents : [{ text, segments }];
+    const key = sourceKey({ type, name, url });
+    const hash = contentHash(parts);
+
+    const current = (await this.load(bookId)).sources.find(source => sourceKey(source) === key);
+    if (current?.contentHash === hash) {
+      return { source: current, replaced: null, unchanged: true };
+    }
+
+    const pieces = parts.flatMap((part, documentIndex) => (
+      part.segments?.length ? chunkSegments(part.segments) : chunkText(part.text)
+    ).map(piece => ({
+      ...piece,
+      ...(documents?.length && { document: { index: documentIndex, url: part.url, title: part.title } })
+    })));
+    if (pieces.length === 0) {
+      throw new Error('No text content to index');
+    }
+
+    let vectors = null;
+    if (embedder) {
+      try {
+        vectors = await embedder.embed(pieces.map(piece => piece.text));
+      } catch (error) {
+        console.error('Embedding failed, indexing for BM25 only:', error.message);
+      }
+    }
+
+    return this.withLock(bookId, async () => {
+      const index = await this.load(bookId);
+      const previous = index.sources.find(source => sourceKey(source) === key) || null;
+      const sourceId = randomUUID();
+      const now = new Date().toISOString();
+
+      const chunks = pieces.map((piece, i) => ({
+        id: `${sourceId}:${i}`,
+        sourceId,
+        position: i,
+        text: piece.text,
+        ...(piece.document && { document: piece.document }),
+        ...(piece.pageStart && { pageStart: piece.pageStart, pageEnd: piece.pageEnd }),
+        ...(piece.section && { section: piece.section }),
+        ...(vectors && { vector: vectors[i] })
+      }));
+
+      const source = {
+        id: sourceId,
+        type,
+        name,
+        url,
+        title,
+        size: size ?? parts.reduce((total, part) => total + Buffer.byteLength(part.text || ''), 0),
+        chunkCount: chunks.length,
+        ...(documents?.length && {
+          documents: documents.map(({ url: documentUrl, title: documentTitle }) => ({ url: documentUrl, title: documentTitle }))
+        }),
+        embedder: vectors ? embedder.id : null,
+        contentHash: hash,
+        version: previous ? (previous.version || 1) + 1 : 1,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now
+      };
+
+      await this.save(bookId, {
+        ...index,
+        sources: [...index.sources.filter(existing => existing !== previous), source],
+        chunks: [...index.chunks.filter(chunk => !previous || chunk.sourceId !== previous.id), ...chunks]
+      });
+
+      return { source, replaced: previous, unchanged: false };
+    });
+  }
+
+  // Sources with their sizes, chunk counts and ingest dates, newest first
+  async listSources(bookId) {
+    const index = await this.load(bookId);
+    return [...index.sources]
+      .map(source => ({ ...source, updatedAt: source.updatedAt || source.createdAt }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // One source plus a page of its chunks, in document order, for previewing
+  async getSource(bookId, sourceId, { offset = 0, limit = DEFAULT_PREVIEW_CHUNKS } = {}) {
+    const index = await this.load(bookId);
+    const source = index.sources.find(existing => existing.id === sourceId);
+    if (!source) return null;
+
+    const chunks = index.chunks
+      .filter(chunk => chunk.sourceId === sourceId)
+      .sort((a, b) => a.position - b.position);
+
+    return {
+      source: { ...source, updatedAt: source.updatedAt || source.createdAt },
+      total: chunks.length,
+      chunks: chunks.slice(offset, offset + limit).map(({ vector, ...chunk }) => chunk)
+    };
+  }
+
+  // Merges `updates` into a source record, e.g. the assistant file ID once
+  // the upload finishes
+  async updateSource(bookId, sourceId, updates) {
+    return this.withLock(bookId, async () => {
+      const index = await this.load(bookId);
+      const source = index.sources.find(existing => existing.id === sourceId);
+      if (!source) return null;
+
+      const updated = { ...source, ...updates };
+      await this.save(bookId, {
+        ...index,
+        sources: index.sources.map(existing => (existing === source ? updated : existing))
+      });
+      return updated;
+    });
+  }
+
+  // Removes a source and its chunks. Resolves to the removed source, or null
+  // if the book has no such source.
+  async deleteSource(bookId, sourceId) {
+    return this.withLock(bookId, async () => {
+      const index = await this.load(bookId);
+      const source = index.sources.find(existing => existing.id === sourceId);
+      if (!source) return null;
+
+      await this.save(bookId, {
+        ...index,
+        sources: index.sources.filter(existing => existing !== source),
+        chunks: index.chunks.filter(chunk => chunk.sourceId !== sourceId)
+      });
+      return source;
+    });
+  }
+
+  // Returns { method, results } where results are the top-k chunks as
+  // { chunkId, score, text, source }
+  async search(bookId, query, { k = DEFAULT_TOP_K, embedder } = {}) {
+    const index = await this.load(bookId);
+    if (index.chunks.length === 0 || !query?.trim()) {
+      return { method: null, results: [] };
+    }
+
+    let method = 'bm25';
+    let scored = null;
+
+    const vectorsUsable = embedder && index.sources.every(source => source.embedder === embedder.id);
+    if (vectorsUsable) {
+      try {
+        const [queryVector] = await embedder.embed([query]);
+        scored = index.chunks.map(chunk => ({ chunk, score: cosineSimilarity(queryVector, chunk.vector) }));
+        method = 'vector';
+      } catch (error) {
+        console.error('Query embedding failed, falling back to BM25:', error.message);
+      }
+    }
+
+    if (!scored) {
+      scored = this.scoreBM25(bookId, index, query);
+    }
+
+    const sourcesById = new Map(index.sources.map(source => [source.id, source]));
+    const results = scored
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(({ chunk, score }) => {
+        const source = sourcesById.get(chunk.sourceId) || {};
+        return {
+          chunkId: chunk.id,
+          score: Number(score.toFixed(4)),
+          text: chunk.text,
+          source: {
+            id: chunk.sourceId,
+            type: source.type,
+            name: source.name,
+            title: source.title,
+            url: source.url,
+            position: chunk.position,
+            pageStart: chunk.pageStart ?? null,
+            pageEnd: chunk.pageEnd ?? null,
+            section: chunk.section ?? null,
+            document: chunk.document ?? null
+          }
+        };
+      });
+
+    return { method, results };
+  }
+
+  scoreBM25(bookId, index, query) {
+    let stats = this.lexicalStats.get(bookId);
+
+    if (!stats) {
+      const documents = index.chunks.map(chunk => {
+        const termFrequencies = new Map();
+        const tokens = tokenize(chunk.text);
+        for (const token of tokens) {
+          termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+        }
+        return { termFrequencies, length: tokens.length };
+      });
+
+      const documentFrequencies = new Map();
+      for (const { termFrequencies } of documents) {
+        for (const term of termFrequencies.keys()) {
+          documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+        }
+      }
+
+      const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+      stats = { documents, documentFrequencies, averageLength };
+      if (this.indexes.has(bookId)) this.lexicalStats.set(bookId, stats);
+    }
+
+    const queryTerms = [...new Set(tokenize(query))];
+    const total = stats.documents.length;
+
+    return index.chunks.map((chunk, i) => {
+      const { termFrequencies, length } = stats.documents[i];
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const frequency = termFrequencies.get(term);
+        if (!frequency) continue;
+
+        const documentFrequency = stats.documentFrequencies.get(term);
+        const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const normalizedLength = 1 - BM25_B + BM25_B * (length / (stats.averageLength || 1));
+        score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * normalizedLength);
+      }
+
+      return { chunk, score };
+    });
+  }
+
+  // Prepends the retrieved chunks to a prompt as numbered, citable excerpts
+  augmentPrompt(prompt, results) {
+    if (!results?.length) return prompt;
+
+    const excerpts = results.map((result, i) => `[${i + 1}] Source: ${this.describeSource(result.source)}\n${result.text}`)
+      .join('\n\n');
+
+    return `Use the following excerpts from the book's research materials where they are relevant, and cite them inline as [n].
+
+${excerpts}
+
+---
+
+${prompt}`;
+  }
+
+  // The best-ranked results whose excerpts add at most `limit` tokens to the
+  // prompt, as counted by `count`. Results that don't fit are skipped, so a
+  // shorter one further down can still make it in.
+  selectWithinBudget(prompt, results, { limit, count }) {
+    const baseTokens = count(prompt);
+    const selected = [];
+
+    for (const result of results) {
+      const candidate = [...selected, result];
+      if (count(this.augmentPrompt(prompt, candidate)) - baseTokens <= limit) {
+        selected.push(result);
+      }
+    }
+
+    return selected;
+  }
+
+  // Adds the top-k excerpts for `query` to the prompt. `indexed` tells the
+  // caller whether the book has a local knowledge base at all. With
+  // `tokenBudget` ({ limit, count }), only as many excerpts as fit in `limit`
+  // tokens are added.
+  async retrieveForPrompt(bookId, prompt, { query = prompt, k, embedder, tokenBudget } = {}) {
+    const index = await this.load(bookId);
+    if (index.chunks.length === 0) {
+      return { prompt, results: [], indexed: false };
+    }
+
+    const { results: ranked } = await this.search(bookId, query, { k, embedder });
+    const results = tokenBudget ? this.selectWithinBudget(prompt, ranked, tokenBudget) : ranked;
+    return { prompt: this.augmentPrompt(prompt, results), results, indexed: true };
+  }
+
+  // "report.pdf, p. 4-5, § Methods" or, for a crawled page, "Title, https://..."
+  describeSource({ type, title, name, url, pageStart, pageEnd, section, document }) {
+    const parts = document
+      ? [document.title, document.url].filter(Boolean)
+      : [type === 'url' ? title || url : name || title];
+    if (pageStart) {
+      parts.push(pageEnd && pageEnd !== pageStart ? `p. ${pageStart}-${pageEnd}` : `p. ${pageStart}`);
+    }
+    if (section) parts.push(`§ ${section}`);
+    return parts.join(', ');
+  }
+
+  // Maps the [n] markers used in an augmented prompt back to their sources
+  toCitations(results = []) {
+    return results.map((result, i) => ({
+      marker: `[${i + 1}]`,
+      chunkId: result.chunkId,
+      label: this.describeSource(result.source),
+      ...result.source
+    }));
+  }
+
+  async getInfo(bookId) {
+    const index = await this.load(bookId);
+    return {
+      sourcesCount: index.sources.length,
+      chunksCount: index.chunks.length,
+      sources: index.sources
+    };
+  }
+
+  async deleteIndex(bookId) {
+    return this.withLock(bookId, async () => {
+      await fs.rm(this.indexPath(bookId), { force: true });
+      this.forget(bookId);
+    });
+  }
+}
+
+export const knowledgeIndex = new KnowledgeIndex();
+export default knowledgeIndex;
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { knowledgeIndex, tokenize } from './knowledgeIndex.js';
+
+// Puts an index straight into the cache, so search never touches the disk
+const cacheIndex = (bookId, texts) => {
+  const index = {
+    bookId,
+    sources: [{ id: 'source-1', type: 'file', name: 'notes.txt', title: 'Notes' }],
+    chunks: texts.map((text, position) => ({ id: `chunk-${position}`, sourceId: 'source-1', position, text }))
+  };
+  knowledgeIndex.remember(bookId, index, 1);
+  return index;
+};
+
+test('tokenize lowercases and drops stop words and single characters', () => {
+  assert.deepEqual(tokenize('The Photosynthesis of a C4 plant, in 2 steps'), ['photosynthesis', 'c4', 'plant', 'steps']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('BM25 ranks chunks by how well they match the query', async () => {
+  cacheIndex('bm25-ranking', [
+    'Photosynthesis turns light into chemical energy. Photosynthesis happens in chloroplasts.',
+    'Chloroplasts are organelles found in plant cells.',
+    'The French revolution began in 1789.'
+  ]);
+
+  const { method, results } = await knowledgeIndex.search('bm25-ranking', 'photosynthesis chloroplasts');
+
+  assert.equal(method, 'bm25');
+  assert.deepEqual(results.map(result => result.chunkId), ['chunk-0', 'chunk-1']);
+  assert.ok(results[0].score > results[1].score);
+  assert.equal(results[0].source.name, 'notes.txt');
+});
+
+test('BM25 weighs rare terms above common ones', async () => {
+  cacheIndex('bm25-idf', [
+    'energy energy energy',
+    'energy mitochondria',
+    'energy storage',
+    'energy transfer'
+  ]);
+
+  const { results } = await knowledgeIndex.search('bm25-idf', 'energy mitochondria', { k: 1 });
+  assert.equal(results[0].chunkId, 'chunk-1');
+});
+
+test('search returns nothing for an empty query or an empty index', async () => {
+  cacheIndex('bm25-empty', ['Some text about cells']);
+  assert.deepEqual(await knowledgeIndex.search('bm25-empty', '   '), { method: null, results: [] });
+
+  knowledgeIndex.remember('bm25-no-chunks', { bookId: 'bm25-no-chunks', sources: [], chunks: [] }, 1);
+  assert.deepEqual(await knowledgeIndex.search('bm25-no-chunks', 'cells'), { method: null, results: [] });
+});
+
+test('the cache evicts the least recently used index', async () => {
+  const previous = process.env.KNOWLEDGE_CACHE_MB;
+  process.env.KNOWLEDGE_CACHE_MB = '1';
+  const half = 512 * 1024;
+
+  try {
+    knowledgeIndex.remember('lru-a', { bookId: 'lru-a', sources: [], chunks: [] }, half);
+    knowledgeIndex.remember('lru-b', { bookId: 'lru-b', sources: [], chunks: [] }, half);
+    await knowledgeIndex.load('lru-a'); // now the most recently used
+    knowledgeIndex.remember('lru-c', { bookId: 'lru-c', sources: [], chunks: [] }, half);
+
+    assert.ok(knowledgeIndex.indexes.has('lru-a'));
+    assert.ok(!knowledgeIndex.indexes.has('lru-b'));
+    assert.ok(knowledgeIndex.indexes.has('lru-c'));
+
+    knowledgeIndex.remember('lru-huge', { bookId: 'lru-huge', sources: [], chunks: [] }, 4 * half);
+    assert.ok(!knowledgeIndex.indexes.has('lru-huge'));
+  } finally {
+    if (previous === undefined) delete process.env.KNOWLEDGE_CACHE_MB;
+    else process.env.KNOWLEDGE_CACHE_MB = previous;
+  }
+});
+
+test('sources can be listed, previewed, renamed and removed', async (t) => {
+  const bookId = `sources-${process.pid}`;
+  t.after(() => knowledgeIndex.deleteIndex(bookId));
+
+  const notes = await knowledgeIndex.addSource(bookId, { type: 'file', name: 'notes.txt', text: 'Cells divide by mitosis.' });
+  const site = await knowledgeIndex.addSource(bookId, {
+    type: 'url',
+    name: 'https://example.com',
+    url: 'https://example.com',
+    documents: [
+      { url: 'https://example.com', title: 'Home', text: 'Ribosomes build proteins.' },
+      { url: 'https://example.com/cells', title: 'Cells', text: 'Mitochondria release energy.' }
+    ]
+  });
+
+  assert.deepEqual((await knowledgeIndex.listSources(bookId)).map(source => source.id).sort(), [notes.source.id, site.source.id].sort());
+  assert.equal(site.source.documents.length, 2);
+
+  const preview = await knowledgeIndex.getSource(bookId, site.source.id, { limit: 1 });
+  assert.equal(preview.total, 2);
+  assert.equal(preview.chunks.length, 1);
+  assert.equal(preview.chunks[0].document.url, 'https://example.com');
+  assert.equal(await knowledgeIndex.getSource(bookId, 'missing'), null);
+
+  const renamed = await knowledgeIndex.updateSource(bookId, notes.source.id, { title: 'Lecture notes' });
+  assert.equal(renamed.title, 'Lecture notes');
+  assert.equal(await knowledgeIndex.updateSource(bookId, 'missing', { title: 'x' }), null);
+
+  assert.equal((await knowledgeIndex.deleteSource(bookId, site.source.id)).id, site.source.id);
+  assert.equal(await knowledgeIndex.deleteSource(bookId, site.source.id), null);
+
+  const { results } = await knowledgeIndex.search(bookId, 'mitochondria ribosomes mitosis');
+  assert.deepEqual(results.map(result => result.source.id), [notes.source.id]);
+});
+
+test('re-adding a source replaces it unless the content is unchanged', async (t) => {
+  const bookId = `replace-${process.pid}`;
+  t.after(() => knowledgeIndex.deleteIndex(bookId));
+
+  const first = await knowledgeIndex.addSource(bookId, { type: 'file', name: 'notes.txt', text: 'Version one of the notes.' });
+  const same = await knowledgeIndex.addSource(bookId, { type: 'file', name: 'notes.txt', text: 'Version one of the notes.' });
+  assert.equal(same.unchanged, true);
+  assert.equal(same.source.id, first.source.id);
+
+  const second = await knowledgeIndex.addSource(bookId, { type: 'file', name: 'notes.txt', text: 'Version two of the notes.' });
+  assert.equal(second.replaced.id, first.source.id);
+  assert.equal(second.source.version, 2);
+  assert.equal(second.source.createdAt, first.source.createdAt);
+
+  const { sourcesCount, chunksCount } = await knowledgeIndex.getInfo(bookId);
+  assert.deepEqual({ sourcesCount, chunksCount }, { sourcesCount: 1, chunksCount: 1 });
+});
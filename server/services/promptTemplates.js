@@ -0,0 +1,367 @@
+import { dbHelpers } from './supabase.js';
+import { styleGuide } from './styleGuide.js';
+
+// What each template variable holds. Book variables come from the book row,
+// topic variables from the topic being written.
+export const TEMPLATE_VARIABLES = {
+  book_title: 'Title of the book',
+  description: 'Description of the book',
+  audience: 'Target audience',
+  tone: 'Tone',
+  writing_style: 'Writing style',
+  learning_objectives: 'Learning objectives of the book',
+  estimated_pages: 'Estimated length of the book in pages',
+  style_guide: 'The book\'s style guide: spelling, person, voice, terminology and formatting rules',
+  source_content: 'Text extracted from the research material',
+  title: 'Title of the topic',
+  objectives: 'Learning objectives of the topic',
+  estimated_words: 'Target length of the topic in words',
+  book_memory: 'What the topics before this one covered: summaries, concepts and defined terms',
+  selected_text: 'The text selected in the editor',
+  context_before: 'The text just before the selection',
+  context_after: 'The text just after the selection',
+  instruction: 'What the chosen rewrite action asks for (expand, condense, simplify and so on)'
+};
+
+// Two saves of the same template can pick the same next version number; the
+// unique (book_id, template_key, version) index rejects the second, which
+// then retries with the number after it
+const UNIQUE_VIOLATION = '23505';
+const MAX_VERSION_ATTEMPTS = 5;
+
+const BOOK_VARIABLES = ['book_title', 'description', 'audience', 'tone', 'writing_style', 'learning_objectives', 'estimated_pages', 'style_guide'];
+const TOPIC_VARIABLES = ['title', 'objectives', 'estimated_words', 'book_memory'];
+
+// The built-in templates every book starts from. Bump a default's `version`
+// when its body changes, so topics record which default wrote them.
+export const DEFAULT_TEMPLATES = {
+  'toc-generation': {
+    name: 'Table of contents',
+    description: 'Plans the chapters and topics of a new book',
+    version: 2,
+    variables: [...BOOK_VARIABLES, 'source_content'],
+    body: `Create a detailed table of contents for the book "{{book_title}}".
+
+Description: {{description}}
+Target audience: {{audience}}
+Learning objectives: {{learning_objectives}}
+Writing style: {{writing_style}}
+Tone: {{tone}}
+Estimated length: {{estimated_pages}} pages
+
+{{style_guide}}
+
+Research material:
+{{source_content}}
+
+Organize the book into chapters, each with several topics. Give every topic a title, its learning objectives and an estimated word count, so that the topics together fill the estimated length.`
+  },
+
+  'topic-content': {
+    name: 'Topic content',
+    description: 'Writes one topic with the book\'s model',
+    version: 3,
+    variables: [...BOOK_VARIABLES, ...TOPIC_VARIABLES],
+    body: `Generate comprehensive content for the topic "{{title}}".
+
+Objectives: {{objectives}}
+Target audience: {{audience}}
+Writing style: {{writing_style}}
+Tone: {{tone}}
+
+{{style_guide}}
+
+Structure the content with proper HTML headers:
+- Use <h2> for main sections
+- Use <h3> for subsections
+- Use <h4> for sub-subsections
+- Include practical examples and code snippets where relevant
+- Use <ul>, <ol> for lists
+- Use <p> for paragraphs
+- Include <blockquote> for important notes
+
+Target length: {{estimated_words}} words
+
+What the book has covered so far:
+{{book_memory}}
+
+Build on the earlier topics: refer back to concepts and terms they introduced instead of explaining them again, and use new examples.
+
+Return only the HTML content without explanations.`
+  },
+
+  'topic-content-rag': {
+    name: 'Topic content (OpenAI assistant)',
+    description: 'Writes one topic with the book\'s OpenAI assistant and its research files',
+    version: 3,
+    variables: [...BOOK_VARIABLES, ...TOPIC_VARIABLES],
+    body: `Generate comprehensive content for the topic "{{title}}" with the following objectives: {{objectives}}
+
+Please structure the content with:
+- Proper heading hierarchy (H2, H3, H4)
+- Clear introduction and conclusion
+- Practical examples from the research materials
+- Code snippets if relevant
+- Bullet points and numbered lists where appropriate
+
+Target word count: {{estimated_words}} words
+
+What the book has covered so far:
+{{book_memory}}
+
+Build on the earlier topics: refer back to concepts and terms they introduced instead of explaining them again, and use new examples.
+
+Book: "{{book_title}}" for {{audience}}, written in a {{writing_style}} style with a {{tone}} tone.
+
+{{style_guide}}`
+  },
+
+  'topic-image': {
+    name: 'Topic illustration',
+    description: 'Describes the illustration generated for a topic',
+    version: 1,
+    variables: [...BOOK_VARIABLES, 'title'],
+    body: 'Create a professional, educational illustration for the topic "{{title}}" in the context of "{{book_title}}". Style: clean, modern, suitable for a {{audience}} audience. No text in image.'
+  },
+
+  'selection-rewrite': {
+    name: 'Rewrite selection',
+    description: 'Rewrites text selected in the editor (expand, condense, simplify, change tone and so on)',
+    version: 1,
+    variables: [...BOOK_VARIABLES, 'title', 'selected_text', 'context_before', 'context_after', 'instruction'],
+    body: `You are editing part of the topic "{{title}}" in the book "{{book_title}}" for {{audience}}, written in a {{writing_style}} style with a {{tone}} tone.
+
+{{style_guide}}
+
+Text before the selection:
+{{context_before}}
+
+Selected text:
+{{selected_text}}
+
+Text after the selection:
+{{context_after}}
+
+Task: {{instruction}}
+
+Make it read naturally between the text before and after. Return only the resulting HTML fragment, using <p>, <strong>, <em>, <code>, <ul>, <ol> and <li> as needed, without explanations or code fences.`
+  },
+
+  'rag-instructions': {
+    name: 'Assistant instructions',
+    description: 'Standing instructions for the book\'s OpenAI assistant',
+    version: 2,
+    variables: BOOK_VARIABLES,
+    body: `You are an expert content writer and researcher specializing in creating comprehensive, well-structured educational content for the book "{{book_title}}".
+
+Book Context:
+- Title: {{book_title}}
+- Target Audience: {{audience}}
+- Learning Objectives: {{learning_objectives}}
+- Writing Style: {{writing_style}}
+- Tone: {{tone}}
+
+{{style_guide}}
+
+Your responsibilities:
+1. Generate detailed table of contents based on uploaded research materials
+2. Create comprehensive content for each topic using the knowledge from uploaded files
+3. Maintain consistency with the book's target audience and learning objectives
+4. Reference and cite information from the uploaded research materials
+5. Ensure content is engaging, educational, and well-structured
+
+Always use the file search tool to find relevant information from uploaded research materials before generating content.`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([a-z_]+)\s*\}\}/g;
+const MAX_BODY_LENGTH = 20000;
+
+export class PromptTemplateError extends Error {
+  constructor(message, status = 400, code = 'INVALID_TEMPLATE', details = null) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Template variables for a book row (or the bookData sent with a new book)
+export const bookVariables = (book) => (book ? {
+  book_title: book.title,
+  description: book.description,
+  audience: book.target_audience,
+  tone: book.tone,
+  writing_style: book.writing_style,
+  learning_objectives: book.learning_objectives,
+  estimated_pages: book.estimated_pages,
+  style_guide: styleGuide.toPrompt(book.style_guide)
+} : {});
+
+export const topicVariables = (topic) => ({
+  title: topic.title,
+  objectives: topic.objectives,
+  estimated_words: topic.estimated_words || 800
+});
+
+// Prompt templates with per-book overrides. A book's overrides are an
+// append-only history in `prompt_templates`: every save, restore or reset
+// adds a version, and the latest one is in use. A version with no body means
+// "use the default", which is how a reset is recorded.
+class PromptTemplateService {
+  definition(key) {
+    const definition = DEFAULT_TEMPLATES[key];
+    if (!definition) {
+      throw new PromptTemplateError(`Unknown prompt template "${key}"`, 404, 'TEMPLATE_NOT_FOUND');
+    }
+    return definition;
+  }
+
+  // Placeholder names used in a body, each once
+  placeholders(body) {
+    return [...new Set([...body.matchAll(PLACEHOLDER)].map(match => match[1]))];
+  }
+
+  validate(key, body) {
+    const { variables } = this.definition(key);
+
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new PromptTemplateError('Template body is required');
+    }
+    if (body.length > MAX_BODY_LENGTH) {
+      throw new PromptTemplateError(`Template body must be at most ${MAX_BODY_LENGTH} characters`);
+    }
+
+    const unknown = this.placeholders(body).filter(name => !variables.includes(name));
+    if (unknown.length > 0) {
+      throw new PromptTemplateError(
+        `Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{{${name}}}`).join(', ')}. ` +
+        `This template can use ${variables.map(name => `{{${name}}}`).join(', ')}.`,
+        400,
+        'INVALID_TEMPLATE',
+        { unknown, allowed: variables }
+      );
+    }
+  }
+
+  // Fills each {{variable}}; missing values render as empty text, and the
+  // blank lines they leave behind are collapsed
+  render(body, variables = {}) {
+    return body
+      .replace(PLACEHOLDER, (placeholder, name) => {
+        const value = variables[name];
+        return value === null || value === undefined ? '' : String(value);
+      })
+      .replace(/\n{3,}/g, '\n\n');
+  }
+
+  // A book's versions of one template, newest first. Without a book there
+  // are none.
+  async getHistory(bookId, key) {
+    this.definition(key);
+    if (!bookId) return [];
+
+    const { data, error } = await dbHelpers.getPromptTemplateVersions(bookId, key);
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  // The template in use: the book's latest version, or the default
+  resolve(key, latest) {
+    const definition = this.definition(key);
+
+    if (latest?.body) {
+      return { key, version: latest.version, source: 'book', body: latest.body };
+    }
+    return { key, version: definition.version, source: 'default', body: definition.body };
+  }
+
+  async getActive(bookId, key) {
+    const [latest] = await this.getHistory(bookId, key);
+    return this.resolve(key, latest);
+  }
+
+  // A particular template: a version number from the book's history,
+  // 'default' for the built-in one, or null for the one in use
+  async getVersion(bookId, key, version = null) {
+    if (version === null || version === undefined) return this.getActive(bookId, key);
+    if (version === 'default') return this.resolve(key, null);
+
+    const entry = (await this.getHistory(bookId, key)).find(item => item.version === version);
+    if (!entry) {
+      throw new PromptTemplateError(`Version ${version} of "${key}" not found`, 404, 'TEMPLATE_VERSION_NOT_FOUND');
+    }
+    return this.resolve(key, entry);
+  }
+
+  // Every template with its definition and what the book uses now
+  async list(bookId) {
+    let versions = [];
+    if (bookId) {
+      const { data, error } = await dbHelpers.getPromptTemplateVersions(bookId);
+      if (error) throw error;
+      versions = data || [];
+    }
+
+    return Object.entries(DEFAULT_TEMPLATES).map(([key, definition]) => ({
+      key,
+      name: definition.name,
+      description: definition.description,
+      variables: definition.variables.map(name => ({ name, description: TEMPLATE_VARIABLES[name] })),
+      defaultBody: definition.body,
+      ...this.resolve(key, versions.find(version => version.template_key === key))
+    }));
+  }
+
+  async addVersion(bookId, key, body, userId) {
+    for (let attempt = 1; ; attempt++) {
+      const [latest] = await this.getHistory(bookId, key);
+
+      const { data, error } = await dbHelpers.createPromptTemplateVersion({
+        book_id: bookId,
+        template_key: key,
+        version: (latest?.version || 0) + 1,
+        body,
+        created_by: userId,
+        created_at: new Date().toISOString()
+      });
+      if (error?.code === UNIQUE_VIOLATION && attempt < MAX_VERSION_ATTEMPTS) continue;
+      if (error) throw error;
+
+      return data;
+    }
+  }
+
+  async saveVersion(bookId, key, body, userId) {
+    this.validate(key, body);
+    return this.addVersion(bookId, key, body, userId);
+  }
+
+  // Makes an earlier version current again by copying it as the newest
+  async restoreVersion(bookId, key, version, userId) {
+    const history = await this.getHistory(bookId, key);
+    const previous = history.find(entry => entry.version === version);
+    if (!previous) {
+      throw new PromptTemplateError(`Version ${version} of "${key}" not found`, 404, 'TEMPLATE_VERSION_NOT_FOUND');
+    }
+
+    return this.addVersion(bookId, key, previous.body, userId);
+  }
+
+  async reset(bookId, key, userId) {
+    this.definition(key);
+    return this.addVersion(bookId, key, null, userId);
+  }
+
+  // The prompt for a book and which template produced it. `version` picks a
+  // template other than the one in use (see getVersion).
+  async renderFor(bookId, key, variables, version = null) {
+    const { body, ...template } = await this.getVersion(bookId, key, version);
+    return { prompt: this.render(body, variables), template };
+  }
+}
+
+export const promptTemplates = new PromptTemplateService();
+export default promptTemplates;
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promptTemplates, PromptTemplateError, DEFAULT_TEMPLATES } from './promptTemplates.js';
+import { dbHelpers } from './supabase.js';
+
+test('render fills variables and collapses the blank lines empty ones leave', () => {
+  const body = 'Write about {{ title }}.\n\n{{style_guide}}\n\n\nFor {{audience}}, {{title}} again.';
+  assert.equal(
+    promptTemplates.render(body, { title: 'Cells', audience: 0, style_guide: null }),
+    'Write about Cells.\n\nFor 0, Cells again.'
+  );
+});
+
+test('validate accepts the defaults and names unknown variables', () => {
+  for (const [key, { body }] of Object.entries(DEFAULT_TEMPLATES)) {
+    assert.doesNotThrow(() => promptTemplates.validate(key, body), key);
+  }
+
+  assert.throws(() => promptTemplates.validate('topic-image', 'Draw {{title}} for {{objectives}} and {{nope}}'), (error) => {
+    assert.ok(error instanceof PromptTemplateError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details.unknown, ['objectives', 'nope']);
+    assert.match(error.message, /^Unknown variables \{\{objectives\}\}, \{\{nope\}\}\./);
+    return true;
+  });
+  assert.throws(() => promptTemplates.validate('topic-image', '   '), /body is required/);
+  assert.throws(() => promptTemplates.validate('topic-image', 'x'.repeat(20001)), /at most 20000 characters/);
+  assert.throws(() => promptTemplates.validate('no-such-template', 'Hi'), { status: 404, code: 'TEMPLATE_NOT_FOUND' });
+});
+
+test('the latest book version is used, and a reset falls back to the default', async (t) => {
+  const history = t.mock.method(dbHelpers, 'getPromptTemplateVersions', async () => ({
+    data: [{ version: 2, body: 'Book version for {{title}}' }, { version: 1, body: 'Older' }],
+    error: null
+  }));
+
+  assert.deepEqual(await promptTemplates.renderFor('book-1', 'topic-image', { title: 'Cells' }), {
+    prompt: 'Book version for Cells',
+    template: { key: 'topic-image', version: 2, source: 'book' }
+  });
+  assert.equal((await promptTemplates.getVersion('book-1', 'topic-image', 1)).body, 'Older');
+  await assert.rejects(promptTemplates.getVersion('book-1', 'topic-image', 7), { status: 404 });
+
+  history.mock.mockImplementation(async () => ({ data: [{ version: 3, body: null }], error: null }));
+  assert.deepEqual(await promptTemplates.getActive('book-1', 'topic-image'), {
+    key: 'topic-image', version: DEFAULT_TEMPLATES['topic-image'].version, source: 'default', body: DEFAULT_TEMPLATES['topic-image'].body
+  });
+});
+
+test('a save that loses the race for a version number retries with the next one', async (t) => {
+  let latest = 4;
+  t.mock.method(dbHelpers, 'getPromptTemplateVersions', async () => ({ data: [{ version: latest, body: 'x' }], error: null }));
+  const create = t.mock.method(dbHelpers, 'createPromptTemplateVersion', async (row) => {
+    if (row.version === 5) {
+      latest = 5; // Someone else saved version 5 first
+      return { data: null, error: { code: '23505' } };
+    }
+    return { data: row, error: null };
+  });
+
+  const saved = await promptTemplates.saveVersion('book-1', 'topic-image', 'Draw {{title}}', 'user-1');
+  assert.equal(saved.version, 6);
+  assert.equal(create.mock.callCount(), 2);
+});
+
+test('saving gives up after repeated version conflicts and passes other errors on', async (t) => {
+  t.mock.method(dbHelpers, 'getPromptTemplateVersions', async () => ({ data: [], error: null }));
+  const create = t.mock.method(dbHelpers, 'createPromptTemplateVersion', async () => ({ data: null, error: { code: '23505', message: 'duplicate key' } }));
+
+  await assert.rejects(promptTemplates.reset('book-1', 'topic-image', 'user-1'), { code: '23505' });
+  assert.equal(create.mock.callCount(), 5);
+
+  create.mock.resetCalls();
+  create.mock.mockImplementation(async () => ({ data: null, error: { code: '42501', message: 'permission denied' } }));
+  await assert.rejects(promptTemplates.reset('book-1', 'topic-image', 'user-1'), { code: '42501' });
+  assert.equal(create.mock.callCount(), 1);
+});
@@ -2,61 +2,129 @@ import OpenAI from 'openai';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { dbHelpers } from './supabase.js';
+import { promptTemplates, bookVariables } from './promptTemplates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const ASSISTANT_MODEL = 'gpt-4o';
+
+// Assistant, thread and vector store IDs live on the book row and uploaded
+// files in `source_files`, so they survive restarts. `books` only caches them.
+//
+// The service holds no credentials. Every OpenAI call goes through the
+// request context passed in by the caller (see createContext), so concurrent
+// requests made with different API keys never share a client.
 class RAGService {
   constructor() {
-    this.openai = null;
-    this.assistants = new Map(); // Store assistants per book
-    this.threads = new Map(); // Store threads per book
-    this.uploadedFiles = new Map(); // Store file IDs per book
+    this.books = new Map(); // Cached RAG state per book: { assistantId, threadId, vectorStoreId, files }
   }
 
-  initialize(apiKey) {
-    this.openai = new OpenAI({ apiKey });
+  createContext(apiKey) {
+    if (!apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+    return { openai: new OpenAI({ apiKey }) };
   }
 
-  async createBookAssistant(bookId, bookData) {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
+  async getBookState(bookId) {
+    if (this.books.has(bookId)) {
+      return this.books.get(bookId);
     }
 
+    const { data: book, error } = await dbHelpers.getBook(bookId);
+    if (error) throw error;
+
+    const { data: files, error: filesError } = await dbHelpers.getAssistantFiles(bookId);
+    if (filesError) throw filesError;
+
+    const state = {
+      assistantId: book?.openai_assistant_id || null,
+      threadId: book?.openai_thread_id || null,
+      vectorStoreId: book?.openai_vector_store_id || null,
+      files: (files || []).map(file => ({
+        fileId: file.openai_file_id,
+        fileName: file.name,
+        fileType: file.type
+      }))
+    };
+
+    this.books.set(bookId, state);
+    return state;
+  }
+
+  async saveBookState(bookId, updates) {
+    const state = { ...(await this.getBookState(bookId)), ...updates };
+
+    const { error } = await dbHelpers.updateBook(bookId, {
+      openai_assistant_id: state.assistantId,
+      openai_thread_id: state.threadId,
+      openai_vector_store_id: state.vectorStoreId,
+      rag_enabled: !!state.assistantId
+    });
+    if (error) throw error;
+
+    this.books.set(bookId, state);
+    return state;
+  }
+
+  // `type` follows the source_files convention: the file extension, or 'url'
+  async recordFile(bookId, { fileId, type, name, url = null, size = null }) {
+    const state = await this.getBookState(bookId);
+
+    const { error } = await dbHelpers.createSourceFile({
+      book_id: bookId,
+      type,
+      name,
+      url,
+      size,
+      openai_file_id: fileId
+    });
+    if (error) throw error;
+
+    state.files = [...state.files, { fileId, fileName: name, fileType: type }];
+  }
+
+  async createBookAssistant(ctx, bookId, bookData) {
+    const { openai } = ctx;
+
     try {
+      // Re-attach to the book's assistant if it still exists remotely
+      const existing = await this.getBookState(bookId);
+      if (existing.assistantId && existing.threadId) {
+        try {
+          await openai.beta.assistants.retrieve(existing.assistantId);
+          return { assistantId: existing.assistantId, threadId: existing.threadId };
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+
       // Create assistant with specific instructions for the book
-      const assistant = await this.openai.beta.assistants.create({
+      const { prompt: instructions } = await promptTemplates.renderFor(bookId, 'rag-instructions', bookVariables(bookData));
+      const assistant = await openai.beta.assistants.create({
         name: `EbookAI Assistant - ${bookData.title}`,
-        instructions: `You are an expert content writer and researcher specializing in creating comprehensive, well-structured educational content for the book "${bookData.title}".
-
-Book Context:
-- Title: ${bookData.title}
-- Target Audience: ${bookData.target_audience}
-- Learning Objectives: ${bookData.learning_objectives}
-- Writing Style: ${bookData.writing_style}
-- Tone: ${bookData.tone}
-
-Your responsibilities:
-1. Generate detailed table of contents based on uploaded research materials
-2. Create comprehensive content for each topic using the knowledge from uploaded files
-3. Maintain consistency with the book's target audience and learning objectives
-4. Reference and cite information from the uploaded research materials
-5. Ensure content is engaging, educational, and well-structured
-
-Always use the file search tool to find relevant information from uploaded research materials before generating content.`,
+        instructions,
         tools: [
           { type: "file_search" },
           { type: "code_interpreter" }
         ],
-        model: "gpt-4o",
-        temperature: 0.7
+        model: ASSISTANT_MODEL,
+        temperature: 0.7,
+        metadata: { book_id: String(bookId) }
       });
 
-      this.assistants.set(bookId, assistant.id);
-      
       // Create a thread for this book
-      const thread = await this.openai.beta.threads.create();
-      this.threads.set(bookId, thread.id);
+      const thread = await openai.beta.threads.create({
+        metadata: { book_id: String(bookId) }
+      });
+
+      await this.saveBookState(bookId, {
+        assistantId: assistant.id,
+        threadId: thread.id,
+        vectorStoreId: null
+      });
 
       return { assistantId: assistant.id, threadId: thread.id };
     } catch (error) {
@@ -65,10 +133,24 @@ Always use the file search tool to find relevant information from uploaded resea
     }
   }
 
-  async uploadFileToAssistant(bookId, fileBuffer, fileName, fileType = 'application/pdf') {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
-    }
+  // Re-renders the assistant's instructions after the book's template
+  // changes. Books without an assistant have nothing to update.
+  async refreshInstructions(ctx, bookId) {
+    const { openai } = ctx;
+
+    const state = await this.getBookState(bookId);
+    if (!state.assistantId) return false;
+
+    const { data: book, error } = await dbHelpers.getBook(bookId);
+    if (error) throw error;
+
+    const { prompt: instructions } = await promptTemplates.renderFor(bookId, 'rag-instructions', bookVariables(book));
+    await openai.beta.assistants.update(state.assistantId, { instructions });
+    return true;
+  }
+
+  async uploadFileToAssistant(ctx, bookId, fileBuffer, fileName, fileType = 'application/pdf') {
+    const { openai } = ctx;
 
     try {
       // Save file temporarily
@@ -77,11 +159,11 @@ Always use the file search tool to find relevant information from uploaded resea
         fs.mkdirSync(tempDir, { recursive: true });
       }
 
-      const tempFilePath = path.join(tempDir, fileName);
+      const tempFilePath = path.join(tempDir, path.basename(fileName));
       fs.writeFileSync(tempFilePath, fileBuffer);
 
       // Upload file to OpenAI
-      const file = await this.openai.files.create({
+      const file = await openai.files.create({
         file: fs.createReadStream(tempFilePath),
         purpose: 'assistants'
       });
@@ -90,29 +172,15 @@ Always use the file search tool to find relevant information from uploaded resea
       fs.unlinkSync(tempFilePath);
 
       // Store file ID for this book
-      if (!this.uploadedFiles.has(bookId)) {
-        this.uploadedFiles.set(bookId, []);
-      }
-      this.uploadedFiles.get(bookId).push({
+      await this.recordFile(bookId, {
         fileId: file.id,
-        fileName,
-        fileType
+        type: path.extname(fileName).slice(1).toLowerCase() || 'file',
+        name: fileName,
+        size: fileBuffer.length
       });
 
-      // Attach file to assistant
-      const assistantId = this.assistants.get(bookId);
-      if (assistantId) {
-        await this.openai.beta.assistants.update(assistantId, {
-          tool_resources: {
-            file_search: {
-              vector_store_ids: [] // Will be updated when creating vector store
-            }
-          }
-        });
-
-        // Create vector store and add files
-        await this.createVectorStore(bookId);
-      }
+      // Add the file to the assistant's vector store
+      await this.addFileToVectorStore(ctx, bookId, file.id);
 
       return file.id;
     } catch (error) {
@@ -121,34 +189,36 @@ Always use the file search tool to find relevant information from uploaded resea
     }
   }
 
-  async createVectorStore(bookId) {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
-    }
+  // Reuses the book's vector store, creating it on first upload
+  async addFileToVectorStore(ctx, bookId, fileId) {
+    const { openai } = ctx;
 
     try {
-      const assistantId = this.assistants.get(bookId);
-      const files = this.uploadedFiles.get(bookId) || [];
+      const state = await this.getBookState(bookId);
+      if (!state.assistantId) return null;
 
-      if (files.length === 0) return;
+      if (state.vectorStoreId) {
+        try {
+          await openai.vectorStores.files.create(state.vectorStoreId, { file_id: fileId });
+          return state.vectorStoreId;
+        } catch (error) {
+          // The store expired or was deleted, so build a new one from every file
+          if (error.status !== 404) throw error;
+        }
+      }
 
-      // Create vector store
-      const vectorStore = await this.openai.beta.vectorStores.create({
+      const vectorStore = await openai.vectorStores.create({
         name: `Knowledge Base - Book ${bookId}`,
+        file_ids: state.files.map(f => f.fileId),
         expires_after: {
           anchor: "last_active_at",
           days: 30
-        }
-      });
-
-      // Add files to vector store
-      const fileIds = files.map(f => f.fileId);
-      await this.openai.beta.vectorStores.fileBatches.create(vectorStore.id, {
-        file_ids: fileIds
+        },
+        metadata: { book_id: String(bookId) }
       });
 
       // Update assistant with vector store
-      await this.openai.beta.assistants.update(assistantId, {
+      await openai.beta.assistants.update(state.assistantId, {
         tool_resources: {
           file_search: {
             vector_store_ids: [vectorStore.id]
@@ -156,17 +226,16 @@ Always use the file search tool to find relevant information from uploaded resea
         }
       });
 
+      await this.saveBookState(bookId, { vectorStoreId: vectorStore.id });
       return vectorStore.id;
     } catch (error) {
-      console.error('Error creating vector store:', error);
+      console.error('Error updating vector store:', error);
       throw error;
     }
   }
 
-  async addUrlContentToKnowledge(bookId, url, content, title) {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
-    }
+  async addUrlContentToKnowledge(ctx, bookId, url, content, title) {
+    const { openai } = ctx;
 
     try {
       // Create a text file with URL content
@@ -182,7 +251,7 @@ Always use the file search tool to find relevant information from uploaded resea
       fs.writeFileSync(tempFilePath, fileContent, 'utf8');
 
       // Upload to OpenAI
-      const file = await this.openai.files.create({
+      const file = await openai.files.create({
         file: fs.createReadStream(tempFilePath),
         purpose: 'assistants'
       });
@@ -191,17 +260,10 @@ Always use the file search tool to find relevant information from uploaded resea
       fs.unlinkSync(tempFilePath);
 
       // Store file ID
-      if (!this.uploadedFiles.has(bookId)) {
-        this.uploadedFiles.set(bookId, []);
-      }
-      this.uploadedFiles.get(bookId).push({
-        fileId: file.id,
-        fileName: `URL: ${url}`,
-        fileType: 'text/plain'
-      });
+      await this.recordFile(bookId, { fileId: file.id, type: 'url', name: title || url, url });
 
       // Update vector store
-      await this.createVectorStore(bookId);
+      await this.addFileToVectorStore(ctx, bookId, file.id);
 
       return file.id;
     } catch (error) {
@@ -210,48 +272,77 @@ Always use the file search tool to find relevant information from uploaded resea
     }
   }
 
-  async generateWithRAG(bookId, prompt, messageType = 'content-generation') {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
+  // Takes one file out of the book's vector store and deletes it, e.g. when
+  // its source is removed or replaced by a newer version
+  async removeFile(ctx, bookId, fileId) {
+    const { openai } = ctx;
+
+    try {
+      const state = await this.getBookState(bookId);
+
+      if (state.vectorStoreId) {
+        try {
+          await openai.vectorStores.files.del(state.vectorStoreId, fileId);
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+      await this.deleteRemoteResources(ctx, { fileIds: [fileId] });
+
+      const { error } = await dbHelpers.deleteAssistantFile(bookId, fileId);
+      if (error) throw error;
+
+      state.files = state.files.filter(f => f.fileId !== fileId);
+    } catch (error) {
+      console.error('Error removing file:', error);
+      throw error;
     }
+  }
+
+  // Resolves to { content, usage } like a provider's generate()
+  async generateWithRAG(ctx, bookId, prompt, messageType = 'content-generation') {
+    const { openai } = ctx;
 
     try {
-      const assistantId = this.assistants.get(bookId);
-      const threadId = this.threads.get(bookId);
+      const { assistantId, threadId } = await this.getBookState(bookId);
 
       if (!assistantId || !threadId) {
         throw new Error('Assistant or thread not found for this book');
       }
 
       // Add message to thread
-      await this.openai.beta.threads.messages.create(threadId, {
+      await openai.beta.threads.messages.create(threadId, {
         role: "user",
         content: prompt
       });
 
       // Run the assistant
-      const run = await this.openai.beta.threads.runs.create(threadId, {
+      const run = await openai.beta.threads.runs.create(threadId, {
         assistant_id: assistantId,
-        instructions: messageType === 'toc-generation' 
-          ? "Focus on creating a comprehensive table of contents. Use the uploaded research materials to inform the structure and ensure all important topics are covered."
-          : "Generate detailed, well-researched content using information from the uploaded files. Always reference relevant information from the research materials."
+        instructions: this.getRunInstructions(messageType)
       });
 
       // Wait for completion
-      let runStatus = await this.openai.beta.threads.runs.retrieve(threadId, run.id);
+      let runStatus = await openai.beta.threads.runs.retrieve(threadId, run.id);
       
       while (runStatus.status === 'in_progress' || runStatus.status === 'queued') {
         await new Promise(resolve => setTimeout(resolve, 1000));
-        runStatus = await this.openai.beta.threads.runs.retrieve(threadId, run.id);
+        runStatus = await openai.beta.threads.runs.retrieve(threadId, run.id);
       }
 
       if (runStatus.status === 'completed') {
         // Get the latest message
-        const messages = await this.openai.beta.threads.messages.list(threadId);
+        const messages = await openai.beta.threads.messages.list(threadId);
         const latestMessage = messages.data[0];
         
         if (latestMessage.role === 'assistant') {
-          return latestMessage.content[0].text.value;
+          return {
+            content: latestMessage.content[0].text.value,
+            usage: {
+              inputTokens: runStatus.usage?.prompt_tokens || 0,
+              outputTokens: runStatus.usage?.completion_tokens || 0
+            }
+          };
         }
       } else if (runStatus.status === 'failed') {
         throw new Error(`Assistant run failed: ${runStatus.last_error?.message}`);
@@ -264,14 +355,59 @@ Always use the file search tool to find relevant information from uploaded resea
     }
   }
 
-  async searchKnowledge(bookId, query) {
-    if (!this.openai) {
-      throw new Error('OpenAI client not initialized');
+  // Same as generateWithRAG, but yields text deltas as the assistant run
+  // produces them
+  async *streamWithRAG(ctx, bookId, prompt, messageType = 'content-generation', { signal } = {}) {
+    const { openai } = ctx;
+
+    const { assistantId, threadId } = await this.getBookState(bookId);
+
+    if (!assistantId || !threadId) {
+      throw new Error('Assistant or thread not found for this book');
     }
 
+    await openai.beta.threads.messages.create(threadId, {
+      role: "user",
+      content: prompt
+    });
+
+    const run = openai.beta.threads.runs.stream(threadId, {
+      assistant_id: assistantId,
+      instructions: this.getRunInstructions(messageType)
+    }, { signal });
+
+    for await (const event of run) {
+      if (event.event === 'thread.message.delta') {
+        for (const part of event.data.delta.content || []) {
+          if (part.type === 'text' && part.text?.value) {
+            yield { type: 'text', text: part.text.value };
+          }
+        }
+      } else if (event.event === 'thread.run.completed' && event.data.usage) {
+        yield {
+          type: 'usage',
+          usage: {
+            inputTokens: event.data.usage.prompt_tokens || 0,
+            outputTokens: event.data.usage.completion_tokens || 0
+          }
+        };
+      } else if (event.event === 'thread.run.failed') {
+        throw new Error(`Assistant run failed: ${event.data.last_error?.message}`);
+      }
+    }
+  }
+
+  getRunInstructions(messageType) {
+    return messageType === 'toc-generation'
+      ? "Focus on creating a comprehensive table of contents. Use the uploaded research materials to inform the structure and ensure all important topics are covered."
+      : "Generate detailed, well-researched content using information from the uploaded files. Always reference relevant information from the research materials.";
+  }
+
+  async searchKnowledge(ctx, bookId, query) {
+    const { openai } = ctx;
+
     try {
-      const assistantId = this.assistants.get(bookId);
-      const threadId = this.threads.get(bookId);
+      const { assistantId, threadId } = await this.getBookState(bookId);
 
       if (!assistantId || !threadId) {
         throw new Error('Assistant or thread not found for this book');
@@ -280,26 +416,26 @@ Always use the file search tool to find relevant information from uploaded resea
       // Create a search-specific message
       const searchPrompt = `Search the knowledge base for information related to: "${query}". Provide relevant excerpts and sources.`;
 
-      await this.openai.beta.threads.messages.create(threadId, {
+      await openai.beta.threads.messages.create(threadId, {
         role: "user",
         content: searchPrompt
       });
 
-      const run = await this.openai.beta.threads.runs.create(threadId, {
+      const run = await openai.beta.threads.runs.create(threadId, {
         assistant_id: assistantId,
         instructions: "Search the uploaded files for relevant information and provide detailed excerpts with context."
       });
 
       // Wait for completion
-      let runStatus = await this.openai.beta.threads.runs.retrieve(threadId, run.id);
+      let runStatus = await openai.beta.threads.runs.retrieve(threadId, run.id);
       
       while (runStatus.status === 'in_progress' || runStatus.status === 'queued') {
         await new Promise(resolve => setTimeout(resolve, 1000));
-        runStatus = await this.openai.beta.threads.runs.retrieve(threadId, run.id);
+        runStatus = await openai.beta.threads.runs.retrieve(threadId, run.id);
       }
 
       if (runStatus.status === 'completed') {
-        const messages = await this.openai.beta.threads.messages.list(threadId);
+        const messages = await openai.beta.threads.messages.list(threadId);
         const latestMessage = messages.data[0];
         
         if (latestMessage.role === 'assistant') {
@@ -314,44 +450,167 @@ Always use the file search tool to find relevant information from uploaded resea
     }
   }
 
-  async deleteBookAssistant(bookId) {
+  async deleteBookAssistant(ctx, bookId) {
     try {
-      const assistantId = this.assistants.get(bookId);
-      const files = this.uploadedFiles.get(bookId) || [];
+      const { assistantId, threadId, vectorStoreId, files } = await this.getBookState(bookId);
 
-      // Delete uploaded files
-      for (const file of files) {
-        try {
-          await this.openai.files.del(file.fileId);
-        } catch (error) {
-          console.error(`Error deleting file ${file.fileId}:`, error);
-        }
-      }
+      await this.deleteRemoteResources(ctx, { assistantId, threadId, vectorStoreId, fileIds: files.map(f => f.fileId) });
 
-      // Delete assistant
-      if (assistantId) {
-        await this.openai.beta.assistants.del(assistantId);
-      }
+      // Clear the persisted mappings
+      await this.saveBookState(bookId, {
+        assistantId: null,
+        threadId: null,
+        vectorStoreId: null
+      });
+      const { error } = await dbHelpers.clearAssistantFiles(bookId);
+      if (error) throw error;
 
-      // Clean up local storage
-      this.assistants.delete(bookId);
-      this.threads.delete(bookId);
-      this.uploadedFiles.delete(bookId);
+      this.books.delete(bookId);
     } catch (error) {
       console.error('Error deleting book assistant:', error);
       throw error;
     }
   }
 
-  getBookFiles(bookId) {
-    return this.uploadedFiles.get(bookId) || [];
+  // Best-effort removal; resources that are already gone are skipped
+  async deleteRemoteResources(ctx, { assistantId, threadId, vectorStoreId, fileIds = [] }) {
+    const { openai } = ctx;
+    const attempt = async (label, task) => {
+      try {
+        await task();
+      } catch (error) {
+        if (error.status !== 404) {
+          console.error(`Error deleting ${label}:`, error.message);
+        }
+      }
+    };
+
+    for (const fileId of fileIds) {
+      await attempt(`file ${fileId}`, () => openai.files.del(fileId));
+    }
+    if (vectorStoreId) {
+      await attempt(`vector store ${vectorStoreId}`, () => openai.vectorStores.del(vectorStoreId));
+    }
+    if (threadId) {
+      await attempt(`thread ${threadId}`, () => openai.beta.threads.del(threadId));
+    }
+    if (assistantId) {
+      await attempt(`assistant ${assistantId}`, () => openai.beta.assistants.del(assistantId));
+    }
+  }
+
+  // Runs at startup. Each book's assistant lives in its owner's OpenAI
+  // account, so books are checked owner by owner with a context for that
+  // owner's key (`getKey(userId)` resolves to it, or null). A book is
+  // detached only when its owner's own account says the assistant is gone;
+  // books whose owner has no key, or whose check fails any other way, are
+  // left alone. In each owner's account, assistants and vector stores tagged
+  // with one of that owner's books but no longer referenced by it (left
+  // behind when an assistant was recreated) are deleted with their files.
+  async reconcile({ getKey }) {
+    const { data: books, error } = await dbHelpers.getBooksWithAssistants();
+    if (error) throw error;
+
+    const assistantIds = new Set((books || []).map(book => book.openai_assistant_id));
+    const vectorStoreIds = new Set((books || []).map(book => book.openai_vector_store_id).filter(Boolean));
+
+    const booksByOwner = new Map();
+    for (const book of books || []) {
+      if (!book.user_id) continue;
+      booksByOwner.set(book.user_id, [...(booksByOwner.get(book.user_id) || []), book]);
+    }
+
+    let detached = 0;
+    let removed = 0;
+    let skipped = 0;
+
+    for (const [userId, ownerBooks] of booksByOwner) {
+      let ctx;
+      try {
+        const apiKey = await getKey(userId);
+        ctx = apiKey ? this.createContext(apiKey) : null;
+      } catch (keyError) {
+        console.error(`RAG reconcile: could not read the OpenAI key of user ${userId}:`, keyError.message);
+      }
+      if (!ctx) {
+        skipped += ownerBooks.length;
+        continue;
+      }
+
+      const result = await this.reconcileOwner(ctx, ownerBooks, { assistantIds, vectorStoreIds });
+      detached += result.detached;
+      removed += result.removed;
+      skipped += result.skipped;
+    }
+
+    return { detached, removed, skipped };
+  }
+
+  async reconcileOwner(ctx, books, { assistantIds, vectorStoreIds }) {
+    const { openai } = ctx;
+    const ownBookIds = new Set(books.map(book => String(book.id)));
+    let detached = 0;
+    let removed = 0;
+    let skipped = 0;
+
+    for (const book of books) {
+      try {
+        await openai.beta.assistants.retrieve(book.openai_assistant_id);
+      } catch (retrieveError) {
+        if (retrieveError.status !== 404) {
+          console.error(`RAG reconcile: could not check the assistant of book ${book.id}:`, retrieveError.message);
+          skipped++;
+          continue;
+        }
+
+        this.books.delete(book.id);
+        await this.saveBookState(book.id, { assistantId: null, threadId: null, vectorStoreId: null });
+        await dbHelpers.clearAssistantFiles(book.id);
+        detached++;
+      }
+    }
+
+    const isOrphan = (resource, referenced) => (
+      ownBookIds.has(resource.metadata?.book_id) && !referenced.has(resource.id)
+    );
+
+    try {
+      for await (const assistant of openai.beta.assistants.list({ limit: 100 })) {
+        if (!isOrphan(assistant, assistantIds)) continue;
+
+        await this.deleteRemoteResources(ctx, { assistantId: assistant.id });
+        removed++;
+      }
+
+      for await (const vectorStore of openai.vectorStores.list({ limit: 100 })) {
+        if (!isOrphan(vectorStore, vectorStoreIds)) continue;
+
+        const fileIds = [];
+        for await (const file of openai.vectorStores.files.list(vectorStore.id, { limit: 100 })) {
+          fileIds.push(file.id);
+        }
+
+        await this.deleteRemoteResources(ctx, { vectorStoreId: vectorStore.id, fileIds });
+        removed++;
+      }
+    } catch (listError) {
+      console.error('RAG reconcile: could not list assistants or vector stores:', listError.message);
+    }
+
+    return { detached, removed, skipped };
+  }
+
+  async getBookFiles(bookId) {
+    return (await this.getBookState(bookId)).files;
   }
 
-  getBookAssistantInfo(bookId) {
+  async getBookAssistantInfo(bookId) {
+    const state = await this.getBookState(bookId);
     return {
-      assistantId: this.assistants.get(bookId),
-      threadId: this.threads.get(bookId),
-      filesCount: (this.uploadedFiles.get(bookId) || []).length
+      assistantId: state.assistantId,
+      threadId: state.threadId,
+      vectorStoreId: state.vectorStoreId,
+      filesCount: state.files.length
     };
   }
 }
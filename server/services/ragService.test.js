@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ragService } from './ragService.js';
+
+// A stand-in OpenAI API that records the key each request carried. It holds
+// every request until two have arrived, so the two contexts' calls are in
+// flight at the same time.
+const requests = [];
+let waiting = [];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ path: req.url, authorization: req.headers.authorization });
+    waiting.push(() => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ id: req.url.split('/').pop(), deleted: true }));
+    });
+
+    if (waiting.length >= 2) {
+      const release = waiting;
+      waiting = [];
+      release.forEach(respond => respond());
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(async () => {
+  delete process.env.OPENAI_BASE_URL;
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('concurrent contexts keep their own client and key', async () => {
+  const [first, second] = await Promise.all([
+    Promise.resolve().then(() => ragService.createContext('sk-first')),
+    Promise.resolve().then(() => ragService.createContext('sk-second'))
+  ]);
+
+  assert.notEqual(first.openai, second.openai);
+  assert.equal(first.openai.apiKey, 'sk-first');
+  assert.equal(second.openai.apiKey, 'sk-second');
+
+  await Promise.all([
+    ragService.deleteRemoteResources(first, { assistantId: 'asst_first' }),
+    ragService.deleteRemoteResources(second, { assistantId: 'asst_second' })
+  ]);
+
+  const keyFor = (assistantId) => requests.find(request => request.path.endsWith(assistantId))?.authorization;
+  assert.equal(requests.length, 2);
+  assert.equal(keyFor('asst_first'), 'Bearer sk-first');
+  assert.equal(keyFor('asst_second'), 'Bearer sk-second');
+
+  // Neither context was changed by the other's calls
+  assert.equal(first.openai.apiKey, 'sk-first');
+  assert.equal(second.openai.apiKey, 'sk-second');
+});
+
+test('a context needs a key', () => {
+  assert.throws(() => ragService.createContext(''), /OpenAI API key is required/);
+});
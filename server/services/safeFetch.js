@@ -0,0 +1,279 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns/promises';
+import net from 'net';
+import zlib from 'zlib';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_DEADLINE_MS = 30000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+export const USER_AGENT = 'EbookAIBot/1.0 (+research source crawler)';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Addresses a user-supplied URL must never reach: loopback, private,
+// link-local (cloud metadata lives at 169.254.169.254), carrier-grade NAT,
+// multicast, documentation and other reserved ranges. IPv4-compatible IPv6
+// addresses (::a.b.c.d, deprecated) are blocked as a whole range.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10],
+  ['ff00::', 8], ['2001:db8::', 32], ['100::', 64]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// A blocked URL, an oversized or unexpected response or a failed request.
+// `code` tells callers which: BLOCKED_URL, UNSUPPORTED_CONTENT and TOO_LARGE
+// are the caller's fault and map to 4xx responses (see clientErrorStatus).
+export class SafeFetchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SafeFetchError';
+    this.code = code;
+  }
+}
+
+// IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) IPv6 addresses
+// are checked as the IPv4 address they embed
+const embeddedIPv4 = (address) => {
+  const match = address.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(?:0:)?([0-9a-f.:]+)$/);
+  if (!match) return null;
+
+  const tail = match[1];
+  if (net.isIPv4(tail)) return tail;
+
+  const groups = tail.split(':');
+  if (groups.length !== 2) return null;
+  const value = (parseInt(groups[0], 16) << 16) + parseInt(groups[1], 16);
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+};
+
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return !blockedAddresses.check(address, 'ipv4');
+  if (family === 6) {
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return isPublicAddress(ipv4);
+    return !blockedAddresses.check(address, 'ipv6');
+  }
+  return false;
+};
+
+// Parses and vets a URL, then resolves its host and vets every address it
+// resolves to. Returns the URL and the address to connect to.
+const resolveTarget = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new SafeFetchError('Invalid URL', 'BLOCKED_URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new SafeFetchError(`Unsupported URL scheme: ${url.protocol}`, 'BLOCKED_URL');
+  }
+  if (url.username || url.password) {
+    throw new SafeFetchError('URLs with credentials are not allowed', 'BLOCKED_URL');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+      throw new SafeFetchError(`Could not resolve ${hostname}`, 'FETCH_FAILED');
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new SafeFetchError(`${hostname} resolves to a private or reserved address`, 'BLOCKED_URL');
+  }
+
+  return { url, address: addresses[0] };
+};
+
+const decompress = (response) => {
+  switch ((response.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return response.pipe(zlib.createGunzip());
+    case 'deflate':
+      return response.pipe(zlib.createInflate());
+    case 'br':
+      return response.pipe(zlib.createBrotliDecompress());
+    default:
+      return response;
+  }
+};
+
+const decodeBody = (buffer, contentType) => {
+  const charset = contentType.match(/charset=["']?([^;"'\s]+)/i)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+};
+
+const abortError = (signal) => (
+  signal.reason instanceof SafeFetchError ? signal.reason : new SafeFetchError('Request aborted', 'FETCH_FAILED')
+);
+
+// One request to an already vetted address. The connection is pinned to that
+// address through `lookup`, so a second DNS answer can't swap in an internal
+// host between the check and the connect.
+const request = (url, address, { method, headers, timeout, maxBytes, signal }) => new Promise((resolve, reject) => {
+  const transport = url.protocol === 'https:' ? https : http;
+
+  // Covers an abort while the body is still streaming, too
+  signal.addEventListener('abort', () => reject(abortError(signal)), { once: true });
+
+  const req = transport.request(url, {
+    method,
+    headers,
+    timeout,
+    signal,
+    lookup: (hostname, options, callback) => {
+      if (options?.all) {
+        callback(null, [{ address: address.address, family: address.family }]);
+      } else {
+        callback(null, address.address, address.family);
+      }
+    }
+  }, (response) => {
+    if (REDIRECT_STATUSES.has(response.statusCode)) {
+      response.resume();
+      return resolve({ response, body: null });
+    }
+
+    const declaredLength = parseInt(response.headers['content-length']);
+    if (declaredLength > maxBytes) {
+      response.destroy();
+      return reject(new SafeFetchError(`Response exceeds ${maxBytes} bytes`, 'TOO_LARGE'));
+    }
+
+    // Counted after decompression so a small compressed body can't expand
+    // past the limit
+    const stream = decompress(response);
+    const parts = [];
+    let received = 0;
+
+    stream.on('data', (part) => {
+      received += part.length;
+      if (received > maxBytes) {
+        response.destroy();
+        stream.destroy();
+        reject(new SafeFetchError(`Response exceeds ${maxBytes} bytes`, 'TOO_LARGE'));
+        return;
+      }
+      parts.push(part);
+    });
+    stream.on('end', () => resolve({ response, body: Buffer.concat(parts) }));
+    stream.on('error', (error) => reject(new SafeFetchError(error.message, 'FETCH_FAILED')));
+  });
+
+  req.on('timeout', () => req.destroy(new SafeFetchError('Request timed out', 'FETCH_FAILED')));
+  req.on('error', (error) => {
+    if (signal.aborted) return reject(abortError(signal));
+    reject(error instanceof SafeFetchError ? error : new SafeFetchError(error.message, 'FETCH_FAILED'));
+  });
+  req.end();
+});
+
+// Follows redirects from a URL, vetting every hop
+const fetchWithRedirects = async (value, { accept, maxBytes, timeout, maxRedirects, headers, signal }) => {
+  let current = value;
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    const { url, address } = await resolveTarget(current);
+    if (signal.aborted) throw abortError(signal);
+
+    const { response, body } = await request(url, address, {
+      method: 'GET',
+      timeout,
+      maxBytes,
+      signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Encoding': 'gzip, deflate, br',
+        ...headers
+      }
+    });
+
+    if (REDIRECT_STATUSES.has(response.statusCode)) {
+      if (!response.headers.location) {
+        throw new SafeFetchError('Redirect without a location', 'FETCH_FAILED');
+      }
+      current = new URL(response.headers.location, url).href;
+      continue;
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new SafeFetchError(`Request failed with status ${response.statusCode}`, 'HTTP_ERROR');
+    }
+
+    const contentType = (response.headers['content-type'] || '').toLowerCase();
+    if (accept.length && !accept.some(pattern => pattern.test(contentType))) {
+      throw new SafeFetchError(`Unsupported content type: ${contentType || 'unknown'}`, 'UNSUPPORTED_CONTENT');
+    }
+
+    return {
+      url: url.href,
+      status: response.statusCode,
+      headers: response.headers,
+      contentType,
+      buffer: body,
+      text: decodeBody(body, contentType)
+    };
+  }
+
+  throw new SafeFetchError(`Too many redirects (max ${maxRedirects})`, 'FETCH_FAILED');
+};
+
+// Fetches a user-supplied URL without letting it reach internal services.
+// Every redirect hop is resolved and vetted again. `timeout` only fires when
+// the connection goes idle, so `deadline` bounds the whole fetch, redirects
+// included, against a server that trickles bytes. `accept` is a list of
+// patterns the final Content-Type must match. Resolves to
+// { url, status, headers, contentType, buffer, text }; non-2xx responses
+// reject with code HTTP_ERROR.
+export const safeFetch = async (value, {
+  accept = [/^text\/html/, /^application\/xhtml\+xml/],
+  maxBytes = DEFAULT_MAX_BYTES,
+  timeout = DEFAULT_TIMEOUT_MS,
+  deadline = DEFAULT_DEADLINE_MS,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  headers = {},
+  signal
+} = {}) => {
+  const deadlineController = new AbortController();
+  const timer = setTimeout(() => deadlineController.abort(
+    new SafeFetchError(`Request took longer than ${deadline}ms`, 'FETCH_FAILED')
+  ), deadline);
+  const fetchSignal = signal ? AbortSignal.any([signal, deadlineController.signal]) : deadlineController.signal;
+
+  try {
+    return await fetchWithRedirects(value, { accept, maxBytes, timeout, maxRedirects, headers, signal: fetchSignal });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// 4xx status for errors the caller caused, or null for server-side failures
+export const clientErrorStatus = (error) => {
+  if (!(error instanceof SafeFetchError)) return null;
+  if (error.code === 'BLOCKED_URL') return 400;
+  if (error.code === 'UNSUPPORTED_CONTENT' || error.code === 'TOO_LARGE') return 422;
+  return null;
+};
+
+export default safeFetch;
@@ -0,0 +1,90 @@
+import { providerRegistry, DEFAULT_SYSTEM_PROMPT, getMaxTokens } from '../providers/index.js';
+import { usageService } from './usageService.js';
+import { tokenCounter } from './tokenCounter.js';
+import { promptTemplates, bookVariables } from './promptTemplates.js';
+
+const MAX_SELECTION_LENGTH = 8000;
+const MAX_CONTEXT_LENGTH = 1500;
+const MAX_TONE_LENGTH = 50;
+
+// What each action asks of the model, for the {{instruction}} variable of
+// the 'selection-rewrite' template. `continue` adds text after the selection
+// instead of replacing it.
+const REWRITE_ACTIONS = {
+  expand: () => 'Expand the selected text to about twice its length with more detail and explanation, keeping its meaning.',
+  condense: () => 'Condense the selected text to about half its length, keeping every key point.',
+  simplify: ({ book }) => `Rewrite the selected text so it is easier to follow for ${book.target_audience || 'the book\'s audience'}: shorter sentences, plainer words, and any jargon explained.`,
+  tone: ({ tone }) => `Rewrite the selected text in a ${tone} tone, keeping its meaning.`,
+  list: () => 'Turn the selected text into a bulleted list (<ul>), one point per item, with a short lead-in sentence if the text needs one.',
+  example: () => 'Keep the selected text as it is and follow it with a concrete example that illustrates it.',
+  continue: () => 'Continue writing from the end of the selected text with the next one or two paragraphs. Return only the new text, not the selected text.'
+};
+
+export const SELECTION_ACTIONS = Object.keys(REWRITE_ACTIONS);
+
+export class RewriteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RewriteError';
+    this.status = 400;
+    this.code = 'INVALID_REWRITE';
+  }
+}
+
+// Models sometimes wrap HTML in a code fence despite being asked not to
+const stripFence = (text) => text.trim().replace(/^```(?:html)?\s*\n?/i, '').replace(/\n?```$/, '').trim();
+
+// Selection-level rewrites in the editor, rendered from the book's
+// 'selection-rewrite' template so books can reword them like any other prompt
+class SelectionRewriter {
+  validate({ action, text, tone }) {
+    if (!REWRITE_ACTIONS[action]) {
+      throw new RewriteError(`Unknown action "${action}". Use one of ${SELECTION_ACTIONS.join(', ')}.`);
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new RewriteError('Select some text first');
+    }
+    if (text.length > MAX_SELECTION_LENGTH) {
+      throw new RewriteError(`Select at most ${MAX_SELECTION_LENGTH} characters`);
+    }
+    if (action === 'tone' && (typeof tone !== 'string' || !tone.trim() || tone.length > MAX_TONE_LENGTH)) {
+      throw new RewriteError('Choose a tone');
+    }
+  }
+
+  // Resolves to { content, template }: the HTML to put in place of the
+  // selection (or after it, for `continue`) and the template version used.
+  // `before` and `after` are the text around the selection, for continuity.
+  async rewrite({ provider, model, apiKey, book, topicTitle, action, text, before = '', after = '', tone, signal, meter = {} }) {
+    this.validate({ action, text, tone });
+
+    const { prompt, template } = await promptTemplates.renderFor(book.id, 'selection-rewrite', {
+      ...bookVariables(book),
+      title: topicTitle,
+      selected_text: text,
+      context_before: String(before).slice(-MAX_CONTEXT_LENGTH) || '(start of the topic)',
+      context_after: String(after).slice(0, MAX_CONTEXT_LENGTH) || '(end of the topic)',
+      instruction: REWRITE_ACTIONS[action]({ book, tone: tone?.trim() })
+    });
+
+    // Room for the longest answer an action asks for (expand doubles the text)
+    const maxTokens = Math.min(getMaxTokens('content-generation'), tokenCounter.count(text, model, provider) * 3 + 500);
+    const fit = tokenCounter.assertFits({ model, provider, system: DEFAULT_SYSTEM_PROMPT, prompt, maxTokens });
+
+    const { content } = await usageService.track({ ...meter, operation: 'selection-rewrite', provider, model }, () => (
+      providerRegistry.get(provider).generate({
+        apiKey,
+        model,
+        prompt,
+        system: DEFAULT_SYSTEM_PROMPT,
+        maxTokens: fit.outputTokens,
+        signal
+      })
+    ));
+
+    return { content: stripFence(content), template };
+  }
+}
+
+export const selectionRewriter = new SelectionRewriter();
+export default selectionRewriter;
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectionRewriter, RewriteError, SELECTION_ACTIONS } from './selectionRewriter.js';
+import { promptTemplates } from './promptTemplates.js';
+import { providerRegistry } from '../providers/index.js';
+import { usageService } from './usageService.js';
+
+const rejects = (input, message) => assert.throws(() => selectionRewriter.validate(input), (error) => {
+  assert.ok(error instanceof RewriteError);
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'INVALID_REWRITE');
+  assert.equal(error.message, message);
+  return true;
+});
+
+test('validate accepts every action with a selection', () => {
+  for (const action of SELECTION_ACTIONS) {
+    assert.doesNotThrow(() => selectionRewriter.validate({ action, text: 'Cells divide.', tone: 'playful' }));
+  }
+});
+
+test('validate rejects unknown actions, empty or long selections and a missing tone', () => {
+  rejects({ action: 'translate', text: 'Cells divide.' }, `Unknown action "translate". Use one of ${SELECTION_ACTIONS.join(', ')}.`);
+  rejects({ action: 'expand', text: '   ' }, 'Select some text first');
+  rejects({ action: 'expand', text: null }, 'Select some text first');
+  rejects({ action: 'expand', text: 'x'.repeat(8001) }, 'Select at most 8000 characters');
+  rejects({ action: 'tone', text: 'Cells divide.' }, 'Choose a tone');
+  rejects({ action: 'tone', text: 'Cells divide.', tone: ' ' }, 'Choose a tone');
+  rejects({ action: 'tone', text: 'Cells divide.', tone: 'x'.repeat(51) }, 'Choose a tone');
+});
+
+test('rewrite renders the book template with the action and its context', async (t) => {
+  const renderFor = t.mock.method(promptTemplates, 'renderFor', async () => ({
+    prompt: 'Rewrite prompt',
+    template: { source: 'default', version: 1 }
+  }));
+  const generate = t.mock.fn(async () => ({ content: '```html\n<p>Cells split in two.</p>\n```', usage: {} }));
+  t.mock.method(providerRegistry, 'get', () => ({ generate }));
+  const track = t.mock.method(usageService, 'track', async (meta, call) => call());
+  const { signal } = new AbortController();
+
+  const result = await selectionRewriter.rewrite({
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    apiKey: 'sk-test',
+    book: { id: 'book-1', title: 'Biology', target_audience: 'high school students' },
+    topicTitle: 'Mitosis',
+    action: 'simplify',
+    text: 'Cells undergo mitotic division.',
+    before: 'x'.repeat(2000),
+    signal,
+    meter: { userId: 'user-1', bookId: 'book-1' }
+  });
+
+  assert.deepEqual(result, { content: '<p>Cells split in two.</p>', template: { source: 'default', version: 1 } });
+
+  const [bookId, name, variables] = renderFor.mock.calls[0].arguments;
+  assert.equal(bookId, 'book-1');
+  assert.equal(name, 'selection-rewrite');
+  assert.equal(variables.title, 'Mitosis');
+  assert.equal(variables.selected_text, 'Cells undergo mitotic division.');
+  assert.equal(variables.context_before.length, 1500);
+  assert.equal(variables.context_after, '(end of the topic)');
+  assert.match(variables.instruction, /easier to follow for high school students/);
+
+  const options = generate.mock.calls[0].arguments[0];
+  assert.equal(options.prompt, 'Rewrite prompt');
+  assert.equal(options.signal, signal);
+  assert.deepEqual(track.mock.calls[0].arguments[0], { userId: 'user-1', bookId: 'book-1', operation: 'selection-rewrite', provider: 'openai', model: 'gpt-4o-mini' });
+});
+
+test('rewrite validates before calling the model', async (t) => {
+  const renderFor = t.mock.method(promptTemplates, 'renderFor', async () => ({ prompt: '', template: null }));
+
+  await assert.rejects(
+    selectionRewriter.rewrite({ provider: 'openai', model: 'gpt-4o-mini', book: { id: 'book-1' }, action: 'tone', text: 'Cells divide.' }),
+    RewriteError
+  );
+  assert.equal(renderFor.mock.callCount(), 0);
+});
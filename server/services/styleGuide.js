@@ -0,0 +1,302 @@
+import { dbHelpers } from './supabase.js';
+import { htmlToText } from './htmlText.js';
+
+const SPELLINGS = { us: 'US', uk: 'British' };
+const PERSONS = ['first', 'second', 'third'];
+const VOICES = ['active'];
+
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+const MAX_RULES = 50;
+const MAX_RULE_LENGTH = 300;
+const MAX_ISSUES = 200;
+
+// US and British spellings as [us, uk, suffixes]. Suffixes are added to both
+// forms alike, so inflections are matched too.
+const IZE_SUFFIXES = '(e|ed|es|ing|ation|ations|er|ers)';
+const OR_SUFFIXES = '(s|ed|ing|ful|ite|ites|able|al)?';
+const SPELLING_VARIANTS = [
+  ...['organi', 'recogni', 'reali', 'optimi', 'prioriti', 'customi', 'summari', 'categori', 'minimi', 'maximi',
+    'standardi', 'initiali', 'seriali', 'authori', 'speciali', 'visuali', 'normali', 'synchroni', 'memori',
+    'emphasi', 'critici', 'moderni', 'utili', 'apologi']
+    .map(stem => [`${stem}z`, `${stem}s`, IZE_SUFFIXES]),
+  // No -es: "analyses" is also the US plural of "analysis"
+  ['analyz', 'analys', '(e|ed|ing|er|ers)'],
+  ...['col', 'behavi', 'fav', 'hon', 'lab', 'neighb', 'flav', 'hum', 'rum', 'harb', 'vap']
+    .map(stem => [`${stem}or`, `${stem}our`, OR_SUFFIXES]),
+  ...['cent', 'theat', 'fib', 'lit'].map(stem => [`${stem}er`, `${stem}re`, '(s)?']),
+  ['defense', 'defence', '(s)?'],
+  ['offense', 'offence', '(s)?'],
+  ['catalog', 'catalogue', '(s)?'],
+  ['gray', 'grey', '(s|ish)?'],
+  ['aluminum', 'aluminium', ''],
+  ['judgment', 'judgement', '(s)?'],
+  ['enrollment', 'enrolment', '(s)?'],
+  ['fulfillment', 'fulfilment', '(s)?'],
+  ['skeptic', 'sceptic', '(s|al|ism)?'],
+  ['artifact', 'artefact', '(s)?'],
+  ['traveler', 'traveller', '(s)?'],
+  ...['model', 'travel', 'cancel', 'label', 'signal', 'level', 'fuel']
+    .flatMap(stem => [[`${stem}ed`, `${stem}led`, ''], [`${stem}ing`, `${stem}ling`, '']])
+];
+
+// Pronouns that give away the grammatical person. "I" and "us" are matched
+// case-sensitively so "US" is not flagged, and words joined by a slash
+// ("I/O", "A/I") are skipped. An "I" after "Part", "Chapter" and the like, or
+// after a capitalized word mid-sentence ("World War I"), is a numeral.
+const FIRST_PERSON = /(?<!\/)\b((?<!\b(?:Part|Chapter|Phase|Volume|Book|Act|[\w,;]\s+[A-Z]\w*)\s+)I|[Mm]e|[Mm]y|[Mm]ine|[Mm]yself|[Ww]e|us|[Oo]ur|[Oo]urs|[Oo]urselves)\b(?!\/)/g;
+const SECOND_PERSON = /\b(you|your|yours|yourself|yourselves)\b/gi;
+
+// A form of "to be" followed by a past participle. Only a hint: "is
+// interested" is flagged too.
+const PASSIVE = /\b(am|is|are|was|were|be|been|being)\s+(\w+ed|built|chosen|done|drawn|found|given|known|made|seen|sent|shown|taken|written)\b/gi;
+
+export class StyleGuideError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'StyleGuideError';
+    this.status = 400;
+    this.code = 'INVALID_STYLE_GUIDE';
+    this.details = details;
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A pattern for a word or phrase: any whitespace between its words, and word
+// boundaries where it starts or ends with a letter or digit
+const phrasePattern = (phrase) => {
+  const body = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  const start = /^\w/.test(phrase.trim()) ? '\\b' : '';
+  const end = /\w$/.test(phrase.trim()) ? '\\b' : '';
+  return `${start}${body}${end}`;
+};
+
+// `replacement` capitalized like `original`
+const matchCase = (original, replacement) => {
+  if (original === original.toUpperCase() && original.length > 1) return replacement.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+};
+
+// Text to lint: code is left out, since identifiers like `color` or
+// `initialize()` aren't prose
+const proseText = (html) => htmlToText((html || '').replace(/<(pre|code)[^>]*>[\s\S]*?<\/\1>/gi, ' '));
+
+// A per-book style guide: spelling variant, grammatical person, voice,
+// banned and preferred terms, and free-text formatting rules. Stored on the
+// book row (`style_guide`), added to generation prompts through the
+// {{style_guide}} template variable and checked by lint().
+//
+// { spelling: 'us' | 'uk' | null, person: 'first' | 'second' | 'third' | null,
+//   voice: 'active' | null, terms: [{ avoid, use }], rules: [string] }
+//
+// A term without `use` is banned outright. Formatting rules are given to the
+// model but not linted.
+class StyleGuideService {
+  empty() {
+    return { spelling: null, person: null, voice: null, terms: [], rules: [] };
+  }
+
+  // The guide with its fields checked and trimmed; throws a StyleGuideError
+  // listing every problem
+  validate(guide) {
+    if (guide === null || guide === undefined) return this.empty();
+    if (typeof guide !== 'object' || Array.isArray(guide)) {
+      throw new StyleGuideError('Style guide must be an object');
+    }
+
+    const errors = [];
+    const text = (field) => (typeof field === 'string' ? field.trim() : '');
+    const choice = (field, allowed, name) => {
+      if (field === null || field === undefined || field === '') return null;
+      if (!allowed.includes(field)) {
+        errors.push(`${name} must be one of ${allowed.join(', ')}`);
+        return null;
+      }
+      return field;
+    };
+
+    const terms = Array.isArray(guide.terms) ? guide.terms : [];
+    if (guide.terms !== undefined && !Array.isArray(guide.terms)) errors.push('terms must be an array');
+    if (terms.length > MAX_TERMS) errors.push(`At most ${MAX_TERMS} terms are allowed`);
+
+    const seen = new Set();
+    const cleanTerms = terms.slice(0, MAX_TERMS).map((entry, index) => {
+      const avoid = text(entry?.avoid);
+      const use = text(entry?.use);
+
+      if (!avoid) errors.push(`terms[${index}].avoid is required`);
+      if (avoid.length > MAX_TERM_LENGTH || use.length > MAX_TERM_LENGTH) {
+        errors.push(`terms[${index}] must be at most ${MAX_TERM_LENGTH} characters`);
+      }
+      if (avoid && avoid.toLowerCase() === use.toLowerCase()) {
+        errors.push(`terms[${index}] replaces "${avoid}" with itself`);
+      }
+      if (avoid && seen.has(avoid.toLowerCase())) {
+        errors.push(`"${avoid}" is listed more than once`);
+      }
+      seen.add(avoid.toLowerCase());
+
+      return { avoid, use: use || null };
+    });
+
+    const rules = Array.isArray(guide.rules) ? guide.rules.map(text).filter(Boolean) : [];
+    if (guide.rules !== undefined && !Array.isArray(guide.rules)) errors.push('rules must be an array');
+    if (rules.length > MAX_RULES) errors.push(`At most ${MAX_RULES} formatting rules are allowed`);
+    if (rules.some(rule => rule.length > MAX_RULE_LENGTH)) {
+      errors.push(`Formatting rules must be at most ${MAX_RULE_LENGTH} characters`);
+    }
+
+    const result = {
+      spelling: choice(guide.spelling, Object.keys(SPELLINGS), 'spelling'),
+      person: choice(guide.person, PERSONS, 'person'),
+      voice: choice(guide.voice, VOICES, 'voice'),
+      terms: cleanTerms,
+      rules
+    };
+
+    if (errors.length > 0) {
+      throw new StyleGuideError(errors[0], { errors });
+    }
+    return result;
+  }
+
+  // Validates and stores a book's guide; resolves to the stored guide
+  async save(bookId, guide) {
+    const validated = this.validate(guide);
+
+    const { error } = await dbHelpers.updateBook(bookId, {
+      style_guide: validated,
+      updated_at: new Date().toISOString()
+    });
+    if (error) throw error;
+
+    return validated;
+  }
+
+  // The guide as instructions for the model; empty when there is no guide
+  toPrompt(guide) {
+    if (!guide) return '';
+
+    const lines = [];
+    if (SPELLINGS[guide.spelling]) {
+      lines.push(`Use ${SPELLINGS[guide.spelling]} spelling.`);
+    }
+    if (guide.person === 'first') {
+      lines.push('Write in the first person ("I", "we"); don\'t address the reader as "you".');
+    } else if (guide.person === 'second') {
+      lines.push('Write in the second person: address the reader as "you", and don\'t use "I" or "we".');
+    } else if (guide.person === 'third') {
+      lines.push('Write in the third person: don\'t use "I", "we" or "you".');
+    }
+    if (guide.voice === 'active') {
+      lines.push('Use the active voice.');
+    }
+    for (const { avoid, use } of guide.terms || []) {
+      lines.push(use ? `Write "${use}", never "${avoid}".` : `Never use "${avoid}".`);
+    }
+    lines.push(...(guide.rules || []));
+
+    if (lines.length === 0) return '';
+    return `Style guide (follow it exactly):\n${lines.map(line => `- ${line}`).join('\n')}`;
+  }
+
+  // What the linter looks for, as [{ rule, pattern, message, suggest }]
+  checks(guide) {
+    const checks = [];
+
+    for (const { avoid, use } of guide.terms || []) {
+      checks.push({
+        rule: 'term',
+        pattern: new RegExp(phrasePattern(avoid), 'gi'),
+        message: use ? `Write "${use}" instead of "${avoid}"` : `"${avoid}" is not allowed`,
+        suggest: use ? (match) => matchCase(match, use) : null
+      });
+    }
+
+    if (SPELLINGS[guide.spelling]) {
+      const wanted = guide.spelling === 'us' ? 0 : 1;
+      for (const variant of SPELLING_VARIANTS) {
+        const [from, to] = [variant[1 - wanted], variant[wanted]];
+        checks.push({
+          rule: 'spelling',
+          pattern: new RegExp(`\\b${from}${variant[2]}\\b`, 'gi'),
+          message: `Use ${SPELLINGS[guide.spelling]} spelling`,
+          suggest: (match) => matchCase(match, to + match.slice(from.length))
+        });
+      }
+    }
+
+    if (guide.person === 'second' || guide.person === 'third') {
+      checks.push({
+        rule: 'person',
+        pattern: FIRST_PERSON,
+        message: `First person in a book written in the ${guide.person} person`,
+        suggest: null
+      });
+    }
+    if (guide.person === 'first' || guide.person === 'third') {
+      checks.push({
+        rule: 'person',
+        pattern: SECOND_PERSON,
+        message: `Second person in a book written in the ${guide.person} person`,
+        suggest: null
+      });
+    }
+
+    if (guide.voice === 'active') {
+      checks.push({
+        rule: 'voice',
+        pattern: PASSIVE,
+        message: 'Possibly passive voice',
+        suggest: null
+      });
+    }
+
+    return checks;
+  }
+
+  // Violations of the guide in a topic's HTML, one per distinct match in
+  // order of first appearance: [{ rule, message, match, suggestion, count,
+  // excerpt }]. `excerpt` is the text around the first occurrence.
+  lint(guide, html) {
+    if (!guide) return [];
+
+    const text = proseText(html);
+    const issues = new Map();
+
+    for (const check of this.checks(guide)) {
+      for (const found of text.matchAll(new RegExp(check.pattern.source, check.pattern.flags))) {
+        const match = found[0];
+        const key = `${check.rule}:${check.message}:${match.toLowerCase()}`;
+        const existing = issues.get(key);
+
+        if (existing) {
+          existing.count++;
+          continue;
+        }
+
+        const start = Math.max(0, found.index - 40);
+        const end = Math.min(text.length, found.index + match.length + 40);
+        issues.set(key, {
+          rule: check.rule,
+          message: check.message,
+          match,
+          suggestion: check.suggest ? check.suggest(match) : null,
+          count: 1,
+          index: found.index,
+          excerpt: `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`
+        });
+      }
+    }
+
+    return [...issues.values()]
+      .sort((a, b) => a.index - b.index)
+      .slice(0, MAX_ISSUES)
+      .map(({ index, ...issue }) => issue);
+  }
+}
+
+export const styleGuide = new StyleGuideService();
+export default styleGuide;
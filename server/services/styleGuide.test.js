@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { styleGuide, StyleGuideError } from './styleGuide.js';
+
+const guide = (fields) => ({ ...styleGuide.empty(), ...fields });
+const matches = (issues, rule) => issues.filter(issue => issue.rule === rule).map(issue => issue.match);
+
+test('validate trims the guide and lists every problem', () => {
+  assert.deepEqual(styleGuide.validate(null), styleGuide.empty());
+  assert.deepEqual(
+    styleGuide.validate({ spelling: 'us', terms: [{ avoid: ' utilize ', use: 'use' }, { avoid: 'synergy' }], rules: [' Use sentence case ', ''] }),
+    { spelling: 'us', person: null, voice: null, terms: [{ avoid: 'utilize', use: 'use' }, { avoid: 'synergy', use: null }], rules: ['Use sentence case'] }
+  );
+
+  assert.throws(
+    () => styleGuide.validate({ spelling: 'au', terms: [{ avoid: 'Log in', use: 'log in' }, { avoid: 'log IN' }] }),
+    (error) => {
+      assert.ok(error instanceof StyleGuideError);
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.details.errors, [
+        'terms[0] replaces "Log in" with itself',
+        '"log IN" is listed more than once',
+        'spelling must be one of us, uk'
+      ]);
+      return true;
+    }
+  );
+});
+
+test('lint flags each term once with a count and a suggestion in the same case', () => {
+  const issues = styleGuide.lint(
+    guide({ terms: [{ avoid: 'log in', use: 'sign in' }, { avoid: 'synergy' }] }),
+    '<p>Log in first, then log in again.</p><p>Synergy!</p><pre>log in</pre>'
+  );
+
+  assert.deepEqual(issues.map(({ message, match, suggestion, count }) => ({ message, match, suggestion, count })), [
+    { message: 'Write "sign in" instead of "log in"', match: 'Log in', suggestion: 'Sign in', count: 2 },
+    { message: '"synergy" is not allowed', match: 'Synergy', suggestion: null, count: 1 }
+  ]);
+  assert.equal(issues[0].excerpt, 'Log in first, then log in again. Synergy!');
+});
+
+test('lint flags the other spelling variant but not code', () => {
+  const issues = styleGuide.lint(
+    guide({ spelling: 'us' }),
+    '<p>Two analyses. She analysed the Colour of organisations; he travelled.</p><code>colour</code>'
+  );
+
+  assert.deepEqual(issues.map(issue => [issue.match, issue.suggestion]), [
+    ['analysed', 'analyzed'],
+    ['Colour', 'Color'],
+    ['organisations', 'organizations'],
+    ['travelled', 'traveled']
+  ]);
+  assert.deepEqual(matches(styleGuide.lint(guide({ spelling: 'uk' }), '<p>The color of the analyses.</p>'), 'spelling'), ['color']);
+});
+
+test('lint flags pronouns of the wrong person but not numerals or abbreviations', () => {
+  const issues = styleGuide.lint(
+    guide({ person: 'third' }),
+    '<p>In Part I we meet. My view: World War I changed me. Then I left, and Chapter I ends. You know it. The US and I/O.</p>'
+  );
+
+  assert.deepEqual(matches(issues, 'person'), ['we', 'My', 'I', 'me', 'You']);
+  assert.deepEqual(matches(styleGuide.lint(guide({ person: 'second' }), '<p>You and I.</p>'), 'person'), ['I']);
+  assert.deepEqual(matches(styleGuide.lint(guide({ person: 'first' }), '<p>You and I.</p>'), 'person'), ['You']);
+});
+
+test('lint hints at the passive voice and needs a guide', () => {
+  assert.deepEqual(matches(styleGuide.lint(guide({ voice: 'active' }), '<p>The cell was divided. It is made here.</p>'), 'voice'), ['was divided', 'is made']);
+  assert.deepEqual(styleGuide.lint(null, '<p>Anything at all.</p>'), []);
+});
@@ -0,0 +1,448 @@
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+// Service-role client for server-owned reads and writes. It bypasses row level
+// security, so every query made through it must be scoped by book or user.
+// Created lazily because dotenv is loaded after module evaluation.
+export const getSupabase = () => {
+  if (!client) {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !serviceKey) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be configured');
+    }
+
+    client = createClient(url, serviceKey, {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false
+      }
+    });
+  }
+
+  return client;
+};
+
+// Database helper functions
+export const dbHelpers = {
+  // Books
+  async getBookWithTopics(bookId) {
+    const { data, error } = await getSupabase()
+      .from('books')
+      .select('*, chapters:book_chapters(*, topics:chapter_topics(*))')
+      .eq('id', bookId)
+      .single();
+
+    return { data, error };
+  },
+
+  async getBook(bookId) {
+    const { data, error } = await getSupabase()
+      .from('books')
+      .select('*')
+      .eq('id', bookId)
+      .maybeSingle();
+
+    return { data, error };
+  },
+
+  async updateBook(bookId, updates) {
+    const { data, error } = await getSupabase()
+      .from('books')
+      .update(updates)
+      .eq('id', bookId)
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  // Admin listing. `search` matches titles; `count` is the total match count.
+  async listBooks({ search, offset = 0, limit = 20 } = {}) {
+    let query = getSupabase()
+      .from('books')
+      .select('id, title, status, user_id, created_at, updated_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      query = query.ilike('title', `%${search}%`);
+    }
+
+    const { data, error, count } = await query;
+    return { data, error, count };
+  },
+
+  // [{ status, books }], counted by the book_status_counts function
+  async getBookStatusCounts() {
+    const { data, error } = await getSupabase().rpc('book_status_counts');
+
+    return { data, error };
+  },
+
+  // One page of auth users, newest first, from the admin_list_users
+  // function. Each row carries `total`, the number of matches.
+  async listUsers({ search = '', offset = 0, limit = 20 } = {}) {
+    const { data, error } = await getSupabase()
+      .rpc('admin_list_users', {
+        p_search: search || null,
+        p_offset: offset,
+        p_limit: limit
+      });
+
+    return { data, error };
+  },
+
+  async getBookOwners(userIds) {
+    const { data, error } = await getSupabase()
+      .from('books')
+      .select('user_id')
+      .in('user_id', userIds);
+
+    return { data, error };
+  },
+
+  async getBooksWithAssistants() {
+    const { data, error } = await getSupabase()
+      .from('books')
+      .select('id, user_id, openai_assistant_id, openai_thread_id, openai_vector_store_id')
+      .not('openai_assistant_id', 'is', null);
+
+    return { data, error };
+  },
+
+  // Source files uploaded to a book's OpenAI assistant
+  async getAssistantFiles(bookId) {
+    const { data, error } = await getSupabase()
+      .from('source_files')
+      .select('*')
+      .eq('book_id', bookId)
+      .not('openai_file_id', 'is', null)
+      .order('created_at', { ascending: true });
+
+    return { data, error };
+  },
+
+  async createSourceFile(fileData) {
+    const { data, error } = await getSupabase()
+      .from('source_files')
+      .insert([fileData])
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  async clearAssistantFiles(bookId) {
+    const { error } = await getSupabase()
+      .from('source_files')
+      .update({ openai_file_id: null })
+      .eq('book_id', bookId);
+
+    return { error };
+  },
+
+  async deleteAssistantFile(bookId, openaiFileId) {
+    const { error } = await getSupabase()
+      .from('source_files')
+      .delete()
+      .eq('book_id', bookId)
+      .eq('openai_file_id', openaiFileId);
+
+    return { error };
+  },
+
+  // API keys. `encrypted_key` is only ever read and written through the key vault.
+  async getApiKey(userId, provider) {
+    const { data, error } = await getSupabase()
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('provider', provider)
+      .maybeSingle();
+
+    return { data, error };
+  },
+
+  async listApiKeys(userId) {
+    const { data, error } = await getSupabase()
+      .from('api_keys')
+      .select('provider, has_key, key_hint, key_version, updated_at')
+      .eq('user_id', userId);
+
+    return { data, error };
+  },
+
+  async saveApiKey(keyData) {
+    const { data, error } = await getSupabase()
+      .from('api_keys')
+      .upsert([keyData], { onConflict: 'user_id,provider' })
+      .select('provider, has_key, key_hint, key_version, updated_at')
+      .single();
+
+    return { data, error };
+  },
+
+  async deleteApiKey(userId, provider) {
+    const { error } = await getSupabase()
+      .from('api_keys')
+      .delete()
+      .eq('user_id', userId)
+      .eq('provider', provider);
+
+    return { error };
+  },
+
+  async getApiKeysBelowVersion(version) {
+    const { data, error } = await getSupabase()
+      .from('api_keys')
+      .select('*')
+      .or(`key_version.is.null,key_version.lt.${version}`);
+
+    return { data, error };
+  },
+
+  // Topics
+  async updateTopic(id, updates) {
+    const { data, error } = await getSupabase()
+      .from('chapter_topics')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  // Generation jobs
+  async createJob(jobData) {
+    const { data, error } = await getSupabase()
+      .from('generation_jobs')
+      .insert([jobData])
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  async getJob(id) {
+    const { data, error } = await getSupabase()
+      .from('generation_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    return { data, error };
+  },
+
+  async updateJob(id, updates) {
+    const { data, error } = await getSupabase()
+      .from('generation_jobs')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  async getJobsForBook(bookId) {
+    const { data, error } = await getSupabase()
+      .from('generation_jobs')
+      .select('*')
+      .eq('book_id', bookId)
+      .order('created_at', { ascending: false });
+
+    return { data, error };
+  },
+
+  async getJobsByStatus(statuses, bookId = null) {
+    let query = getSupabase()
+      .from('generation_jobs')
+      .select('*')
+      .in('status', statuses)
+      .order('created_at', { ascending: false });
+
+    if (bookId) {
+      query = query.eq('book_id', bookId);
+    }
+
+    const { data, error } = await query;
+    return { data, error };
+  },
+
+  async getUserJobsByStatus(userId, statuses) {
+    const { data, error } = await getSupabase()
+      .from('generation_jobs')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', statuses);
+
+    return { data, error };
+  },
+
+  // Every topic's continuity notes, with the chapter and topic order
+  async getBookMemory(bookId) {
+    const { data, error } = await getSupabase()
+      .from('book_chapters')
+      .select('id, title, order_index, topics:chapter_topics(id, title, order_index, memory)')
+      .eq('book_id', bookId);
+
+    return { data, error };
+  },
+
+  // Per-book prompt template versions, newest first
+  async getPromptTemplateVersions(bookId, templateKey = null) {
+    let query = getSupabase()
+      .from('prompt_templates')
+      .select('*')
+      .eq('book_id', bookId)
+      .order('version', { ascending: false });
+
+    if (templateKey) query = query.eq('template_key', templateKey);
+
+    const { data, error } = await query;
+    return { data, error };
+  },
+
+  async createPromptTemplateVersion(versionData) {
+    const { data, error } = await getSupabase()
+      .from('prompt_templates')
+      .insert([versionData])
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  // A/B tests of topic content variations
+  async createVariationTest(testData) {
+    const { data, error } = await getSupabase()
+      .from('content_variation_tests')
+      .insert([testData])
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  async getVariationTest(id) {
+    const { data, error } = await getSupabase()
+      .from('content_variation_tests')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    return { data, error };
+  },
+
+  async updateVariationTest(id, updates) {
+    const { data, error } = await getSupabase()
+      .from('content_variation_tests')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    return { data, error };
+  },
+
+  // Newest first, for one topic or, with `decided`, only those with a pick
+  async getVariationTests({ userId, bookId, topicId, decided = false }, { offset = 0, limit = 1000 } = {}) {
+    let query = getSupabase()
+      .from('content_variation_tests')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (userId) query = query.eq('user_id', userId);
+    if (bookId) query = query.eq('book_id', bookId);
+    if (topicId) query = query.eq('topic_id', topicId);
+    if (decided) query = query.not('winner_id', 'is', null);
+
+    const { data, error } = await query;
+    return { data, error };
+  },
+
+  // Usage ledger
+  async createUsageEvent(eventData) {
+    const { error } = await getSupabase()
+      .from('usage_events')
+      .insert([eventData]);
+
+    return { error };
+  },
+
+  // Ledger totals, summed by the usage_totals function. `since` null is all
+  // time; no user or book filter is everyone.
+  async getUsageTotals({ userId, userIds, bookId, since = null }) {
+    const { data, error } = await getSupabase()
+      .rpc('usage_totals', {
+        p_since: since,
+        p_user_ids: userId ? [userId] : (userIds || null),
+        p_book_id: bookId || null
+      })
+      .single();
+
+    return { data, error };
+  },
+
+  // Per-user ledger totals, each from `since` or the user's quota reset,
+  // summed by the usage_totals_by_user function
+  async getUsageTotalsByUser({ userIds, since }) {
+    const { data, error } = await getSupabase()
+      .rpc('usage_totals_by_user', {
+        p_user_ids: userIds,
+        p_since: since
+      });
+
+    return { data, error };
+  },
+
+  async getRecentUsageEvents({ bookId, limit = 20 } = {}) {
+    let query = getSupabase()
+      .from('usage_events')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (bookId) query = query.eq('book_id', bookId);
+
+    const { data, error } = await query;
+    return { data, error };
+  },
+
+  // Per-user plan and quota overrides
+  async getUsageQuota(userId) {
+    const { data, error } = await getSupabase()
+      .from('usage_quotas')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return { data, error };
+  },
+
+  async getUsageQuotas(userIds) {
+    const { data, error } = await getSupabase()
+      .from('usage_quotas')
+      .select('*')
+      .in('user_id', userIds);
+
+    return { data, error };
+  },
+
+  async saveUsageQuota(quotaData) {
+    const { data, error } = await getSupabase()
+      .from('usage_quotas')
+      .upsert([quotaData], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    return { data, error };
+  }
+};
+
+export default dbHelpers;
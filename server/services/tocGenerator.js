@@ -0,0 +1,182 @@
+import { providerRegistry, DEFAULT_SYSTEM_PROMPT, getMaxTokens } from '../providers/index.js';
+import { usageService } from './usageService.js';
+import { tokenCounter } from './tokenCounter.js';
+import { promptTemplates, bookVariables } from './promptTemplates.js';
+import { parseJsonReply } from './jsonReply.js';
+
+const WORDS_PER_PAGE = 250;
+const MIN_TOPIC_WORDS = 300;
+const MAX_CHAPTERS = 40;
+const MAX_TOPICS_PER_CHAPTER = 25;
+
+// One ask, then one re-ask with the validation errors
+const MAX_ATTEMPTS = 2;
+
+// The output format is not part of the editable template: the parser below
+// depends on it
+const FORMAT_INSTRUCTIONS = `Respond with JSON only, without commentary or code fences, in exactly this shape:
+{"chapters": [{"title": "Chapter title", "description": "One-sentence summary", "topics": [{"title": "Topic title", "objectives": "What the reader will learn", "estimated_words": 1500}]}]}`;
+
+export class TocGenerationError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'TocGenerationError';
+    this.status = 422;
+    this.code = 'INVALID_TOC';
+    this.details = details;
+  }
+}
+
+// Tables of contents: asks the book's model for a chapter/topic outline as
+// JSON, validates it, repairs or re-asks when it is malformed, and sizes the
+// topics so the outline adds up to the book's estimated length.
+class TocGenerator {
+  // { value, repaired } from a model's reply; throws a SyntaxError when it
+  // cannot be read as JSON even after repair
+  parse(text) {
+    return parseJsonReply(text);
+  }
+
+  // Checks a parsed reply against the chapter/topic schema. Returns
+  // { chapters, errors }: the outline with text trimmed and unusable word
+  // counts cleared, and a message for every violation.
+  validate(value) {
+    const errors = [];
+    const text = (field) => (typeof field === 'string' ? field.trim() : '');
+    const chapterList = Array.isArray(value) ? value : value?.chapters;
+
+    if (!Array.isArray(chapterList) || chapterList.length === 0) {
+      return { chapters: [], errors: ['"chapters" must be a non-empty array'] };
+    }
+    if (chapterList.length > MAX_CHAPTERS) {
+      errors.push(`At most ${MAX_CHAPTERS} chapters are allowed, got ${chapterList.length}`);
+    }
+
+    const chapters = chapterList.slice(0, MAX_CHAPTERS).map((chapter, chapterIndex) => {
+      const path = `chapters[${chapterIndex}]`;
+      const title = text(chapter?.title);
+      if (!title) errors.push(`${path}.title is required`);
+
+      const topicList = chapter?.topics;
+      if (!Array.isArray(topicList) || topicList.length === 0) {
+        errors.push(`${path}.topics must be a non-empty array`);
+      } else if (topicList.length > MAX_TOPICS_PER_CHAPTER) {
+        errors.push(`${path} has ${topicList.length} topics; at most ${MAX_TOPICS_PER_CHAPTER} are allowed`);
+      }
+
+      const topics = (Array.isArray(topicList) ? topicList.slice(0, MAX_TOPICS_PER_CHAPTER) : []).map((topic, topicIndex) => {
+        const topicTitle = text(topic?.title);
+        if (!topicTitle) errors.push(`${path}.topics[${topicIndex}].title is required`);
+
+        const words = Math.round(Number(topic?.estimated_words));
+        return {
+          title: topicTitle,
+          objectives: text(topic?.objectives),
+          estimated_words: Number.isFinite(words) && words > 0 ? words : null
+        };
+      });
+
+      return { title, description: text(chapter?.description), topics };
+    });
+
+    return { chapters, errors };
+  }
+
+  // Scales the topics' word counts, which models rarely get right, so they
+  // add up to the book's estimated pages while keeping their proportions.
+  // Topics without a count get the average. No topic goes below
+  // MIN_TOPIC_WORDS, so a very short book with many topics runs long.
+  distributeWords(chapters, estimatedPages) {
+    const topics = chapters.flatMap(chapter => chapter.topics);
+    const given = topics.map(topic => topic.estimated_words).filter(Boolean);
+    const average = given.length > 0 ? given.reduce((sum, words) => sum + words, 0) / given.length : 800;
+    const weights = topics.map(topic => topic.estimated_words || average);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const pages = parseInt(estimatedPages, 10);
+    const scale = pages > 0 ? (pages * WORDS_PER_PAGE) / total : 1;
+
+    let index = 0;
+    return chapters.map(chapter => ({
+      ...chapter,
+      topics: chapter.topics.map(topic => ({
+        ...topic,
+        estimated_words: Math.max(MIN_TOPIC_WORDS, Math.round((weights[index++] * scale) / 50) * 50)
+      }))
+    }));
+  }
+
+  // Generates an outline for `book` with its model. `sourceContent` is
+  // included as far as it fits the context window, leaving room for a
+  // re-ask. Resolves to { chapters, template, attempts, repaired }; throws a
+  // TocGenerationError if no attempt produced a valid outline and a
+  // ContextOverflowError if the template alone does not fit the model.
+  async generate({ provider, model, apiKey, book, sourceContent = '', signal, meter = {} }) {
+    const active = await promptTemplates.getActive(book.id, 'toc-generation');
+    const variables = bookVariables(book);
+    const withFormat = (source) => `${promptTemplates.render(active.body, { ...variables, source_content: source })}\n\n${FORMAT_INSTRUCTIONS}`;
+
+    const fit = tokenCounter.assertFits({
+      model,
+      provider,
+      system: DEFAULT_SYSTEM_PROMPT,
+      prompt: withFormat(''),
+      maxTokens: getMaxTokens('toc-generation')
+    });
+    const source = tokenCounter.truncate(sourceContent || '', fit.remainingTokens - fit.outputTokens - 200, model, provider);
+
+    const messages = [{ role: 'user', content: withFormat(source || 'None provided.') }];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const { content } = await usageService.track({ ...meter, operation: 'toc-generation', provider, model }, () => (
+        providerRegistry.get(provider).generate({
+          apiKey,
+          model,
+          system: DEFAULT_SYSTEM_PROMPT,
+          messages,
+          maxTokens: fit.outputTokens,
+          json: true,
+          signal
+        })
+      ));
+
+      let parsed = null;
+      try {
+        parsed = this.parse(content);
+      } catch (error) {
+        errors = [`The reply is not valid JSON: ${error.message}`];
+      }
+
+      if (parsed) {
+        const outline = this.validate(parsed.value);
+        if (outline.errors.length === 0) {
+          return {
+            chapters: this.distributeWords(outline.chapters, book.estimated_pages),
+            template: { key: active.key, version: active.version, source: active.source },
+            attempts: attempt,
+            repaired: parsed.repaired
+          };
+        }
+        errors = outline.errors;
+      }
+
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `That table of contents could not be used:\n- ${errors.slice(0, 10).join('\n- ')}\n\n` +
+            `Reply again with the complete table of contents. ${FORMAT_INSTRUCTIONS}`
+        }
+      );
+    }
+
+    throw new TocGenerationError(
+      'The model did not return a usable table of contents. Try again, or choose a different model.',
+      { errors }
+    );
+  }
+}
+
+export const tocGenerator = new TocGenerator();
+export default tocGenerator;
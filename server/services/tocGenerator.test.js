@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tocGenerator } from './tocGenerator.js';
+
+const topic = (title, words) => ({ title, objectives: '', estimated_words: words });
+
+test('validate trims text, clears unusable word counts and accepts a bare array', () => {
+  const { chapters, errors } = tocGenerator.validate([
+    { title: '  Cells ', description: 'Basics', topics: [{ title: 'Membranes', objectives: ' Learn ', estimated_words: '1200.4' }, { title: 'Organelles', estimated_words: -5 }] }
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(chapters, [{
+    title: 'Cells',
+    description: 'Basics',
+    topics: [
+      { title: 'Membranes', objectives: 'Learn', estimated_words: 1200 },
+      { title: 'Organelles', objectives: '', estimated_words: null }
+    ]
+  }]);
+});
+
+test('validate reports every violation with its path', () => {
+  assert.deepEqual(tocGenerator.validate({ chapters: [] }).errors, ['"chapters" must be a non-empty array']);
+  assert.deepEqual(tocGenerator.validate('not an outline').errors, ['"chapters" must be a non-empty array']);
+
+  const { errors } = tocGenerator.validate({
+    chapters: [
+      { title: '', topics: [{ title: 'Fine' }, { title: ' ' }] },
+      { title: 'No topics' },
+      { title: 'Too many', topics: Array.from({ length: 26 }, (_, i) => ({ title: `T${i}` })) }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'chapters[0].title is required',
+    'chapters[0].topics[1].title is required',
+    'chapters[1].topics must be a non-empty array',
+    'chapters[2] has 26 topics; at most 25 are allowed'
+  ]);
+
+  const tooLong = tocGenerator.validate({ chapters: Array.from({ length: 41 }, (_, i) => ({ title: `C${i}`, topics: [{ title: 'T' }] })) });
+  assert.deepEqual(tooLong.errors, ['At most 40 chapters are allowed, got 41']);
+  assert.equal(tooLong.chapters.length, 40);
+});
+
+test('distributeWords scales topics to the book length, keeping proportions', () => {
+  const chapters = [
+    { title: 'One', topics: [topic('A', 1000), topic('B', 3000)] },
+    { title: 'Two', topics: [topic('C', null)] }
+  ];
+
+  // 40 pages at 250 words; C gets the average of A and B
+  const sized = tocGenerator.distributeWords(chapters, '40');
+  assert.deepEqual(sized.flatMap(chapter => chapter.topics.map(item => item.estimated_words)), [1650, 5000, 3350]);
+  assert.equal(sized[0].title, 'One');
+});
+
+test('distributeWords keeps counts without a page estimate and never goes below the minimum', () => {
+  const chapters = [{ title: 'One', topics: [topic('A', 1210), topic('B', null)] }];
+  assert.deepEqual(tocGenerator.distributeWords(chapters, null)[0].topics.map(item => item.estimated_words), [1200, 1200]);
+
+  const many = [{ title: 'One', topics: Array.from({ length: 10 }, (_, i) => topic(`T${i}`, 1000)) }];
+  assert.ok(tocGenerator.distributeWords(many, 2)[0].topics.every(item => item.estimated_words === 300));
+});
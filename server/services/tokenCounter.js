@@ -0,0 +1,118 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import { findModel, tokenizerFor } from '../providers/catalog.js';
+
+const RANKS = {
+  o200k_base: o200kBase,
+  cl100k_base: cl100kBase
+};
+
+// Used for models the catalog doesn't know. Small on purpose: a prompt that
+// fits here fits any current model.
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Chat formatting adds a few tokens around each message
+const MESSAGE_OVERHEAD = 4;
+const REQUEST_OVERHEAD = 3;
+
+export class ContextOverflowError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ContextOverflowError';
+    this.status = 413;
+    this.code = 'CONTEXT_OVERFLOW';
+    this.details = details;
+  }
+}
+
+// Counts tokens the way each model family does and works out how much of a
+// model's context window a prompt may use. OpenAI models are counted exactly
+// with their tiktoken encoding; other families are counted with cl100k_base
+// and scaled up per the catalog, so budgets err on the side of fitting.
+class TokenCounter {
+  constructor() {
+    this.encoders = new Map(); // encoding name -> Tiktoken, built on first use
+  }
+
+  encoder(encoding) {
+    if (!this.encoders.has(encoding)) {
+      this.encoders.set(encoding, new Tiktoken(RANKS[encoding]));
+    }
+    return this.encoders.get(encoding);
+  }
+
+  // Special-token markers in user text are counted as plain text
+  encode(text, tokenizer) {
+    return this.encoder(tokenizer.encoding).encode(text || '', [], []);
+  }
+
+  count(text, model, provider = null) {
+    if (!text) return 0;
+
+    const tokenizer = tokenizerFor(model, provider);
+    return Math.ceil(this.encode(text, tokenizer).length * tokenizer.scale);
+  }
+
+  // Tokens a request sends: the system prompt plus the prompt or messages
+  countRequest({ system, prompt, messages }, model, provider = null) {
+    const parts = [system, ...(messages ? messages.map(message => message.content) : [prompt])].filter(Boolean);
+    return parts.reduce((sum, part) => sum + this.count(part, model, provider) + MESSAGE_OVERHEAD, REQUEST_OVERHEAD);
+  }
+
+  // The token budget for one call: `outputTokens` is what to ask the
+  // provider for (the requested maxTokens, capped at the model's limit) and
+  // `inputTokens` what is left of the context window for the prompt
+  budget({ model, provider = null, maxTokens }) {
+    const entry = findModel(model, provider);
+    const contextWindow = entry?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    const outputTokens = Math.min(maxTokens, entry?.maxOutputTokens || maxTokens, Math.floor(contextWindow / 2));
+
+    return { contextWindow, outputTokens, inputTokens: contextWindow - outputTokens };
+  }
+
+  // Budget for a request, with what the request already uses. Throws a
+  // ContextOverflowError if it does not fit, so the provider is never called
+  // with a prompt it would reject or silently cut.
+  assertFits({ model, provider = null, system, prompt, messages, maxTokens }) {
+    const budget = this.budget({ model, provider, maxTokens });
+    const promptTokens = this.countRequest({ system, prompt, messages }, model, provider);
+    const fit = { ...budget, promptTokens, remainingTokens: budget.inputTokens - promptTokens };
+
+    if (fit.remainingTokens < 0) {
+      throw new ContextOverflowError(
+        `The prompt is about ${promptTokens.toLocaleString('en-US')} tokens, but ${model} takes at most ` +
+        `${budget.inputTokens.toLocaleString('en-US')} after reserving ${budget.outputTokens.toLocaleString('en-US')} ` +
+        `for the response. Shorten the prompt or source material, or choose a model with a larger context window.`,
+        fit
+      );
+    }
+
+    return fit;
+  }
+
+  // `tokenBudget` option for knowledgeIndex.retrieveForPrompt: whatever room
+  // the prompt left in the window
+  retrievalBudget(fit, model, provider = null) {
+    return {
+      limit: fit.remainingTokens,
+      count: text => this.count(text, model, provider)
+    };
+  }
+
+  // The longest prefix of `text` that fits in `maxTokens`, cut at a token
+  // boundary. Returns `text` unchanged if it already fits.
+  truncate(text, maxTokens, model, provider = null) {
+    if (!text || maxTokens <= 0) return '';
+
+    const tokenizer = tokenizerFor(model, provider);
+    const limit = Math.floor(maxTokens / tokenizer.scale);
+    const tokens = this.encode(text, tokenizer);
+    if (tokens.length <= limit) return text;
+
+    return this.encoder(tokenizer.encoding).decode(tokens.slice(0, limit));
+  }
+}
+
+export const tokenCounter = new TokenCounter();
+export default tokenCounter;
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenCounter, ContextOverflowError } from './tokenCounter.js';
+
+test('OpenAI models are counted exactly and other families padded', () => {
+  assert.equal(tokenCounter.count('Hello world', 'gpt-4o'), 2);
+  assert.equal(tokenCounter.count('', 'gpt-4o'), 0);
+
+  const text = 'The mitochondria is the powerhouse of the cell. '.repeat(20);
+  const exact = tokenCounter.count(text, 'gpt-4');
+  assert.equal(tokenCounter.count(text, 'claude-3-haiku-20240307'), Math.ceil(exact * 1.15));
+  assert.equal(tokenCounter.count(text, 'some-unknown-model'), Math.ceil(exact * 1.1));
+});
+
+test('special-token markers in user text are counted as text', () => {
+  assert.ok(tokenCounter.count('<|endoftext|>', 'gpt-4o') > 1);
+});
+
+test('the response reservation is capped at half the context window', () => {
+  assert.deepEqual(tokenCounter.budget({ model: 'some-unknown-model', maxTokens: 6000 }), {
+    contextWindow: 8192, outputTokens: 4096, inputTokens: 4096
+  });
+  assert.equal(tokenCounter.budget({ model: 'gpt-4o', maxTokens: 2000 }).outputTokens, 2000);
+});
+
+test('assertFits reports the room left and refuses prompts that overflow', () => {
+  const fit = tokenCounter.assertFits({ model: 'some-unknown-model', system: 'Be brief.', prompt: 'Hello world', maxTokens: 1000 });
+  assert.equal(fit.inputTokens, 7192);
+  assert.equal(fit.remainingTokens, fit.inputTokens - fit.promptTokens);
+  assert.ok(fit.promptTokens > 3);
+
+  const prompt = 'word '.repeat(5000);
+  assert.throws(() => tokenCounter.assertFits({ model: 'some-unknown-model', prompt, maxTokens: 4000 }), (error) => {
+    assert.ok(error instanceof ContextOverflowError);
+    assert.equal(error.status, 413);
+    assert.ok(error.details.remainingTokens < 0);
+    assert.match(error.message, /takes at most 4,192 after reserving 4,000 for the response/);
+    return true;
+  });
+});
+
+test('truncate cuts at a token boundary within the budget', () => {
+  const text = 'One two three four five six seven eight nine ten.';
+  const cut = tokenCounter.truncate(text, 4, 'gpt-4o');
+  assert.ok(text.startsWith(cut));
+  assert.equal(tokenCounter.count(cut, 'gpt-4o'), 4);
+  assert.equal(tokenCounter.truncate(text, 1000, 'gpt-4o'), text);
+  assert.equal(tokenCounter.truncate(text, 0, 'gpt-4o'), '');
+});
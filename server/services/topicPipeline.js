@@ -0,0 +1,273 @@
+import { providerRegistry, DEFAULT_SYSTEM_PROMPT, getMaxTokens } from '../providers/index.js';
+import { dbHelpers } from './supabase.js';
+import { usageService } from './usageService.js';
+import { tokenCounter } from './tokenCounter.js';
+import { styleGuide } from './styleGuide.js';
+import { parseJsonReply } from './jsonReply.js';
+
+// How a book's topics are written: one completion, or outline, draft,
+// critique and revise
+export const GENERATION_PIPELINES = ['single', 'multi-pass'];
+
+const MIN_SECTIONS = 2;
+const MAX_SECTIONS = 8;
+const MAX_CRITIQUE_ISSUES = 12;
+const OUTLINE_MAX_TOKENS = 1000;
+const CRITIQUE_MAX_TOKENS = 1500;
+
+// The end of the previous section a draft call sees, so sections connect
+const PREVIOUS_SECTION_TOKENS = 800;
+
+export class PipelineError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = 422;
+    this.code = 'PIPELINE_FAILED';
+    this.details = details;
+  }
+}
+
+const now = () => new Date().toISOString();
+
+const withBrief = (brief, instructions) => `You are writing one topic of a book. This is the brief for the topic:
+
+<brief>
+${brief}
+</brief>
+
+${instructions}`;
+
+const outlinePrompt = (topic) => `Before writing, plan the topic "${topic.title}" as ${MIN_SECTIONS} to ${MAX_SECTIONS} sections that together meet its objectives and target length.
+
+Respond with JSON only, without commentary or code fences, in exactly this shape:
+{"sections": [{"heading": "Section heading", "points": ["What the section covers"], "estimated_words": 400}]}`;
+
+const outlineText = (sections) => sections
+  .map((section, index) => `${index + 1}. ${section.heading}: ${section.points.join('; ')}`)
+  .join('\n');
+
+const draftPrompt = (sections, index, previous) => {
+  const section = sections[index];
+  const before = previous
+    ? `\n\nThe previous section ends like this; continue from it without repeating it:\n<previous>\n${previous}\n</previous>`
+    : '';
+
+  return `The topic is planned as these sections:
+${outlineText(sections)}${before}
+
+Write section ${index + 1} only, "${section.heading}", in about ${section.estimated_words} words, covering: ${section.points.join('; ')}.
+Start with <h2>${section.heading}</h2> and use <h3>, <p>, <ul>, <ol>, <blockquote> and code examples as the brief asks. Return only the section's HTML without explanations.`;
+};
+
+const lintText = (issues) => issues
+  .map(issue => `- ${issue.message}: "${issue.match}"${issue.suggestion ? ` (use "${issue.suggestion}")` : ''}`)
+  .join('\n');
+
+const critiquePrompt = (draft, lint) => `This is the first draft of the topic:
+
+<draft>
+${draft}
+</draft>
+${lint.length > 0 ? `\nThe style guide checker found these violations:\n${lintText(lint)}\n` : ''}
+Review the draft as an editor. Check it against the topic's objectives and target length, the audience, the style guide and any earlier topics in the brief; look for gaps, errors, repetition and weak examples.
+
+Respond with JSON only, without commentary or code fences, in exactly this shape:
+{"summary": "Overall assessment in one or two sentences", "issues": [{"section": "Section heading", "problem": "What is wrong", "fix": "How to fix it"}]}
+
+List at most ${MAX_CRITIQUE_ISSUES} issues, most important first, and an empty list if the draft needs no changes.`;
+
+const revisePrompt = (draft, critique, lint) => `This is the draft of the topic:
+
+<draft>
+${draft}
+</draft>
+
+An editor reviewed it:
+${critique.summary}
+${critique.issues.map(issue => `- ${issue.section ? `${issue.section}: ` : ''}${issue.problem} Fix: ${issue.fix}`).join('\n')}
+${lint.length > 0 ? `\nStyle guide violations:\n${lintText(lint)}\n` : ''}
+Revise the draft to fix every issue, keeping what works and its HTML structure. Return only the complete revised HTML without explanations.`;
+
+// Writes a topic in four stages: outline it into sections, draft each
+// section, critique the draft against the brief and the style guide, then
+// revise it. The intermediate artifacts are saved on the topic as they are
+// produced (`pipeline_artifacts`), so a run can be inspected or diagnosed
+// after it finishes or fails:
+//
+// { started_at, completed_at, stages: [{ stage, status, started_at,
+//   completed_at }], outline: [{ heading, points, estimated_words }],
+//   drafts: [{ heading, content }], critique: { summary, issues, lint },
+//   revised, error }
+class TopicPipeline {
+  async setBookPipeline(bookId, pipeline) {
+    const { error } = await dbHelpers.updateBook(bookId, {
+      generation_pipeline: pipeline,
+      updated_at: now()
+    });
+    if (error) throw error;
+  }
+
+  // Sections from the outline reply, with usable word counts
+  parseOutline(reply, topic) {
+    let parsed;
+    try {
+      parsed = parseJsonReply(reply).value;
+    } catch (error) {
+      throw new PipelineError('The model did not return a usable outline for the topic.', { reply });
+    }
+
+    const text = (field) => (typeof field === 'string' ? field.trim() : '');
+    const sections = (Array.isArray(parsed?.sections) ? parsed.sections : [])
+      .map(section => ({
+        heading: text(section?.heading),
+        points: (Array.isArray(section?.points) ? section.points : []).map(text).filter(Boolean),
+        estimated_words: Math.round(Number(section?.estimated_words)) || null
+      }))
+      .filter(section => section.heading)
+      .slice(0, MAX_SECTIONS);
+
+    if (sections.length === 0) {
+      throw new PipelineError('The model did not return a usable outline for the topic.', { reply });
+    }
+
+    // Spread the topic's target length over the sections, in their proportions
+    const target = topic.estimated_words || 800;
+    const planned = sections.reduce((sum, section) => sum + (section.estimated_words || 0), 0);
+    return sections.map(section => ({
+      ...section,
+      estimated_words: Math.max(100, Math.round(
+        planned > 0 && section.estimated_words
+          ? (section.estimated_words / planned) * target
+          : target / sections.length
+      ))
+    }));
+  }
+
+  parseCritique(reply) {
+    let parsed = {};
+    try {
+      parsed = parseJsonReply(reply).value || {};
+    } catch (error) {
+      // An unreadable critique is treated as "no changes" rather than
+      // failing a topic whose draft is already written
+      return { summary: 'The critique could not be read; the draft was kept.', issues: [] };
+    }
+
+    const text = (field) => (typeof field === 'string' ? field.trim() : '');
+    return {
+      summary: text(parsed.summary),
+      issues: (Array.isArray(parsed.issues) ? parsed.issues : [])
+        .map(issue => ({ section: text(issue?.section), problem: text(issue?.problem), fix: text(issue?.fix) }))
+        .filter(issue => issue.problem)
+        .slice(0, MAX_CRITIQUE_ISSUES)
+    };
+  }
+
+  // `brief` is the rendered topic prompt and `research` the same prompt with
+  // research excerpts; the outline and drafts are written from `research`,
+  // the critique and revision from `brief` and the draft. `onStage` is called
+  // with { stage, status: 'running' | 'completed' | 'skipped', section?,
+  // content? } as the run progresses; draft events carry the section being
+  // written ({ index, total, heading }) and, once written, its HTML.
+  // Resolves to { content, artifacts }.
+  async run({ provider, model, apiKey, book, topic, brief, research, signal, meter = {}, onStage = () => {} }) {
+    const artifacts = { started_at: now(), completed_at: null, stages: [], outline: [], drafts: [], critique: null, revised: false, error: null };
+
+    const save = async () => {
+      const { error } = await dbHelpers.updateTopic(topic.id, { pipeline_artifacts: artifacts });
+      if (error) throw error;
+    };
+
+    const call = (stage, prompt, maxTokens, options = {}) => {
+      const fit = tokenCounter.assertFits({ model, provider, system: DEFAULT_SYSTEM_PROMPT, prompt, maxTokens });
+
+      return usageService.track({ ...meter, operation: `pipeline-${stage}`, provider, model }, () => (
+        providerRegistry.get(provider).generate({
+          apiKey,
+          model,
+          prompt,
+          system: DEFAULT_SYSTEM_PROMPT,
+          maxTokens: fit.outputTokens,
+          signal,
+          ...options
+        })
+      )).then(result => result.content);
+    };
+
+    const stage = async (name, work) => {
+      const entry = { stage: name, status: 'running', started_at: now(), completed_at: null };
+      artifacts.stages.push(entry);
+      onStage({ stage: name, status: 'running' });
+
+      const result = await work();
+
+      entry.status = result === null ? 'skipped' : 'completed';
+      entry.completed_at = now();
+      await save();
+      onStage({ stage: name, status: entry.status });
+      return result;
+    };
+
+    try {
+      const sections = await stage('outline', async () => {
+        const reply = await call('outline', withBrief(research, outlinePrompt(topic)), OUTLINE_MAX_TOKENS, { json: true });
+        artifacts.outline = this.parseOutline(reply, topic);
+        return artifacts.outline;
+      });
+
+      const draft = await stage('draft', async () => {
+        for (let index = 0; index < sections.length; index++) {
+          const section = { index, total: sections.length, heading: sections[index].heading };
+          onStage({ stage: 'draft', status: 'running', section });
+
+          const previous = index > 0
+            ? tokenCounter.truncate(artifacts.drafts[index - 1].content.slice(-4000), PREVIOUS_SECTION_TOKENS, model, provider)
+            : '';
+          const maxTokens = Math.min(getMaxTokens('content-generation'), Math.max(600, sections[index].estimated_words * 2));
+          const content = (await call('draft', withBrief(research, draftPrompt(sections, index, previous)), maxTokens)).trim();
+
+          artifacts.drafts.push({ heading: section.heading, content });
+          await save();
+          onStage({ stage: 'draft', status: 'running', section, content });
+        }
+        return artifacts.drafts.map(entry => entry.content).join('\n\n');
+      });
+
+      const lint = styleGuide.lint(book.style_guide, draft);
+      const critique = await stage('critique', async () => {
+        const reply = await call('critique', withBrief(brief, critiquePrompt(draft, lint)), CRITIQUE_MAX_TOKENS, { json: true });
+        artifacts.critique = { ...this.parseCritique(reply), lint };
+        return artifacts.critique;
+      });
+
+      // A draft the editor and the style guide checker are happy with is final
+      const revised = await stage('revise', async () => {
+        if (critique.issues.length === 0 && lint.length === 0) return null;
+
+        const maxTokens = Math.max(getMaxTokens('content-generation'), Math.ceil(tokenCounter.count(draft, model, provider) * 1.25));
+        const content = (await call('revise', withBrief(brief, revisePrompt(draft, critique, lint)), maxTokens)).trim();
+        artifacts.revised = true;
+        return content;
+      });
+
+      artifacts.completed_at = now();
+      await save();
+
+      return { content: revised || draft, artifacts };
+    } catch (error) {
+      // Keep what was produced, and where it stopped, for inspection
+      artifacts.error = error.message;
+      const running = artifacts.stages.find(entry => entry.status === 'running');
+      if (running) {
+        running.status = 'failed';
+        running.completed_at = now();
+      }
+      await save().catch(saveError => console.error('Failed to save pipeline artifacts:', saveError.message));
+      throw error;
+    }
+  }
+}
+
+export const topicPipeline = new TopicPipeline();
+export default topicPipeline;
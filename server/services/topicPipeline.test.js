@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { topicPipeline, PipelineError } from './topicPipeline.js';
+import { providerRegistry } from '../providers/index.js';
+import { dbHelpers } from './supabase.js';
+import { usageService } from './usageService.js';
+
+const topic = { id: 'topic-1', title: 'Cell membranes', estimated_words: 1000 };
+
+test('parseOutline spreads the target length over the sections in their proportions', () => {
+  const reply = '```json\n{"sections": [{"heading": " Structure ", "points": ["Lipids", " ", "Proteins"], "estimated_words": 300}, {"heading": "Transport", "points": "none", "estimated_words": 100}, {"heading": "", "points": ["Dropped"]}]}\n```';
+
+  assert.deepEqual(topicPipeline.parseOutline(reply, topic), [
+    { heading: 'Structure', points: ['Lipids', 'Proteins'], estimated_words: 750 },
+    { heading: 'Transport', points: [], estimated_words: 250 }
+  ]);
+});
+
+test('parseOutline splits the length evenly without word counts and keeps a floor', () => {
+  const sections = (count) => JSON.stringify({ sections: Array.from({ length: count }, (_, i) => ({ heading: `S${i}` })) });
+
+  assert.deepEqual(topicPipeline.parseOutline(sections(2), { estimated_words: null }).map(s => s.estimated_words), [400, 400]);
+  assert.deepEqual(topicPipeline.parseOutline(sections(10), { estimated_words: 300 }).map(s => s.estimated_words), Array(8).fill(100));
+});
+
+test('parseOutline rejects replies without sections', () => {
+  for (const reply of ['Sorry, I cannot help with that.', '{"sections": []}', '{"sections": [{"points": ["No heading"]}]}']) {
+    assert.throws(() => topicPipeline.parseOutline(reply, topic), (error) => {
+      assert.ok(error instanceof PipelineError);
+      assert.equal(error.status, 422);
+      assert.equal(error.details.reply, reply);
+      return true;
+    });
+  }
+});
+
+test('parseCritique keeps issues with a problem and reads an unusable reply as no changes', () => {
+  assert.deepEqual(
+    topicPipeline.parseCritique('{"summary": " Solid. ", "issues": [{"section": "Transport", "problem": "No example", "fix": "Add one"}, {"section": "Structure"}]}'),
+    { summary: 'Solid.', issues: [{ section: 'Transport', problem: 'No example', fix: 'Add one' }] }
+  );
+  assert.deepEqual(topicPipeline.parseCritique('not json'), { summary: 'The critique could not be read; the draft was kept.', issues: [] });
+});
+
+// A provider that answers each stage from `replies`, keyed by the stage's
+// operation name, and records the prompts it was given
+const stubPipeline = (t, replies) => {
+  const prompts = [];
+  t.mock.method(usageService, 'track', async (meta, call) => {
+    const result = await call();
+    prompts.at(-1).operation = meta.operation;
+    return result;
+  });
+  t.mock.method(providerRegistry, 'get', () => ({
+    async generate({ prompt }) {
+      prompts.push({ prompt });
+      const stage = prompt.includes('Respond with JSON') && prompt.includes('"sections"') ? 'outline'
+        : prompt.includes('Review the draft') ? 'critique'
+          : prompt.includes('Revise the draft') ? 'revise'
+            : 'draft';
+      const reply = replies[stage];
+      return { content: typeof reply === 'function' ? reply(prompt) : reply, usage: {} };
+    }
+  }));
+  const saved = [];
+  t.mock.method(dbHelpers, 'updateTopic', async (id, changes) => {
+    saved.push(structuredClone(changes.pipeline_artifacts));
+    return { error: null };
+  });
+  return { prompts, saved };
+};
+
+const options = (book, events) => ({
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  apiKey: 'sk-test',
+  book,
+  topic,
+  brief: 'Brief',
+  research: 'Brief with research',
+  onStage: (event) => events.push(event)
+});
+
+test('run outlines, drafts each section, critiques and revises, saving each stage', async (t) => {
+  const { prompts, saved } = stubPipeline(t, {
+    outline: '{"sections": [{"heading": "Structure", "points": ["Lipids"]}, {"heading": "Transport", "points": ["Pumps"]}]}',
+    draft: (prompt) => (prompt.includes('Write section 1') ? '<h2>Structure</h2><p>Lipids.</p>' : '<h2>Transport</h2><p>Pumps.</p>'),
+    critique: '{"summary": "Needs an example.", "issues": [{"section": "Transport", "problem": "No example", "fix": "Add one"}]}',
+    revise: ' <h2>Structure</h2><p>Lipids.</p><h2>Transport</h2><p>Pumps, for example.</p> '
+  });
+  const events = [];
+
+  const { content, artifacts } = await topicPipeline.run(options({ style_guide: null }, events));
+
+  assert.equal(content, '<h2>Structure</h2><p>Lipids.</p><h2>Transport</h2><p>Pumps, for example.</p>');
+  assert.deepEqual(prompts.map(prompt => prompt.operation), ['pipeline-outline', 'pipeline-draft', 'pipeline-draft', 'pipeline-critique', 'pipeline-revise']);
+  assert.ok(prompts[0].prompt.includes('Brief with research'));
+  assert.ok(prompts[2].prompt.includes('<previous>\n<h2>Structure</h2><p>Lipids.</p>\n</previous>'));
+  assert.ok(prompts[3].prompt.includes('<brief>\nBrief\n</brief>'));
+
+  assert.deepEqual(artifacts.stages.map(({ stage, status }) => [stage, status]), [
+    ['outline', 'completed'], ['draft', 'completed'], ['critique', 'completed'], ['revise', 'completed']
+  ]);
+  assert.deepEqual(artifacts.drafts.map(draft => draft.heading), ['Structure', 'Transport']);
+  assert.equal(artifacts.revised, true);
+  assert.ok(artifacts.completed_at);
+  assert.equal(saved.at(-1).completed_at, artifacts.completed_at);
+
+  assert.deepEqual(events.filter(event => event.section).map(event => [event.section.index, Boolean(event.content)]), [
+    [0, false], [0, true], [1, false], [1, true]
+  ]);
+});
+
+test('run skips the revision when the critique and the style guide find nothing', async (t) => {
+  stubPipeline(t, {
+    outline: '{"sections": [{"heading": "Structure"}, {"heading": "Transport"}]}',
+    draft: '<p>Written in the third person.</p>',
+    critique: '{"summary": "Good.", "issues": []}'
+  });
+  const events = [];
+
+  const { content, artifacts } = await topicPipeline.run(options({ style_guide: { person: 'third' } }, events));
+
+  assert.equal(content, '<p>Written in the third person.</p>\n\n<p>Written in the third person.</p>');
+  assert.equal(artifacts.stages.at(-1).status, 'skipped');
+  assert.equal(artifacts.revised, false);
+  assert.deepEqual(events.at(-1), { stage: 'revise', status: 'skipped' });
+});
+
+test('run passes style guide violations to the critique and revision', async (t) => {
+  const { prompts } = stubPipeline(t, {
+    outline: '{"sections": [{"heading": "Structure"}, {"heading": "Transport"}]}',
+    draft: '<p>We utilize pumps.</p>',
+    critique: '{"summary": "Good.", "issues": []}',
+    revise: '<p>Cells use pumps.</p>'
+  });
+
+  const { content, artifacts } = await topicPipeline.run(options({ style_guide: { person: 'third', terms: [{ avoid: 'utilize', use: 'use' }] } }, []));
+
+  assert.equal(content, '<p>Cells use pumps.</p>');
+  assert.deepEqual(artifacts.critique.lint.map(issue => issue.match), ['We', 'utilize']);
+  assert.ok(prompts.at(-2).prompt.includes('- Write "use" instead of "utilize": "utilize" (use "use")'));
+  assert.ok(prompts.at(-1).prompt.includes('Style guide violations:'));
+});
+
+test('a failed stage is marked and what was produced is kept', async (t) => {
+  const { saved } = stubPipeline(t, {
+    outline: '{"sections": [{"heading": "Structure"}, {"heading": "Transport"}]}',
+    draft: (prompt) => {
+      if (prompt.includes('Write section 2')) throw new Error('Provider unavailable');
+      return '<p>Lipids.</p>';
+    }
+  });
+
+  await assert.rejects(topicPipeline.run(options({ style_guide: null }, [])), /Provider unavailable/);
+
+  const artifacts = saved.at(-1);
+  assert.equal(artifacts.error, 'Provider unavailable');
+  assert.deepEqual(artifacts.stages.map(({ stage, status }) => [stage, status]), [['outline', 'completed'], ['draft', 'failed']]);
+  assert.deepEqual(artifacts.drafts, [{ heading: 'Structure', content: '<p>Lipids.</p>' }]);
+  assert.equal(artifacts.completed_at, null);
+});
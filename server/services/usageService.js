@@ -0,0 +1,310 @@
+import { dbHelpers } from './supabase.js';
+import { estimateCost } from '../providers/catalog.js';
+
+// Monthly limits per plan. null means unlimited. Override or add plans with
+// USAGE_PLANS, e.g. {"free":{"monthlyTokens":200000},"team":{"monthlyTokens":null}}
+const DEFAULT_PLANS = {
+  free: { monthlyTokens: 500000, monthlyImages: 20, monthlyCostUsd: null },
+  pro: { monthlyTokens: 5000000, monthlyImages: 200, monthlyCostUsd: null },
+  unlimited: { monthlyTokens: null, monthlyImages: null, monthlyCostUsd: null }
+};
+
+const LIMIT_FIELDS = ['monthlyTokens', 'monthlyImages', 'monthlyCostUsd'];
+
+const startOfMonth = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const startOfNextMonth = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// A row of ledger totals from the database, as numbers
+const toUsage = (row) => {
+  const usage = {
+    requests: Number(row?.requests) || 0,
+    generations: Number(row?.generations) || 0,
+    inputTokens: Number(row?.input_tokens) || 0,
+    outputTokens: Number(row?.output_tokens) || 0,
+    images: Number(row?.images) || 0,
+    costUsd: Math.round((Number(row?.cost_usd) || 0) * 1000000) / 1000000
+  };
+
+  usage.tokens = usage.inputTokens + usage.outputTokens;
+  return usage;
+};
+
+export class QuotaExceededError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.status = 429;
+    this.code = 'QUOTA_EXCEEDED';
+    this.details = details;
+  }
+}
+
+export class BudgetExceededError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.status = 402;
+    this.code = 'BUDGET_EXCEEDED';
+    this.details = details;
+  }
+}
+
+// Ledger of every provider call in `usage_events`: who made it, for which
+// book or job, the tokens or images it consumed, how long it took and what it
+// cost at list price (see estimateCost for models without one). Monthly
+// totals from the ledger are checked against the user's plan before new work
+// starts, and a book's lifetime spend against its own `budget_cap`, if it has
+// one.
+//
+// Users are on the default plan unless they have a `usage_quotas` row, which
+// can name another plan and override any of its limits for that user alone.
+class UsageService {
+  constructor() {
+    this.plans = DEFAULT_PLANS;
+    this.defaultPlan = 'free';
+  }
+
+  // Throws if USAGE_PLANS or DEFAULT_USAGE_PLAN is invalid. Called at startup.
+  configure(env = process.env) {
+    let overrides = {};
+    if (env.USAGE_PLANS) {
+      try {
+        overrides = JSON.parse(env.USAGE_PLANS);
+      } catch (error) {
+        throw new Error(`USAGE_PLANS is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const plans = { ...DEFAULT_PLANS };
+    for (const [plan, limits] of Object.entries(overrides)) {
+      plans[plan] = { ...DEFAULT_PLANS.unlimited, ...DEFAULT_PLANS[plan], ...limits };
+    }
+
+    const defaultPlan = env.DEFAULT_USAGE_PLAN || 'free';
+    if (!plans[defaultPlan]) {
+      throw new Error(`DEFAULT_USAGE_PLAN "${defaultPlan}" is not a configured plan`);
+    }
+
+    this.plans = plans;
+    this.defaultPlan = defaultPlan;
+  }
+
+  // Records one provider call. Metering never fails the call it measures, so
+  // errors are logged rather than thrown.
+  async record({
+    userId, bookId = null, jobId = null, operation, provider, model,
+    inputTokens = 0, outputTokens = 0, images = 0, latencyMs = null
+  }) {
+    if (!userId) return;
+
+    try {
+      const { error } = await dbHelpers.createUsageEvent({
+        user_id: userId,
+        book_id: bookId,
+        job_id: jobId,
+        operation,
+        provider,
+        model,
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        images,
+        latency_ms: latencyMs,
+        cost_usd: estimateCost({ model, provider, inputTokens, outputTokens, images }),
+        created_at: new Date().toISOString()
+      });
+      if (error) throw error;
+    } catch (error) {
+      console.error(`Failed to record ${operation} usage for user ${userId}:`, error.message);
+    }
+  }
+
+  // Runs a provider call that resolves to { usage, ... } and records it
+  async track(meta, call) {
+    const startedAt = Date.now();
+    const result = await call();
+    await this.record({ ...meta, ...result.usage, latencyMs: Date.now() - startedAt });
+    return result;
+  }
+
+  // Passes a provider stream through and records its `usage` chunk once the
+  // stream ends. Streams cut off before the provider reports usage are not
+  // recorded.
+  async *trackStream(meta, stream) {
+    const startedAt = Date.now();
+    let usage = null;
+
+    try {
+      for await (const chunk of stream) {
+        if (chunk.type === 'usage') usage = chunk.usage;
+        yield chunk;
+      }
+    } finally {
+      if (usage) {
+        await this.record({ ...meta, ...usage, latencyMs: Date.now() - startedAt });
+      }
+    }
+  }
+
+  // onUsage callback for resolveEmbedder
+  embeddingRecorder(meta) {
+    return ({ model, inputTokens, latencyMs }) => this.record({
+      ...meta,
+      operation: 'embedding',
+      provider: 'openai',
+      model,
+      inputTokens,
+      latencyMs
+    });
+  }
+
+  // Ledger totals since a time (all time without one), for one user
+  // (`userId`), several (`userIds`), one book (`bookId`) or everyone. `users`
+  // counts distinct users and `generations` the calls that were not
+  // embeddings. The sums are taken in the database.
+  async sumUsage({ since = null, ...filters }) {
+    const { data: row, error } = await dbHelpers.getUsageTotals({ since, ...filters });
+    if (error) throw error;
+
+    return { ...toUsage(row), users: Number(row?.users) || 0 };
+  }
+
+  // Start of the current quota period: the first of the month (UTC), or a
+  // later quota reset
+  periodStart(quota) {
+    const monthStart = startOfMonth();
+    return quota?.resetAt && new Date(quota.resetAt) > monthStart ? new Date(quota.resetAt) : monthStart;
+  }
+
+  // Totals for the user's current quota period
+  async getMonthlyUsage(userId, quota = null) {
+    const { users, ...usage } = await this.sumUsage({ userId, since: this.periodStart(quota).toISOString() });
+    return usage;
+  }
+
+  // { plan, monthlyTokens, monthlyImages, monthlyCostUsd, resetAt } for a user
+  async getQuota(userId) {
+    const { data: row, error } = await dbHelpers.getUsageQuota(userId);
+    if (error) throw error;
+
+    return this.quotaFromRow(row);
+  }
+
+  // The quota a usage_quotas row (or its absence) puts a user on
+  quotaFromRow(row) {
+    const plan = this.plans[row?.plan] ? row.plan : this.defaultPlan;
+    const quota = { plan, ...this.plans[plan], resetAt: row?.reset_at || null };
+
+    const columns = { monthlyTokens: 'monthly_tokens', monthlyImages: 'monthly_images', monthlyCostUsd: 'monthly_cost_usd' };
+    for (const field of LIMIT_FIELDS) {
+      if (row?.[columns[field]] != null) quota[field] = Number(row[columns[field]]);
+    }
+
+    return quota;
+  }
+
+  // The user's quota and usage this month, with the limits already reached.
+  // `kind` narrows the check to 'tokens' for text work or 'images'; spend
+  // limits always apply.
+  async getQuotaStatus(userId, kind = null) {
+    const quota = await this.getQuota(userId);
+    const usage = await this.getMonthlyUsage(userId, quota);
+    return this.quotaStatus(quota, usage, kind);
+  }
+
+  // getQuotaStatus for several users in two queries, by user id
+  async getQuotaStatuses(userIds) {
+    const [quotas, totals] = await Promise.all([
+      dbHelpers.getUsageQuotas(userIds),
+      dbHelpers.getUsageTotalsByUser({ userIds, since: startOfMonth().toISOString() })
+    ]);
+    if (quotas.error) throw quotas.error;
+    if (totals.error) throw totals.error;
+
+    const quotaRows = new Map((quotas.data || []).map(row => [row.user_id, row]));
+    const totalRows = new Map((totals.data || []).map(row => [row.user_id, row]));
+
+    return new Map(userIds.map(userId => [
+      userId,
+      this.quotaStatus(this.quotaFromRow(quotaRows.get(userId)), toUsage(totalRows.get(userId)))
+    ]));
+  }
+
+  quotaStatus(quota, usage, kind = null) {
+    const checks = [
+      (!kind || kind === 'tokens') && ['monthlyTokens', usage.tokens, 'token'],
+      (!kind || kind === 'images') && ['monthlyImages', usage.images, 'image'],
+      ['monthlyCostUsd', usage.costUsd, 'spend']
+    ].filter(Boolean);
+
+    const exceeded = checks
+      .filter(([field, used]) => quota[field] != null && used >= quota[field])
+      .map(([field, used, label]) => ({ limit: field, label, used, allowed: quota[field] }));
+
+    return { quota, usage, exceeded, resetsAt: startOfNextMonth().toISOString() };
+  }
+
+  // Starts a fresh quota period for the user without touching the ledger.
+  // Usage before the reset still shows in reports; it just stops counting
+  // against this month's limits.
+  async resetQuota(userId) {
+    const { data, error } = await dbHelpers.saveUsageQuota({
+      user_id: userId,
+      reset_at: new Date().toISOString()
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  // Throws a QuotaExceededError if the user has used up this month's quota
+  async assertWithinQuota(userId, kind = 'tokens') {
+    const status = await this.getQuotaStatus(userId, kind);
+    if (status.exceeded.length === 0) return status;
+
+    const [first] = status.exceeded;
+    const allowed = first.limit === 'monthlyCostUsd' ? `$${first.allowed}` : first.allowed.toLocaleString('en-US');
+    throw new QuotaExceededError(
+      `Monthly ${first.label} quota of ${allowed} reached on the ${status.quota.plan} plan. It resets on ${status.resetsAt.slice(0, 10)}.`,
+      status
+    );
+  }
+
+  // { cap, spent, remaining, exceeded } for a book. A cap of null is no cap.
+  async getBudgetStatus(bookId) {
+    const { data: book, error } = await dbHelpers.getBook(bookId);
+    if (error) throw error;
+
+    const cap = book?.budget_cap != null ? Number(book.budget_cap) : null;
+    const { costUsd: spent } = await this.sumUsage({ bookId });
+
+    return {
+      cap,
+      spent,
+      remaining: cap == null ? null : Math.max(0, Math.round((cap - spent) * 1000000) / 1000000),
+      exceeded: cap != null && spent >= cap
+    };
+  }
+
+  async setBudget(bookId, cap) {
+    const { error } = await dbHelpers.updateBook(bookId, {
+      budget_cap: cap,
+      updated_at: new Date().toISOString()
+    });
+    if (error) throw error;
+
+    return this.getBudgetStatus(bookId);
+  }
+
+  // Throws a BudgetExceededError if the book has spent its budget cap
+  async assertWithinBudget(bookId) {
+    const status = await this.getBudgetStatus(bookId);
+    if (!status.exceeded) return status;
+
+    throw new BudgetExceededError(
+      `This book has reached its budget of $${status.cap.toFixed(2)} ($${status.spent.toFixed(2)} spent). Raise the budget to continue.`,
+      status
+    );
+  }
+}
+
+export const usageService = new UsageService();
+export default usageService;
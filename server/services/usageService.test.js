@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { usageService, QuotaExceededError, BudgetExceededError } from './usageService.js';
+import { dbHelpers } from './supabase.js';
+
+// Stands in for the usage_quotas row and the usage_totals function
+const stubLedger = (t, { quota = null, totals = {} } = {}) => {
+  t.mock.method(dbHelpers, 'getUsageQuota', async () => ({ data: quota, error: null }));
+  return t.mock.method(dbHelpers, 'getUsageTotals', async () => ({ data: totals, error: null }));
+};
+
+beforeEach(() => usageService.configure({}));
+
+test('users without a quota row are on the default plan', async (t) => {
+  stubLedger(t);
+  const quota = await usageService.getQuota('user-1');
+  assert.deepEqual(quota, { plan: 'free', monthlyTokens: 500000, monthlyImages: 20, monthlyCostUsd: null, resetAt: null });
+});
+
+test('a quota row picks a plan and overrides its limits', async (t) => {
+  stubLedger(t, { quota: { plan: 'pro', monthly_tokens: '1000', monthly_images: null, monthly_cost_usd: '2.5' } });
+  const quota = await usageService.getQuota('user-1');
+  assert.equal(quota.plan, 'pro');
+  assert.equal(quota.monthlyTokens, 1000);
+  assert.equal(quota.monthlyImages, 200);
+  assert.equal(quota.monthlyCostUsd, 2.5);
+});
+
+test('USAGE_PLANS adds plans and a bad default plan is refused', () => {
+  usageService.configure({ USAGE_PLANS: '{"team":{"monthlyTokens":null,"monthlyCostUsd":50}}', DEFAULT_USAGE_PLAN: 'team' });
+  assert.deepEqual(usageService.plans.team, { monthlyTokens: null, monthlyImages: null, monthlyCostUsd: 50 });
+  assert.equal(usageService.defaultPlan, 'team');
+
+  assert.throws(() => usageService.configure({ USAGE_PLANS: '{oops' }), /not valid JSON/);
+  assert.throws(() => usageService.configure({ DEFAULT_USAGE_PLAN: 'gold' }), /not a configured plan/);
+});
+
+test('the quota is reached once usage meets a limit', async (t) => {
+  stubLedger(t, { totals: { input_tokens: 400000, output_tokens: 100000, images: 3, cost_usd: '1.234' } });
+
+  const status = await usageService.getQuotaStatus('user-1');
+  assert.equal(status.usage.tokens, 500000);
+  assert.deepEqual(status.exceeded, [{ limit: 'monthlyTokens', label: 'token', used: 500000, allowed: 500000 }]);
+
+  // Image work is not held back by the token limit
+  assert.deepEqual((await usageService.getQuotaStatus('user-1', 'images')).exceeded, []);
+
+  await assert.rejects(usageService.assertWithinQuota('user-1', 'tokens'), (error) => {
+    assert.ok(error instanceof QuotaExceededError);
+    assert.equal(error.status, 429);
+    assert.match(error.message, /^Monthly token quota of 500,000 reached on the free plan\. It resets on \d{4}-\d{2}-01\.$/);
+    return true;
+  });
+});
+
+test('spend limits apply to every kind of work', async (t) => {
+  stubLedger(t, { quota: { plan: 'unlimited', monthly_cost_usd: 1 }, totals: { cost_usd: 1.5 } });
+  await assert.rejects(usageService.assertWithinQuota('user-1', 'images'), /Monthly spend quota of \$1 reached/);
+});
+
+test('usage is counted from the later of the month start and a quota reset', async (t) => {
+  const resetAt = new Date(Date.now() - 1000).toISOString();
+  const totals = stubLedger(t, { quota: { reset_at: resetAt } });
+
+  await usageService.getQuotaStatus('user-1');
+  assert.deepEqual(totals.mock.calls[0].arguments[0], { since: new Date(resetAt).toISOString(), userId: 'user-1' });
+  assert.equal(new Date(usageService.periodStart({ resetAt: '2000-01-01T00:00:00Z' })).getUTCDate(), 1);
+});
+
+test('recording usage never fails the call it measures', async (t) => {
+  t.mock.method(dbHelpers, 'createUsageEvent', async () => ({ error: new Error('insert failed') }));
+  const logged = t.mock.method(console, 'error', () => {});
+
+  await usageService.record({ userId: 'user-1', operation: 'generate', provider: 'openai', model: 'gpt-4o', inputTokens: 10 });
+  assert.equal(logged.mock.callCount(), 1);
+});
+
+test('a book without a cap is never over budget', async (t) => {
+  t.mock.method(dbHelpers, 'getBook', async () => ({ data: { id: 'book-1', budget_cap: null }, error: null }));
+  t.mock.method(dbHelpers, 'getUsageTotals', async () => ({ data: { cost_usd: 120 }, error: null }));
+
+  assert.deepEqual(await usageService.assertWithinBudget('book-1'), { cap: null, spent: 120, remaining: null, exceeded: false });
+});
+
+test('a book is stopped once its lifetime spend reaches the cap', async (t) => {
+  t.mock.method(dbHelpers, 'getBook', async () => ({ data: { id: 'book-1', budget_cap: '5.00' }, error: null }));
+  const totals = t.mock.method(dbHelpers, 'getUsageTotals', async () => ({ data: { cost_usd: '4.75' }, error: null }));
+
+  const status = await usageService.getBudgetStatus('book-1');
+  assert.deepEqual(status, { cap: 5, spent: 4.75, remaining: 0.25, exceeded: false });
+  assert.deepEqual(totals.mock.calls[0].arguments[0], { since: null, bookId: 'book-1' });
+
+  totals.mock.mockImplementation(async () => ({ data: { cost_usd: 5.25 }, error: null }));
+  await assert.rejects(usageService.assertWithinBudget('book-1'), (error) => {
+    assert.ok(error instanceof BudgetExceededError);
+    assert.equal(error.status, 402);
+    assert.equal(error.message, 'This book has reached its budget of $5.00 ($5.25 spent). Raise the budget to continue.');
+    assert.equal(error.details.remaining, 0);
+    return true;
+  });
+});
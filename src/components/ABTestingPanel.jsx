@@ -1,265 +1,537 @@
-import React, { useState } from 'react';
-import { motion } from 'framer-motion';
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { aiService } from '../lib/aiService';
+import { modelCatalogClient } from '../lib/modelCatalog';
+import { promptTemplateServiceClient } from '../lib/promptTemplateService';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
 
-const { FiTestTube, FiTrendingUp, FiEye, FiThumbsUp, FiThumbsDown, FiRefreshCw, FiBarChart } = FiIcons;
+const { FiColumns, FiX, FiEye, FiTrendingUp, FiThumbsUp, FiRefreshCw, FiBarChart, FiPlus, FiTrash2, FiAward, FiAlertCircle, FiSquare } = FiIcons;
 
-const ABTestingPanel = ({ 
-  topicData, 
-  bookContext, 
-  onGenerateVariations,
-  onSelectVariation,
-  isGenerating = false 
-}) => {
+const MAX_VARIANTS = 4;
+const LABELS = ['A', 'B', 'C', 'D'];
+
+// Anthropic takes temperatures up to 1, the others up to 2
+const maxTemperature = (provider) => (provider === 'anthropic' ? 1 : 2);
+
+// '' is the template in use, 'default' the built-in one, a number a book version
+const parseTemplateVersion = (value) => {
+  if (value === '') return null;
+  return value === 'default' ? value : Number(value);
+};
+
+const templateLabel = (template) => (
+  template ? `${template.source === 'book' ? 'Custom' : 'Default'} v${template.version}` : 'Template in use'
+);
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+const getScoreColor = (score) => {
+  if (score >= 80) return 'text-green-600';
+  if (score >= 60) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const getScoreBadge = (score) => {
+  if (score >= 80) return 'bg-green-100 text-green-800';
+  if (score >= 60) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-red-100 text-red-800';
+};
+
+// Win rates of one kind (models or templates), best first
+const WinRates = ({ title, rows, name }) => (
+  <div>
+    <h5 className="text-sm font-medium text-gray-800 mb-2">{title}</h5>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500">No picks yet</p>
+    ) : (
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={name(row)} className="text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-700 truncate mr-2">{name(row)}</span>
+              <span className="text-gray-500 whitespace-nowrap">{row.wins}/{row.offered} • {percent(row.winRate)}</span>
+            </div>
+            <div className="h-1.5 bg-gray-200 rounded-full mt-1">
+              <div className="h-1.5 bg-purple-500 rounded-full" style={{ width: percent(row.winRate) }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// A/B tests of a topic: writes it side by side with different models,
+// providers, temperatures or prompt template versions, compares the
+// variations and keeps the one the user picks. Every pick is saved, so the
+// win rates by model and by template build up across tests.
+const ABTestingPanel = ({ book, topic, isVisible, onClose, onUseVariation }) => {
+  const [variants, setVariants] = useState([]);
+  const [models, setModels] = useState({}); // text models per connected provider
+  const [templateVersions, setTemplateVersions] = useState([]);
   const [variations, setVariations] = useState([]);
-  const [selectedVariation, setSelectedVariation] = useState(null);
-  const [showComparison, setShowComparison] = useState(false);
+  const [test, setTest] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [choosing, setChoosing] = useState(false);
+  const [stats, setStats] = useState(null); // { models, templates } across books and in this book
+  const controllerRef = useRef(null);
 
-  const handleGenerateVariations = async () => {
+  const providers = [...aiService.connectedProviders];
+
+  useEffect(() => {
+    if (isVisible && book && topic) {
+      setVariants([
+        { provider: book.selected_provider, model: book.selected_model, temperature: 0.7, templateVersion: null },
+        { provider: book.selected_provider, model: book.selected_model, temperature: 0.9, templateVersion: null }
+      ]);
+      setSelectedId(null);
+      loadOptions();
+      loadLatestTest();
+      loadStats();
+    }
+    if (!isVisible) {
+      controllerRef.current?.abort();
+    }
+  }, [isVisible, book?.id, topic?.id]);
+
+  const loadOptions = async () => {
     try {
-      const generatedVariations = await onGenerateVariations(topicData, bookContext, 3);
-      setVariations(generatedVariations);
-      setShowComparison(true);
+      const [catalogModels, history] = await Promise.all([
+        Promise.all(providers.map(provider => modelCatalogClient.getTextModels(provider))),
+        promptTemplateServiceClient.getHistory(book.id, 'topic-content')
+      ]);
+      setModels(Object.fromEntries(providers.map((provider, index) => [provider, catalogModels[index]])));
+      setTemplateVersions(history.filter(version => version.body).map(version => version.version));
     } catch (error) {
-      console.error('Failed to generate variations:', error);
+      toast.error('Failed to load models and templates');
     }
   };
 
-  const handleSelectVariation = (variation) => {
-    setSelectedVariation(variation);
-    onSelectVariation(variation);
+  // The topic's last test, so a pick can still be made after closing
+  const loadLatestTest = async () => {
+    try {
+      const [latest] = await aiService.getVariationTests(book.id, topic.id);
+      setTest(latest || null);
+      setVariations(latest?.variations || []);
+      setSelectedId(latest?.winner_id || null);
+    } catch (error) {
+      setTest(null);
+      setVariations([]);
+    }
   };
 
-  const getScoreColor = (score) => {
-    if (score >= 80) return 'text-green-600';
-    if (score >= 60) return 'text-yellow-600';
-    return 'text-red-600';
+  const loadStats = async () => {
+    try {
+      const [all, inBook] = await Promise.all([
+        aiService.getVariationStats(),
+        aiService.getVariationStats(book.id)
+      ]);
+      setStats({ models: all.models, templates: inBook.templates });
+    } catch (error) {
+      setStats(null);
+    }
   };
 
-  const getScoreBadge = (score) => {
-    if (score >= 80) return 'bg-green-100 text-green-800';
-    if (score >= 60) return 'bg-yellow-100 text-yellow-800';
-    return 'bg-red-100 text-red-800';
+  const updateVariant = (index, changes) => {
+    setVariants(current => current.map((variant, i) => {
+      if (i !== index) return variant;
+      const updated = { ...variant, ...changes };
+      if (changes.provider) {
+        updated.model = models[changes.provider]?.[0]?.id || '';
+        updated.temperature = Math.min(updated.temperature, maxTemperature(changes.provider));
+      }
+      return updated;
+    }));
   };
 
-  return (
-    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-      <div className="flex items-center justify-between mb-6">
-        <div className="flex items-center space-x-3">
-          <SafeIcon icon={FiTestTube} className="h-6 w-6 text-purple-600" />
-          <div>
-            <h3 className="text-lg font-semibold text-gray-900">A/B Content Testing</h3>
-            <p className="text-sm text-gray-600">
-              Generate and compare different content variations to find the best approach
-            </p>
-          </div>
-        </div>
-        
-        <button
-          onClick={handleGenerateVariations}
-          disabled={isGenerating}
-          className="inline-flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium disabled:opacity-50"
-        >
-          {isGenerating ? (
-            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-          ) : (
-            <SafeIcon icon={FiRefreshCw} className="h-4 w-4 mr-2" />
-          )}
-          Generate Variations
-        </button>
-      </div>
+  const addVariant = () => {
+    setVariants(current => [...current, { ...current[current.length - 1] }]);
+  };
 
-      {!showComparison && variations.length === 0 && (
-        <div className="text-center py-8">
-          <SafeIcon icon={FiTestTube} className="h-16 w-16 text-gray-300 mx-auto mb-4" />
-          <h4 className="text-lg font-medium text-gray-900 mb-2">Ready for A/B Testing</h4>
-          <p className="text-gray-600 mb-4">
-            Generate multiple content variations to compare different approaches and select the best one
-          </p>
-          <div className="bg-blue-50 rounded-lg p-4 text-left">
-            <h5 className="font-medium text-blue-900 mb-2">What we'll test:</h5>
-            <ul className="text-sm text-blue-800 space-y-1">
-              <li>• Different writing styles (detailed vs concise)</li>
-              <li>• Varied content structure and organization</li>
-              <li>• Multiple explanation approaches</li>
-              <li>• Different example types and complexity</li>
-            </ul>
-          </div>
-        </div>
-      )}
+  const removeVariant = (index) => {
+    setVariants(current => current.filter((_, i) => i !== index));
+  };
 
-      {variations.length > 0 && (
-        <div className="space-y-6">
-          {/* Comparison Overview */}
-          <div className="bg-gray-50 rounded-lg p-4">
-            <div className="flex items-center justify-between mb-4">
-              <h4 className="font-medium text-gray-900">Variation Comparison</h4>
-              <div className="flex items-center space-x-4 text-sm text-gray-600">
-                <div className="flex items-center">
-                  <SafeIcon icon={FiBarChart} className="h-4 w-4 mr-1" />
-                  Quality Score
-                </div>
-                <div className="flex items-center">
-                  <SafeIcon icon={FiEye} className="h-4 w-4 mr-1" />
-                  Readability
-                </div>
-                <div className="flex items-center">
-                  <SafeIcon icon={FiTrendingUp} className="h-4 w-4 mr-1" />
-                  Structure
+  const handleGenerateVariations = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setGenerating(true);
+    setTest(null);
+    setVariations([]);
+    setSelectedId(null);
+
+    try {
+      const saved = await aiService.generateContentVariations(book.id, topic.id, variants, {
+        signal: controller.signal,
+        onVariation: (variation) => setVariations(current => (
+          [...current, variation].sort((a, b) => a.id.localeCompare(b.id))
+        ))
+      });
+      setTest(saved);
+      setVariations(saved.variations);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        toast.error(error.message || 'Failed to generate variations');
+      }
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setGenerating(false);
+    }
+  };
+
+  const handleUseVariation = async (variation) => {
+    setChoosing(true);
+    try {
+      setTest(await aiService.chooseVariation(book.id, test.id, variation.id));
+      await onUseVariation(variation);
+      toast.success(`Variation ${variation.id} is now the topic's content`);
+      loadStats();
+    } catch (error) {
+      toast.error(error.message || 'Failed to use the variation');
+    } finally {
+      setChoosing(false);
+    }
+  };
+
+  const selectedVariation = variations.find(variation => variation.id === selectedId && variation.content);
+  const scored = variations.filter(variation => variation.metrics);
+  const suggestions = selectedVariation
+    ? aiService.generateOptimizationSuggestions(selectedVariation.content, selectedVariation.metrics)
+    : [];
+
+  const inputClass = 'w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent disabled:bg-gray-50';
+
+  return (
+    <AnimatePresence>
+      {isVisible && book && topic && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiColumns} className="h-6 w-6 text-purple-600" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">A/B Content Testing</h2>
+                  <p className="text-sm text-gray-600">
+                    Write "{topic.title}" several ways, compare them and keep the best
+                  </p>
                 </div>
               </div>
+              <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700">
+                <SafeIcon icon={FiX} className="h-5 w-5" />
+              </button>
             </div>
-            
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              {variations.map((variation, index) => (
-                <motion.div
-                  key={variation.id}
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ delay: index * 0.1 }}
-                  className={`border-2 rounded-lg p-4 cursor-pointer transition-all ${
-                    selectedVariation?.id === variation.id
-                      ? 'border-purple-500 bg-purple-50'
-                      : 'border-gray-200 hover:border-gray-300 bg-white'
-                  }`}
-                  onClick={() => handleSelectVariation(variation)}
-                >
-                  <div className="flex items-center justify-between mb-3">
-                    <h5 className="font-medium text-gray-900">
-                      Variation {String.fromCharCode(65 + index)}
-                    </h5>
-                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getScoreBadge(variation.metrics.overallScore)}`}>
-                      {variation.metrics.overallScore}/100
-                    </span>
-                  </div>
-                  
-                  <div className="space-y-2 text-sm">
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Style:</span>
-                      <span className="font-medium capitalize">{variation.style}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Words:</span>
-                      <span className="font-medium">{variation.metrics.wordCount}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Readability:</span>
-                      <span className={`font-medium ${getScoreColor(variation.metrics.readabilityScore)}`}>
-                        {variation.metrics.readabilityScore}/100
-                      </span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Structure:</span>
-                      <span className={`font-medium ${getScoreColor(variation.metrics.structureScore)}`}>
-                        {variation.metrics.structureScore}/100
-                      </span>
-                    </div>
-                  </div>
-                  
-                  {selectedVariation?.id === variation.id && (
-                    <div className="mt-3 pt-3 border-t border-purple-200">
-                      <div className="flex items-center text-sm text-purple-700">
-                        <SafeIcon icon={FiThumbsUp} className="h-4 w-4 mr-1" />
-                        Selected for generation
-                      </div>
-                    </div>
-                  )}
-                </motion.div>
-              ))}
-            </div>
-          </div>
 
-          {/* Content Preview */}
-          {selectedVariation && (
-            <div className="border border-gray-200 rounded-lg">
-              <div className="bg-gray-50 px-4 py-3 border-b border-gray-200">
-                <div className="flex items-center justify-between">
-                  <h4 className="font-medium text-gray-900">
-                    Preview: Variation {String.fromCharCode(65 + variations.findIndex(v => v.id === selectedVariation.id))}
-                  </h4>
-                  <div className="flex items-center space-x-2">
-                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getScoreBadge(selectedVariation.metrics.overallScore)}`}>
-                      Score: {selectedVariation.metrics.overallScore}/100
-                    </span>
-                  </div>
+            <div className="flex-1 overflow-y-auto p-6 space-y-6">
+              {/* Variants */}
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-500 px-1">
+                  <span className="col-span-1"></span>
+                  <span className="col-span-2">Provider</span>
+                  <span className="col-span-4">Model</span>
+                  <span className="col-span-2">Temperature</span>
+                  <span className="col-span-2">Prompt template</span>
                 </div>
-              </div>
-              
-              <div className="p-4 max-h-60 overflow-y-auto">
-                <div 
-                  className="prose prose-sm max-w-none"
-                  dangerouslySetInnerHTML={{ __html: selectedVariation.content.slice(0, 500) + '...' }}
-                />
-              </div>
-              
-              <div className="bg-gray-50 px-4 py-3 border-t border-gray-200">
-                <div className="flex items-center justify-between text-sm">
-                  <div className="flex items-center space-x-4 text-gray-600">
-                    <span>Style: {selectedVariation.style}</span>
-                    <span>Temperature: {selectedVariation.temperature}</span>
+                {variants.map((variant, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <span className="col-span-1 font-medium text-gray-900 text-sm">{LABELS[index]}</span>
+                    <select
+                      value={variant.provider || ''}
+                      onChange={(e) => updateVariant(index, { provider: e.target.value })}
+                      disabled={generating}
+                      className={`col-span-2 ${inputClass}`}
+                    >
+                      {providers.map(provider => (
+                        <option key={provider} value={provider}>{provider}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={variant.model || ''}
+                      onChange={(e) => updateVariant(index, { model: e.target.value })}
+                      disabled={generating}
+                      className={`col-span-4 ${inputClass}`}
+                    >
+                      {!(models[variant.provider] || []).some(model => model.id === variant.model) && (
+                        <option value={variant.model}>{variant.model}</option>
+                      )}
+                      {(models[variant.provider] || []).map(model => (
+                        <option key={model.id} value={model.id}>{model.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      max={maxTemperature(variant.provider)}
+                      step="0.1"
+                      value={variant.temperature}
+                      onChange={(e) => updateVariant(index, { temperature: Number(e.target.value) })}
+                      disabled={generating}
+                      className={`col-span-2 ${inputClass}`}
+                    />
+                    <select
+                      value={variant.templateVersion ?? ''}
+                      onChange={(e) => updateVariant(index, { templateVersion: parseTemplateVersion(e.target.value) })}
+                      disabled={generating}
+                      className={`col-span-2 ${inputClass}`}
+                    >
+                      <option value="">In use</option>
+                      <option value="default">Default</option>
+                      {templateVersions.map(version => (
+                        <option key={version} value={version}>Custom v{version}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => removeVariant(index)}
+                      disabled={generating || variants.length <= 2}
+                      className="col-span-1 p-2 text-gray-400 hover:text-red-600 disabled:opacity-30 justify-self-start"
+                    >
+                      <SafeIcon icon={FiTrash2} className="h-4 w-4" />
+                    </button>
                   </div>
+                ))}
+                <div className="flex justify-between pt-2">
                   <button
-                    onClick={() => setShowComparison(false)}
-                    className="text-purple-600 hover:text-purple-800 font-medium"
+                    onClick={addVariant}
+                    disabled={generating || variants.length >= MAX_VARIANTS}
+                    className="inline-flex items-center text-sm text-purple-600 hover:text-purple-800 disabled:opacity-40"
                   >
-                    Use This Variation
+                    <SafeIcon icon={FiPlus} className="h-4 w-4 mr-1" />
+                    Add Variation
                   </button>
+                  {generating ? (
+                    <button
+                      onClick={() => controllerRef.current?.abort()}
+                      className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium"
+                    >
+                      <SafeIcon icon={FiSquare} className="h-4 w-4 mr-2" />
+                      Stop
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleGenerateVariations}
+                      disabled={providers.length === 0}
+                      className="inline-flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium disabled:opacity-50"
+                    >
+                      <SafeIcon icon={FiRefreshCw} className="h-4 w-4 mr-2" />
+                      Generate Variations
+                    </button>
+                  )}
                 </div>
               </div>
-            </div>
-          )}
-
-          {/* Optimization Suggestions */}
-          <div className="bg-blue-50 rounded-lg p-4">
-            <h4 className="font-medium text-blue-900 mb-3">Optimization Suggestions</h4>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <h5 className="text-sm font-medium text-blue-800 mb-2">Content Quality</h5>
-                <ul className="text-sm text-blue-700 space-y-1">
-                  <li>• Consider adding more specific examples</li>
-                  <li>• Include practical applications</li>
-                  <li>• Add visual elements or diagrams</li>
-                </ul>
-              </div>
-              <div>
-                <h5 className="text-sm font-medium text-blue-800 mb-2">Structure</h5>
-                <ul className="text-sm text-blue-700 space-y-1">
-                  <li>• Use more descriptive subheadings</li>
-                  <li>• Break up long paragraphs</li>
-                  <li>• Add bullet points for key concepts</li>
-                </ul>
-              </div>
-            </div>
-          </div>
 
-          {/* Performance Metrics */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {['Best Overall', 'Most Readable', 'Best Structure'].map((category, index) => {
-              const bestVariation = variations.reduce((best, current) => {
-                const metric = index === 0 ? 'overallScore' : index === 1 ? 'readabilityScore' : 'structureScore';
-                return current.metrics[metric] > best.metrics[metric] ? current : best;
-              });
-              
-              return (
-                <div key={category} className="bg-white border border-gray-200 rounded-lg p-4">
-                  <h5 className="font-medium text-gray-900 mb-2">{category}</h5>
-                  <div className="flex items-center justify-between">
-                    <span className="text-sm text-gray-600">
-                      Variation {String.fromCharCode(65 + variations.findIndex(v => v.id === bestVariation.id))}
-                    </span>
-                    <span className={`font-medium ${getScoreColor(bestVariation.metrics[index === 0 ? 'overallScore' : index === 1 ? 'readabilityScore' : 'structureScore'])}`}>
-                      {bestVariation.metrics[index === 0 ? 'overallScore' : index === 1 ? 'readabilityScore' : 'structureScore']}/100
-                    </span>
+              {generating && variations.length < variants.length && (
+                <div className="flex items-center text-sm text-gray-600">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-purple-600 mr-2"></div>
+                  Writing {variants.length - variations.length} of {variants.length} variations...
+                </div>
+              )}
+
+              {variations.length > 0 && (
+                <div className="space-y-6">
+                  {/* Comparison Overview */}
+                  <div className="bg-gray-50 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-4">
+                      <h4 className="font-medium text-gray-900">Variation Comparison</h4>
+                      <div className="flex items-center space-x-4 text-sm text-gray-600">
+                        <div className="flex items-center">
+                          <SafeIcon icon={FiBarChart} className="h-4 w-4 mr-1" />
+                          Quality Score
+                        </div>
+                        <div className="flex items-center">
+                          <SafeIcon icon={FiEye} className="h-4 w-4 mr-1" />
+                          Readability
+                        </div>
+                        <div className="flex items-center">
+                          <SafeIcon icon={FiTrendingUp} className="h-4 w-4 mr-1" />
+                          Structure
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                      {variations.map((variation, index) => (
+                        <motion.div
+                          key={variation.id}
+                          initial={{ opacity: 0, y: 10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          transition={{ delay: index * 0.1 }}
+                          className={`border-2 rounded-lg p-4 transition-all ${
+                            variation.error
+                              ? 'border-red-200 bg-white'
+                              : selectedId === variation.id
+                                ? 'border-purple-500 bg-purple-50 cursor-pointer'
+                                : 'border-gray-200 hover:border-gray-300 bg-white cursor-pointer'
+                          }`}
+                          onClick={() => !variation.error && setSelectedId(variation.id)}
+                        >
+                          <div className="flex items-center justify-between mb-3">
+                            <h5 className="font-medium text-gray-900">Variation {variation.id}</h5>
+                            {variation.metrics && (
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${getScoreBadge(variation.metrics.overallScore)}`}>
+                                {variation.metrics.overallScore}/100
+                              </span>
+                            )}
+                          </div>
+
+                          <div className="space-y-2 text-sm">
+                            <p className="text-gray-900 truncate" title={variation.model}>{variation.model}</p>
+                            <p className="text-xs text-gray-500">
+                              {variation.provider} • temp {variation.temperature ?? 'default'} • {templateLabel(variation.template)}
+                            </p>
+                            {variation.error ? (
+                              <p className="flex items-start text-red-600">
+                                <SafeIcon icon={FiAlertCircle} className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                                {variation.error}
+                              </p>
+                            ) : (
+                              <>
+                                <div className="flex justify-between">
+                                  <span className="text-gray-600">Words:</span>
+                                  <span className="font-medium">{variation.metrics.wordCount}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span className="text-gray-600">Readability:</span>
+                                  <span className={`font-medium ${getScoreColor(variation.metrics.readabilityScore)}`}>
+                                    {variation.metrics.readabilityScore}/100
+                                  </span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span className="text-gray-600">Structure:</span>
+                                  <span className={`font-medium ${getScoreColor(variation.metrics.structureScore)}`}>
+                                    {variation.metrics.structureScore}/100
+                                  </span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span className="text-gray-600">Time:</span>
+                                  <span className="font-medium">{(variation.metrics.latencyMs / 1000).toFixed(1)}s</span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span className="text-gray-600">Cost:</span>
+                                  <span className="font-medium">${variation.metrics.costUsd.toFixed(4)}</span>
+                                </div>
+                              </>
+                            )}
+                          </div>
+
+                          {test?.winner_id === variation.id && (
+                            <div className="mt-3 pt-3 border-t border-purple-200">
+                              <div className="flex items-center text-sm text-purple-700">
+                                <SafeIcon icon={FiAward} className="h-4 w-4 mr-1" />
+                                Picked
+                              </div>
+                            </div>
+                          )}
+                        </motion.div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Best of each metric */}
+                  {scored.length > 1 && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {[['Best Overall', 'overallScore'], ['Most Readable', 'readabilityScore'], ['Best Structure', 'structureScore']].map(([category, metric]) => {
+                        const best = scored.reduce((winner, current) => (
+                          current.metrics[metric] > winner.metrics[metric] ? current : winner
+                        ));
+
+                        return (
+                          <div key={category} className="bg-white border border-gray-200 rounded-lg p-4">
+                            <h5 className="font-medium text-gray-900 mb-2">{category}</h5>
+                            <div className="flex items-center justify-between">
+                              <span className="text-sm text-gray-600">Variation {best.id}</span>
+                              <span className={`font-medium ${getScoreColor(best.metrics[metric])}`}>
+                                {best.metrics[metric]}/100
+                              </span>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {/* Content Preview */}
+                  {selectedVariation && (
+                    <div className="border border-gray-200 rounded-lg">
+                      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                        <h4 className="font-medium text-gray-900">Preview: Variation {selectedVariation.id}</h4>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getScoreBadge(selectedVariation.metrics.overallScore)}`}>
+                          Score: {selectedVariation.metrics.overallScore}/100
+                        </span>
+                      </div>
+
+                      <div className="p-4 max-h-80 overflow-y-auto">
+                        <div
+                          className="prose prose-sm max-w-none"
+                          dangerouslySetInnerHTML={{ __html: selectedVariation.content }}
+                        />
+                      </div>
+
+                      {suggestions.length > 0 && (
+                        <div className="bg-blue-50 px-4 py-3 border-t border-gray-200">
+                          <h5 className="text-sm font-medium text-blue-900 mb-1">Optimization Suggestions</h5>
+                          <ul className="text-sm text-blue-800 space-y-1">
+                            {suggestions.map((suggestion, index) => (
+                              <li key={index}>• {suggestion.message}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      <div className="bg-gray-50 px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+                        <span className="text-gray-600">
+                          Replaces the topic's current content
+                        </span>
+                        <button
+                          onClick={() => handleUseVariation(selectedVariation)}
+                          disabled={!test || choosing || generating}
+                          className="inline-flex items-center px-3 py-1.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium disabled:opacity-50"
+                        >
+                          <SafeIcon icon={FiThumbsUp} className="h-4 w-4 mr-1" />
+                          Use This Variation
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Win rates */}
+              {stats && (
+                <div className="bg-purple-50 rounded-lg p-4">
+                  <h4 className="font-medium text-purple-900 mb-3">Win Rates</h4>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <WinRates
+                      title="Models (all books)"
+                      rows={stats.models}
+                      name={(row) => `${row.provider} / ${row.model}`}
+                    />
+                    <WinRates
+                      title="Prompt templates (this book)"
+                      rows={stats.templates}
+                      name={templateLabel}
+                    />
                   </div>
                 </div>
-              );
-            })}
-          </div>
-        </div>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
       )}
-    </div>
+    </AnimatePresence>
   );
 };
 
-export default ABTestingPanel;
\ No newline at end of file
+export default ABTestingPanel;
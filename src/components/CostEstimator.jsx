@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { modelCatalogClient, findModel, estimateCost, estimateTokens } from '../lib/modelCatalog';
 
 const { FiDollarSign, FiInfo, FiTrendingUp, FiZap, FiImage } = FiIcons;
 
@@ -23,56 +24,42 @@ const CostEstimator = ({
 
   const [isExpanded, setIsExpanded] = useState(false);
 
-  const pricing = {
-    openai: {
-      'gpt-4-turbo-preview': { input: 0.01, output: 0.03 },
-      'gpt-4': { input: 0.03, output: 0.06 },
-      'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
-      'dall-e-3': { image: 0.040 }
-    },
-    anthropic: {
-      'claude-3-opus': { input: 0.015, output: 0.075 },
-      'claude-3-sonnet': { input: 0.003, output: 0.015 },
-      'claude-3-haiku': { input: 0.00025, output: 0.00125 }
-    },
-    stabilityai: {
-      'stable-diffusion': { image: 0.018 }
-    }
-  };
+  const [catalog, setCatalog] = useState([]);
+
+  useEffect(() => {
+    modelCatalogClient.getModels()
+      .then(setCatalog)
+      .catch(() => setCatalog([]));
+  }, []);
 
   useEffect(() => {
     calculateEstimate();
-  }, [bookData, chapters, selectedProvider, selectedModel, ragEnabled]);
+  }, [bookData, chapters, selectedProvider, selectedModel, ragEnabled, catalog]);
 
   const calculateEstimate = () => {
     if (!selectedProvider || !selectedModel || !bookData) {
       return;
     }
 
-    const modelPricing = pricing[selectedProvider]?.[selectedModel];
-    if (!modelPricing) return;
+    const model = findModel(catalog, selectedModel, selectedProvider);
+    if (!model?.pricing) return;
 
     // Calculate text generation costs
     const totalTopics = chapters.reduce((sum, chapter) => sum + (chapter.topics?.length || 0), 0);
     const estimatedWordsPerTopic = 800;
     const totalWords = totalTopics * estimatedWordsPerTopic;
-    const totalTokens = Math.ceil(totalWords * 1.3); // Words to tokens approximation
+    const totalTokens = estimateTokens(model, totalWords); // Per the model family's tokenizer
 
     const inputTokens = totalTokens * 0.3; // Approximate input tokens (prompts, context)
     const outputTokens = totalTokens * 0.7; // Approximate output tokens (generated content)
 
-    const textCost = (inputTokens / 1000) * modelPricing.input + (outputTokens / 1000) * modelPricing.output;
+    const textCost = estimateCost(model, { inputTokens, outputTokens });
 
-    // Calculate image generation costs
+    // Calculate image generation costs with the provider's image model, if any
     const imagesPerChapter = 1; // Default 1 image per chapter
     const totalImages = chapters.length * imagesPerChapter;
-    let imageCost = 0;
-
-    if (selectedProvider === 'openai') {
-      imageCost = totalImages * pricing.openai['dall-e-3'].image;
-    } else if (selectedProvider === 'stabilityai') {
-      imageCost = totalImages * pricing.stabilityai['stable-diffusion'].image;
-    }
+    const imageModel = catalog.find(entry => entry.kind === 'image' && entry.provider === selectedProvider);
+    const imageCost = estimateCost(imageModel, { images: totalImages });
 
     // RAG overhead (approximately 20% more for context)
     const ragMultiplier = ragEnabled ? 1.2 : 1;
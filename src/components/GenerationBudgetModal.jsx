@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { aiService } from '../lib/aiService';
+import { usageServiceClient } from '../lib/usageService';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiDollarSign, FiX, FiAlertTriangle, FiZap, FiPlay } = FiIcons;
+
+const formatUsd = (amount) => `$${amount < 0.01 && amount > 0 ? amount.toFixed(4) : amount.toFixed(2)}`;
+
+const pendingTopicCount = (chapters) => chapters
+  .flatMap(chapter => chapter.topics || [])
+  .filter(topic => !topic.content || topic.content.trim().length < 100)
+  .length;
+
+// Pre-flight check before whole-book generation: shows what the remaining
+// topics should cost with the book's model and lets the author set the book's
+// budget cap. The server pauses the job once the book's actual spend reaches
+// the cap. `mode` is 'start' for a new job or 'resume' for one that stopped.
+const GenerationBudgetModal = ({ book, chapters, isVisible, mode = 'start', onClose, onConfirm }) => {
+  const [estimate, setEstimate] = useState(null);
+  const [budget, setBudget] = useState(null);
+  const [budgetInput, setBudgetInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+
+  useEffect(() => {
+    if (isVisible && book) {
+      loadEstimate();
+    }
+  }, [isVisible, book?.id]);
+
+  const loadEstimate = async () => {
+    setLoading(true);
+    try {
+      // Jobs write text only, so no images are counted
+      const [cost, status] = await Promise.all([
+        aiService.estimateGenerationCost(book, chapters, { imagesPerChapter: 0, pendingOnly: true }),
+        usageServiceClient.getBookBudget(book.id)
+      ]);
+
+      setEstimate(cost);
+      setBudget(status);
+      setBudgetInput(status.cap != null ? String(status.cap) : '');
+    } catch (error) {
+      console.error('Error estimating generation cost:', error);
+      toast.error('Failed to estimate generation cost');
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const parsedCap = budgetInput.trim() === '' ? null : Number(budgetInput);
+  const invalidCap = parsedCap !== null && !(Number.isFinite(parsedCap) && parsedCap > 0);
+  const capTooLow = !invalidCap && parsedCap !== null && budget && parsedCap <= budget.spent;
+  const projected = budget && estimate != null ? budget.spent + estimate : null;
+  const willStopEarly = !invalidCap && parsedCap !== null && projected != null && parsedCap < projected;
+  const suggestedCap = projected != null ? Math.ceil(projected * 1.2 * 100) / 100 : null;
+
+  const handleConfirm = async () => {
+    if (invalidCap || capTooLow) return;
+
+    setConfirming(true);
+    try {
+      if (parsedCap !== budget.cap) {
+        await usageServiceClient.setBookBudget(book.id, parsedCap);
+      }
+      await onConfirm();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save budget');
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isVisible && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl max-w-lg w-full"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiDollarSign} className="h-6 w-6 text-primary-600" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    {mode === 'resume' ? 'Budget Reached' : 'Confirm Generation Cost'}
+                  </h2>
+                  <p className="text-sm text-gray-600">
+                    {book?.selected_provider} • {book?.selected_model}
+                  </p>
+                </div>
+              </div>
+              <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700">
+                <SafeIcon icon={FiX} className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {loading || !budget ? (
+                <div className="flex items-center justify-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+                  <span className="ml-3 text-gray-600">Estimating cost...</span>
+                </div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                      <p className="text-xs text-gray-500">Estimated cost</p>
+                      <p className="text-xl font-semibold text-gray-900">{formatUsd(estimate)}</p>
+                      <p className="text-xs text-gray-500">{pendingTopicCount(chapters)} topics to write</p>
+                    </div>
+                    <div className="p-3 bg-gray-50 rounded-lg">
+                      <p className="text-xs text-gray-500">Spent on this book</p>
+                      <p className="text-xl font-semibold text-gray-900">{formatUsd(budget.spent)}</p>
+                      <p className="text-xs text-gray-500">
+                        {budget.cap != null ? `of ${formatUsd(budget.cap)} budget` : 'No budget set'}
+                      </p>
+                    </div>
+                  </div>
+
+                  {estimate === 0 && (
+                    <p className="text-xs text-gray-500">
+                      No price is listed for this model, so the estimate is unavailable.
+                    </p>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Budget cap for this book (USD)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={budgetInput}
+                      onChange={(e) => setBudgetInput(e.target.value)}
+                      placeholder="No budget"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Generation pauses when this book's total spend reaches the cap. Leave empty for no cap.
+                      {suggestedCap > 0 && (
+                        <>
+                          {' '}
+                          <button
+                            type="button"
+                            onClick={() => setBudgetInput(suggestedCap.toFixed(2))}
+                            className="text-primary-600 hover:text-primary-700"
+                          >
+                            Use {formatUsd(suggestedCap)}
+                          </button>
+                        </>
+                      )}
+                    </p>
+                    {invalidCap && (
+                      <p className="text-xs text-red-600 mt-1">Enter a positive amount, or leave the field empty.</p>
+                    )}
+                    {capTooLow && (
+                      <p className="text-xs text-red-600 mt-1">
+                        The budget must be more than the {formatUsd(budget.spent)} already spent.
+                      </p>
+                    )}
+                  </div>
+
+                  {willStopEarly && !capTooLow && (
+                    <div className="flex items-start p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <SafeIcon icon={FiAlertTriangle} className="h-4 w-4 text-yellow-600 mt-0.5 mr-2" />
+                      <p className="text-sm text-yellow-800">
+                        This budget is below the estimate, so generation will likely pause before every topic is written.
+                        You can raise the budget and resume at any time.
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={loading || !budget || confirming || invalidCap || capTooLow}
+                className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                <SafeIcon icon={mode === 'resume' ? FiPlay : FiZap} className="h-4 w-4 mr-2" />
+                {mode === 'resume' ? 'Save Budget and Resume' : 'Confirm and Generate'}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default GenerationBudgetModal;
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
+import { ragServiceClient } from '../lib/ragService';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiDatabase, FiFileText, FiGlobe, FiTrash2, FiChevronDown, FiChevronRight, FiUpload, FiPlus, FiX, FiRefreshCw } = FiIcons;
+
+const SOURCE_FILE_TYPES = '.pdf,.docx,.epub,.md,.markdown,.txt,.html,.htm';
+const PREVIEW_PAGE_SIZE = 10;
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Lists the sources in a book's knowledge base and lets the author preview,
+// delete or re-ingest them. Re-ingesting a file with the same name, or the
+// same URL, replaces the old version on the server.
+const KnowledgeBasePanel = ({ bookId, isVisible, onClose }) => {
+  const [sources, setSources] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [url, setUrl] = useState('');
+  const [adding, setAdding] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isVisible && bookId) {
+      loadSources();
+    }
+  }, [isVisible, bookId]);
+
+  const loadSources = async () => {
+    setLoading(true);
+    try {
+      setSources(await ragServiceClient.listSources(bookId));
+    } catch (error) {
+      toast.error('Failed to load research sources');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePreview = async (source) => {
+    if (expandedId === source.id) {
+      setExpandedId(null);
+      setPreview(null);
+      return;
+    }
+
+    setExpandedId(source.id);
+    setPreview(null);
+    await loadPreview(source.id, 0);
+  };
+
+  const loadPreview = async (sourceId, offset) => {
+    setPreviewLoading(true);
+    try {
+      const result = await ragServiceClient.getSource(bookId, sourceId, { offset, limit: PREVIEW_PAGE_SIZE });
+      setPreview(current => ({
+        ...result,
+        chunks: offset > 0 && current ? [...current.chunks, ...result.chunks] : result.chunks
+      }));
+    } catch (error) {
+      toast.error('Failed to load source preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const deleteSource = async (source) => {
+    if (!window.confirm(`Remove "${source.title || source.name}" from this book's research sources?`)) return;
+
+    setDeletingId(source.id);
+    try {
+      const result = await ragServiceClient.deleteSource(bookId, source.id);
+      setSources(current => current.filter(s => s.id !== source.id));
+      if (expandedId === source.id) {
+        setExpandedId(null);
+        setPreview(null);
+      }
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete source');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const reportIngest = (result, label) => {
+    if (result.unchanged) {
+      toast(`${label} is unchanged`);
+    } else if (result.replaced) {
+      toast.success(`Replaced ${label} with version ${result.version}`);
+    } else {
+      toast.success(`Added ${label} (${result.chunks} chunks)`);
+    }
+  };
+
+  const addFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setAdding(true);
+    try {
+      const result = await ragServiceClient.uploadSourceForRAG(bookId, file);
+      reportIngest(result, file.name);
+      await loadSources();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add file');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const addUrl = async () => {
+    if (!url.trim()) return;
+
+    setAdding(true);
+    try {
+      const result = await ragServiceClient.addURLToRAG(bookId, url.trim());
+      reportIngest(result, url.trim());
+      setUrl('');
+      await loadSources();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add URL');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const totalChunks = sources.reduce((sum, source) => sum + (source.chunkCount || 0), 0);
+
+  return (
+    <AnimatePresence>
+      {isVisible && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[85vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiDatabase} className="h-6 w-6 text-primary-600" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Research Sources</h2>
+                  <p className="text-sm text-gray-600">
+                    {sources.length} sources • {totalChunks} chunks
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={loadSources}
+                  disabled={loading}
+                  className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiRefreshCw} className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+                <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700">
+                  <SafeIcon icon={FiX} className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            {/* Add or re-ingest */}
+            <div className="p-4 border-b border-gray-200 bg-gray-50">
+              <div className="flex space-x-2">
+                <input
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && addUrl()}
+                  placeholder="https://example.com/article"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <button
+                  onClick={addUrl}
+                  disabled={adding || !url.trim()}
+                  className="inline-flex items-center px-3 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiPlus} className="h-4 w-4 mr-1" />
+                  Add URL
+                </button>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={adding}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-white transition-colors text-sm disabled:opacity-50"
+                >
+                  {adding ? (
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 mr-1"></div>
+                  ) : (
+                    <SafeIcon icon={FiUpload} className="h-4 w-4 mr-1" />
+                  )}
+                  Upload File
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={SOURCE_FILE_TYPES}
+                  onChange={addFile}
+                  className="hidden"
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Uploading a file with the same name, or adding the same URL again, replaces the earlier version.
+              </p>
+            </div>
+
+            {/* Source list */}
+            <div className="flex-1 overflow-y-auto p-4">
+              {loading && sources.length === 0 ? (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+                </div>
+              ) : sources.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-8">
+                  No research sources yet. Upload a document or add a URL to ground generated content.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {sources.map((source) => (
+                    <div key={source.id} className="border border-gray-200 rounded-lg">
+                      <div className="flex items-center p-3">
+                        <button
+                          onClick={() => togglePreview(source)}
+                          className="flex-1 flex items-center text-left min-w-0"
+                        >
+                          <SafeIcon
+                            icon={expandedId === source.id ? FiChevronDown : FiChevronRight}
+                            className="h-4 w-4 text-gray-400 mr-2 flex-shrink-0"
+                          />
+                          <SafeIcon
+                            icon={source.type === 'url' ? FiGlobe : FiFileText}
+                            className="h-4 w-4 text-primary-600 mr-2 flex-shrink-0"
+                          />
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">
+                              {source.title || source.name}
+                            </p>
+                            <p className="text-xs text-gray-500 truncate">
+                              {source.type === 'url' ? source.url : source.name}
+                              {' • '}{formatSize(source.size)}
+                              {' • '}{source.chunkCount} chunks
+                              {source.pagesCount && ` • ${source.pagesCount} pages`}
+                              {source.version > 1 && ` • v${source.version}`}
+                              {' • '}{formatDistanceToNow(new Date(source.updatedAt), { addSuffix: true })}
+                            </p>
+                          </div>
+                        </button>
+                        <button
+                          onClick={() => deleteSource(source)}
+                          disabled={deletingId === source.id}
+                          className="p-2 text-red-500 hover:text-red-700 disabled:opacity-50 flex-shrink-0"
+                        >
+                          <SafeIcon icon={FiTrash2} className="h-4 w-4" />
+                        </button>
+                      </div>
+
+                      {expandedId === source.id && (
+                        <div className="border-t border-gray-200 p-3 bg-gray-50 space-y-2">
+                          {preview?.chunks.map((chunk) => (
+                            <div key={chunk.id} className="bg-white border border-gray-200 rounded-md p-2">
+                              <p className="text-xs text-gray-500 mb-1">
+                                #{chunk.position + 1} • {chunk.label}
+                              </p>
+                              <p className="text-sm text-gray-700 whitespace-pre-line line-clamp-4">{chunk.text}</p>
+                            </div>
+                          ))}
+                          {previewLoading && (
+                            <div className="flex justify-center py-2">
+                              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+                            </div>
+                          )}
+                          {preview && !previewLoading && preview.chunks.length < preview.total && (
+                            <button
+                              onClick={() => loadPreview(source.id, preview.chunks.length)}
+                              className="w-full text-sm text-primary-600 hover:text-primary-700 py-1"
+                            >
+                              Show more ({preview.chunks.length} of {preview.total})
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default KnowledgeBasePanel;
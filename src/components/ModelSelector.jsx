@@ -2,52 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import { modelCatalogClient } from '../lib/modelCatalog';
 
-const { FiZap, FiInfo, FiDollarSign, FiClock, FiCpu } = FiIcons;
+const { FiZap, FiInfo, FiDollarSign, FiClock, FiCpu, FiLayers } = FiIcons;
 
 const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys }) => {
   const [availableModels, setAvailableModels] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [modelDetails, setModelDetails] = useState({});
-
-  const modelInfo = {
-    'gpt-4-turbo-preview': {
-      description: 'Most capable GPT-4 model, great for complex reasoning',
-      speed: 'Medium',
-      cost: 'High',
-      bestFor: 'Complex content, technical writing, detailed analysis'
-    },
-    'gpt-4': {
-      description: 'Highly capable model for complex tasks',
-      speed: 'Slow',
-      cost: 'High', 
-      bestFor: 'High-quality content, creative writing'
-    },
-    'gpt-3.5-turbo': {
-      description: 'Fast and cost-effective for most tasks',
-      speed: 'Fast',
-      cost: 'Low',
-      bestFor: 'General content, quick generation'
-    },
-    'claude-3-opus': {
-      description: 'Anthropic\'s most capable model',
-      speed: 'Medium',
-      cost: 'High',
-      bestFor: 'Long-form content, nuanced writing'
-    },
-    'claude-3-sonnet': {
-      description: 'Balanced performance and cost',
-      speed: 'Medium',
-      cost: 'Medium',
-      bestFor: 'Professional content, balanced quality'
-    },
-    'claude-3-haiku': {
-      description: 'Fast and efficient for simpler tasks',
-      speed: 'Fast',
-      cost: 'Low',
-      bestFor: 'Quick content, simple tasks'
-    }
-  };
 
   useEffect(() => {
     if (selectedProvider && apiKeys[selectedProvider]) {
@@ -58,29 +19,11 @@ const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys
   const loadModels = async () => {
     setLoading(true);
     try {
-      // Simulate API call to get models
-      const mockModels = {
-        openai: [
-          { id: 'gpt-4-turbo-preview', name: 'GPT-4 Turbo', recommended: true },
-          { id: 'gpt-4', name: 'GPT-4', recommended: false },
-          { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', recommended: false }
-        ],
-        anthropic: [
-          { id: 'claude-3-opus', name: 'Claude 3 Opus', recommended: true },
-          { id: 'claude-3-sonnet', name: 'Claude 3 Sonnet', recommended: false },
-          { id: 'claude-3-haiku', name: 'Claude 3 Haiku', recommended: false }
-        ],
-        openrouter: [
-          { id: 'google/gemini-pro', name: 'Gemini Pro', recommended: true },
-          { id: 'meta-llama/llama-2-70b-chat', name: 'Llama 2 70B', recommended: false },
-          { id: 'mistralai/mixtral-8x7b-instruct', name: 'Mixtral 8x7B', recommended: false }
-        ]
-      };
+      const models = await modelCatalogClient.getTextModels(selectedProvider);
+      setAvailableModels(models);
 
-      setAvailableModels(mockModels[selectedProvider] || []);
-      
       // Auto-select recommended model
-      const recommendedModel = mockModels[selectedProvider]?.find(m => m.recommended);
+      const recommendedModel = models.find(m => m.recommended);
       if (recommendedModel && !selectedModel) {
         onModelChange(recommendedModel);
       }
@@ -91,6 +34,10 @@ const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys
     }
   };
 
+  const formatContext = (tokens) => (
+    tokens >= 1000000 ? `${tokens / 1000000}M` : `${Math.round(tokens / 1000)}K`
+  );
+
   const getCostIndicator = (cost) => {
     const colors = {
       'Low': 'text-green-600',
@@ -127,7 +74,6 @@ const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys
       ) : (
         <div className="grid grid-cols-1 gap-4">
           {availableModels.map((model) => {
-            const info = modelInfo[model.id] || {};
             const isSelected = selectedModel?.id === model.id;
             
             return (
@@ -156,33 +102,47 @@ const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys
                       )}
                     </div>
                     
-                    {info.description && (
+                    {model.description && (
                       <p className={`text-sm mb-3 ${isSelected ? 'text-primary-700' : 'text-gray-600'}`}>
-                        {info.description}
+                        {model.description}
                       </p>
                     )}
                     
                     <div className="flex items-center space-x-6 text-xs">
-                      {info.speed && (
+                      {model.speed && (
                         <div className="flex items-center">
-                          <SafeIcon icon={FiClock} className={`h-3 w-3 mr-1 ${getSpeedIndicator(info.speed)}`} />
+                          <SafeIcon icon={FiClock} className={`h-3 w-3 mr-1 ${getSpeedIndicator(model.speed)}`} />
                           <span className="text-gray-600">Speed: </span>
-                          <span className={getCostIndicator(info.speed)}>{info.speed}</span>
+                          <span className={getCostIndicator(model.speed)}>{model.speed}</span>
                         </div>
                       )}
                       
-                      {info.cost && (
+                      {model.costTier && (
                         <div className="flex items-center">
-                          <SafeIcon icon={FiDollarSign} className={`h-3 w-3 mr-1 ${getCostIndicator(info.cost)}`} />
+                          <SafeIcon icon={FiDollarSign} className={`h-3 w-3 mr-1 ${getCostIndicator(model.costTier)}`} />
                           <span className="text-gray-600">Cost: </span>
-                          <span className={getCostIndicator(info.cost)}>{info.cost}</span>
+                          <span className={getCostIndicator(model.costTier)}>{model.costTier}</span>
+                        </div>
+                      )}
+
+                      {model.contextWindow && (
+                        <div className="flex items-center">
+                          <SafeIcon icon={FiLayers} className="h-3 w-3 mr-1 text-gray-500" />
+                          <span className="text-gray-600">Context: </span>
+                          <span className="text-gray-700">{formatContext(model.contextWindow)}</span>
                         </div>
                       )}
                     </div>
-                    
-                    {info.bestFor && (
+
+                    {model.pricing && (
+                      <div className="mt-2 text-xs text-gray-500">
+                        ${model.pricing.input} input / ${model.pricing.output} output per 1M tokens
+                      </div>
+                    )}
+
+                    {model.bestFor && (
                       <div className="mt-2 text-xs text-gray-500">
-                        <strong>Best for:</strong> {info.bestFor}
+                        <strong>Best for:</strong> {model.bestFor}
                       </div>
                     )}
                   </div>
@@ -198,11 +158,14 @@ const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys
                   </div>
                 </div>
                 
-                {isSelected && selectedProvider === 'openai' && (
+                {isSelected && model.supports?.rag && (
                   <div className="mt-3 p-2 bg-blue-50 rounded-md">
                     <div className="flex items-center text-xs text-blue-700">
                       <SafeIcon icon={FiInfo} className="h-3 w-3 mr-1" />
-                      <span>RAG-enhanced generation available with uploaded research materials</span>
+                      <span>
+                        RAG-enhanced generation available with uploaded research materials
+                        {model.supports.assistants && ', including OpenAI file search'}
+                      </span>
                     </div>
                   </div>
                 )}
@@ -217,7 +180,7 @@ const ModelSelector = ({ selectedProvider, selectedModel, onModelChange, apiKeys
           <div className="flex items-center text-sm text-gray-700">
             <SafeIcon icon={FiCpu} className="h-4 w-4 mr-2" />
             <span>Selected: <strong>{selectedModel.name}</strong></span>
-            {selectedProvider === 'openai' && (
+            {selectedModel.supports?.rag && (
               <span className="ml-2 text-blue-600">• RAG Ready</span>
             )}
           </div>
@@ -0,0 +1,155 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiLayers, FiX, FiCheck, FiSkipForward, FiAlertCircle, FiClock } = FiIcons;
+
+const STAGE_NAMES = {
+  outline: 'Outline',
+  draft: 'Draft',
+  critique: 'Critique',
+  revise: 'Revise'
+};
+
+const STAGE_ICONS = {
+  completed: { icon: FiCheck, className: 'text-green-600' },
+  skipped: { icon: FiSkipForward, className: 'text-gray-400' },
+  failed: { icon: FiAlertCircle, className: 'text-red-600' },
+  running: { icon: FiClock, className: 'text-yellow-600' }
+};
+
+const duration = ({ started_at: startedAt, completed_at: completedAt }) => {
+  if (!startedAt || !completedAt) return '';
+  const seconds = Math.round((new Date(completedAt) - new Date(startedAt)) / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+// What the last multi-pass run of a topic produced at each stage: the
+// outline, every drafted section, and the critique the revision worked from
+const PipelineArtifactsPanel = ({ artifacts, topicTitle, isVisible, onClose }) => (
+  <AnimatePresence>
+    {isVisible && artifacts && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[85vh] flex flex-col"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-gray-200">
+            <div className="flex items-center space-x-3">
+              <SafeIcon icon={FiLayers} className="h-6 w-6 text-primary-600" />
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Generation Stages</h2>
+                <p className="text-sm text-gray-600">
+                  {topicTitle} • run {formatDistanceToNow(new Date(artifacts.started_at), { addSuffix: true })}
+                </p>
+              </div>
+            </div>
+            <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700">
+              <SafeIcon icon={FiX} className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            {/* Stages */}
+            <div className="flex flex-wrap gap-2">
+              {artifacts.stages.map((entry) => {
+                const status = STAGE_ICONS[entry.status] || STAGE_ICONS.running;
+                return (
+                  <div key={entry.stage} className="inline-flex items-center px-3 py-1 bg-gray-50 border border-gray-200 rounded-full text-sm">
+                    <SafeIcon icon={status.icon} className={`h-4 w-4 mr-1 ${status.className}`} />
+                    <span className="text-gray-900">{STAGE_NAMES[entry.stage]}</span>
+                    {duration(entry) && <span className="text-xs text-gray-500 ml-2">{duration(entry)}</span>}
+                  </div>
+                );
+              })}
+            </div>
+
+            {artifacts.error && (
+              <p className="text-sm text-red-600">Stopped with an error: {artifacts.error}</p>
+            )}
+
+            {/* Outline */}
+            {artifacts.outline?.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Outline</h3>
+                <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+                  {artifacts.outline.map((section, index) => (
+                    <li key={index}>
+                      <span className="font-medium">{section.heading}</span>
+                      <span className="text-gray-500"> • ~{section.estimated_words} words</span>
+                      {section.points.length > 0 && (
+                        <span className="text-gray-600"> — {section.points.join('; ')}</span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
+            {/* Drafts */}
+            {artifacts.drafts?.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Drafted Sections</h3>
+                <div className="space-y-2">
+                  {artifacts.drafts.map((draft, index) => (
+                    <details key={index} className="border border-gray-200 rounded-lg">
+                      <summary className="px-3 py-2 text-sm text-gray-700 cursor-pointer">{draft.heading}</summary>
+                      <div
+                        className="px-4 pb-3 prose prose-sm max-w-none"
+                        dangerouslySetInnerHTML={{ __html: draft.content }}
+                      />
+                    </details>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Critique */}
+            {artifacts.critique && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Critique</h3>
+                {artifacts.critique.summary && (
+                  <p className="text-sm text-gray-700 mb-2">{artifacts.critique.summary}</p>
+                )}
+                {artifacts.critique.issues.length === 0 && artifacts.critique.lint.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing to fix; the draft was kept as written.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {artifacts.critique.issues.map((issue, index) => (
+                      <li key={`issue-${index}`} className="text-sm text-gray-700 px-3 py-2 bg-gray-50 rounded-lg">
+                        {issue.section && <span className="font-medium">{issue.section}: </span>}
+                        {issue.problem}
+                        {issue.fix && <span className="text-gray-500"> Fix: {issue.fix}</span>}
+                      </li>
+                    ))}
+                    {artifacts.critique.lint.map((issue, index) => (
+                      <li key={`lint-${index}`} className="text-sm text-gray-700 px-3 py-2 bg-yellow-50 rounded-lg">
+                        <span className="font-medium">Style guide: </span>
+                        {issue.message}: &ldquo;{issue.match}&rdquo;
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-xs text-gray-500 mt-2">
+                  {artifacts.revised ? 'The final content is the revision of the draft.' : 'The final content is the draft.'}
+                </p>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+export default PipelineArtifactsPanel;
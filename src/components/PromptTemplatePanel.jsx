@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
+import { promptTemplateServiceClient } from '../lib/promptTemplateService';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiFileText, FiX, FiSave, FiRotateCcw, FiClock } = FiIcons;
+
+// Edits the prompts a book is generated with. Every save, restore or reset
+// adds a version on the server, so earlier wording can always be brought back;
+// topics record the version that wrote them.
+const PromptTemplatePanel = ({ bookId, isVisible, onClose }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const textareaRef = useRef(null);
+
+  const selected = templates.find(template => template.key === selectedKey);
+
+  useEffect(() => {
+    if (isVisible && bookId) {
+      loadTemplates();
+    }
+  }, [isVisible, bookId]);
+
+  useEffect(() => {
+    if (isVisible && bookId && selectedKey) {
+      loadHistory(selectedKey);
+    }
+  }, [isVisible, bookId, selectedKey]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    try {
+      const result = await promptTemplateServiceClient.listTemplates(bookId);
+      setTemplates(result);
+
+      const current = result.find(template => template.key === selectedKey) || result[0];
+      setSelectedKey(current?.key || null);
+      setDraft(current?.body || '');
+    } catch (error) {
+      toast.error('Failed to load prompt templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadHistory = async (key) => {
+    setHistoryLoading(true);
+    try {
+      setHistory(await promptTemplateServiceClient.getHistory(bookId, key));
+    } catch (error) {
+      toast.error('Failed to load template history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const selectTemplate = (template) => {
+    setSelectedKey(template.key);
+    setDraft(template.body);
+  };
+
+  // Inserts a {{variable}} at the cursor
+  const insertVariable = (name) => {
+    const textarea = textareaRef.current;
+    const placeholder = `{{${name}}}`;
+    const start = textarea ? textarea.selectionStart : draft.length;
+    const end = textarea ? textarea.selectionEnd : draft.length;
+
+    setDraft(draft.slice(0, start) + placeholder + draft.slice(end));
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + placeholder.length, start + placeholder.length);
+    });
+  };
+
+  // Runs a change and shows the template the server now uses
+  const applyChange = async (change, message) => {
+    setSaving(true);
+    try {
+      const active = await change();
+      setTemplates(current => current.map(template => (
+        template.key === active.key ? { ...template, ...active } : template
+      )));
+      setDraft(active.body);
+      await loadHistory(active.key);
+      toast.success(message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveVersion = () => applyChange(
+    () => promptTemplateServiceClient.saveVersion(bookId, selectedKey, draft),
+    'Template saved as a new version'
+  );
+
+  const restoreVersion = (version) => applyChange(
+    () => promptTemplateServiceClient.restoreVersion(bookId, selectedKey, version),
+    `Version ${version} restored`
+  );
+
+  const resetTemplate = () => applyChange(
+    () => promptTemplateServiceClient.resetTemplate(bookId, selectedKey),
+    'Template reset to the default'
+  );
+
+  return (
+    <AnimatePresence>
+      {isVisible && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl max-w-5xl w-full max-h-[85vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiFileText} className="h-6 w-6 text-primary-600" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Prompt Templates</h2>
+                  <p className="text-sm text-gray-600">
+                    Changes apply to content generated from now on
+                  </p>
+                </div>
+              </div>
+              <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700">
+                <SafeIcon icon={FiX} className="h-5 w-5" />
+              </button>
+            </div>
+
+            {loading && templates.length === 0 ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              </div>
+            ) : (
+              <div className="flex flex-1 min-h-0">
+                {/* Template list */}
+                <div className="w-56 border-r border-gray-200 overflow-y-auto p-3 space-y-1">
+                  {templates.map((template) => (
+                    <button
+                      key={template.key}
+                      onClick={() => selectTemplate(template)}
+                      className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                        template.key === selectedKey ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <p className="font-medium">{template.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {template.source === 'book' ? `Custom • v${template.version}` : 'Default'}
+                      </p>
+                    </button>
+                  ))}
+                </div>
+
+                {/* Editor */}
+                {selected && (
+                  <div className="flex-1 flex flex-col min-w-0 overflow-y-auto p-4 space-y-3">
+                    <p className="text-sm text-gray-600">{selected.description}</p>
+
+                    <div className="flex flex-wrap gap-1">
+                      {selected.variables.map((variable) => (
+                        <button
+                          key={variable.name}
+                          onClick={() => insertVariable(variable.name)}
+                          title={variable.description}
+                          className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs font-mono hover:bg-primary-50 hover:text-primary-700"
+                        >
+                          {`{{${variable.name}}}`}
+                        </button>
+                      ))}
+                    </div>
+
+                    <textarea
+                      ref={textareaRef}
+                      value={draft}
+                      onChange={(e) => setDraft(e.target.value)}
+                      rows={14}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={resetTemplate}
+                        disabled={saving || selected.source === 'default'}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm disabled:opacity-50"
+                      >
+                        <SafeIcon icon={FiRotateCcw} className="h-4 w-4 mr-1" />
+                        Reset to Default
+                      </button>
+                      <button
+                        onClick={saveVersion}
+                        disabled={saving || !draft.trim() || draft === selected.body}
+                        className="inline-flex items-center px-3 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50"
+                      >
+                        <SafeIcon icon={FiSave} className="h-4 w-4 mr-1" />
+                        Save Version
+                      </button>
+                    </div>
+
+                    {/* Version history */}
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-900 mb-2">History</h3>
+                      {historyLoading && history.length === 0 ? (
+                        <div className="flex justify-center py-2">
+                          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+                        </div>
+                      ) : history.length === 0 ? (
+                        <p className="text-xs text-gray-500">This book uses the default template.</p>
+                      ) : (
+                        <div className="space-y-1">
+                          {history.map((entry, index) => (
+                            <div key={entry.id} className="flex items-center justify-between px-3 py-2 border border-gray-200 rounded-lg">
+                              <div className="flex items-center text-sm text-gray-700 min-w-0">
+                                <SafeIcon icon={FiClock} className="h-4 w-4 text-gray-400 mr-2 flex-shrink-0" />
+                                <span className="font-medium mr-2">v{entry.version}</span>
+                                <span className="text-xs text-gray-500 truncate">
+                                  {entry.body ? (entry.body.length > 60 ? `${entry.body.slice(0, 60)}…` : entry.body) : 'Reset to default'}
+                                  {' • '}{formatDistanceToNow(new Date(entry.created_at), { addSuffix: true })}
+                                </span>
+                              </div>
+                              {index === 0 ? (
+                                <span className="text-xs text-green-600 flex-shrink-0">Current</span>
+                              ) : (
+                                <button
+                                  onClick={() => restoreVersion(entry.version)}
+                                  disabled={saving}
+                                  className="text-xs text-primary-600 hover:text-primary-700 flex-shrink-0 disabled:opacity-50"
+                                >
+                                  Restore
+                                </button>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default PromptTemplatePanel;
@@ -0,0 +1,102 @@
+import React, { useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { diffWords, htmlToPlainText } from '../lib/textDiff';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiEdit3, FiX, FiCheck, FiRefreshCw } = FiIcons;
+
+const PART_CLASSES = {
+  equal: 'text-gray-800',
+  removed: 'bg-red-100 text-red-700 line-through',
+  added: 'bg-green-100 text-green-800'
+};
+
+// A selection rewrite as a word diff against the selected text, to accept
+// into the editor or reject. `rewrite` is { label, selected, content,
+// loading, append }; appended text (Continue Writing) shows as all added.
+const RewriteDiffModal = ({ rewrite, onAccept, onReject, onRetry }) => {
+  const parts = useMemo(() => {
+    if (!rewrite?.content) return [];
+    const result = htmlToPlainText(rewrite.content);
+    return rewrite.append
+      ? [{ type: 'equal', text: rewrite.selected }, { type: 'added', text: `${rewrite.selected ? '\n' : ''}${result}` }]
+      : diffWords(rewrite.selected, result);
+  }, [rewrite?.content, rewrite?.selected, rewrite?.append]);
+
+  return (
+    <AnimatePresence>
+      {rewrite && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[85vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiEdit3} className="h-6 w-6 text-primary-600" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{rewrite.label}</h2>
+                  <p className="text-sm text-gray-600">Review the change before it goes into the topic</p>
+                </div>
+              </div>
+              <button onClick={onReject} className="p-2 text-gray-500 hover:text-gray-700">
+                <SafeIcon icon={FiX} className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-6">
+              {rewrite.loading ? (
+                <div className="flex flex-col items-center py-12 text-sm text-gray-600">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mb-3"></div>
+                  Rewriting...
+                </div>
+              ) : (
+                <p className="text-sm leading-relaxed whitespace-pre-wrap">
+                  {parts.map((part, index) => (
+                    <span key={index} className={PART_CLASSES[part.type]}>{part.text}</span>
+                  ))}
+                </p>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+              <button
+                onClick={onRetry}
+                disabled={rewrite.loading}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm disabled:opacity-50"
+              >
+                <SafeIcon icon={FiRefreshCw} className="h-4 w-4 mr-1" />
+                Try Again
+              </button>
+              <button
+                onClick={onReject}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+              >
+                Reject
+              </button>
+              <button
+                onClick={onAccept}
+                disabled={rewrite.loading || !rewrite.content}
+                className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <SafeIcon icon={FiCheck} className="h-4 w-4 mr-1" />
+                Accept
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RewriteDiffModal;
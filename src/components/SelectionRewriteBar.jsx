@@ -0,0 +1,55 @@
+import React from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiMaximize2, FiMinimize2, FiFeather, FiList, FiPlusCircle, FiArrowRight } = FiIcons;
+
+// The selection actions, in toolbar order. `needsSelection: false` means the
+// action also works from the cursor.
+export const REWRITE_ACTIONS = [
+  { key: 'expand', label: 'Expand', icon: FiMaximize2 },
+  { key: 'condense', label: 'Condense', icon: FiMinimize2 },
+  { key: 'simplify', label: 'Simplify', icon: FiFeather },
+  { key: 'list', label: 'Make List', icon: FiList },
+  { key: 'example', label: 'Add Example', icon: FiPlusCircle },
+  { key: 'continue', label: 'Continue Writing', icon: FiArrowRight, needsSelection: false }
+];
+
+const TONES = ['Formal', 'Conversational', 'Friendly', 'Authoritative', 'Encouraging', 'Neutral'];
+
+export const actionLabel = (action, tone) => (
+  action === 'tone' ? `Change Tone: ${tone}` : REWRITE_ACTIONS.find(entry => entry.key === action)?.label
+);
+
+// AI actions on the text selected in the editor
+const SelectionRewriteBar = ({ hasSelection, disabled, onAction }) => (
+  <div className="flex flex-wrap items-center gap-1 px-3 py-2 border-b border-gray-200 bg-gray-50 rounded-t-lg">
+    <span className="text-xs text-gray-500 mr-1">
+      {hasSelection ? 'Selection:' : 'Select text to rewrite it, or:'}
+    </span>
+    {REWRITE_ACTIONS.map(({ key, label, icon, needsSelection = true }) => (
+      <button
+        key={key}
+        onClick={() => onAction(key)}
+        disabled={disabled || (needsSelection && !hasSelection)}
+        className="inline-flex items-center px-2 py-1 text-xs text-gray-700 rounded-md hover:bg-white border border-transparent hover:border-gray-200 disabled:opacity-40"
+      >
+        <SafeIcon icon={icon} className="h-3 w-3 mr-1" />
+        {label}
+      </button>
+    ))}
+    <select
+      value=""
+      onChange={(e) => e.target.value && onAction('tone', e.target.value)}
+      disabled={disabled || !hasSelection}
+      className="text-xs text-gray-700 bg-transparent border border-gray-200 rounded-md px-2 py-1 disabled:opacity-40"
+    >
+      <option value="">Change Tone…</option>
+      {TONES.map(tone => (
+        <option key={tone} value={tone}>{tone}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default SelectionRewriteBar;
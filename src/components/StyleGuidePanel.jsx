@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { styleGuideServiceClient } from '../lib/styleGuideService';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+const { FiType, FiX, FiSave, FiPlus, FiTrash2 } = FiIcons;
+
+const EMPTY_GUIDE = { spelling: null, person: null, voice: null, terms: [], rules: [] };
+
+// Edits a book's style guide. It is added to every generation prompt, and
+// topics are checked against it in the editor.
+const StyleGuidePanel = ({ bookId, isVisible, onClose, onSaved }) => {
+  const [guide, setGuide] = useState(EMPTY_GUIDE);
+  const [rulesText, setRulesText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isVisible && bookId) {
+      loadGuide();
+    }
+  }, [isVisible, bookId]);
+
+  const loadGuide = async () => {
+    setLoading(true);
+    try {
+      const result = await styleGuideServiceClient.getStyleGuide(bookId);
+      setGuide({ ...EMPTY_GUIDE, ...result });
+      setRulesText((result.rules || []).join('\n'));
+    } catch (error) {
+      toast.error('Failed to load style guide');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateTerm = (index, field, value) => {
+    setGuide(current => ({
+      ...current,
+      terms: current.terms.map((term, i) => (i === index ? { ...term, [field]: value } : term))
+    }));
+  };
+
+  const addTerm = () => {
+    setGuide(current => ({ ...current, terms: [...current.terms, { avoid: '', use: '' }] }));
+  };
+
+  const removeTerm = (index) => {
+    setGuide(current => ({ ...current, terms: current.terms.filter((_, i) => i !== index) }));
+  };
+
+  const saveGuide = async () => {
+    setSaving(true);
+    try {
+      const saved = await styleGuideServiceClient.saveStyleGuide(bookId, {
+        ...guide,
+        terms: guide.terms.filter(term => term.avoid?.trim() || term.use?.trim()),
+        rules: rulesText.split('\n')
+      });
+
+      setGuide({ ...EMPTY_GUIDE, ...saved });
+      setRulesText(saved.rules.join('\n'));
+      onSaved?.(saved);
+      toast.success('Style guide saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save style guide');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+  const inputClass = 'flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <AnimatePresence>
+      {isVisible && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[85vh] flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <SafeIcon icon={FiType} className="h-6 w-6 text-primary-600" />
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Style Guide</h2>
+                  <p className="text-sm text-gray-600">
+                    Followed by every generation prompt and checked in the editor
+                  </p>
+                </div>
+              </div>
+              <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700">
+                <SafeIcon icon={FiX} className="h-5 w-5" />
+              </button>
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              </div>
+            ) : (
+              <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Spelling</label>
+                    <select
+                      value={guide.spelling || ''}
+                      onChange={(e) => setGuide({ ...guide, spelling: e.target.value || null })}
+                      className={selectClass}
+                    >
+                      <option value="">No preference</option>
+                      <option value="us">US (color, organize)</option>
+                      <option value="uk">British (colour, organise)</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Person</label>
+                    <select
+                      value={guide.person || ''}
+                      onChange={(e) => setGuide({ ...guide, person: e.target.value || null })}
+                      className={selectClass}
+                    >
+                      <option value="">No preference</option>
+                      <option value="first">First person (I, we)</option>
+                      <option value="second">Second person (you)</option>
+                      <option value="third">Third person</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Voice</label>
+                    <label className="flex items-center space-x-2 py-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={guide.voice === 'active'}
+                        onChange={(e) => setGuide({ ...guide, voice: e.target.checked ? 'active' : null })}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span>Prefer the active voice</span>
+                    </label>
+                  </div>
+                </div>
+
+                {/* Terminology */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-900">Terminology</h3>
+                      <p className="text-xs text-gray-500">Leave "Use instead" empty to ban a term outright</p>
+                    </div>
+                    <button
+                      onClick={addTerm}
+                      className="inline-flex items-center px-3 py-1 text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      <SafeIcon icon={FiPlus} className="h-4 w-4 mr-1" />
+                      Add Term
+                    </button>
+                  </div>
+
+                  {guide.terms.length === 0 ? (
+                    <p className="text-sm text-gray-500">No terms yet, e.g. avoid "log in", use "sign in".</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {guide.terms.map((term, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                          <input
+                            type="text"
+                            value={term.avoid || ''}
+                            onChange={(e) => updateTerm(index, 'avoid', e.target.value)}
+                            placeholder="Avoid"
+                            className={inputClass}
+                          />
+                          <input
+                            type="text"
+                            value={term.use || ''}
+                            onChange={(e) => updateTerm(index, 'use', e.target.value)}
+                            placeholder="Use instead"
+                            className={inputClass}
+                          />
+                          <button
+                            onClick={() => removeTerm(index)}
+                            className="p-2 text-gray-400 hover:text-red-600"
+                          >
+                            <SafeIcon icon={FiTrash2} className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {/* Formatting rules */}
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900">Formatting Rules</h3>
+                  <p className="text-xs text-gray-500 mb-2">
+                    One per line. They are given to the model but not checked in the editor.
+                  </p>
+                  <textarea
+                    value={rulesText}
+                    onChange={(e) => setRulesText(e.target.value)}
+                    rows={5}
+                    placeholder={'Use sentence case for headings\nEnd every topic with a short summary'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+              >
+                Close
+              </button>
+              <button
+                onClick={saveGuide}
+                disabled={saving || loading}
+                className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <SafeIcon icon={FiSave} className="h-4 w-4 mr-1" />
+                Save Style Guide
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default StyleGuidePanel;
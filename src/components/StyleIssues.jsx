@@ -0,0 +1,75 @@
+import React from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiAlertTriangle, FiCheckCircle, FiRefreshCw, FiX } = FiIcons;
+
+const RULE_LABELS = {
+  term: 'Terminology',
+  spelling: 'Spelling',
+  person: 'Person',
+  voice: 'Voice'
+};
+
+// Style guide violations in the topic being edited, with a one-click fix
+// where the guide names a replacement
+const StyleIssues = ({ issues, checking, onFix, onRecheck, onClose }) => (
+  <div className="bg-white border-b border-gray-200 px-6 py-3 max-h-56 overflow-y-auto">
+    <div className="flex items-center justify-between mb-2">
+      <div className="flex items-center text-sm font-medium text-gray-900">
+        {issues.length === 0 ? (
+          <>
+            <SafeIcon icon={FiCheckCircle} className="h-4 w-4 text-green-600 mr-2" />
+            Follows the style guide
+          </>
+        ) : (
+          <>
+            <SafeIcon icon={FiAlertTriangle} className="h-4 w-4 text-yellow-600 mr-2" />
+            {issues.length} style {issues.length === 1 ? 'issue' : 'issues'}
+          </>
+        )}
+      </div>
+      <div className="flex items-center space-x-1">
+        <button
+          onClick={onRecheck}
+          disabled={checking}
+          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          title="Check again"
+        >
+          <SafeIcon icon={FiRefreshCw} className={`h-4 w-4 ${checking ? 'animate-spin' : ''}`} />
+        </button>
+        <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700">
+          <SafeIcon icon={FiX} className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+
+    <div className="space-y-1">
+      {issues.map((issue) => (
+        <div
+          key={`${issue.rule}:${issue.message}:${issue.match}`}
+          className="flex items-start justify-between px-3 py-2 bg-yellow-50 border border-yellow-100 rounded-lg"
+        >
+          <div className="min-w-0">
+            <p className="text-sm text-gray-900">
+              <span className="text-xs font-medium text-yellow-700 mr-2">{RULE_LABELS[issue.rule]}</span>
+              {issue.message}: <span className="font-medium">&ldquo;{issue.match}&rdquo;</span>
+              {issue.count > 1 && <span className="text-xs text-gray-500"> ×{issue.count}</span>}
+            </p>
+            <p className="text-xs text-gray-500 truncate">{issue.excerpt}</p>
+          </div>
+          {issue.suggestion && (
+            <button
+              onClick={() => onFix(issue)}
+              className="ml-3 flex-shrink-0 text-xs text-primary-600 hover:text-primary-700"
+            >
+              Replace with &ldquo;{issue.suggestion}&rdquo;
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default StyleIssues;
@@ -17,7 +17,7 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (requireAdmin && user.user_metadata?.role !== 'admin') {
+  if (requireAdmin && user.app_metadata?.role !== 'admin') {
     return <Navigate to="/dashboard" replace />;
   }
 
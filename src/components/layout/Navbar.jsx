@@ -18,7 +18,7 @@ const Navbar = () => {
     navigate('/');
   };
 
-  const isAdmin = user?.user_metadata?.role === 'admin';
+  const isAdmin = user?.app_metadata?.role === 'admin';
 
   const navItems = [
     { path: '/dashboard', label: 'Dashboard', icon: FiBook },
@@ -0,0 +1,93 @@
+import { apiFetch } from './apiClient';
+
+const query = (params) => new URLSearchParams(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+).toString();
+
+// Client for the admin-only endpoints. The server checks the caller's role;
+// hiding the admin panel in the UI is only a convenience.
+class AdminServiceClient {
+  async request(url, options = {}) {
+    const response = await apiFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    return result;
+  }
+
+  async getStats() {
+    try {
+      const result = await this.request('/api/admin/stats');
+      return result.stats;
+    } catch (error) {
+      console.error('Error getting admin stats:', error);
+      throw error;
+    }
+  }
+
+  // { users, total, page, perPage }
+  async listUsers({ search, page, perPage } = {}) {
+    try {
+      return await this.request(`/api/admin/users?${query({ search, page, perPage })}`);
+    } catch (error) {
+      console.error('Error listing users:', error);
+      throw error;
+    }
+  }
+
+  async setSuspended(userId, suspended) {
+    try {
+      const result = await this.request(`/api/admin/users/${userId}/${suspended ? 'suspend' : 'unsuspend'}`, { method: 'POST' });
+      return result.user;
+    } catch (error) {
+      console.error('Error updating user suspension:', error);
+      throw error;
+    }
+  }
+
+  async resetQuota(userId) {
+    try {
+      return await this.request(`/api/admin/users/${userId}/reset-quota`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error resetting quota:', error);
+      throw error;
+    }
+  }
+
+  // { books, total, page, perPage }
+  async listBooks({ search, page, perPage } = {}) {
+    try {
+      return await this.request(`/api/admin/books?${query({ search, page, perPage })}`);
+    } catch (error) {
+      console.error('Error listing books:', error);
+      throw error;
+    }
+  }
+
+  // { book, jobs, usage, totals }
+  async getBookHistory(bookId) {
+    try {
+      return await this.request(`/api/admin/books/${bookId}/history`);
+    } catch (error) {
+      console.error('Error getting book history:', error);
+      throw error;
+    }
+  }
+
+  async getSystem() {
+    try {
+      const result = await this.request('/api/admin/system');
+      return result.system;
+    } catch (error) {
+      console.error('Error getting system info:', error);
+      throw error;
+    }
+  }
+}
+
+export const adminServiceClient = new AdminServiceClient();
+export default adminServiceClient;
@@ -1,10 +1,30 @@
-import OpenAI from 'openai';
-import { dbHelpers } from './supabase';
 import toast from 'react-hot-toast';
+import { readEventStream } from './eventStream';
+import { ragServiceClient } from './ragService';
+import { apiFetch } from './apiClient';
+import { topicVariables } from './promptTemplateService';
+import { modelCatalogClient, findModel, estimateCost, estimateTokens } from './modelCatalog';
+
+// Where each multi-pass stage starts on the 0-100 progress scale; drafting
+// advances through the 40 points after it section by section
+const PIPELINE_PROGRESS = { outline: 20, draft: 30, critique: 72, revise: 80 };
+
+// A progress message for a pipeline `stage` event
+export const pipelineStageLabel = ({ stage, status, section }) => {
+  if (status === 'skipped') return 'Revision skipped: the critique found nothing to fix';
+  if (stage === 'outline') return 'Outlining the topic...';
+  if (stage === 'draft') {
+    return section
+      ? `Drafting section ${section.index + 1} of ${section.total}${section.heading ? `: ${section.heading}` : ''}`
+      : 'Drafting sections...';
+  }
+  if (stage === 'critique') return 'Critiquing the draft...';
+  return 'Revising the draft...';
+};
 
 class AIService {
   constructor() {
-    this.apiKeys = {};
+    this.connectedProviders = new Set(); // Providers the user has saved keys for; the keys stay on the server
     this.selectedProvider = null;
     this.selectedModel = null;
     this.ragAssistants = new Map(); // Store assistant IDs per book
@@ -12,11 +32,12 @@ class AIService {
     this.progressCallbacks = new Map(); // Store progress callbacks per operation
   }
 
-  setApiKey(provider, key) {
-    this.apiKeys[provider] = key;
-    if (provider === 'openai') {
-      this.openai = new OpenAI({ apiKey: key, dangerouslyAllowBrowser: true });
-    }
+  setConnectedProviders(providers) {
+    this.connectedProviders = new Set(providers);
+  }
+
+  hasKey(provider) {
+    return this.connectedProviders.has(provider);
   }
 
   setSelectedModel(provider, modelId) {
@@ -35,61 +56,88 @@ class AIService {
     }
   }
 
-  // Cost Estimation
-  async estimateGenerationCost(bookData, chapters) {
-    const totalWords = this.estimateWordCount(bookData, chapters);
-    const imagesPerChapter = 1; // Default 1 image per chapter
+  // Cost Estimation. `pendingOnly` counts just the topics that have no
+  // content yet, which is what a whole-book job will write.
+  async estimateGenerationCost(bookData, chapters, { imagesPerChapter = 1, pendingOnly = false } = {}) {
+    const totalWords = this.estimateWordCount(bookData, chapters, { pendingOnly });
     const totalImages = chapters.length * imagesPerChapter;
     
     return this.costEstimator.calculateCost({
       provider: this.selectedProvider,
       model: this.selectedModel,
-      textTokens: Math.ceil(totalWords * 1.3), // Approximate tokens
+      words: totalWords,
       images: totalImages,
       ragEnabled: this.isRAGEnabled(bookData.id)
     });
   }
 
-  estimateWordCount(bookData, chapters) {
+  // Sum of the topics' target lengths, or a page-count estimate before the
+  // book has an outline
+  estimateWordCount(bookData, chapters, { pendingOnly = false } = {}) {
+    const topics = chapters.flatMap(chapter => chapter.topics || []);
+    if (topics.length > 0) {
+      return topics
+        .filter(topic => !pendingOnly || !topic.content || topic.content.trim().length < 100)
+        .reduce((sum, topic) => sum + (topic.estimated_words || 800), 0);
+    }
+
     const baseWordsPerPage = 250;
     const estimatedPages = parseInt(bookData.estimated_pages) || 200;
     return estimatedPages * baseWordsPerPage;
   }
 
-  // RAG Setup with OpenAI Assistants
-  async initializeRAGForBook(bookId, bookData) {
-    if (!this.openai || this.selectedProvider !== 'openai') {
-      throw new Error('RAG requires OpenAI API');
+  // Outline for a book from its selected model: { chapters: [{ title,
+  // description, topics: [{ title, objectives, estimated_words }] }],
+  // template, attempts, repaired }. The server validates the outline and
+  // sizes the topics to the book's estimated pages. Without `sourceContent`
+  // the book's saved source content is used.
+  async generateTableOfContents(bookId, sourceContent) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/generate-toc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sourceContent })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result;
+    } catch (error) {
+      console.error('Error generating table of contents:', error);
+      throw error;
     }
+  }
 
+  // Has the server take continuity notes on a written topic, so the topics
+  // generated after it build on it. Resolves to the topic's notes.
+  async rememberTopic(bookId, topicId) {
     try {
-      // Create OpenAI Assistant for this book
-      const assistant = await this.openai.beta.assistants.create({
-        name: `BookAI Assistant - ${bookData.title}`,
-        instructions: `You are an expert book writing assistant specializing in "${bookData.title}". 
-        Use the uploaded research materials to generate comprehensive, well-structured content that aligns with the book's learning objectives: ${bookData.learning_objectives}
-        
-        Target Audience: ${bookData.target_audience}
-        Writing Style: ${bookData.writing_style}
-        Tone: ${bookData.tone}
-        
-        Always structure content with proper headers (H1, H2, H3) and include relevant examples from the research materials.`,
-        model: this.selectedModel || 'gpt-4-turbo-preview',
-        tools: [
-          { type: 'retrieval' },
-          { type: 'code_interpreter' }
-        ]
+      const response = await apiFetch(`/api/books/${bookId}/topics/${topicId}/memory`, {
+        method: 'POST'
       });
 
-      this.ragAssistants.set(bookId, assistant.id);
-      
-      // Store assistant ID in database
-      await dbHelpers.updateBook(bookId, {
-        openai_assistant_id: assistant.id,
-        rag_enabled: true
-      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
 
-      return assistant.id;
+      return result.memory;
+    } catch (error) {
+      console.error('Error updating book memory:', error);
+      throw error;
+    }
+  }
+
+  // RAG Setup with OpenAI Assistants. The server creates the assistant and
+  // records it on the book row, which is the single source of truth.
+  async initializeRAGForBook(bookId, bookData) {
+    if (!this.hasKey('openai') || this.selectedProvider !== 'openai') {
+      throw new Error('RAG requires OpenAI API');
+    }
+
+    try {
+      const { assistantId } = await ragServiceClient.initializeBookRAG(bookId, bookData);
+      this.ragAssistants.set(bookId, assistantId);
+      return assistantId;
     } catch (error) {
       console.error('Failed to initialize RAG:', error);
       throw error;
@@ -97,7 +145,9 @@ class AIService {
   }
 
   // Process and upload source files to RAG
-  async processSourceFiles(files, urls, bookId) {
+  // Pass options.crawl ({ maxDepth, maxPages }) to crawl each URL's site
+  // instead of reading the single page
+  async processSourceFiles(files, urls, bookId, options = {}) {
     const operationId = `process-sources-${bookId}`;
     this.updateProgress(operationId, 0, 'Starting source file processing...');
 
@@ -105,25 +155,26 @@ class AIService {
     const totalItems = files.length + urls.length;
     let processed = 0;
 
-    // Process PDFs
+    // Process documents (PDF, DOCX, EPUB, Markdown, text, HTML)
     for (const file of files) {
       try {
         this.updateProgress(operationId, (processed / totalItems) * 50, `Processing ${file.name}...`);
         
         const formData = new FormData();
-        formData.append('pdf', file);
+        formData.append('file', file);
         
-        const response = await fetch('/api/parse-pdf', {
+        const response = await apiFetch('/api/parse-document', {
           method: 'POST',
           body: formData
         });
         
         const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
         processedContent += `\n\n=== ${file.name} ===\n${result.text}`;
         
         // Upload to OpenAI if RAG is enabled
         if (this.ragAssistants.has(bookId)) {
-          await this.uploadToRAG(bookId, file, result.text);
+          await this.uploadToRAG(bookId, file);
         }
         
         processed++;
@@ -137,13 +188,14 @@ class AIService {
       try {
         this.updateProgress(operationId, ((processed / totalItems) * 50) + 25, `Processing ${url}...`);
         
-        const response = await fetch('/api/parse-url', {
+        const response = await apiFetch('/api/parse-url', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ url })
+          body: JSON.stringify({ url, crawl: options.crawl || null })
         });
         
         const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
         processedContent += `\n\n=== ${result.title || url} ===\n${result.content}`;
         
         processed++;
@@ -156,28 +208,25 @@ class AIService {
     return processedContent;
   }
 
-  async uploadToRAG(bookId, file, content) {
-    const assistantId = this.ragAssistants.get(bookId);
-    if (!assistantId || !this.openai) return;
+  // Uploads go through the server so the file is recorded against the book
+  async uploadToRAG(bookId, file) {
+    if (!this.ragAssistants.has(bookId)) return;
 
     try {
-      // Create a file for the assistant
-      const uploadedFile = await this.openai.files.create({
-        file: new Blob([content], { type: 'text/plain' }),
-        purpose: 'assistants'
-      });
-
-      // Attach file to assistant
-      await this.openai.beta.assistants.files.create(assistantId, {
-        file_id: uploadedFile.id
-      });
+      await ragServiceClient.uploadSourceForRAG(bookId, file);
     } catch (error) {
       console.error('Failed to upload to RAG:', error);
     }
   }
 
   // Enhanced content generation with progress tracking
-  async generateTopicContent(bookId, chapterId, topicId, topicData, bookContext) {
+  // Pass options.onToken to stream the content as it is generated; it is called
+  // with each text delta and the content accumulated so far. options.signal
+  // aborts the generation. Resolves to { content, template, pipeline }, where
+  // template is the prompt template version that wrote it (null for demo
+  // content) and pipeline the artifacts of a multi-pass run. Books set up for
+  // multi-pass generation report each stage to options.onStage.
+  async generateTopicContent(bookId, chapterId, topicId, topicData, bookContext, options = {}) {
     const operationId = `generate-topic-${topicId}`;
     this.updateProgress(operationId, 0, 'Initializing content generation...');
 
@@ -186,13 +235,11 @@ class AIService {
       const costEstimate = await this.estimateTopicCost(topicData);
       this.updateProgress(operationId, 10, `Estimated cost: $${costEstimate.toFixed(4)}`);
 
-      let content = '';
-      
-      if (this.selectedProvider === 'openai' && this.ragAssistants.has(bookId)) {
-        content = await this.generateWithRAG(bookId, topicData, bookContext, operationId);
-      } else {
-        content = await this.generateWithStandardAPI(topicData, bookContext, operationId);
-      }
+      const { content, template, pipeline = null } = bookContext?.generation_pipeline === 'multi-pass' && this.hasKey(this.selectedProvider)
+        ? await this.generateWithPipeline(bookId, topicData, operationId, options)
+        : this.selectedProvider === 'openai' && this.ragAssistants.has(bookId) && !options.onToken
+          ? await this.generateWithRAG(bookId, topicData, operationId)
+          : await this.generateWithStandardAPI(topicData, operationId, { ...options, bookId });
 
       // Generate image for the topic
       this.updateProgress(operationId, 90, 'Generating topic image...');
@@ -202,7 +249,7 @@ class AIService {
       const formattedContent = this.formatContentWithImage(content, imageUrl, topicData.title);
       
       this.updateProgress(operationId, 100, 'Content generation completed!');
-      return formattedContent;
+      return { content: formattedContent, template, pipeline };
       
     } catch (error) {
       this.updateProgress(operationId, -1, `Error: ${error.message}`);
@@ -210,138 +257,234 @@ class AIService {
     }
   }
 
-  async generateWithRAG(bookId, topicData, bookContext, operationId) {
-    const assistantId = this.ragAssistants.get(bookId);
-    
-    this.updateProgress(operationId, 30, 'Creating conversation thread...');
-    
-    // Create a thread
-    const thread = await this.openai.beta.threads.create();
-    
-    this.updateProgress(operationId, 40, 'Sending generation request...');
-    
-    // Add message to thread
-    await this.openai.beta.threads.messages.create(thread.id, {
-      role: 'user',
-      content: `Generate comprehensive content for the topic "${topicData.title}" with the following objectives: ${topicData.objectives}
-
-      Please structure the content with:
-      - Proper heading hierarchy (H2, H3, H4)
-      - Clear introduction and conclusion
-      - Practical examples from the research materials
-      - Code snippets if relevant
-      - Bullet points and numbered lists where appropriate
-      
-      Target word count: ${topicData.estimated_words || 800} words
-      
-      Book context: ${JSON.stringify(bookContext)}`
+  // Writes the topic on the server with the book's multi-pass pipeline
+  // (outline, draft, critique, revise). The drafted sections are passed to
+  // options.onToken as they are written; the revision replaces them.
+  async generateWithPipeline(bookId, topicData, operationId, options = {}) {
+    const response = await apiFetch(`/api/books/${bookId}/topics/${topicData.id}/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        provider: this.selectedProvider,
+        model: this.selectedModel
+      }),
+      signal: options.signal
     });
 
-    this.updateProgress(operationId, 50, 'Processing with RAG knowledge base...');
-    
-    // Run the assistant
-    const run = await this.openai.beta.threads.runs.create(thread.id, {
-      assistant_id: assistantId
+    if (!response.ok) {
+      const result = await response.json();
+      throw new Error(result.error);
+    }
+
+    let draft = '';
+    let result = null;
+    let streamError = null;
+
+    await readEventStream(response, (event, data) => {
+      if (event === 'stage') {
+        const label = pipelineStageLabel(data);
+        if (data.status === 'running') {
+          this.updateProgress(operationId, PIPELINE_PROGRESS[data.stage] + (data.section ? (data.section.index / data.section.total) * 40 : 0), label);
+        }
+        options.onStage?.({ ...data, label });
+      } else if (event === 'section') {
+        draft += `${draft ? '\n\n' : ''}${data.content}`;
+        options.onToken?.(data.content, draft);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        streamError = new Error(data.error);
+      }
     });
 
-    // Poll for completion
-    let runStatus = await this.openai.beta.threads.runs.retrieve(thread.id, run.id);
-    let progress = 60;
-    
-    while (runStatus.status === 'in_progress' || runStatus.status === 'queued') {
-      this.updateProgress(operationId, Math.min(progress, 85), 'AI generating content...');
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      runStatus = await this.openai.beta.threads.runs.retrieve(thread.id, run.id);
-      progress += 2;
+    if (streamError) throw streamError;
+    if (!result) throw new Error('Generation ended unexpectedly');
+
+    this.updateProgress(operationId, 85, 'AI generated content');
+    return { content: result.content, template: result.template, pipeline: result.pipeline };
+  }
+
+  // Rewrites text selected in the editor. `action` is one of expand,
+  // condense, simplify, tone (with `tone`), list, example or continue;
+  // `before` and `after` are the text around the selection. Resolves to
+  // { content, template }: HTML to replace the selection with, or to add
+  // after it for `continue`.
+  async rewriteSelection(bookId, { action, text, before, after, tone, topicTitle, signal }) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/rewrite`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider: this.selectedProvider,
+          model: this.selectedModel,
+          action,
+          text,
+          before,
+          after,
+          tone,
+          topicTitle
+        }),
+        signal
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return { content: result.content, template: result.template };
+    } catch (error) {
+      console.error('Error rewriting selection:', error);
+      throw error;
     }
+  }
 
-    if (runStatus.status === 'completed') {
-      // Get the messages
-      const messages = await this.openai.beta.threads.messages.list(thread.id);
-      const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
-      return assistantMessage.content[0].text.value;
-    } else {
-      throw new Error(`Assistant run failed: ${runStatus.status}`);
+  // Choose 'single' or 'multi-pass' generation for a book
+  async setGenerationPipeline(bookId, pipeline) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/generation-pipeline`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pipeline })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.pipeline;
+    } catch (error) {
+      console.error('Error setting generation pipeline:', error);
+      throw error;
     }
   }
 
-  async generateWithStandardAPI(topicData, bookContext, operationId) {
+  // Runs on the book's OpenAI assistant through the server
+  async generateWithRAG(bookId, topicData, operationId) {
+    this.updateProgress(operationId, 40, 'Processing with RAG knowledge base...');
+
+    const result = await ragServiceClient.generateWithRAG(bookId, {
+      template: { key: 'topic-content-rag', variables: topicVariables(topicData), topicId: topicData.id },
+      type: 'content-generation'
+    });
+    this.updateProgress(operationId, 85, 'AI generated content');
+    return result;
+  }
+
+  // The prompt is built on the server from the book's 'topic-content' template
+  async generateWithStandardAPI(topicData, operationId, options = {}) {
     this.updateProgress(operationId, 40, 'Generating with standard API...');
     
-    const prompt = `Generate comprehensive content for the topic "${topicData.title}".
+    const template = { key: 'topic-content', variables: topicVariables(topicData), topicId: topicData.id };
+
+    if (this.selectedProvider && this.hasKey(this.selectedProvider)) {
+      if (options.onToken) {
+        return this.streamContent({
+          template,
+          type: 'content-generation',
+          bookId: options.bookId,
+          onToken: options.onToken,
+          signal: options.signal
+        });
+      }
 
-    Objectives: ${topicData.objectives}
-    Target audience: ${bookContext.target_audience}
-    Writing style: ${bookContext.writing_style}
-    Tone: ${bookContext.tone}
-    
-    Structure the content with proper HTML headers:
-    - Use <h2> for main sections
-    - Use <h3> for subsections  
-    - Use <h4> for sub-subsections
-    - Include practical examples and code snippets where relevant
-    - Use <ul>, <ol> for lists
-    - Use <p> for paragraphs
-    - Include <blockquote> for important notes
-    
-    Target length: ${topicData.estimated_words || 800} words
-    
-    Return only the HTML content without explanations.`;
-
-    if (this.selectedProvider === 'openai' && this.openai) {
-      const response = await this.openai.chat.completions.create({
-        model: this.selectedModel || 'gpt-4-turbo-preview',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 2000,
-        temperature: 0.7
+      const response = await apiFetch('/api/generate-content', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider: this.selectedProvider,
+          model: this.selectedModel,
+          template,
+          type: 'content-generation',
+          bookId: options.bookId
+        })
       });
-      
-      return response.choices[0].message.content;
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return { content: result.content, template: result.template };
     } else {
       // Fallback demo content with proper formatting
-      return this.generateDemoContent(topicData.title);
+      const content = this.generateDemoContent(topicData.title);
+      options.onToken?.(content, content);
+      return { content, template: null };
+    }
+  }
+
+  // Streams from /api/generate-content/stream. Send a `prompt`, or a
+  // `template` to have the server build it. Resolves to { content, template }.
+  async streamContent({ prompt, template, type, bookId, onToken, signal }) {
+    const response = await apiFetch('/api/generate-content/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        provider: this.selectedProvider,
+        model: this.selectedModel,
+        prompt,
+        template,
+        type,
+        bookId
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const result = await response.json();
+      throw new Error(result.error);
     }
+
+    let content = '';
+    let usedTemplate = null;
+    let streamError = null;
+
+    await readEventStream(response, (event, data) => {
+      if (event === 'token') {
+        content += data.text;
+        onToken?.(data.text, content);
+      } else if (event === 'done') {
+        content = data.content;
+        usedTemplate = data.template;
+      } else if (event === 'error') {
+        streamError = new Error(data.error);
+      }
+    });
+
+    if (streamError) throw streamError;
+    return { content, template: usedTemplate };
   }
 
-  // Image generation
+  // Image generation runs on the server with the user's OpenAI (DALL-E 3)
+  // or Stability AI key, prompted by the book's 'topic-image' template
   async generateTopicImage(topicTitle, bookContext) {
+    const provider = this.selectedProvider === 'openai' && this.hasKey('openai')
+      ? 'openai'
+      : this.hasKey('stabilityai') ? 'stabilityai' : null;
+
+    if (!provider) {
+      // Return placeholder image
+      return `https://picsum.photos/800/600?random=${Date.now()}&text=${encodeURIComponent(topicTitle)}`;
+    }
+
     try {
-      if (this.selectedProvider === 'openai' && this.openai) {
-        const response = await this.openai.images.generate({
-          model: 'dall-e-3',
-          prompt: `Create a professional, educational illustration for the topic "${topicTitle}" in the context of "${bookContext.title}". Style: clean, modern, suitable for a ${bookContext.target_audience} audience. No text in image.`,
-          n: 1,
-          size: '1024x1024',
-          quality: 'standard'
-        });
-        
-        return response.data[0].url;
-      } else if (this.apiKeys.stabilityai) {
-        return await this.generateWithStabilityAI(topicTitle, bookContext);
-      } else {
-        // Return placeholder image
-        return `https://picsum.photos/800/600?random=${Date.now()}&text=${encodeURIComponent(topicTitle)}`;
-      }
+      const response = await apiFetch('/api/generate-image', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider,
+          bookId: bookContext.id,
+          template: { key: 'topic-image', variables: { title: topicTitle } },
+          style: 'digital-art'
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.imageUrl;
     } catch (error) {
       console.error('Image generation failed:', error);
       return `https://picsum.photos/800/600?random=${Date.now()}`;
     }
   }
 
-  async generateWithStabilityAI(topicTitle, bookContext) {
-    const response = await fetch('/api/generate-image', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        prompt: `Professional educational illustration for "${topicTitle}" in "${bookContext.title}" context`,
-        style: 'digital-art'
-      })
-    });
-    
-    const result = await response.json();
-    return result.imageUrl;
-  }
-
   formatContentWithImage(content, imageUrl, topicTitle) {
     const imageHtml = `<div class="topic-image" style="text-align: center; margin: 20px 0;">
       <img src="${imageUrl}" alt="${topicTitle}" style="max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);" />
@@ -413,79 +556,92 @@ class AIService {
   }
 
   async estimateTopicCost(topicData) {
-    const estimatedTokens = (topicData.estimated_words || 800) * 1.3;
-    return this.costEstimator.calculateContentCost(this.selectedProvider, this.selectedModel, estimatedTokens);
+    return this.costEstimator.calculateContentCost(this.selectedProvider, this.selectedModel, topicData.estimated_words || 800);
   }
 
-  // A/B Testing functionality
-  async generateContentVariations(topicData, bookContext, variationCount = 2) {
-    const variations = [];
-    const basePrompt = this.buildContentPrompt(topicData, bookContext);
-    
-    for (let i = 0; i < variationCount; i++) {
-      const variation = {
-        id: `variation-${i + 1}`,
-        style: i === 0 ? 'detailed' : 'concise',
-        temperature: i === 0 ? 0.7 : 0.9
-      };
-      
-      try {
-        const content = await this.generateWithVariation(basePrompt, variation);
-        variations.push({
-          ...variation,
-          content,
-          metrics: await this.analyzeContent(content)
-        });
-      } catch (error) {
-        console.error(`Failed to generate variation ${i + 1}:`, error);
+  // A/B testing. Writes the topic once per variant ({ provider, model,
+  // temperature, templateVersion }) on the server, passing each variation to
+  // onVariation as it finishes. Resolves to the saved test: { id, variations:
+  // [{ id, provider, model, temperature, template, content, metrics, error }],
+  // winner_id }.
+  async generateContentVariations(bookId, topicId, variants, { signal, onVariation } = {}) {
+    const response = await apiFetch(`/api/books/${bookId}/topics/${topicId}/variations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variants }),
+      signal
+    });
+
+    if (!response.ok) {
+      const result = await response.json();
+      throw new Error(result.error);
+    }
+
+    let test = null;
+    let streamError = null;
+
+    await readEventStream(response, (event, data) => {
+      if (event === 'variation') {
+        onVariation?.(data);
+      } else if (event === 'done') {
+        test = data.test;
+      } else if (event === 'error') {
+        streamError = new Error(data.error);
       }
+    });
+
+    if (streamError) throw streamError;
+    if (!test) throw new Error('Generation ended unexpectedly');
+    return test;
+  }
+
+  // A topic's earlier A/B tests, newest first
+  async getVariationTests(bookId, topicId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/topics/${topicId}/variations`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.tests;
+    } catch (error) {
+      console.error('Error listing A/B tests:', error);
+      throw error;
     }
-    
-    return variations;
   }
 
-  async analyzeContent(content) {
-    const wordCount = content.split(/\s+/).length;
-    const readabilityScore = this.calculateReadabilityScore(content);
-    const structureScore = this.analyzeStructure(content);
-    
-    return {
-      wordCount,
-      readabilityScore,
-      structureScore,
-      overallScore: (readabilityScore + structureScore) / 2
-    };
-  }
-
-  calculateReadabilityScore(content) {
-    // Simplified readability calculation
-    const sentences = content.split(/[.!?]+/).length;
-    const words = content.split(/\s+/).length;
-    const avgWordsPerSentence = words / sentences;
-    
-    // Score based on sentence length (ideal: 15-20 words)
-    if (avgWordsPerSentence >= 15 && avgWordsPerSentence <= 20) {
-      return 90;
-    } else if (avgWordsPerSentence >= 10 && avgWordsPerSentence <= 25) {
-      return 75;
-    } else {
-      return 60;
+  // Records the variation the user picked; resolves to the updated test
+  async chooseVariation(bookId, testId, variationId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/variations/${testId}/choose`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variationId })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.test;
+    } catch (error) {
+      console.error('Error recording A/B test pick:', error);
+      throw error;
     }
   }
 
-  analyzeStructure(content) {
-    const hasH2 = content.includes('<h2>');
-    const hasH3 = content.includes('<h3>');
-    const hasList = content.includes('<ul>') || content.includes('<ol>');
-    const hasBlockquote = content.includes('<blockquote>');
-    
-    let score = 50;
-    if (hasH2) score += 15;
-    if (hasH3) score += 15;
-    if (hasList) score += 10;
-    if (hasBlockquote) score += 10;
-    
-    return Math.min(score, 100);
+  // { tests, models: [{ provider, model, offered, wins, winRate }],
+  //   templates: [{ source, version, offered, wins, winRate }] } over the
+  // book's decided tests, or all of the user's without a book
+  async getVariationStats(bookId = null) {
+    try {
+      const response = await apiFetch(bookId ? `/api/books/${bookId}/variation-stats` : '/api/variation-stats');
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return { tests: result.tests, models: result.models, templates: result.templates };
+    } catch (error) {
+      console.error('Error getting A/B test stats:', error);
+      throw error;
+    }
   }
 
   // Content optimization suggestions
@@ -532,67 +688,46 @@ class AIService {
   }
 }
 
-// Cost estimation class
+// Cost estimation class. Prices and each model family's tokens per word come
+// from the server's model catalog, the same data the usage ledger charges by.
 class CostEstimator {
-  constructor() {
-    this.pricing = {
-      openai: {
-        'gpt-4-turbo-preview': { input: 0.01, output: 0.03 }, // per 1K tokens
-        'gpt-4': { input: 0.03, output: 0.06 },
-        'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
-        'dall-e-3': { image: 0.040 } // per image
-      },
-      anthropic: {
-        'claude-3-opus': { input: 0.015, output: 0.075 },
-        'claude-3-sonnet': { input: 0.003, output: 0.015 },
-        'claude-3-haiku': { input: 0.00025, output: 0.00125 }
-      },
-      stabilityai: {
-        'stable-diffusion': { image: 0.018 }
-      }
-    };
-  }
-
-  calculateCost({ provider, model, textTokens, images, ragEnabled }) {
+  async calculateCost({ provider, model, words, images, ragEnabled }) {
+    const catalog = await modelCatalogClient.getModels().catch(() => []); // No prices, no estimate
     let totalCost = 0;
-    
+
     // Text generation cost
-    if (this.pricing[provider] && this.pricing[provider][model]) {
-      const modelPricing = this.pricing[provider][model];
-      const inputTokens = textTokens * 0.3; // Approximate input tokens
-      const outputTokens = textTokens * 0.7; // Approximate output tokens
-      
-      totalCost += (inputTokens / 1000) * modelPricing.input;
-      totalCost += (outputTokens / 1000) * modelPricing.output;
+    const textModel = findModel(catalog, model, provider);
+    if (textModel) {
+      const textTokens = estimateTokens(textModel, words);
+      totalCost += estimateCost(textModel, {
+        inputTokens: textTokens * 0.3, // Approximate input tokens
+        outputTokens: textTokens * 0.7 // Approximate output tokens
+      });
     }
-    
+
     // Image generation cost
     if (images > 0) {
-      if (provider === 'openai') {
-        totalCost += images * this.pricing.openai['dall-e-3'].image;
-      } else if (provider === 'stabilityai') {
-        totalCost += images * this.pricing.stabilityai['stable-diffusion'].image;
-      }
+      const imageModel = catalog.find(entry => entry.kind === 'image' && entry.provider === provider);
+      totalCost += estimateCost(imageModel, { images });
     }
-    
+
     // RAG overhead (approximately 20% more tokens for context)
     if (ragEnabled) {
       totalCost *= 1.2;
     }
-    
+
     return totalCost;
   }
 
-  calculateContentCost(provider, model, tokens) {
-    if (this.pricing[provider] && this.pricing[provider][model]) {
-      const modelPricing = this.pricing[provider][model];
-      const inputTokens = tokens * 0.3;
-      const outputTokens = tokens * 0.7;
-      
-      return (inputTokens / 1000) * modelPricing.input + (outputTokens / 1000) * modelPricing.output;
-    }
-    
-    return 0;
+  async calculateContentCost(provider, model, words) {
+    const catalog = await modelCatalogClient.getModels().catch(() => []);
+    const textModel = findModel(catalog, model, provider);
+    const tokens = estimateTokens(textModel, words);
+
+    return estimateCost(textModel, {
+      inputTokens: tokens * 0.3,
+      outputTokens: tokens * 0.7
+    });
   }
 }
 
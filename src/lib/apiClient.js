@@ -0,0 +1,17 @@
+import { supabase } from './supabase';
+
+// The signed-in user's Supabase access token as a bearer header. Every app
+// server route except the health check requires it.
+export const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
+// fetch() for the app server: same arguments and response, with the bearer
+// token added
+export const apiFetch = async (url, options = {}) => fetch(url, {
+  ...options,
+  headers: { ...(await authHeaders()), ...options.headers }
+});
+
+export default apiFetch;
@@ -0,0 +1,80 @@
+import { apiFetch } from './apiClient';
+
+// Client for server-side whole-book generation jobs
+class JobServiceClient {
+  async request(url, options = {}) {
+    const response = await apiFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      // `code` tells limits apart, e.g. BUDGET_EXCEEDED or QUOTA_EXCEEDED
+      throw Object.assign(new Error(result.error), { code: result.code });
+    }
+
+    return result.job;
+  }
+
+  // The server runs the job with the user's saved key for `provider`
+  async startBookJob(bookId, { provider, model, regenerate = false }) {
+    try {
+      return await this.request(`/api/books/${bookId}/jobs`, {
+        method: 'POST',
+        body: JSON.stringify({ provider, model, regenerate })
+      });
+    } catch (error) {
+      console.error('Error starting generation job:', error);
+      throw error;
+    }
+  }
+
+  async getActiveJob(bookId) {
+    try {
+      return await this.request(`/api/books/${bookId}/jobs/active`);
+    } catch (error) {
+      console.error('Error getting active job:', error);
+      throw error;
+    }
+  }
+
+  async getJob(jobId) {
+    try {
+      return await this.request(`/api/jobs/${jobId}`);
+    } catch (error) {
+      console.error('Error getting job:', error);
+      throw error;
+    }
+  }
+
+  async pauseJob(jobId) {
+    try {
+      return await this.request(`/api/jobs/${jobId}/pause`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error pausing job:', error);
+      throw error;
+    }
+  }
+
+  async resumeJob(jobId) {
+    try {
+      return await this.request(`/api/jobs/${jobId}/resume`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error resuming job:', error);
+      throw error;
+    }
+  }
+
+  async cancelJob(jobId) {
+    try {
+      return await this.request(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      throw error;
+    }
+  }
+}
+
+export const jobServiceClient = new JobServiceClient();
+export default jobServiceClient;
@@ -0,0 +1,54 @@
+import { apiFetch } from './apiClient';
+
+// Client for the server-side API key vault. Keys are sent once, when saved,
+// and never come back to the browser; listings only include the last four
+// characters of each key.
+class KeyServiceClient {
+  async request(url, options = {}) {
+    const response = await apiFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error);
+
+    return result;
+  }
+
+  // [{ provider, hint, updatedAt }]
+  async listKeys() {
+    try {
+      const result = await this.request('/api/keys');
+      return result.keys;
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  // The server validates the key with the provider before storing it
+  async saveKey(provider, key) {
+    try {
+      return await this.request(`/api/keys/${provider}`, {
+        method: 'PUT',
+        body: JSON.stringify({ key })
+      });
+    } catch (error) {
+      console.error('Error saving API key:', error);
+      throw error;
+    }
+  }
+
+  async deleteKey(provider) {
+    try {
+      return await this.request(`/api/keys/${provider}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error deleting API key:', error);
+      throw error;
+    }
+  }
+}
+
+export const keyServiceClient = new KeyServiceClient();
+export default keyServiceClient;
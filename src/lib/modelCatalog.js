@@ -0,0 +1,78 @@
+import { apiFetch } from './apiClient';
+
+const DEFAULT_TOKENS_PER_WORD = 1.4;
+
+// Model ids in the catalog are families; providers may report dated
+// snapshots of them ("gpt-4o-2024-08-06")
+const matches = (entryId, modelId) => modelId === entryId || modelId.startsWith(`${entryId}-`);
+
+// The catalog entry for a model id, or null. Pass `provider` to prefer that
+// provider's entry when several share an id.
+export const findModel = (models, modelId, provider = null) => {
+  if (!modelId) return null;
+
+  const candidates = models
+    .filter(model => matches(model.id, modelId))
+    .sort((a, b) => (
+      Number(b.provider === provider) - Number(a.provider === provider) || b.id.length - a.id.length
+    ));
+  return candidates[0] || null;
+};
+
+// Tokens that `words` of English prose come to for the entry's model family
+export const estimateTokens = (entry, words) => Math.ceil(words * (entry?.tokenizer?.tokensPerWord || DEFAULT_TOKENS_PER_WORD));
+
+// Cost in USD from an entry's list prices: text per million tokens, images
+// per image. Same formula the server uses for the usage ledger.
+export const estimateCost = (entry, { inputTokens = 0, outputTokens = 0, images = 0 } = {}) => {
+  const pricing = entry?.pricing;
+  if (!pricing) return 0;
+
+  return (inputTokens * (pricing.input || 0) + outputTokens * (pricing.output || 0)) / 1000000 +
+    images * (pricing.image || 0);
+};
+
+// Client for the server's model catalog. The catalog only changes with a
+// deploy, so it is fetched once per page load.
+class ModelCatalogClient {
+  constructor() {
+    this.catalog = null;
+  }
+
+  // [{ id, provider, kind, name, description, contextWindow, maxOutputTokens,
+  //    pricing: { input, output, image }, supports: { streaming, rag, assistants },
+  //    tokenizer: { encoding, scale, tokensPerWord }, speed, costTier, bestFor,
+  //    recommended }]
+  async getModels() {
+    if (!this.catalog) {
+      this.catalog = (async () => {
+        const response = await apiFetch('/api/catalog');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        return result.models;
+      })();
+    }
+
+    try {
+      return await this.catalog;
+    } catch (error) {
+      console.error('Error loading model catalog:', error);
+      this.catalog = null;
+      throw error;
+    }
+  }
+
+  async getTextModels(provider) {
+    const models = await this.getModels();
+    return models.filter(model => model.kind === 'text' && model.provider === provider);
+  }
+
+  async getImageModel(provider) {
+    const models = await this.getModels();
+    return models.find(model => model.kind === 'image' && model.provider === provider) || null;
+  }
+}
+
+export const modelCatalogClient = new ModelCatalogClient();
+export default modelCatalogClient;
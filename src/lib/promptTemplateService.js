@@ -0,0 +1,73 @@
+import { apiFetch } from './apiClient';
+
+// The topic's template variables. The book's are filled in on the server.
+export const topicVariables = (topic) => ({
+  title: topic.title,
+  objectives: topic.objectives,
+  estimated_words: topic.estimated_words || 800
+});
+
+// Client for a book's prompt templates and their version history
+class PromptTemplateServiceClient {
+  // [{ key, name, description, variables: [{ name, description }],
+  //    defaultBody, body, version, source: 'default' | 'book' }]
+  async listTemplates(bookId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/prompt-templates`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.templates;
+    } catch (error) {
+      console.error('Error listing prompt templates:', error);
+      throw error;
+    }
+  }
+
+  // Newest first; a version with a null body is a reset to the default
+  async getHistory(bookId, templateKey) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/prompt-templates/${templateKey}/versions`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.versions;
+    } catch (error) {
+      console.error('Error getting prompt template history:', error);
+      throw error;
+    }
+  }
+
+  async saveVersion(bookId, templateKey, body) {
+    return this.change(`/api/books/${bookId}/prompt-templates/${templateKey}/versions`, { body }, 'saving prompt template');
+  }
+
+  async restoreVersion(bookId, templateKey, version) {
+    return this.change(`/api/books/${bookId}/prompt-templates/${templateKey}/versions/${version}/restore`, {}, 'restoring prompt template');
+  }
+
+  async resetTemplate(bookId, templateKey) {
+    return this.change(`/api/books/${bookId}/prompt-templates/${templateKey}/reset`, {}, 'resetting prompt template');
+  }
+
+  // Resolves to the template now in use
+  async change(path, body, description) {
+    try {
+      const response = await apiFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.template;
+    } catch (error) {
+      console.error(`Error ${description}:`, error);
+      throw error;
+    }
+  }
+}
+
+export const promptTemplateServiceClient = new PromptTemplateServiceClient();
+export default promptTemplateServiceClient;
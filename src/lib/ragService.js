@@ -1,15 +1,17 @@
+import { apiFetch } from './apiClient';
+
 // RAG Service for frontend
 class RAGServiceClient {
   constructor() {
     this.baseUrl = '';
   }
 
-  async initializeBookRAG(bookId, bookData, openaiApiKey) {
+  async initializeBookRAG(bookId, bookData) {
     try {
-      const response = await fetch(`/api/books/${bookId}/init-rag`, {
+      const response = await apiFetch(`/api/books/${bookId}/init-rag`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ bookData, openaiApiKey })
+        body: JSON.stringify({ bookData })
       });
 
       const result = await response.json();
@@ -22,13 +24,12 @@ class RAGServiceClient {
     }
   }
 
-  async uploadPDFForRAG(bookId, file, openaiApiKey) {
+  async uploadPDFForRAG(bookId, file) {
     try {
       const formData = new FormData();
       formData.append('pdf', file);
-      formData.append('openaiApiKey', openaiApiKey);
 
-      const response = await fetch(`/api/books/${bookId}/upload-pdf-rag`, {
+      const response = await apiFetch(`/api/books/${bookId}/upload-pdf-rag`, {
         method: 'POST',
         body: formData
       });
@@ -43,12 +44,34 @@ class RAGServiceClient {
     }
   }
 
-  async addURLToRAG(bookId, url, openaiApiKey) {
+  // Accepts any format the server has an extractor for
+  async uploadSourceForRAG(bookId, file) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await apiFetch(`/api/books/${bookId}/upload-source-rag`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result;
+    } catch (error) {
+      console.error('Error uploading source for RAG:', error);
+      throw error;
+    }
+  }
+
+  // crawl: { maxDepth, maxPages, useSitemap } ingests the whole site as one source
+  async addURLToRAG(bookId, url, crawl = null) {
     try {
-      const response = await fetch(`/api/books/${bookId}/add-url-rag`, {
+      const response = await apiFetch(`/api/books/${bookId}/add-url-rag`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, openaiApiKey })
+        body: JSON.stringify({ url, crawl })
       });
 
       const result = await response.json();
@@ -61,30 +84,32 @@ class RAGServiceClient {
     }
   }
 
-  async generateWithRAG(bookId, prompt, type, openaiApiKey) {
+  // Send either a `prompt` or a `template` ({ key, variables }) to use the
+  // book's version of a prompt template. Resolves to { content, template }.
+  async generateWithRAG(bookId, { prompt, template, type }) {
     try {
-      const response = await fetch(`/api/books/${bookId}/generate-rag`, {
+      const response = await apiFetch(`/api/books/${bookId}/generate-rag`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt, type, openaiApiKey })
+        body: JSON.stringify({ prompt, template, type })
       });
 
       const result = await response.json();
       if (!response.ok) throw new Error(result.error);
       
-      return result.content;
+      return { content: result.content, template: result.template };
     } catch (error) {
       console.error('Error generating with RAG:', error);
       throw error;
     }
   }
 
-  async searchKnowledge(bookId, query, openaiApiKey) {
+  async searchKnowledge(bookId, query) {
     try {
-      const response = await fetch(`/api/books/${bookId}/search-knowledge`, {
+      const response = await apiFetch(`/api/books/${bookId}/search-knowledge`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, openaiApiKey })
+        body: JSON.stringify({ query })
       });
 
       const result = await response.json();
@@ -99,7 +124,7 @@ class RAGServiceClient {
 
   async getRAGInfo(bookId) {
     try {
-      const response = await fetch(`/api/books/${bookId}/rag-info`, {
+      const response = await apiFetch(`/api/books/${bookId}/rag-info`, {
         method: 'GET'
       });
 
@@ -113,12 +138,60 @@ class RAGServiceClient {
     }
   }
 
-  async deleteRAG(bookId, openaiApiKey) {
+  async listSources(bookId) {
     try {
-      const response = await fetch(`/api/books/${bookId}/rag`, {
-        method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ openaiApiKey })
+      const response = await apiFetch(`/api/books/${bookId}/sources`, {
+        method: 'GET'
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.sources;
+    } catch (error) {
+      console.error('Error listing knowledge sources:', error);
+      throw error;
+    }
+  }
+
+  // Source metadata plus a page of its chunks
+  async getSource(bookId, sourceId, { offset = 0, limit = 20 } = {}) {
+    try {
+      const params = new URLSearchParams({ offset, limit });
+      const response = await apiFetch(`/api/books/${bookId}/sources/${sourceId}?${params}`, {
+        method: 'GET'
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result;
+    } catch (error) {
+      console.error('Error getting knowledge source:', error);
+      throw error;
+    }
+  }
+
+  async deleteSource(bookId, sourceId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/sources/${sourceId}`, {
+        method: 'DELETE'
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result;
+    } catch (error) {
+      console.error('Error deleting knowledge source:', error);
+      throw error;
+    }
+  }
+
+  async deleteRAG(bookId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/rag`, {
+        method: 'DELETE'
       });
 
       const result = await response.json();
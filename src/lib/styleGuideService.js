@@ -0,0 +1,86 @@
+import { apiFetch } from './apiClient';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const matchCase = (original, replacement) => {
+  if (original === original.toUpperCase() && original.length > 1) return replacement.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+};
+
+// `html` with every occurrence of a lint issue's match replaced by its
+// suggestion, in the text outside code blocks. Occurrences split across
+// formatting (e.g. "log <b>in</b>") are left alone.
+export const applySuggestion = (html, issue) => {
+  const pattern = new RegExp(
+    `(?<!\\w)${issue.match.trim().split(/\s+/).map(escapeRegExp).join('\\s+')}(?!\\w)`,
+    'gi'
+  );
+
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.parentElement?.closest('pre, code')) continue;
+    node.nodeValue = node.nodeValue.replace(pattern, (found) => matchCase(found, issue.suggestion));
+  }
+
+  return doc.body.innerHTML;
+};
+
+// Client for a book's style guide and its linter
+class StyleGuideServiceClient {
+  // { spelling, person, voice, terms: [{ avoid, use }], rules: [string] }
+  async getStyleGuide(bookId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/style-guide`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.styleGuide;
+    } catch (error) {
+      console.error('Error getting style guide:', error);
+      throw error;
+    }
+  }
+
+  // Resolves to the guide as stored, with blank entries dropped
+  async saveStyleGuide(bookId, styleGuide) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/style-guide`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ styleGuide })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.styleGuide;
+    } catch (error) {
+      console.error('Error saving style guide:', error);
+      throw error;
+    }
+  }
+
+  // [{ rule: 'term' | 'spelling' | 'person' | 'voice', message, match,
+  //    suggestion, count, excerpt }] for a topic's HTML
+  async lint(bookId, content) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/style-guide/lint`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.issues;
+    } catch (error) {
+      console.error('Error checking style:', error);
+      throw error;
+    }
+  }
+}
+
+export const styleGuideServiceClient = new StyleGuideServiceClient();
+export default styleGuideServiceClient;
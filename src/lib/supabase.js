@@ -68,6 +68,39 @@ export const dbHelpers = {
     return { data, error };
   },
   
+  // Creates an outline's chapters and topics in order and returns the
+  // chapters with their topics
+  async createOutline(bookId, chapters) {
+    const created = [];
+
+    for (const [chapterIndex, chapter] of chapters.entries()) {
+      const { data: newChapter, error } = await dbHelpers.createChapter({
+        book_id: bookId,
+        title: chapter.title,
+        description: chapter.description,
+        order_index: chapterIndex
+      });
+      if (error) return { data: created, error };
+
+      const { data: topics, error: topicsError } = await supabase
+        .from('chapter_topics')
+        .insert(chapter.topics.map((topic, topicIndex) => ({
+          chapter_id: newChapter.id,
+          title: topic.title,
+          objectives: topic.objectives,
+          estimated_words: topic.estimated_words,
+          order_index: topicIndex,
+          status: 'draft'
+        })))
+        .select();
+      if (topicsError) return { data: created, error: topicsError };
+
+      created.push({ ...newChapter, topics: topics.sort((a, b) => a.order_index - b.order_index) });
+    }
+
+    return { data: created, error: null };
+  },
+
   // Topics
   async createTopic(topicData) {
     const { data, error } = await supabase
@@ -79,36 +112,21 @@ export const dbHelpers = {
     return { data, error };
   },
   
-  async updateTopic(id, updates) {
+  async getTopic(id) {
     const { data, error } = await supabase
       .from('chapter_topics')
-      .update(updates)
+      .select('*')
       .eq('id', id)
-      .select()
       .single();
     
     return { data, error };
   },
   
-  // API Keys
-  async getApiKeys(userId) {
-    const { data, error } = await supabase
-      .from('api_keys')
-      .select('*')
-      .eq('user_id', userId);
-    
-    return { data, error };
-  },
-  
-  async saveApiKey(userId, provider, encryptedKey) {
+  async updateTopic(id, updates) {
     const { data, error } = await supabase
-      .from('api_keys')
-      .upsert([{
-        user_id: userId,
-        provider,
-        encrypted_key: encryptedKey,
-        has_key: true
-      }])
+      .from('chapter_topics')
+      .update(updates)
+      .eq('id', id)
       .select()
       .single();
     
@@ -0,0 +1,110 @@
+// Word-level diffs for showing a rewrite against the text it replaces
+
+// Above this many word pairs the changed middle is shown as one removal and
+// one addition instead of being diffed
+const MAX_DIFF_CELLS = 4000000;
+
+// Words, runs of whitespace and single punctuation marks
+const tokenize = (text) => text.match(/\s+|[\w'’-]+|[^\s\w]/g) || [];
+
+const BLOCK_TAGS = /^(P|DIV|LI|H[1-6]|BLOCKQUOTE|PRE|UL|OL)$/;
+
+// The text of an HTML fragment, with a line break after each block
+export const htmlToPlainText = (html) => {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const lines = [];
+  let line = '';
+
+  const walk = (node) => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        line += child.nodeValue;
+      } else if (child.nodeName === 'BR') {
+        lines.push(line);
+        line = '';
+      } else {
+        const block = BLOCK_TAGS.test(child.nodeName);
+        if (block && line) {
+          lines.push(line);
+          line = '';
+        }
+        if (child.nodeName === 'LI') line += '• ';
+        walk(child);
+        if (block && line) {
+          lines.push(line);
+          line = '';
+        }
+      }
+    });
+  };
+
+  walk(doc.body);
+  if (line) lines.push(line);
+  return lines.join('\n').trim();
+};
+
+// [{ type: 'equal' | 'removed' | 'added', text }] turning `before` into
+// `after`, with neighbouring parts of the same type merged
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // The shared start and end need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else if (text) parts.push({ type, text });
+  };
+
+  push('equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    push('removed', midA.join(''));
+    push('added', midB.join(''));
+  } else {
+    // Longest common subsequence lengths of every pair of suffixes
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = midA[i] === midB[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        push('removed', midA[i++]);
+      } else {
+        push('added', midB[j++]);
+      }
+    }
+    push('removed', midA.slice(i).join(''));
+    push('added', midB.slice(j).join(''));
+  }
+
+  push('equal', a.slice(endA).join(''));
+  return parts;
+};
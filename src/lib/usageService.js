@@ -0,0 +1,54 @@
+import { apiFetch } from './apiClient';
+
+// Client for the server's usage ledger, quotas and book budgets
+class UsageServiceClient {
+  // { quota: { plan, monthlyTokens, monthlyImages, monthlyCostUsd },
+  //   usage: { requests, inputTokens, outputTokens, tokens, images, costUsd },
+  //   exceeded, resetsAt }. Limits of null are unlimited.
+  async getUsage() {
+    try {
+      const response = await apiFetch('/api/usage');
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result;
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      throw error;
+    }
+  }
+
+  // { cap, spent, remaining, exceeded } in USD. A cap of null is no cap.
+  async getBookBudget(bookId) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/budget`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.budget;
+    } catch (error) {
+      console.error('Error getting book budget:', error);
+      throw error;
+    }
+  }
+
+  async setBookBudget(bookId, budgetCap) {
+    try {
+      const response = await apiFetch(`/api/books/${bookId}/budget`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ budgetCap })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+
+      return result.budget;
+    } catch (error) {
+      console.error('Error setting book budget:', error);
+      throw error;
+    }
+  }
+}
+
+export const usageServiceClient = new UsageServiceClient();
+export default usageServiceClient;
@@ -5,6 +5,7 @@ import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
 import { dbHelpers } from '../lib/supabase';
 import { aiService } from '../lib/aiService';
+import { keyServiceClient } from '../lib/keyService';
 import SafeIcon from '../common/SafeIcon';
 import ModelSelector from '../components/ModelSelector';
 import * as FiIcons from 'react-icons/fi';
@@ -12,12 +13,16 @@ import toast from 'react-hot-toast';
 
 const { FiBook, FiUsers, FiTarget, FiFileText, FiUpload, FiLink, FiArrowRight, FiZap, FiSettings, FiDatabase } = FiIcons;
 
+// Formats the server can extract text from (see server/extractors)
+const SOURCE_FILE_TYPES = '.pdf,.docx,.epub,.md,.markdown,.txt,.html,.htm';
+
 const BookCreation = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [sourceFiles, setSourceFiles] = useState([]);
   const [sourceUrls, setSourceUrls] = useState(['']);
+  const [crawlOptions, setCrawlOptions] = useState({ enabled: false, maxDepth: 1, maxPages: 10 });
   const [apiKeys, setApiKeys] = useState({});
   const [selectedProvider, setSelectedProvider] = useState('');
   const [selectedModel, setSelectedModel] = useState(null);
@@ -43,17 +48,14 @@ const BookCreation = () => {
 
   const loadApiKeys = async () => {
     try {
-      const { data, error } = await dbHelpers.getApiKeys(user.id);
-      if (error) throw error;
+      const keys = await keyServiceClient.listKeys();
 
       const keyMap = {};
-      data?.forEach(item => {
-        if (item.has_key) {
-          keyMap[item.provider] = true; // In real app, decrypt the key
-          // Set the first available provider as default
-          if (!selectedProvider) {
-            setSelectedProvider(item.provider);
-          }
+      keys.forEach(item => {
+        keyMap[item.provider] = true;
+        // Set the first available provider as default
+        if (!selectedProvider) {
+          setSelectedProvider(item.provider);
         }
       });
       setApiKeys(keyMap);
@@ -113,16 +115,8 @@ const BookCreation = () => {
       const { data: book, error } = await dbHelpers.createBook(bookData);
       if (error) throw error;
 
-      // Set up AI service with API keys
-      if (apiKeys.openai) {
-        aiService.setApiKey('openai', 'demo-key'); // In real app, use actual key
-      }
-      if (apiKeys.anthropic) {
-        aiService.setApiKey('anthropic', 'demo-key');
-      }
-      if (apiKeys.openrouter) {
-        aiService.setApiKey('openrouter', 'demo-key');
-      }
+      // The server uses the saved keys; the AI service only needs to know which exist
+      aiService.setConnectedProviders(Object.keys(apiKeys));
       aiService.setSelectedModel(selectedProvider, selectedModel?.id);
 
       // Initialize RAG if using OpenAI and have source materials
@@ -146,7 +140,9 @@ const BookCreation = () => {
       let sourceContent = '';
       if (hasSourceMaterials) {
         toast.info('Processing source materials with AI analysis...');
-        sourceContent = await aiService.processSourceFiles(sourceFiles, validUrls, book.id);
+        sourceContent = await aiService.processSourceFiles(sourceFiles, validUrls, book.id, {
+          crawl: crawlOptions.enabled ? { maxDepth: crawlOptions.maxDepth, maxPages: crawlOptions.maxPages } : null
+        });
         setRagStatus({ enabled: true, processing: false });
       }
 
@@ -154,7 +150,7 @@ const BookCreation = () => {
       for (const file of sourceFiles) {
         await dbHelpers.createSourceFile({
           book_id: book.id,
-          type: 'pdf',
+          type: file.name.split('.').pop().toLowerCase(),
           name: file.name,
           url: null,
           size: file.size
@@ -176,34 +172,10 @@ const BookCreation = () => {
         toast.info('Generating AI-powered table of contents with research insights...');
         
         try {
-          const tocResponse = await aiService.generateTableOfContents(bookData, sourceContent, book.id);
-          const tocData = typeof tocResponse === 'string' ? JSON.parse(tocResponse) : tocResponse;
-
-          // Create chapters and topics from AI response
-          for (const [chapterIndex, chapter] of tocData.chapters.entries()) {
-            const { data: newChapter, error: chapterError } = await dbHelpers.createChapter({
-              book_id: book.id,
-              title: chapter.title,
-              description: chapter.description,
-              order_index: chapterIndex
-            });
-            
-            if (chapterError) throw chapterError;
-
-            // Create topics for each chapter
-            for (const [topicIndex, topic] of chapter.topics.entries()) {
-              const { error: topicError } = await dbHelpers.createTopic({
-                chapter_id: newChapter.id,
-                title: topic.title,
-                objectives: topic.objectives,
-                estimated_words: topic.estimated_words,
-                order_index: topicIndex,
-                status: 'draft'
-              });
-              
-              if (topicError) throw topicError;
-            }
-          }
+          const { chapters } = await aiService.generateTableOfContents(book.id, sourceContent);
+
+          const { error: outlineError } = await dbHelpers.createOutline(book.id, chapters);
+          if (outlineError) throw outlineError;
 
           // Update book status
           await dbHelpers.updateBook(book.id, {
@@ -506,17 +478,18 @@ const BookCreation = () => {
                   <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-primary-400 transition-colors">
                     <SafeIcon icon={FiUpload} className="h-8 w-8 text-gray-400 mx-auto mb-2" />
                     <p className="text-gray-600 mb-2">
-                      Drop research PDFs here or click to browse
+                      Drop research files here or click to browse
                     </p>
                     <p className="text-xs text-gray-500 mb-3">
                       {hasOpenAIKey 
                         ? 'AI will create a searchable knowledge base for precise content generation'
-                        : 'AI will extract and analyze content from your PDFs'}
+                        : 'AI will extract and analyze content from your documents'}
                     </p>
+                    <p className="text-xs text-gray-400 mb-3">PDF, Word (.docx), EPUB, Markdown, text or HTML</p>
                     <input
                       type="file"
                       multiple
-                      accept=".pdf"
+                      accept={SOURCE_FILE_TYPES}
                       onChange={handleFileUpload}
                       className="hidden"
                       id="file-upload"
@@ -599,6 +572,45 @@ const BookCreation = () => {
                   >
                     + Add another URL
                   </button>
+
+                  <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={crawlOptions.enabled}
+                        onChange={(e) => setCrawlOptions({ ...crawlOptions, enabled: e.target.checked })}
+                        className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      Crawl linked pages on the same site
+                    </label>
+                    {crawlOptions.enabled && (
+                      <div className="mt-3 grid grid-cols-2 gap-3">
+                        <label className="text-xs text-gray-600">
+                          Link depth
+                          <select
+                            value={crawlOptions.maxDepth}
+                            onChange={(e) => setCrawlOptions({ ...crawlOptions, maxDepth: parseInt(e.target.value) })}
+                            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                          >
+                            {[1, 2, 3].map(depth => <option key={depth} value={depth}>{depth}</option>)}
+                          </select>
+                        </label>
+                        <label className="text-xs text-gray-600">
+                          Max pages per site
+                          <select
+                            value={crawlOptions.maxPages}
+                            onChange={(e) => setCrawlOptions({ ...crawlOptions, maxPages: parseInt(e.target.value) })}
+                            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                          >
+                            {[5, 10, 25, 50].map(pages => <option key={pages} value={pages}>{pages}</option>)}
+                          </select>
+                        </label>
+                        <p className="col-span-2 text-xs text-gray-500">
+                          Follows the site's sitemap and same-domain links, respects robots.txt and skips duplicate pages.
+                        </p>
+                      </div>
+                    )}
+                  </div>
                 </div>
               </div>
             </div>
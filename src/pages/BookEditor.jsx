@@ -1,16 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import { dbHelpers } from '../lib/supabase';
-import { aiService } from '../lib/aiService';
+import { aiService, pipelineStageLabel } from '../lib/aiService';
+import { jobServiceClient } from '../lib/jobService';
+import { keyServiceClient } from '../lib/keyService';
 import SafeIcon from '../common/SafeIcon';
+import KnowledgeBasePanel from '../components/KnowledgeBasePanel';
+import PromptTemplatePanel from '../components/PromptTemplatePanel';
+import StyleGuidePanel from '../components/StyleGuidePanel';
+import StyleIssues from '../components/StyleIssues';
+import PipelineArtifactsPanel from '../components/PipelineArtifactsPanel';
+import SelectionRewriteBar, { actionLabel } from '../components/SelectionRewriteBar';
+import RewriteDiffModal from '../components/RewriteDiffModal';
+import ABTestingPanel from '../components/ABTestingPanel';
+import { styleGuideServiceClient, applySuggestion } from '../lib/styleGuideService';
+import GenerationBudgetModal from '../components/GenerationBudgetModal';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
-const { FiBook, FiEdit3, FiSave, FiDownload, FiImage, FiPlay, FiPause, FiCheck, FiClock, FiZap, FiRefreshCw } = FiIcons;
+const { FiBook, FiEdit3, FiSave, FiDownload, FiImage, FiPlay, FiPause, FiCheck, FiClock, FiZap, FiRefreshCw, FiSquare, FiX, FiDatabase, FiFileText, FiType, FiCheckSquare, FiLayers, FiColumns } = FiIcons;
+
+const JOB_POLL_INTERVAL = 3000;
+const RUNNING_JOB_STATUSES = ['queued', 'running', 'pausing'];
+
+// How much text on either side of a selection is sent with a rewrite
+const CONTEXT_CHARS = 1500;
 
 const BookEditor = () => {
   const { id } = useParams();
@@ -22,7 +40,29 @@ const BookEditor = () => {
   const [saving, setSaving] = useState(false);
   const [generating, setGenerating] = useState(false);
   const [generatingTopicId, setGeneratingTopicId] = useState(null);
-  const [generatingAll, setGeneratingAll] = useState(false);
+  const [activeJob, setActiveJob] = useState(null);
+  const [showKnowledgeBase, setShowKnowledgeBase] = useState(false);
+  const [showPromptTemplates, setShowPromptTemplates] = useState(false);
+  const [showStyleGuide, setShowStyleGuide] = useState(false);
+  const [styleIssues, setStyleIssues] = useState(null); // null until the topic is checked
+  const [checkingStyle, setCheckingStyle] = useState(false);
+  const [pipelineStage, setPipelineStage] = useState(null); // label of the multi-pass stage running
+  const [showPipelineArtifacts, setShowPipelineArtifacts] = useState(false);
+  const [showABTesting, setShowABTesting] = useState(false);
+  const [budgetPrompt, setBudgetPrompt] = useState(null); // 'start' | 'resume' | null
+  const [selectionRange, setSelectionRange] = useState(null); // last { index, length } in the editor
+  const [rewrite, setRewrite] = useState(null); // the selection rewrite under review
+  const abortControllerRef = useRef(null);
+  const rewriteControllerRef = useRef(null);
+  const quillRef = useRef(null);
+
+  const generatingAll = !!activeJob && RUNNING_JOB_STATUSES.includes(activeJob.status);
+  const styleGuide = book?.style_guide;
+  const hasStyleGuide = !!styleGuide && (
+    !!(styleGuide.spelling || styleGuide.person || styleGuide.voice) || styleGuide.terms?.length > 0
+  );
+  const hasContent = !!selectedTopic?.content && selectedTopic.content.trim().length > 0;
+  const jobStage = activeJob?.topics?.find(topic => topic.status === 'running' && topic.stage);
 
   useEffect(() => {
     if (user && id) {
@@ -30,6 +70,34 @@ const BookEditor = () => {
     }
   }, [user, id]);
 
+  // Check each topic against the style guide when it is opened or finishes
+  // generating; edits are checked on request
+  useEffect(() => {
+    if (hasStyleGuide && hasContent && selectedTopic.status !== 'generating') {
+      checkStyle(selectedTopic.content);
+    } else {
+      setStyleIssues(null);
+    }
+  }, [selectedTopic?.id, selectedTopic?.status, styleGuide]);
+
+  // Follow the server-side generation job while it runs
+  useEffect(() => {
+    if (!generatingAll) return;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const job = await jobServiceClient.getJob(activeJob.id);
+        await syncJobTopics(activeJob, job);
+        handleJobUpdate(job);
+      } catch (error) {
+        console.error('Failed to refresh generation job:', error);
+        setActiveJob({ ...activeJob });
+      }
+    }, JOB_POLL_INTERVAL);
+
+    return () => clearTimeout(timeout);
+  }, [activeJob]);
+
   const loadBook = async () => {
     try {
       const { data, error } = await dbHelpers.getBooks(user.id);
@@ -49,11 +117,24 @@ const BookEditor = () => {
         setSelectedTopic(currentBook.chapters[0].topics[0]);
       }
 
-      // Set up AI service with book's configuration
+      // Set up AI service with book's configuration. The keys themselves stay
+      // on the server; the AI service only needs to know which providers have one.
       if (currentBook.selected_provider && currentBook.selected_model) {
-        // In a real app, you'd decrypt the API key from the database
         aiService.setSelectedModel(currentBook.selected_provider, currentBook.selected_model);
       }
+      try {
+        const keys = await keyServiceClient.listKeys();
+        aiService.setConnectedProviders(keys.map(key => key.provider));
+      } catch (keyError) {
+        console.error('Failed to load API keys:', keyError);
+      }
+
+      // Reattach to a generation job that kept running while the book was closed
+      try {
+        setActiveJob(await jobServiceClient.getActiveJob(currentBook.id));
+      } catch (jobError) {
+        console.error('Failed to check for an active generation job:', jobError);
+      }
     } catch (error) {
       toast.error('Failed to load book');
       console.error('Error loading book:', error);
@@ -75,108 +156,189 @@ const BookEditor = () => {
         ch.topics?.some(t => t.id === topic.id)
       );
 
-      // Generate content using AI service
-      const content = await aiService.generateTopicContent(
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      // Generate content using AI service, rendering the partial HTML as it streams in
+      const { content, template, pipeline } = await aiService.generateTopicContent(
+        book.id,
+        chapter?.id,
+        topic.id,
         topic,
-        chapter,
         book,
-        book.source_content || ''
+        {
+          signal: controller.signal,
+          onStage: ({ status, label }) => {
+            if (status === 'running') setPipelineStage(label);
+          },
+          onToken: (text, partialContent) => {
+            setSelectedTopic(current => 
+              current?.id === topic.id ? { ...current, content: partialContent } : current
+            );
+          }
+        }
       );
 
-      // Update topic with generated content
-      await updateTopicContent(topic.id, content);
+      // Update topic with generated content and the template version that wrote it
+      await updateTopicContent(topic.id, content, template);
+      if (pipeline) {
+        applyTopicUpdate(topic.id, { pipeline_artifacts: pipeline });
+      }
       toast.success(`Content generated for "${topic.title}"!`);
+
+      // Notes for the topics after this one; generation doesn't wait on them
+      if (template) {
+        aiService.rememberTopic(book.id, topic.id).catch(() => {});
+      }
     } catch (error) {
-      toast.error('Failed to generate content');
+      if (error.name === 'AbortError') {
+        toast('Generation stopped');
+      } else {
+        toast.error(error.message || 'Failed to generate content');
+      }
       await updateTopicStatus(topic.id, 'draft');
     } finally {
+      abortControllerRef.current = null;
       setGenerating(false);
       setGeneratingTopicId(null);
+      setPipelineStage(null);
     }
   };
 
-  const generateAllContent = async () => {
-    setGeneratingAll(true);
-    let totalGenerated = 0;
-    let totalTopics = 0;
+  // Makes the variation picked in an A/B test the topic's content
+  const applyVariation = async (variation) => {
+    await updateTopicContent(selectedTopic.id, variation.content, variation.template);
+    aiService.rememberTopic(book.id, selectedTopic.id).catch(() => {});
+  };
 
-    // Count total topics
-    for (const chapter of chapters) {
-      totalTopics += chapter.topics?.length || 0;
-    }
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
 
-    if (totalTopics === 0) {
+  // Asks for cost approval first; the job starts from the budget prompt
+  const generateAllContent = () => {
+    if (getBookProgress().totalTopics === 0) {
       toast.error('No topics found to generate content for');
-      setGeneratingAll(false);
       return;
     }
 
+    setBudgetPrompt('start');
+  };
+
+  const startGenerationJob = async () => {
     try {
-      toast.info(`Starting AI content generation for ${totalTopics} topics...`);
-
-      for (const chapter of chapters) {
-        if (!chapter.topics) continue;
-
-        for (const topic of chapter.topics) {
-          if (!topic.content || topic.content.trim().length < 100) {
-            try {
-              setGeneratingTopicId(topic.id);
-              await updateTopicStatus(topic.id, 'generating');
-
-              const content = await aiService.generateTopicContent(
-                topic,
-                chapter,
-                book,
-                book.source_content || ''
-              );
-
-              await updateTopicContent(topic.id, content);
-              totalGenerated++;
-              
-              toast.success(`Generated ${totalGenerated}/${totalTopics}: "${topic.title}"`);
-              
-              // Add a small delay to avoid rate limiting
-              if (totalGenerated < totalTopics) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-              }
-            } catch (error) {
-              console.error(`Failed to generate content for topic ${topic.id}:`, error);
-              await updateTopicStatus(topic.id, 'draft');
-              toast.error(`Failed to generate content for "${topic.title}"`);
-            }
-          }
+      const job = await jobServiceClient.startBookJob(book.id, {
+        provider: book.selected_provider,
+        model: book.selected_model
+      });
+
+      setActiveJob(job);
+      toast.success(`Generating ${job.progress.total} topics on the server. You can close this tab at any time.`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to start content generation');
+    }
+  };
+
+  const handleJobUpdate = (job) => {
+    if (job.status === 'completed') {
+      toast.success(`🎉 Book generation complete! Generated content for ${job.progress.completed} topics.`);
+      setActiveJob(null);
+    } else if (job.status === 'cancelled') {
+      toast('Content generation cancelled');
+      setActiveJob(null);
+    } else {
+      if (job.status === 'failed' && activeJob?.status !== 'failed') {
+        toast.error(job.error || 'Some topics failed to generate');
+      }
+      setActiveJob(job);
+    }
+  };
+
+  // Mirror per-topic job states into the sidebar and pull in finished content
+  const syncJobTopics = async (previousJob, job) => {
+    const previousStates = new Map(previousJob.topics.map(topic => [topic.topicId, topic.status]));
+
+    for (const state of job.topics) {
+      if (previousStates.get(state.topicId) === state.status) continue;
+
+      if (state.status === 'completed') {
+        const { data: topic } = await dbHelpers.getTopic(state.topicId);
+        if (topic) {
+          applyTopicUpdate(state.topicId, {
+            content: topic.content,
+            status: 'completed',
+            prompt_template: topic.prompt_template,
+            pipeline_artifacts: topic.pipeline_artifacts
+          });
         }
+      } else {
+        applyTopicUpdate(state.topicId, { status: state.status === 'running' ? 'generating' : 'draft' });
       }
+    }
+  };
 
-      toast.success(`🎉 Book generation complete! Generated content for ${totalGenerated} topics.`);
+  const pauseJob = async () => {
+    try {
+      setActiveJob(await jobServiceClient.pauseJob(activeJob.id));
+      toast('Generation will pause after the current topic');
     } catch (error) {
-      toast.error('Content generation process failed');
-    } finally {
-      setGeneratingAll(false);
-      setGeneratingTopicId(null);
+      toast.error(error.message || 'Failed to pause generation');
+    }
+  };
+
+  const resumeJob = async () => {
+    try {
+      setActiveJob(await jobServiceClient.resumeJob(activeJob.id));
+      toast.success('Generation resumed');
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        setBudgetPrompt('resume');
+        return;
+      }
+      toast.error(error.message || 'Failed to resume generation');
+    }
+  };
+
+  const cancelJob = async () => {
+    try {
+      await jobServiceClient.cancelJob(activeJob.id);
+      setActiveJob(null);
+      toast('Content generation cancelled');
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel generation');
     }
   };
 
-  const updateTopicContent = async (topicId, content) => {
+  const applyTopicUpdate = (topicId, updates) => {
+    setChapters(current => current.map(chapter => ({
+      ...chapter,
+      topics: chapter.topics?.map(topic => 
+        topic.id === topicId ? { ...topic, ...updates } : topic
+      ) || []
+    })));
+
+    setSelectedTopic(current => 
+      current?.id === topicId ? { ...current, ...updates } : current
+    );
+  };
+
+  // `template` is passed for generated content only; manual edits keep the
+  // record of which template version wrote the topic
+  const updateTopicContent = async (topicId, content, template) => {
+    const updates = {
+      content,
+      status: 'completed',
+      ...(template !== undefined && { prompt_template: template })
+    };
+
     try {
       await dbHelpers.updateTopic(topicId, {
-        content,
-        status: 'completed',
+        ...updates,
         updated_at: new Date().toISOString()
       });
 
-      // Update local state
-      setChapters(chapters.map(chapter => ({
-        ...chapter,
-        topics: chapter.topics?.map(topic => 
-          topic.id === topicId ? { ...topic, content, status: 'completed' } : topic
-        ) || []
-      })));
-
-      // Update selected topic if it's the one being edited
-      if (selectedTopic?.id === topicId) {
-        setSelectedTopic({ ...selectedTopic, content, status: 'completed' });
-      }
+      // Update local state, including the selected topic if it's the one being edited
+      applyTopicUpdate(topicId, updates);
     } catch (error) {
       toast.error('Failed to save content');
     }
@@ -186,16 +348,7 @@ const BookEditor = () => {
     try {
       await dbHelpers.updateTopic(topicId, { status });
 
-      setChapters(chapters.map(chapter => ({
-        ...chapter,
-        topics: chapter.topics?.map(topic => 
-          topic.id === topicId ? { ...topic, status } : topic
-        ) || []
-      })));
-
-      if (selectedTopic?.id === topicId) {
-        setSelectedTopic({ ...selectedTopic, status });
-      }
+      applyTopicUpdate(topicId, { status });
     } catch (error) {
       console.error('Failed to update topic status:', error);
     }
@@ -215,10 +368,114 @@ const BookEditor = () => {
     }
   };
 
+  const checkStyle = async (content) => {
+    setCheckingStyle(true);
+    try {
+      setStyleIssues(await styleGuideServiceClient.lint(book.id, content));
+    } catch (error) {
+      toast.error('Failed to check style');
+    } finally {
+      setCheckingStyle(false);
+    }
+  };
+
+  // Applies an issue's suggestion in the editor; it is saved with the topic
+  const fixStyleIssue = (issue) => {
+    const content = applySuggestion(selectedTopic.content, issue);
+    setSelectedTopic({ ...selectedTopic, content });
+    checkStyle(content);
+  };
+
+  // Runs a selection action (see SelectionRewriteBar) on the editor's last
+  // selection. `continue` writes on from the cursor or the selection's end.
+  const rewriteSelection = async (action, tone) => {
+    const quill = quillRef.current?.getEditor();
+    if (!quill || !selectionRange) return;
+
+    const { index, length } = selectionRange;
+    const append = action === 'continue';
+    const selected = quill.getText(index, length);
+    const before = quill.getText(Math.max(0, index - CONTEXT_CHARS), Math.min(index, CONTEXT_CHARS));
+    const after = quill.getText(index + length, CONTEXT_CHARS);
+    const text = append && !selected.trim() ? before : selected;
+
+    if (!text.trim()) {
+      toast.error('Select some text first');
+      return;
+    }
+
+    rewriteControllerRef.current?.abort();
+    const controller = new AbortController();
+    rewriteControllerRef.current = controller;
+
+    const request = { action, tone, label: actionLabel(action, tone), index, length, selected, append };
+    setRewrite({ ...request, content: null, loading: true });
+
+    try {
+      const { content } = await aiService.rewriteSelection(book.id, {
+        action,
+        tone,
+        text,
+        before: append && !selected.trim() ? '' : before,
+        after,
+        topicTitle: selectedTopic.title,
+        signal: controller.signal
+      });
+      setRewrite({ ...request, content, loading: false });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      toast.error(error.message || 'Failed to rewrite the selection');
+      setRewrite(null);
+    } finally {
+      if (rewriteControllerRef.current === controller) rewriteControllerRef.current = null;
+    }
+  };
+
+  // Puts an accepted rewrite into the editor, unless the text it was written
+  // from has changed since
+  const acceptRewrite = () => {
+    const quill = quillRef.current?.getEditor();
+    if (!quill || !rewrite?.content) return;
+
+    const { index, length, selected, append, content } = rewrite;
+    if (quill.getText(index, length) !== selected) {
+      toast.error('The selected text has changed. Run the action again.');
+      setRewrite(null);
+      return;
+    }
+
+    // A one-paragraph rewrite of part of a paragraph stays inline
+    const single = content.match(/^<p>([\s\S]*)<\/p>$/i);
+    const html = single && !append && !selected.includes('\n') && !/<\/?p>/i.test(single[1]) ? single[1] : content;
+
+    if (append) {
+      quill.clipboard.dangerouslyPasteHTML(index + length, html, 'user');
+    } else {
+      quill.deleteText(index, length, 'user');
+      quill.clipboard.dangerouslyPasteHTML(index, html, 'user');
+    }
+    setSelectionRange(null);
+    setRewrite(null);
+  };
+
+  const rejectRewrite = () => {
+    rewriteControllerRef.current?.abort();
+    setRewrite(null);
+  };
+
   const generateImage = async (topic) => {
     toast.success('Image generation feature coming soon!');
   };
 
+  const toggleGenerationPipeline = async (multiPass) => {
+    try {
+      const pipeline = await aiService.setGenerationPipeline(book.id, multiPass ? 'multi-pass' : 'single');
+      setBook(current => ({ ...current, generation_pipeline: pipeline }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to change generation mode');
+    }
+  };
+
   const exportBook = async (format) => {
     toast.success(`${format} export feature coming soon!`);
   };
@@ -314,10 +571,50 @@ const BookEditor = () => {
               </button>
             </div>
 
+            <button
+              onClick={() => setShowKnowledgeBase(true)}
+              className="w-full inline-flex items-center justify-center px-3 py-2 mb-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+            >
+              <SafeIcon icon={FiDatabase} className="h-4 w-4 mr-2" />
+              Research Sources
+            </button>
+
+            <button
+              onClick={() => setShowPromptTemplates(true)}
+              className="w-full inline-flex items-center justify-center px-3 py-2 mb-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+            >
+              <SafeIcon icon={FiFileText} className="h-4 w-4 mr-2" />
+              Prompt Templates
+            </button>
+
+            <button
+              onClick={() => setShowStyleGuide(true)}
+              className="w-full inline-flex items-center justify-center px-3 py-2 mb-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+            >
+              <SafeIcon icon={FiType} className="h-4 w-4 mr-2" />
+              Style Guide
+            </button>
+
+            {book?.selected_model && (
+              <label
+                className="flex items-start space-x-2 px-1 mb-2 text-sm text-gray-700 cursor-pointer"
+                title="Outline each topic, draft it section by section, critique the draft against its objectives and the style guide, then revise it. Slower and uses more tokens."
+              >
+                <input
+                  type="checkbox"
+                  checked={book.generation_pipeline === 'multi-pass'}
+                  onChange={(e) => toggleGenerationPipeline(e.target.checked)}
+                  disabled={generating || generatingAll}
+                  className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                <span>Multi-pass generation (outline, draft, critique, revise)</span>
+              </label>
+            )}
+
             {book?.selected_model && (
               <button
                 onClick={generateAllContent}
-                disabled={generatingAll || progress.totalTopics === 0}
+                disabled={!!activeJob || progress.totalTopics === 0}
                 className="w-full inline-flex items-center justify-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm font-medium disabled:opacity-50"
               >
                 {generatingAll ? (
@@ -333,6 +630,57 @@ const BookEditor = () => {
                 )}
               </button>
             )}
+
+            {activeJob && (
+              <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                <div className="flex justify-between text-xs text-gray-600 mb-2">
+                  <span className="capitalize">Job {activeJob.status}</span>
+                  <span>
+                    {activeJob.progress.completed}/{activeJob.progress.total} topics
+                    {activeJob.progress.failed > 0 && ` • ${activeJob.progress.failed} failed`}
+                  </span>
+                </div>
+                {jobStage && (
+                  <p className="text-xs text-gray-500 mb-2 truncate">
+                    {jobStage.title}: {pipelineStageLabel({
+                      stage: jobStage.stage.stage,
+                      status: 'running',
+                      section: jobStage.stage.section && { index: jobStage.stage.section - 1, total: jobStage.stage.sections }
+                    })}
+                  </p>
+                )}
+                <div className="flex space-x-2">
+                  {activeJob.status === 'running' && (
+                    <button
+                      onClick={pauseJob}
+                      className="flex-1 inline-flex items-center justify-center px-2 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-white transition-colors text-xs"
+                    >
+                      <SafeIcon icon={FiPause} className="h-3 w-3 mr-1" />
+                      Pause
+                    </button>
+                  )}
+                  {['paused', 'failed'].includes(activeJob.status) && (
+                    <button
+                      onClick={resumeJob}
+                      className="flex-1 inline-flex items-center justify-center px-2 py-1 border border-green-300 text-green-700 rounded-md hover:bg-green-50 transition-colors text-xs"
+                    >
+                      <SafeIcon icon={FiPlay} className="h-3 w-3 mr-1" />
+                      Resume
+                    </button>
+                  )}
+                  <button
+                    onClick={cancelJob}
+                    className="flex-1 inline-flex items-center justify-center px-2 py-1 border border-red-300 text-red-700 rounded-md hover:bg-red-50 transition-colors text-xs"
+                  >
+                    <SafeIcon icon={FiX} className="h-3 w-3 mr-1" />
+                    Cancel
+                  </button>
+                </div>
+                {activeJob.error && (
+                  <p className="text-xs text-red-600 mt-2">{activeJob.error}</p>
+                )}
+              </div>
+            )}
           </div>
 
           <div className="p-4">
@@ -403,8 +751,46 @@ const BookEditor = () => {
                         Target: {selectedTopic.estimated_words} words
                       </p>
                     )}
+                    {selectedTopic.prompt_template && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Prompt template: {selectedTopic.prompt_template.key} v{selectedTopic.prompt_template.version}
+                        {selectedTopic.prompt_template.source === 'book' ? ' (custom)' : ' (default)'}
+                      </p>
+                    )}
+                    {pipelineStage && generatingTopicId === selectedTopic.id && (
+                      <p className="text-sm text-primary-600 mt-1">{pipelineStage}</p>
+                    )}
                   </div>
                   <div className="flex space-x-3">
+                    {selectedTopic.pipeline_artifacts && generatingTopicId !== selectedTopic.id && (
+                      <button
+                        onClick={() => setShowPipelineArtifacts(true)}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        <SafeIcon icon={FiLayers} className="h-4 w-4 mr-2" />
+                        Stages
+                      </button>
+                    )}
+                    {book?.selected_model && (
+                      <button
+                        onClick={() => setShowABTesting(true)}
+                        disabled={generating || generatingAll}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                      >
+                        <SafeIcon icon={FiColumns} className="h-4 w-4 mr-2" />
+                        A/B Test
+                      </button>
+                    )}
+                    {hasStyleGuide && hasContent && (
+                      <button
+                        onClick={() => checkStyle(selectedTopic.content)}
+                        disabled={checkingStyle || generatingTopicId === selectedTopic.id}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                      >
+                        <SafeIcon icon={FiCheckSquare} className="h-4 w-4 mr-2" />
+                        Check Style
+                      </button>
+                    )}
                     <button
                       onClick={() => generateImage(selectedTopic)}
                       className="inline-flex items-center px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
@@ -431,7 +817,16 @@ const BookEditor = () => {
                         )}
                       </button>
                     )}
-                    {selectedTopic.content && selectedTopic.content.trim().length > 100 && book?.selected_model && (
+                    {generatingTopicId === selectedTopic.id && generating && (
+                      <button
+                        onClick={stopGeneration}
+                        className="inline-flex items-center px-3 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors"
+                      >
+                        <SafeIcon icon={FiSquare} className="h-4 w-4 mr-2" />
+                        Stop
+                      </button>
+                    )}
+                    {selectedTopic.content && selectedTopic.content.trim().length > 100 && book?.selected_model && generatingTopicId !== selectedTopic.id && (
                       <button
                         onClick={() => generateTopicContent(selectedTopic)}
                         disabled={generating || generatingAll}
@@ -457,12 +852,31 @@ const BookEditor = () => {
                 </div>
               </div>
 
+              {styleIssues && (
+                <StyleIssues
+                  issues={styleIssues}
+                  checking={checkingStyle}
+                  onFix={fixStyleIssue}
+                  onRecheck={() => checkStyle(selectedTopic.content)}
+                  onClose={() => setStyleIssues(null)}
+                />
+              )}
+
               {/* Editor */}
               <div className="flex-1 p-6 bg-gray-50">
                 <div className="bg-white rounded-lg shadow-sm border border-gray-200 h-full">
+                  {book?.selected_model && (
+                    <SelectionRewriteBar
+                      hasSelection={selectionRange?.length > 0}
+                      disabled={!selectionRange || !!rewrite || generatingTopicId === selectedTopic.id}
+                      onAction={rewriteSelection}
+                    />
+                  )}
                   <ReactQuill
+                    ref={quillRef}
                     value={selectedTopic.content || ''}
                     onChange={(content) => setSelectedTopic({ ...selectedTopic, content })}
+                    onChangeSelection={(range) => range && setSelectionRange(range)}
                     modules={quillModules}
                     className="editor-content h-full"
                     placeholder={book?.selected_model 
@@ -485,7 +899,7 @@ const BookEditor = () => {
                 {book?.selected_model && progress.totalTopics > 0 && (
                   <button
                     onClick={generateAllContent}
-                    disabled={generatingAll}
+                    disabled={!!activeJob}
                     className="inline-flex items-center px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-semibold disabled:opacity-50"
                   >
                     {generatingAll ? (
@@ -506,6 +920,56 @@ const BookEditor = () => {
           )}
         </div>
       </div>
+
+      <KnowledgeBasePanel
+        bookId={book?.id}
+        isVisible={showKnowledgeBase}
+        onClose={() => setShowKnowledgeBase(false)}
+      />
+
+      <PromptTemplatePanel
+        bookId={book?.id}
+        isVisible={showPromptTemplates}
+        onClose={() => setShowPromptTemplates(false)}
+      />
+
+      <StyleGuidePanel
+        bookId={book?.id}
+        isVisible={showStyleGuide}
+        onClose={() => setShowStyleGuide(false)}
+        onSaved={(saved) => setBook(current => ({ ...current, style_guide: saved }))}
+      />
+
+      <PipelineArtifactsPanel
+        artifacts={selectedTopic?.pipeline_artifacts}
+        topicTitle={selectedTopic?.title}
+        isVisible={showPipelineArtifacts}
+        onClose={() => setShowPipelineArtifacts(false)}
+      />
+
+      <ABTestingPanel
+        book={book}
+        topic={selectedTopic}
+        isVisible={showABTesting}
+        onClose={() => setShowABTesting(false)}
+        onUseVariation={applyVariation}
+      />
+
+      <RewriteDiffModal
+        rewrite={rewrite}
+        onAccept={acceptRewrite}
+        onReject={rejectRewrite}
+        onRetry={() => rewriteSelection(rewrite.action, rewrite.tone)}
+      />
+
+      <GenerationBudgetModal
+        book={book}
+        chapters={chapters}
+        isVisible={!!budgetPrompt}
+        mode={budgetPrompt || 'start'}
+        onClose={() => setBudgetPrompt(null)}
+        onConfirm={budgetPrompt === 'resume' ? resumeJob : startGenerationJob}
+      />
     </div>
   );
 };
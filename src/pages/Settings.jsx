@@ -1,12 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
-import { dbHelpers } from '../lib/supabase';
+import { keyServiceClient } from '../lib/keyService';
+import { usageServiceClient } from '../lib/usageService';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
-const { FiKey, FiCheck, FiX, FiEye, FiEyeOff, FiSave, FiUser, FiMail, FiShield } = FiIcons;
+const { FiKey, FiCheck, FiX, FiEye, FiEyeOff, FiSave, FiUser, FiMail, FiShield, FiTrash2 } = FiIcons;
 
 const Settings = () => {
   const { user } = useAuth();
@@ -15,7 +16,7 @@ const Settings = () => {
   const [showKeys, setShowKeys] = useState({});
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState({});
-  const [validating, setValidating] = useState({});
+  const [usage, setUsage] = useState(null);
 
   const providers = [
     { id: 'openai', name: 'OpenAI', placeholder: 'sk-...' },
@@ -27,49 +28,39 @@ const Settings = () => {
   useEffect(() => {
     if (user) {
       loadApiKeys();
+      loadUsage();
     }
   }, [user]);
 
-  const loadApiKeys = async () => {
+  const loadUsage = async () => {
     try {
-      const { data, error } = await dbHelpers.getApiKeys(user.id);
-      if (error) throw error;
-
-      const statusMap = {};
-      data?.forEach(item => {
-        statusMap[item.provider] = item.has_key;
-      });
-      setKeyStatus(statusMap);
+      setUsage(await usageServiceClient.getUsage());
     } catch (error) {
-      toast.error('Failed to load API keys');
-    } finally {
-      setLoading(false);
+      toast.error('Failed to load usage');
     }
   };
 
-  const validateApiKey = async (provider, key) => {
-    if (!key.trim()) return false;
+  const formatLimit = (value, format = (n) => n.toLocaleString()) => (
+    value == null ? 'Unlimited' : `of ${format(value)}`
+  );
 
-    setValidating({ ...validating, [provider]: true });
-    
+  const loadApiKeys = async () => {
     try {
-      const response = await fetch('/api/validate-key', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ provider, key })
-      });
+      const keys = await keyServiceClient.listKeys();
 
-      const result = await response.json();
-      return result.valid;
+      const statusMap = {};
+      keys.forEach(item => {
+        statusMap[item.provider] = item.hint || true;
+      });
+      setKeyStatus(statusMap);
     } catch (error) {
-      console.error('Validation error:', error);
-      // For demo purposes, simulate validation
-      return key.length > 10;
+      toast.error('Failed to load API keys');
     } finally {
-      setValidating({ ...validating, [provider]: false });
+      setLoading(false);
     }
   };
 
+  // The server validates the key with the provider, then stores it encrypted
   const saveApiKey = async (provider) => {
     const key = apiKeys[provider];
     if (!key?.trim()) {
@@ -80,32 +71,36 @@ const Settings = () => {
     setSaving({ ...saving, [provider]: true });
 
     try {
-      const isValid = await validateApiKey(provider, key);
-      
-      if (!isValid) {
-        toast.error('Invalid API key');
-        return;
-      }
+      const { hint } = await keyServiceClient.saveKey(provider, key.trim());
 
-      // In a real implementation, encrypt the key before storing
-      const encryptedKey = btoa(key); // Simple base64 encoding for demo
-      
-      const { error } = await dbHelpers.saveApiKey(user.id, provider, encryptedKey);
-      if (error) throw error;
-
-      setKeyStatus({ ...keyStatus, [provider]: true });
+      setKeyStatus({ ...keyStatus, [provider]: hint || true });
       toast.success(`${providers.find(p => p.id === provider)?.name} API key saved!`);
       
       // Clear the input for security
       setApiKeys({ ...apiKeys, [provider]: '' });
       
     } catch (error) {
-      toast.error('Failed to save API key');
+      toast.error(error.message || 'Failed to save API key');
     } finally {
       setSaving({ ...saving, [provider]: false });
     }
   };
 
+  const removeApiKey = async (provider) => {
+    const name = providers.find(p => p.id === provider)?.name;
+    if (!window.confirm(`Remove your ${name} API key?`)) return;
+
+    try {
+      await keyServiceClient.deleteKey(provider);
+
+      const { [provider]: removed, ...remaining } = keyStatus;
+      setKeyStatus(remaining);
+      toast.success(`${name} API key removed`);
+    } catch (error) {
+      toast.error('Failed to remove API key');
+    }
+  };
+
   const toggleKeyVisibility = (provider) => {
     setShowKeys({ ...showKeys, [provider]: !showKeys[provider] });
   };
@@ -166,7 +161,7 @@ const Settings = () => {
                 </div>
               </div>
 
-              {user?.user_metadata?.role === 'admin' && (
+              {user?.app_metadata?.role === 'admin' && (
                 <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                   <div className="flex items-center">
                     <SafeIcon icon={FiShield} className="h-5 w-5 text-blue-600 mr-2" />
@@ -194,7 +189,7 @@ const Settings = () => {
                         Security Notice
                       </h3>
                       <p className="mt-1 text-sm text-yellow-700">
-                        Your API keys are encrypted and stored securely. We never store your keys in plain text.
+                        Your API keys are validated, then encrypted on our server with AES-256-GCM. They are never stored in plain text or sent back to your browser.
                       </p>
                     </div>
                   </div>
@@ -208,10 +203,21 @@ const Settings = () => {
                         {keyStatus[provider.id] && (
                           <div className="ml-3 flex items-center">
                             <SafeIcon icon={FiCheck} className="h-4 w-4 text-green-500 mr-1" />
-                            <span className="text-sm text-green-600">Connected</span>
+                            <span className="text-sm text-green-600">
+                              Connected{typeof keyStatus[provider.id] === 'string' && ` (…${keyStatus[provider.id]})`}
+                            </span>
                           </div>
                         )}
                       </div>
+                      {keyStatus[provider.id] && (
+                        <button
+                          onClick={() => removeApiKey(provider.id)}
+                          className="inline-flex items-center text-sm text-red-600 hover:text-red-700"
+                        >
+                          <SafeIcon icon={FiTrash2} className="h-4 w-4 mr-1" />
+                          Remove
+                        </button>
+                      )}
                     </div>
 
                     <div className="flex space-x-3">
@@ -238,15 +244,15 @@ const Settings = () => {
                         whileHover={{ scale: 1.02 }}
                         whileTap={{ scale: 0.98 }}
                         onClick={() => saveApiKey(provider.id)}
-                        disabled={saving[provider.id] || validating[provider.id]}
+                        disabled={saving[provider.id]}
                         className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
                       >
-                        {saving[provider.id] || validating[provider.id] ? (
+                        {saving[provider.id] ? (
                           <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
                         ) : (
                           <SafeIcon icon={FiSave} className="h-4 w-4 mr-2" />
                         )}
-                        {validating[provider.id] ? 'Validating...' : 'Save'}
+                        {saving[provider.id] ? 'Validating...' : 'Save'}
                       </motion.button>
                     </div>
 
@@ -260,20 +266,41 @@ const Settings = () => {
 
             {/* Usage Statistics */}
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-              <h2 className="text-xl font-semibold text-gray-900 mb-6">Usage Statistics</h2>
-              
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-900">Usage Statistics</h2>
+                {usage && (
+                  <span className="text-sm text-gray-600">
+                    <span className="capitalize">{usage.quota.plan}</span> plan • resets {new Date(usage.resetsAt).toLocaleDateString()}
+                  </span>
+                )}
+              </div>
+
+              {usage?.exceeded.length > 0 && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                  You have reached this month's {usage.exceeded.map(limit => limit.label).join(' and ')} quota.
+                  Generation is paused until the quota resets.
+                </div>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 <div className="text-center p-4 bg-gray-50 rounded-lg">
-                  <div className="text-2xl font-bold text-primary-600">0</div>
-                  <div className="text-sm text-gray-600">Books Created</div>
+                  <div className="text-2xl font-bold text-primary-600">{(usage?.usage.tokens || 0).toLocaleString()}</div>
+                  <div className="text-sm text-gray-600">Tokens This Month</div>
+                  {usage && <div className="text-xs text-gray-500 mt-1">{formatLimit(usage.quota.monthlyTokens)}</div>}
                 </div>
                 <div className="text-center p-4 bg-gray-50 rounded-lg">
-                  <div className="text-2xl font-bold text-green-600">0</div>
-                  <div className="text-sm text-gray-600">API Calls This Month</div>
+                  <div className="text-2xl font-bold text-green-600">{usage?.usage.images || 0}</div>
+                  <div className="text-sm text-gray-600">Images This Month</div>
+                  {usage && <div className="text-xs text-gray-500 mt-1">{formatLimit(usage.quota.monthlyImages)}</div>}
                 </div>
                 <div className="text-center p-4 bg-gray-50 rounded-lg">
-                  <div className="text-2xl font-bold text-blue-600">0</div>
-                  <div className="text-sm text-gray-600">Words Generated</div>
+                  <div className="text-2xl font-bold text-blue-600">${(usage?.usage.costUsd || 0).toFixed(2)}</div>
+                  <div className="text-sm text-gray-600">Estimated Cost This Month</div>
+                  {usage && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {usage.usage.requests.toLocaleString()} requests • {formatLimit(usage.quota.monthlyCostUsd, (n) => `$${n.toFixed(2)}`)}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
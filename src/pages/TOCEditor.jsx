@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import { dbHelpers } from '../lib/supabase';
+import { aiService } from '../lib/aiService';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
@@ -57,84 +58,18 @@ const TOCEditor = () => {
     setGenerating(true);
     
     try {
-      // Generate initial chapter structure based on book details
-      const initialChapters = [
-        {
-          title: 'Introduction and Foundations',
-          description: 'Setting the groundwork for understanding the subject',
-          topics: [
-            { title: 'Welcome and Overview', objectives: 'Understand the scope and goals of this book', estimated_words: 1200 },
-            { title: 'Core Concepts and Terminology', objectives: 'Master the fundamental vocabulary and concepts', estimated_words: 1800 },
-            { title: 'Historical Context and Evolution', objectives: 'Learn how this field has developed over time', estimated_words: 1500 }
-          ]
-        },
-        {
-          title: 'Fundamental Principles',
-          description: 'Deep dive into the core principles and theories',
-          topics: [
-            { title: 'Theoretical Framework', objectives: 'Understand the underlying theoretical foundation', estimated_words: 2000 },
-            { title: 'Key Methodologies', objectives: 'Learn the primary approaches and methodologies', estimated_words: 1800 },
-            { title: 'Best Practices and Standards', objectives: 'Discover industry best practices and standards', estimated_words: 1600 }
-          ]
-        },
-        {
-          title: 'Practical Applications',
-          description: 'Real-world implementation and case studies',
-          topics: [
-            { title: 'Implementation Strategies', objectives: 'Learn how to apply concepts in practice', estimated_words: 2200 },
-            { title: 'Case Studies and Examples', objectives: 'Analyze real-world examples and success stories', estimated_words: 1900 },
-            { title: 'Tools and Technologies', objectives: 'Master the essential tools and technologies', estimated_words: 1700 }
-          ]
-        },
-        {
-          title: 'Advanced Techniques',
-          description: 'Advanced concepts and cutting-edge approaches',
-          topics: [
-            { title: 'Advanced Strategies', objectives: 'Explore sophisticated techniques and approaches', estimated_words: 2100 },
-            { title: 'Optimization and Performance', objectives: 'Learn how to optimize and improve performance', estimated_words: 1800 },
-            { title: 'Future Trends and Innovations', objectives: 'Understand emerging trends and future directions', estimated_words: 1600 }
-          ]
-        }
-      ];
-
-      const createdChapters = [];
-      
-      for (const chapter of initialChapters) {
-        const { data: newChapter, error } = await dbHelpers.createChapter({
-          book_id: bookData.id,
-          title: chapter.title,
-          description: chapter.description,
-          order_index: chapter.order_index
-        });
-        
-        if (error) throw error;
-
-        const chapterTopics = [];
-        for (const [topicIndex, topic] of chapter.topics.entries()) {
-          const { data: newTopic, error: topicError } = await dbHelpers.createTopic({
-            chapter_id: newChapter.id,
-            title: topic.title,
-            objectives: topic.objectives,
-            estimated_words: topic.estimated_words,
-            order_index: topicIndex,
-            status: 'draft'
-          });
-          
-          if (topicError) throw topicError;
-          chapterTopics.push(newTopic);
-        }
-
-        createdChapters.push({
-          ...newChapter,
-          topics: chapterTopics
-        });
-      }
+      // Outline from the book's model, grounded in its saved source content
+      const { chapters: outline } = await aiService.generateTableOfContents(bookData.id);
 
+      // Show whatever was saved, even if saving stopped part way
+      const { data: createdChapters, error } = await dbHelpers.createOutline(bookData.id, outline);
       setChapters(createdChapters);
+      if (error) throw error;
+
       toast.success('Table of contents generated!');
       
     } catch (error) {
-      toast.error('Failed to generate TOC');
+      toast.error(error.message || 'Failed to generate TOC');
       console.error('Error generating TOC:', error);
     } finally {
       setGenerating(false);
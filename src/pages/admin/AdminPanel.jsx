@@ -1,59 +1,193 @@
 import React, { useState, useEffect } from 'react';
-import { motion } from 'framer-motion';
+import { motion, AnimatePresence } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../../contexts/AuthContext';
+import { adminServiceClient } from '../../lib/adminService';
 import SafeIcon from '../../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
-const { FiUsers, FiBook, FiActivity, FiSettings, FiBarChart3, FiShield, FiMail, FiDatabase } = FiIcons;
+const { FiUsers, FiBook, FiActivity, FiSettings, FiBarChart3, FiShield, FiDatabase, FiSearch, FiX, FiDollarSign, FiRefreshCw } = FiIcons;
+
+const PAGE_SIZE = 20;
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+const formatUsd = (value) => `$${(value || 0).toFixed(value > 0 && value < 0.01 ? 4 : 2)}`;
+const formatLimit = (value) => (value == null ? 'unlimited' : formatNumber(value));
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  suspended: 'bg-red-100 text-red-800',
+  completed: 'bg-green-100 text-green-800',
+  generating: 'bg-blue-100 text-blue-800',
+  running: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[status] || 'bg-yellow-100 text-yellow-800'}`}>
+    {status || 'draft'}
+  </span>
+);
+
+const SearchBox = ({ value, onChange, onSearch, placeholder }) => (
+  <form
+    onSubmit={(e) => {
+      e.preventDefault();
+      onSearch();
+    }}
+    className="relative"
+  >
+    <SafeIcon icon={FiSearch} className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+    <input
+      type="text"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className="pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm w-72 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+    />
+  </form>
+);
+
+const Pagination = ({ page, total, onPage }) => {
+  const pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="flex items-center justify-between text-sm text-gray-600">
+      <span>{formatNumber(total)} total</span>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onPage(page - 1)}
+          disabled={page <= 1}
+          className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span>Page {page} of {pages}</span>
+        <button
+          onClick={() => onPage(page + 1)}
+          disabled={page >= pages}
+          className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TableHeader = ({ columns }) => (
+  <thead className="bg-gray-50">
+    <tr>
+      {columns.map((column) => (
+        <th key={column} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+          {column}
+        </th>
+      ))}
+    </tr>
+  </thead>
+);
 
 const AdminPanel = () => {
   const { user } = useAuth();
-  const [stats, setStats] = useState({
-    totalUsers: 0,
-    totalBooks: 0,
-    activeUsers: 0,
-    apiCalls: 0
-  });
-  const [users, setUsers] = useState([]);
-  const [books, setBooks] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
+  const [stats, setStats] = useState(null);
+  const [users, setUsers] = useState({ users: [], total: 0, page: 1 });
+  const [userSearch, setUserSearch] = useState('');
+  const [books, setBooks] = useState({ books: [], total: 0, page: 1 });
+  const [bookSearch, setBookSearch] = useState('');
+  const [system, setSystem] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  const isAdmin = user?.app_metadata?.role === 'admin';
 
   useEffect(() => {
-    if (user?.user_metadata?.role === 'admin') {
-      loadAdminData();
-    }
-  }, [user]);
+    if (!isAdmin) return;
+
+    if (activeTab === 'overview') loadStats();
+    if (activeTab === 'users') loadUsers(1);
+    if (activeTab === 'books') loadBooks(1);
+    if (activeTab === 'system') loadSystem();
+  }, [isAdmin, activeTab]);
 
-  const loadAdminData = async () => {
+  const withLoading = async (load, errorMessage) => {
+    setLoading(true);
     try {
-      // Simulate loading admin data
-      setStats({
-        totalUsers: 156,
-        totalBooks: 342,
-        activeUsers: 89,
-        apiCalls: 12847
-      });
-
-      setUsers([
-        { id: 1, email: 'user1@example.com', name: 'John Doe', status: 'active', books: 3, joined: '2024-01-15' },
-        { id: 2, email: 'user2@example.com', name: 'Jane Smith', status: 'active', books: 7, joined: '2024-01-20' },
-        { id: 3, email: 'user3@example.com', name: 'Bob Johnson', status: 'inactive', books: 1, joined: '2024-02-01' }
-      ]);
-
-      setBooks([
-        { id: 1, title: 'AI Programming Guide', author: 'John Doe', status: 'completed', created: '2024-01-20' },
-        { id: 2, title: 'Machine Learning Basics', author: 'Jane Smith', status: 'generating', created: '2024-02-15' },
-        { id: 3, title: 'Data Science Handbook', author: 'Bob Johnson', status: 'draft', created: '2024-02-20' }
-      ]);
+      await load();
     } catch (error) {
-      toast.error('Failed to load admin data');
+      toast.error(error.message || errorMessage);
     } finally {
       setLoading(false);
     }
   };
 
+  const loadStats = () => withLoading(async () => {
+    setStats(await adminServiceClient.getStats());
+  }, 'Failed to load stats');
+
+  const loadUsers = (page) => withLoading(async () => {
+    setUsers(await adminServiceClient.listUsers({ search: userSearch, page, perPage: PAGE_SIZE }));
+  }, 'Failed to load users');
+
+  const loadBooks = (page) => withLoading(async () => {
+    setBooks(await adminServiceClient.listBooks({ search: bookSearch, page, perPage: PAGE_SIZE }));
+  }, 'Failed to load books');
+
+  const loadSystem = () => withLoading(async () => {
+    setSystem(await adminServiceClient.getSystem());
+  }, 'Failed to load system information');
+
+  const toggleSuspended = async (target) => {
+    const suspend = target.status !== 'suspended';
+    if (suspend && !window.confirm(`Suspend ${target.email}? They will be signed out and unable to sign in.`)) return;
+
+    setBusyUserId(target.id);
+    try {
+      const updated = await adminServiceClient.setSuspended(target.id, suspend);
+      setUsers(current => ({
+        ...current,
+        users: current.users.map(u => (u.id === target.id ? { ...u, status: updated.status } : u))
+      }));
+      toast.success(`${target.email} ${suspend ? 'suspended' : 'reinstated'}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update user');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const resetQuota = async (target) => {
+    if (!window.confirm(`Reset ${target.email}'s quota? Usage so far this month will stop counting against their limits.`)) return;
+
+    setBusyUserId(target.id);
+    try {
+      const { quota, usage, exceeded } = await adminServiceClient.resetQuota(target.id);
+      setUsers(current => ({
+        ...current,
+        users: current.users.map(u => (u.id === target.id ? { ...u, quota, usage, quotaExceeded: exceeded.length > 0 } : u))
+      }));
+      toast.success(`Quota reset for ${target.email}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset quota');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const openHistory = async (book) => {
+    setHistory({ book, loading: true });
+    try {
+      setHistory(await adminServiceClient.getBookHistory(book.id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load generation history');
+      setHistory(null);
+    }
+  };
+
   const tabs = [
     { id: 'overview', label: 'Overview', icon: FiBarChart3 },
     { id: 'users', label: 'Users', icon: FiUsers },
@@ -61,13 +195,11 @@ const AdminPanel = () => {
     { id: 'system', label: 'System', icon: FiSettings }
   ];
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
-  }
+  const spinner = (
+    <div className="flex justify-center py-12">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+    </div>
+  );
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -109,18 +241,18 @@ const AdminPanel = () => {
             </div>
 
             <div className="p-6">
-              {activeTab === 'overview' && (
+              {activeTab === 'overview' && (!stats ? spinner : (
                 <div className="space-y-6">
                   {/* Stats Grid */}
                   <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
                     {[
-                      { label: 'Total Users', value: stats.totalUsers, icon: FiUsers, color: 'text-blue-600' },
-                      { label: 'Total Books', value: stats.totalBooks, icon: FiBook, color: 'text-green-600' },
-                      { label: 'Active Users', value: stats.activeUsers, icon: FiActivity, color: 'text-yellow-600' },
-                      { label: 'API Calls', value: stats.apiCalls, icon: FiDatabase, color: 'text-purple-600' }
+                      { label: 'Total Users', value: formatNumber(stats.users.total), icon: FiUsers, color: 'text-blue-600' },
+                      { label: `Active Users (${stats.users.activeWindowDays}d)`, value: formatNumber(stats.users.active), icon: FiActivity, color: 'text-yellow-600' },
+                      { label: 'Total Books', value: formatNumber(stats.books.total), icon: FiBook, color: 'text-green-600' },
+                      { label: 'Generations This Month', value: formatNumber(stats.generations.thisMonth), icon: FiDatabase, color: 'text-purple-600' }
                     ].map((stat, index) => (
                       <motion.div
-                        key={index}
+                        key={stat.label}
                         initial={{ opacity: 0, y: 20 }}
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ duration: 0.6, delay: index * 0.1 }}
@@ -137,96 +269,147 @@ const AdminPanel = () => {
                     ))}
                   </div>
 
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {/* Spend and volume */}
+                    <div className="bg-gray-50 rounded-lg p-6">
+                      <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-lg font-semibold text-gray-900">This Month</h3>
+                        <SafeIcon icon={FiDollarSign} className="h-5 w-5 text-green-600" />
+                      </div>
+                      <dl className="grid grid-cols-2 gap-4 text-sm">
+                        <div>
+                          <dt className="text-gray-600">Estimated spend</dt>
+                          <dd className="text-xl font-semibold text-gray-900">{formatUsd(stats.spend.thisMonthUsd)}</dd>
+                        </div>
+                        <div>
+                          <dt className="text-gray-600">Tokens</dt>
+                          <dd className="text-xl font-semibold text-gray-900">{formatNumber(stats.generations.tokensThisMonth)}</dd>
+                        </div>
+                        <div>
+                          <dt className="text-gray-600">Images</dt>
+                          <dd className="text-xl font-semibold text-gray-900">{formatNumber(stats.generations.imagesThisMonth)}</dd>
+                        </div>
+                        <div>
+                          <dt className="text-gray-600">Active jobs</dt>
+                          <dd className="text-xl font-semibold text-gray-900">{formatNumber(stats.generations.activeJobs)}</dd>
+                        </div>
+                      </dl>
+                    </div>
+
+                    {/* Books by status */}
+                    <div className="bg-gray-50 rounded-lg p-6">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-4">Books by Status</h3>
+                      <div className="space-y-2">
+                        {Object.entries(stats.books.byStatus).sort(([, a], [, b]) => b - a).map(([status, count]) => (
+                          <div key={status} className="flex items-center justify-between text-sm">
+                            <StatusBadge status={status} />
+                            <span className="font-medium text-gray-900">{formatNumber(count)}</span>
+                          </div>
+                        ))}
+                        {stats.books.total === 0 && <p className="text-sm text-gray-500">No books yet</p>}
+                      </div>
+                    </div>
+                  </div>
+
                   {/* Recent Activity */}
                   <div className="bg-gray-50 rounded-lg p-6">
                     <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Activity</h3>
                     <div className="space-y-3">
-                      {[
-                        { action: 'New user registered', user: 'john@example.com', time: '2 minutes ago' },
-                        { action: 'Book completed', user: 'jane@example.com', time: '15 minutes ago' },
-                        { action: 'API key added', user: 'bob@example.com', time: '1 hour ago' },
-                        { action: 'Content generated', user: 'alice@example.com', time: '2 hours ago' }
-                      ].map((activity, index) => (
-                        <div key={index} className="flex items-center justify-between py-2">
+                      {stats.recentActivity.map((activity) => (
+                        <div key={activity.id} className="flex items-center justify-between py-2">
                           <div>
-                            <p className="text-sm font-medium text-gray-900">{activity.action}</p>
-                            <p className="text-xs text-gray-500">{activity.user}</p>
+                            <p className="text-sm font-medium text-gray-900">
+                              {activity.operation} • {activity.model}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {activity.email || activity.userId} • {activity.images > 0 ? `${activity.images} image(s)` : `${formatNumber(activity.tokens)} tokens`} • {formatUsd(activity.costUsd)}
+                            </p>
                           </div>
-                          <p className="text-xs text-gray-400">{activity.time}</p>
+                          <p className="text-xs text-gray-400">
+                            {formatDistanceToNow(new Date(activity.createdAt), { addSuffix: true })}
+                          </p>
                         </div>
                       ))}
+                      {stats.recentActivity.length === 0 && <p className="text-sm text-gray-500">No activity yet</p>}
                     </div>
                   </div>
                 </div>
-              )}
+              ))}
 
               {activeTab === 'users' && (
                 <div className="space-y-6">
                   <div className="flex justify-between items-center">
                     <h3 className="text-lg font-semibold text-gray-900">User Management</h3>
-                    <button className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">
-                      Export Users
-                    </button>
+                    <SearchBox
+                      value={userSearch}
+                      onChange={setUserSearch}
+                      onSearch={() => loadUsers(1)}
+                      placeholder="Search by email or name"
+                    />
                   </div>
 
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            User
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Status
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Books
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Joined
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Actions
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {users.map((user) => (
-                          <tr key={user.id}>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <div>
-                                <div className="text-sm font-medium text-gray-900">{user.name}</div>
-                                <div className="text-sm text-gray-500">{user.email}</div>
-                              </div>
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                                user.status === 'active' 
-                                  ? 'bg-green-100 text-green-800' 
-                                  : 'bg-red-100 text-red-800'
-                              }`}>
-                                {user.status}
-                              </span>
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                              {user.books}
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {user.joined}
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                              <button className="text-primary-600 hover:text-primary-900 mr-3">
-                                Edit
-                              </button>
-                              <button className="text-red-600 hover:text-red-900">
-                                Suspend
-                              </button>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
+                  {loading && users.users.length === 0 ? spinner : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <TableHeader columns={['User', 'Status', 'Usage This Month', 'Books', 'Joined', 'Actions']} />
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {users.users.map((row) => (
+                            <tr key={row.id}>
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <div>
+                                  <div className="text-sm font-medium text-gray-900">
+                                    {row.name || row.email}
+                                    {row.role === 'admin' && <span className="ml-2 text-xs text-primary-600">admin</span>}
+                                  </div>
+                                  <div className="text-sm text-gray-500">{row.email}</div>
+                                </div>
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <StatusBadge status={row.status} />
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                <div className={row.quotaExceeded ? 'text-red-600 font-medium' : 'text-gray-900'}>
+                                  {formatNumber(row.usage.tokens)} / {formatLimit(row.quota.monthlyTokens)} tokens
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                  <span className="capitalize">{row.plan}</span> • {formatUsd(row.usage.costUsd)}
+                                </div>
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                {row.books}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                {formatDate(row.createdAt)}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                <button
+                                  onClick={() => resetQuota(row)}
+                                  disabled={busyUserId === row.id}
+                                  className="text-primary-600 hover:text-primary-900 mr-3 disabled:opacity-50"
+                                >
+                                  Reset Quota
+                                </button>
+                                {row.id !== user.id && (
+                                  <button
+                                    onClick={() => toggleSuspended(row)}
+                                    disabled={busyUserId === row.id}
+                                    className={`${row.status === 'suspended' ? 'text-green-600 hover:text-green-900' : 'text-red-600 hover:text-red-900'} disabled:opacity-50`}
+                                  >
+                                    {row.status === 'suspended' ? 'Unsuspend' : 'Suspend'}
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {users.users.length === 0 && (
+                        <p className="text-sm text-gray-500 text-center py-8">No users found</p>
+                      )}
+                    </div>
+                  )}
+
+                  <Pagination page={users.page} total={users.total} onPage={loadUsers} />
                 </div>
               )}
 
@@ -234,134 +417,238 @@ const AdminPanel = () => {
                 <div className="space-y-6">
                   <div className="flex justify-between items-center">
                     <h3 className="text-lg font-semibold text-gray-900">Book Management</h3>
-                    <button className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">
-                      Export Books
-                    </button>
+                    <SearchBox
+                      value={bookSearch}
+                      onChange={setBookSearch}
+                      onSearch={() => loadBooks(1)}
+                      placeholder="Search by title"
+                    />
                   </div>
 
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Title
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Author
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Status
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Created
-                          </th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                            Actions
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {books.map((book) => (
-                          <tr key={book.id}>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <div className="text-sm font-medium text-gray-900">{book.title}</div>
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <div className="text-sm text-gray-900">{book.author}</div>
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                                book.status === 'completed' 
-                                  ? 'bg-green-100 text-green-800'
-                                  : book.status === 'generating'
-                                  ? 'bg-blue-100 text-blue-800'
-                                  : 'bg-yellow-100 text-yellow-800'
-                              }`}>
-                                {book.status}
-                              </span>
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                              {book.created}
-                            </td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                              <button className="text-primary-600 hover:text-primary-900 mr-3">
-                                View
-                              </button>
-                              <button className="text-red-600 hover:text-red-900">
-                                Delete
-                              </button>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
+                  {loading && books.books.length === 0 ? spinner : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <TableHeader columns={['Title', 'Author', 'Status', 'Created', 'Actions']} />
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {books.books.map((book) => (
+                            <tr key={book.id}>
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <div className="text-sm font-medium text-gray-900">{book.title}</div>
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <div className="text-sm text-gray-900">{book.author || book.userId}</div>
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap">
+                                <StatusBadge status={book.status} />
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                {formatDate(book.createdAt)}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                <button
+                                  onClick={() => openHistory(book)}
+                                  className="text-primary-600 hover:text-primary-900"
+                                >
+                                  Generation History
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {books.books.length === 0 && (
+                        <p className="text-sm text-gray-500 text-center py-8">No books found</p>
+                      )}
+                    </div>
+                  )}
+
+                  <Pagination page={books.page} total={books.total} onPage={loadBooks} />
                 </div>
               )}
 
-              {activeTab === 'system' && (
+              {activeTab === 'system' && (!system ? spinner : (
                 <div className="space-y-6">
-                  <h3 className="text-lg font-semibold text-gray-900">System Configuration</h3>
-                  
+                  <div className="flex justify-between items-center">
+                    <h3 className="text-lg font-semibold text-gray-900">System Configuration</h3>
+                    <button
+                      onClick={loadSystem}
+                      disabled={loading}
+                      className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                    >
+                      <SafeIcon icon={FiRefreshCw} className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
+                  </div>
+
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     <div className="bg-gray-50 rounded-lg p-6">
-                      <h4 className="text-md font-medium text-gray-900 mb-4">Email Settings</h4>
-                      <div className="space-y-3">
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700">SMTP Server</label>
-                          <input
-                            type="text"
-                            className="mt-1 block w-full border border-gray-300 rounded-lg px-3 py-2"
-                            placeholder="smtp.example.com"
-                          />
-                        </div>
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700">Port</label>
-                          <input
-                            type="number"
-                            className="mt-1 block w-full border border-gray-300 rounded-lg px-3 py-2"
-                            placeholder="587"
-                          />
-                        </div>
-                      </div>
+                      <h4 className="text-md font-medium text-gray-900 mb-4">Server</h4>
+                      <dl className="space-y-2 text-sm">
+                        {[
+                          ['Environment', system.environment],
+                          ['Node.js', system.nodeVersion],
+                          ['Uptime', formatDistanceToNow(new Date(Date.now() - system.uptime * 1000))],
+                          ['Memory', `${system.memoryMb} MB`],
+                          ['Encryption key version', system.encryptionKeyVersion]
+                        ].map(([label, value]) => (
+                          <div key={label} className="flex justify-between">
+                            <dt className="text-gray-600">{label}</dt>
+                            <dd className="font-medium text-gray-900">{value}</dd>
+                          </div>
+                        ))}
+                      </dl>
                     </div>
 
                     <div className="bg-gray-50 rounded-lg p-6">
-                      <h4 className="text-md font-medium text-gray-900 mb-4">API Limits</h4>
-                      <div className="space-y-3">
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700">Requests per Hour</label>
-                          <input
-                            type="number"
-                            className="mt-1 block w-full border border-gray-300 rounded-lg px-3 py-2"
-                            placeholder="1000"
-                          />
+                      <h4 className="text-md font-medium text-gray-900 mb-4">Providers</h4>
+                      <dl className="space-y-2 text-sm">
+                        <div className="flex justify-between">
+                          <dt className="text-gray-600">Text</dt>
+                          <dd className="font-medium text-gray-900">{system.textProviders.map(p => p.name).join(', ')}</dd>
                         </div>
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700">Max Book Size (MB)</label>
-                          <input
-                            type="number"
-                            className="mt-1 block w-full border border-gray-300 rounded-lg px-3 py-2"
-                            placeholder="50"
-                          />
+                        <div className="flex justify-between">
+                          <dt className="text-gray-600">Images</dt>
+                          <dd className="font-medium text-gray-900">{system.imageProviders.map(p => `${p.name} (${p.model})`).join(', ')}</dd>
                         </div>
-                      </div>
+                        <div className="flex justify-between">
+                          <dt className="text-gray-600">Document formats</dt>
+                          <dd className="font-medium text-gray-900">{system.documentFormats.join(' ')}</dd>
+                        </div>
+                      </dl>
                     </div>
                   </div>
 
-                  <div className="flex justify-end">
-                    <button className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">
-                      Save Configuration
-                    </button>
+                  <div className="bg-gray-50 rounded-lg p-6">
+                    <h4 className="text-md font-medium text-gray-900 mb-1">Usage Plans</h4>
+                    <p className="text-xs text-gray-500 mb-4">
+                      Set with USAGE_PLANS and DEFAULT_USAGE_PLAN on the server. Per-user overrides live in the usage_quotas table.
+                    </p>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="py-1 font-medium">Plan</th>
+                          <th className="py-1 font-medium">Tokens / month</th>
+                          <th className="py-1 font-medium">Images / month</th>
+                          <th className="py-1 font-medium">Spend / month</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(system.usagePlans).map(([plan, limits]) => (
+                          <tr key={plan} className="text-gray-900">
+                            <td className="py-1 capitalize">
+                              {plan}
+                              {plan === system.defaultUsagePlan && <span className="ml-2 text-xs text-primary-600">default</span>}
+                            </td>
+                            <td className="py-1">{formatLimit(limits.monthlyTokens)}</td>
+                            <td className="py-1">{formatLimit(limits.monthlyImages)}</td>
+                            <td className="py-1">{limits.monthlyCostUsd == null ? 'unlimited' : formatUsd(limits.monthlyCostUsd)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
                   </div>
                 </div>
-              )}
+              ))}
             </div>
           </div>
         </motion.div>
       </div>
+
+      {/* Book generation history */}
+      <AnimatePresence>
+        {history && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          >
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[85vh] flex flex-col"
+            >
+              <div className="flex items-center justify-between p-6 border-b border-gray-200">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{history.book.title}</h2>
+                  {history.totals && (
+                    <p className="text-sm text-gray-600">
+                      {formatNumber(history.totals.generations)} generations • {formatNumber(history.totals.tokens)} tokens • {formatUsd(history.totals.costUsd)} lifetime
+                    </p>
+                  )}
+                </div>
+                <button onClick={() => setHistory(null)} className="p-2 text-gray-500 hover:text-gray-700">
+                  <SafeIcon icon={FiX} className="h-5 w-5" />
+                </button>
+              </div>
+
+              {history.loading ? spinner : (
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-900 mb-2">Generation Jobs</h3>
+                    {history.jobs.length === 0 ? (
+                      <p className="text-sm text-gray-500">No jobs for this book</p>
+                    ) : (
+                      <div className="space-y-2">
+                        {history.jobs.map((job) => (
+                          <div key={job.id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3 text-sm">
+                            <div>
+                              <div className="font-medium text-gray-900">{job.provider} • {job.model}</div>
+                              <div className="text-xs text-gray-500">
+                                {job.progress.completed}/{job.progress.total} topics
+                                {job.progress.failed > 0 && ` • ${job.progress.failed} failed`}
+                                {' • '}started {formatDate(job.startedAt || job.createdAt)}
+                                {job.error && ` • ${job.error}`}
+                              </div>
+                            </div>
+                            <StatusBadge status={job.status} />
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-900 mb-2">Provider Calls</h3>
+                    {history.usage.length === 0 ? (
+                      <p className="text-sm text-gray-500">No provider calls recorded</p>
+                    ) : (
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-1 font-medium">When</th>
+                            <th className="py-1 font-medium">Operation</th>
+                            <th className="py-1 font-medium">Model</th>
+                            <th className="py-1 font-medium">Tokens in/out</th>
+                            <th className="py-1 font-medium">Latency</th>
+                            <th className="py-1 font-medium">Cost</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {history.usage.map((event) => (
+                            <tr key={event.id} className="text-gray-900">
+                              <td className="py-1 text-gray-500">{formatDistanceToNow(new Date(event.createdAt), { addSuffix: true })}</td>
+                              <td className="py-1">{event.operation}</td>
+                              <td className="py-1">{event.model}</td>
+                              <td className="py-1">
+                                {event.images > 0 ? `${event.images} image(s)` : `${formatNumber(event.inputTokens)} / ${formatNumber(event.outputTokens)}`}
+                              </td>
+                              <td className="py-1">{event.latencyMs != null ? `${(event.latencyMs / 1000).toFixed(1)}s` : '—'}</td>
+                              <td className="py-1">{formatUsd(event.costUsd)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                </div>
+              )}
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </div>
   );
 };
 
-export default AdminPanel;
\ No newline at end of file
+export default AdminPanel;
@@ -0,0 +1,32 @@
+-- Server-side whole-book generation jobs. Each row keeps the per-topic state
+-- list ({ topicId, chapterId, title, status, attempts, error, stage }) that
+-- lets a job be paused, resumed or picked up after a restart. Only the server
+-- reads and writes jobs, through the service role.
+create table if not exists public.generation_jobs (
+  id uuid primary key default gen_random_uuid(),
+  book_id uuid not null references public.books(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  provider text not null,
+  model text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'pausing', 'paused', 'completed', 'failed', 'cancelled')),
+  topics jsonb not null default '[]'::jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists generation_jobs_book_id_created_at_idx
+  on public.generation_jobs (book_id, created_at desc);
+create index if not exists generation_jobs_status_idx
+  on public.generation_jobs (status);
+
+-- A book's topics belong to at most one active job, so two requests racing to
+-- start one cannot both succeed
+create unique index if not exists generation_jobs_one_active_per_book
+  on public.generation_jobs (book_id)
+  where status in ('queued', 'running', 'pausing', 'paused');
+
+alter table public.generation_jobs enable row level security;
@@ -0,0 +1,14 @@
+-- Each book's OpenAI retrieval resources, which live in the book owner's
+-- OpenAI account: the conversation thread and the vector store searched by
+-- the book's assistant. Source files remember their uploaded OpenAI file so
+-- they can be detached or re-attached.
+alter table public.books
+  add column if not exists openai_thread_id text,
+  add column if not exists openai_vector_store_id text;
+
+alter table public.source_files
+  add column if not exists openai_file_id text;
+
+create index if not exists source_files_book_id_openai_file_id_idx
+  on public.source_files (book_id, openai_file_id)
+  where openai_file_id is not null;
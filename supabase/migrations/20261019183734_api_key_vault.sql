@@ -0,0 +1,14 @@
+-- Provider API keys are sealed by the server's key vault. `key_version` is
+-- the vault key a row was encrypted under (null for keys stored before the
+-- vault, which the server re-encrypts at startup) and `key_hint` the last
+-- four characters shown in settings. Keys are looked up and saved per user
+-- and provider, so that pair is unique.
+alter table public.api_keys
+  add column if not exists key_hint text,
+  add column if not exists key_version integer;
+
+create unique index if not exists api_keys_user_id_provider_key
+  on public.api_keys (user_id, provider);
+
+create index if not exists api_keys_key_version_idx
+  on public.api_keys (key_version);
@@ -0,0 +1,40 @@
+-- Ledger of every provider call, written by the server's usage service.
+-- Rows outlive the book or job they were for, so reports keep the spend.
+create table if not exists public.usage_events (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  book_id uuid references public.books(id) on delete set null,
+  job_id uuid references public.generation_jobs(id) on delete set null,
+  operation text not null,
+  provider text,
+  model text,
+  input_tokens integer not null default 0,
+  output_tokens integer not null default 0,
+  images integer not null default 0,
+  latency_ms integer,
+  cost_usd numeric(14, 6) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists usage_events_user_id_created_at_idx
+  on public.usage_events (user_id, created_at);
+create index if not exists usage_events_book_id_created_at_idx
+  on public.usage_events (book_id, created_at);
+create index if not exists usage_events_created_at_idx
+  on public.usage_events (created_at);
+
+alter table public.usage_events enable row level security;
+
+-- Per-user plan and limit overrides. A null plan is the server's default
+-- plan and a null limit is the plan's own. `reset_at` starts a fresh quota
+-- period before the month is out.
+create table if not exists public.usage_quotas (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  plan text,
+  monthly_tokens bigint,
+  monthly_images integer,
+  monthly_cost_usd numeric(14, 2),
+  reset_at timestamptz
+);
+
+alter table public.usage_quotas enable row level security;
@@ -0,0 +1,5 @@
+-- A book's lifetime spend cap in USD, checked against the book's usage
+-- ledger totals before generation. Null means no cap.
+alter table public.books
+  add column if not exists budget_cap numeric(12, 2)
+    check (budget_cap is null or budget_cap >= 0);
@@ -0,0 +1,21 @@
+-- Per-book prompt template overrides, as an append-only history: every save,
+-- restore or reset adds the next version and the latest one is in use. A
+-- null body means "use the default", which is how a reset is recorded.
+-- Version numbers are unique per book and template, so two saves racing for
+-- the same number cannot both land.
+create table if not exists public.prompt_templates (
+  id uuid primary key default gen_random_uuid(),
+  book_id uuid not null references public.books(id) on delete cascade,
+  template_key text not null,
+  version integer not null check (version > 0),
+  body text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint prompt_templates_book_id_template_key_version_key unique (book_id, template_key, version)
+);
+
+alter table public.prompt_templates enable row level security;
+
+-- The template that wrote each topic: { key, version, source }
+alter table public.chapter_topics
+  add column if not exists prompt_template jsonb;
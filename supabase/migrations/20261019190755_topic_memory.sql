@@ -0,0 +1,5 @@
+-- Continuity notes on each written topic, taken by the server after the
+-- topic is generated: { summary, concepts: [], terms: [{ term, definition }],
+-- updated_at }. Later topics are prompted with the notes of those before them.
+alter table public.chapter_topics
+  add column if not exists memory jsonb;
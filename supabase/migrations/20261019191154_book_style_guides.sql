@@ -0,0 +1,5 @@
+-- A book's style guide, validated by the server: spelling variant, person,
+-- voice, terminology and formatting rules. Added to generation prompts and
+-- checked against the book's text in the editor. Null means no guide.
+alter table public.books
+  add column if not exists style_guide jsonb;
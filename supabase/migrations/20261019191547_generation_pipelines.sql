@@ -0,0 +1,10 @@
+-- How a book's topics are written: 'single' (one completion) or 'multi-pass'
+-- (outline, draft, critique, revise).
+alter table public.books
+  add column if not exists generation_pipeline text not null default 'single'
+    check (generation_pipeline in ('single', 'multi-pass'));
+
+-- What the multi-pass pipeline produced for a topic, saved stage by stage so
+-- a run can be inspected after it finishes or fails
+alter table public.chapter_topics
+  add column if not exists pipeline_artifacts jsonb;
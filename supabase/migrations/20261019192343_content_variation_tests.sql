@@ -0,0 +1,22 @@
+-- A/B tests of a topic: the variations written side by side (provider,
+-- model, temperature, template, content and metrics for each, labelled A to
+-- D) and the one the user picked. Picks add up to win rates by model and by
+-- template.
+create table if not exists public.content_variation_tests (
+  id uuid primary key default gen_random_uuid(),
+  book_id uuid not null references public.books(id) on delete cascade,
+  topic_id uuid not null references public.chapter_topics(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  variations jsonb not null default '[]'::jsonb,
+  winner_id text check (winner_id is null or winner_id in ('A', 'B', 'C', 'D')),
+  created_at timestamptz not null default now(),
+  decided_at timestamptz
+);
+
+create index if not exists content_variation_tests_book_id_topic_id_created_at_idx
+  on public.content_variation_tests (book_id, topic_id, created_at desc);
+create index if not exists content_variation_tests_user_id_decided_idx
+  on public.content_variation_tests (user_id, created_at desc)
+  where winner_id is not null;
+
+alter table public.content_variation_tests enable row level security;
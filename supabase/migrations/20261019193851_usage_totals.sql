@@ -0,0 +1,37 @@
+-- Ledger totals since a time (or ever, when null) for one user, several
+-- users, one book, or everyone. `generations` counts the calls that were not
+-- embeddings and `users` the distinct users.
+create or replace function public.usage_totals(
+  p_since timestamptz default null,
+  p_user_ids uuid[] default null,
+  p_book_id uuid default null
+)
+returns table (
+  requests bigint,
+  generations bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  images bigint,
+  cost_usd numeric,
+  users bigint
+)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    count(*),
+    count(*) filter (where e.operation <> 'embedding'),
+    coalesce(sum(e.input_tokens), 0),
+    coalesce(sum(e.output_tokens), 0),
+    coalesce(sum(e.images), 0),
+    coalesce(sum(e.cost_usd), 0),
+    count(distinct e.user_id)
+  from public.usage_events e
+  where (p_since is null or e.created_at >= p_since)
+    and (p_user_ids is null or e.user_id = any (p_user_ids))
+    and (p_book_id is null or e.book_id = p_book_id);
+$$;
+
+revoke execute on function public.usage_totals(timestamptz, uuid[], uuid) from public, anon, authenticated;
+grant execute on function public.usage_totals(timestamptz, uuid[], uuid) to service_role;
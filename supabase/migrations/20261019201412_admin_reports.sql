@@ -0,0 +1,99 @@
+-- Books per status for the admin dashboard. Books without a status are drafts.
+create or replace function public.book_status_counts()
+returns table (
+  status text,
+  books bigint
+)
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(b.status, 'draft'), count(*)
+  from public.books b
+  group by 1;
+$$;
+
+revoke execute on function public.book_status_counts() from public, anon, authenticated;
+grant execute on function public.book_status_counts() to service_role;
+
+-- One page of users, newest first, optionally narrowed to those whose email or
+-- full name contains `p_search` (case-insensitive). `total` is the number of
+-- matches before paging. Reads auth.users, so it runs as its owner.
+create or replace function public.admin_list_users(
+  p_search text default null,
+  p_offset integer default 0,
+  p_limit integer default 20
+)
+returns table (
+  id uuid,
+  email text,
+  user_metadata jsonb,
+  app_metadata jsonb,
+  banned_until timestamptz,
+  created_at timestamptz,
+  last_sign_in_at timestamptz,
+  total bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    u.id,
+    u.email::text,
+    u.raw_user_meta_data,
+    u.raw_app_meta_data,
+    u.banned_until,
+    u.created_at,
+    u.last_sign_in_at,
+    count(*) over ()
+  from auth.users u
+  where coalesce(p_search, '') = ''
+    or position(lower(p_search) in lower(coalesce(u.email, ''))) > 0
+    or position(lower(p_search) in lower(coalesce(u.raw_user_meta_data->>'full_name', ''))) > 0
+  order by u.created_at desc, u.id
+  offset greatest(p_offset, 0)
+  limit least(greatest(p_limit, 1), 100);
+$$;
+
+revoke execute on function public.admin_list_users(text, integer, integer) from public, anon, authenticated;
+grant execute on function public.admin_list_users(text, integer, integer) to service_role;
+
+-- usage_totals per user for several users at once, each counted from
+-- `p_since` or their quota reset, whichever is later. Users without usage
+-- have no row.
+create or replace function public.usage_totals_by_user(
+  p_user_ids uuid[],
+  p_since timestamptz
+)
+returns table (
+  user_id uuid,
+  requests bigint,
+  generations bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  images bigint,
+  cost_usd numeric
+)
+language sql
+stable
+set search_path = public
+as $$
+  select
+    e.user_id,
+    count(*),
+    count(*) filter (where e.operation <> 'embedding'),
+    coalesce(sum(e.input_tokens), 0),
+    coalesce(sum(e.output_tokens), 0),
+    coalesce(sum(e.images), 0),
+    coalesce(sum(e.cost_usd), 0)
+  from public.usage_events e
+  left join public.usage_quotas q on q.user_id = e.user_id
+  where e.user_id = any (p_user_ids)
+    and e.created_at >= greatest(p_since, coalesce(q.reset_at, p_since))
+  group by e.user_id;
+$$;
+
+revoke execute on function public.usage_totals_by_user(uuid[], timestamptz) from public, anon, authenticated;
+grant execute on function public.usage_totals_by_user(uuid[], timestamptz) to service_role;